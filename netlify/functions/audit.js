@@ -0,0 +1,33 @@
+/**
+ * @file audit.js
+ * @description Audit log API. Entries are written by the locations and categories functions;
+ * restoring an old version goes through `PUT`/`POST /api/locations` like any other edit.
+ *
+ *   GET /api/audit   - logged changes, newest first, with the editors and locations that can
+ *                      be filtered on (admin); `?location=<id>` and `?editor=<name>` narrow it down
+ */
+
+import { HttpError, json, withErrorHandling } from '../../server/http.js';
+import { requireAdmin } from '../../server/auth.js';
+import { getTripStores } from '../../server/trips.js';
+import { filterAuditEntries, summarizeAuditLog } from '../../src/utils/auditLog.js';
+
+export const handler = withErrorHandling(async (event) => {
+  if (event.httpMethod !== 'GET') {
+    throw new HttpError(405, `Method ${event.httpMethod} not allowed`);
+  }
+  await requireAdmin(event);
+  const { audit } = await getTripStores(event);
+
+  const { location, editor } = event.queryStringParameters || {};
+  const locationId = location ? Number(location) : null;
+  if (location && Number.isNaN(locationId)) {
+    throw new HttpError(400, 'location must be a numeric id');
+  }
+
+  const entries = await audit.list();
+  return json(200, {
+    entries: filterAuditEntries(entries, { locationId, editor: editor || null }),
+    ...summarizeAuditLog(entries)
+  });
+});
@@ -0,0 +1,38 @@
+/**
+ * @file auth.js
+ * @description Admin authentication API.
+ *
+ *   POST /api/auth/login    - exchange an admin password for a session token, named after its account
+ *   POST /api/auth/logout   - revoke the current session token
+ *   GET  /api/auth/session  - check whether the current token is still valid
+ */
+
+import { HttpError, json, parseBody, getPathSegments, withErrorHandling } from '../../server/http.js';
+import { login, logout, requireAdmin, getEditor, getBearerToken } from '../../server/auth.js';
+import { getLiveHub } from '../../server/liveSync.js';
+
+export const handler = withErrorHandling(async (event) => {
+  const [action] = getPathSegments(event, 'auth');
+
+  switch (`${event.httpMethod} ${action}`) {
+    case 'POST login': {
+      // The editor name comes from the account whose password matches, never from the body
+      const { password } = parseBody(event);
+      if (!password) throw new HttpError(400, 'Password is required');
+      return json(200, await login(password));
+    }
+
+    case 'POST logout':
+      await logout(event);
+      getLiveHub().closeSession(getBearerToken(event));
+      return json(200, { ok: true });
+
+    case 'GET session': {
+      const session = await requireAdmin(event);
+      return json(200, { expiresAt: session.expiresAt, editor: getEditor(session) });
+    }
+
+    default:
+      throw new HttpError(404, 'Not found');
+  }
+});
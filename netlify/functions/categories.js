@@ -0,0 +1,57 @@
+/**
+ * @file categories.js
+ * @description Categories API. Categories are stored in the location data file, so they
+ * share its store.
+ *
+ *   GET  /api/categories          - list categories
+ *   PUT  /api/categories          - replace the list: add, edit, reorder, remove unused (admin)
+ *   POST /api/categories/rename   - rename a category or merge it into another (admin)
+ */
+
+import { HttpError, json, parseBody, getPathSegments, withErrorHandling } from '../../server/http.js';
+import { requireAdmin, getEditor } from '../../server/auth.js';
+import { getTripStores } from '../../server/trips.js';
+import { CategoryValidationError } from '../../src/utils/locationSchema.js';
+
+/**
+ * @function withValidation
+ * @description Runs a store write, turning category violations into 422 responses
+ * @param {Function} operation - Async store call
+ * @returns {Promise<*>} The operation's result
+ * @throws {HttpError} 422 listing the problems when the change is invalid
+ */
+const withValidation = async (operation) => {
+  try {
+    return await operation();
+  } catch (error) {
+    if (error instanceof CategoryValidationError) {
+      throw new HttpError(422, error.message, { errors: error.errors });
+    }
+    throw error;
+  }
+};
+
+export const handler = withErrorHandling(async (event) => {
+  const editor = event.httpMethod === 'GET' ? null : getEditor(await requireAdmin(event));
+  const [action] = getPathSegments(event, 'categories');
+  const { locations: store } = await getTripStores(event);
+
+  switch (event.httpMethod) {
+    case 'GET':
+      return json(200, { categories: await store.listCategories() });
+
+    case 'PUT': {
+      const { categories } = parseBody(event);
+      return json(200, { categories: await withValidation(() => store.replaceCategories(categories)) });
+    }
+
+    case 'POST': {
+      if (action !== 'rename') throw new HttpError(404, 'Not found');
+      const { from, to } = parseBody(event);
+      return json(200, await withValidation(() => store.renameCategory(from, to, editor)));
+    }
+
+    default:
+      throw new HttpError(405, `Method ${event.httpMethod} not allowed`);
+  }
+});
@@ -0,0 +1,75 @@
+/**
+ * @file checkins.js
+ * @description Check-ins API. Like ratings, check-ins are made under the name the member
+ * picked; no admin session is needed.
+ *
+ *   GET    /api/checkins                            - every check-in
+ *   POST   /api/checkins/:locationId                - check a member in (`{ member }`)
+ *   DELETE /api/checkins/:locationId?member=Name    - take a member's check-in back
+ */
+
+import { HttpError, json, parseBody, getPathSegments, withErrorHandling } from '../../server/http.js';
+import { getTripStores } from '../../server/trips.js';
+import { CheckInValidationError } from '../../src/utils/checkins.js';
+
+/**
+ * @function withValidation
+ * @description Runs a store write, turning invalid check-ins into 422 responses
+ * @param {Function} operation - Async store call
+ * @returns {Promise<*>} The operation's result
+ * @throws {HttpError} 422 listing the problems when the check-in is invalid
+ */
+const withValidation = async (operation) => {
+  try {
+    return await operation();
+  } catch (error) {
+    if (error instanceof CheckInValidationError) {
+      throw new HttpError(422, error.message, { errors: error.errors });
+    }
+    throw error;
+  }
+};
+
+/**
+ * @function parseLocationId
+ * @description Reads the location id from the request path and checks the location exists
+ * @param {Object} event - Serverless event
+ * @param {Object} locationStore - The trip's location store
+ * @returns {Promise<number>} Location id
+ * @throws {HttpError} 404 when there is no such location
+ */
+const parseLocationId = async (event, locationStore) => {
+  const [id] = getPathSegments(event, 'checkins');
+  const locationId = Number(id);
+  const locations = await locationStore.list();
+  if (!locations.some(location => location.id === locationId)) {
+    throw new HttpError(404, `Location ${id} not found`);
+  }
+  return locationId;
+};
+
+export const handler = withErrorHandling(async (event) => {
+  const { checkins: store, locations: locationStore } = await getTripStores(event);
+
+  switch (event.httpMethod) {
+    case 'GET':
+      return json(200, { checkins: await store.list() });
+
+    case 'POST': {
+      const locationId = await parseLocationId(event, locationStore);
+      const { member } = parseBody(event);
+      return json(201, { checkin: await withValidation(() => store.checkIn({ locationId, member })) });
+    }
+
+    case 'DELETE': {
+      const locationId = await parseLocationId(event, locationStore);
+      const member = event.queryStringParameters?.member;
+      const checkin = await withValidation(() => store.remove({ locationId, member }));
+      if (!checkin) throw new HttpError(404, 'Check-in not found');
+      return json(200, { checkin });
+    }
+
+    default:
+      throw new HttpError(405, `Method ${event.httpMethod} not allowed`);
+  }
+});
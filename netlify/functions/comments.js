@@ -0,0 +1,83 @@
+/**
+ * @file comments.js
+ * @description Comments API. Anyone can comment under the name they picked. Each device
+ * sends a random key in the `X-Author-Key` header; only the device that wrote a comment can
+ * edit it, and it or an admin can delete it.
+ *
+ *   GET    /api/comments        - every comment, with `mine` set for the device's own
+ *   POST   /api/comments        - add a comment (`{ locationId, author, text }`)
+ *   PUT    /api/comments/:id    - edit your comment's text (`{ text }`)
+ *   DELETE /api/comments/:id    - delete your comment, or any comment as admin
+ */
+
+import { HttpError, json, parseBody, getPathSegments, withErrorHandling } from '../../server/http.js';
+import { isAdminRequest } from '../../server/auth.js';
+import { getTripStores } from '../../server/trips.js';
+import { getAuthorKey } from '../../server/authorKeys.js';
+import { CommentValidationError } from '../../src/utils/comments.js';
+
+/**
+ * @function withValidation
+ * @description Runs a store write, turning invalid comments into 422 responses
+ * @param {Function} operation - Async store call
+ * @returns {Promise<*>} The operation's result
+ * @throws {HttpError} 422 listing the problems when the comment is invalid
+ */
+const withValidation = async (operation) => {
+  try {
+    return await operation();
+  } catch (error) {
+    if (error instanceof CommentValidationError) {
+      throw new HttpError(422, error.message, { errors: error.errors });
+    }
+    throw error;
+  }
+};
+
+export const handler = withErrorHandling(async (event) => {
+  const [id] = getPathSegments(event, 'comments');
+  const authorKey = getAuthorKey(event);
+  const { comments: store, locations: locationStore } = await getTripStores(event);
+
+  switch (event.httpMethod) {
+    case 'GET':
+      return json(200, { comments: await store.list(authorKey) });
+
+    case 'POST': {
+      if (!authorKey) throw new HttpError(400, 'X-Author-Key header is required');
+      const { locationId, author, text } = parseBody(event);
+      const locations = await locationStore.list();
+      if (!locations.some(location => location.id === Number(locationId))) {
+        throw new HttpError(404, `Location ${locationId} not found`);
+      }
+      return json(201, { comment: await withValidation(() => store.create({ locationId, author, text }, authorKey)) });
+    }
+
+    case 'PUT': {
+      const { text } = parseBody(event);
+      const comment = await withValidation(() => store.update(id, text, {
+        authorKey,
+        authorize: (isAuthor) => {
+          if (!isAuthor) throw new HttpError(403, 'Only the author can edit this comment');
+        }
+      }));
+      if (!comment) throw new HttpError(404, 'Comment not found');
+      return json(200, { comment });
+    }
+
+    case 'DELETE': {
+      const isAdmin = await isAdminRequest(event);
+      const comment = await store.remove(id, {
+        authorKey,
+        authorize: (isAuthor) => {
+          if (!isAuthor && !isAdmin) throw new HttpError(403, 'Only the author or an admin can delete this comment');
+        }
+      });
+      if (!comment) throw new HttpError(404, 'Comment not found');
+      return json(200, { comment });
+    }
+
+    default:
+      throw new HttpError(405, `Method ${event.httpMethod} not allowed`);
+  }
+});
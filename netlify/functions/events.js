@@ -0,0 +1,73 @@
+/**
+ * @file events.js
+ * @description Events API.
+ *
+ *   GET    /api/events       - the trip's events by start time
+ *   POST   /api/events       - add an event (admin)
+ *   PUT    /api/events/:id   - update an event (admin)
+ *   DELETE /api/events/:id   - delete an event (admin)
+ */
+
+import { HttpError, json, parseBody, getPathSegments, withErrorHandling } from '../../server/http.js';
+import { requireAdmin } from '../../server/auth.js';
+import { getTripStores } from '../../server/trips.js';
+import { EventValidationError } from '../../src/utils/events.js';
+
+/**
+ * @function withValidation
+ * @description Runs a store write, turning event problems into 422 responses
+ * @param {Function} operation - Async store call
+ * @returns {Promise<*>} The operation's result
+ * @throws {HttpError} 422 listing the problems when the event is invalid
+ */
+const withValidation = async (operation) => {
+  try {
+    return await operation();
+  } catch (error) {
+    if (error instanceof EventValidationError) {
+      throw new HttpError(422, error.message, { errors: error.errors });
+    }
+    throw error;
+  }
+};
+
+export const handler = withErrorHandling(async (event) => {
+  if (event.httpMethod !== 'GET') {
+    await requireAdmin(event);
+  }
+  const [id] = getPathSegments(event, 'events');
+  const { events: store, locations, people } = await getTripStores(event);
+  const context = async () => ({
+    locationIds: (await locations.list()).map(location => location.id),
+    personIds: (await people.list()).map(person => person.id)
+  });
+
+  switch (event.httpMethod) {
+    case 'GET':
+      return json(200, { events: await store.list() });
+
+    case 'POST': {
+      const body = parseBody(event);
+      const created = await withValidation(async () => store.create(body, await context()));
+      return json(201, { event: created });
+    }
+
+    case 'PUT': {
+      if (!id) throw new HttpError(400, 'An event id is required');
+      const body = parseBody(event);
+      const updated = await withValidation(async () => store.update(id, body, await context()));
+      if (!updated) throw new HttpError(404, 'Event not found');
+      return json(200, { event: updated });
+    }
+
+    case 'DELETE': {
+      if (!id) throw new HttpError(400, 'An event id is required');
+      const removed = await store.remove(id);
+      if (!removed) throw new HttpError(404, 'Event not found');
+      return json(200, { event: removed });
+    }
+
+    default:
+      throw new HttpError(405, `Method ${event.httpMethod} not allowed`);
+  }
+});
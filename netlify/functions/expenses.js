@@ -0,0 +1,86 @@
+/**
+ * @file expenses.js
+ * @description Expense ledger API. Anyone can log an expense under the name they picked.
+ * Each device sends its author key in the `X-Author-Key` header; the device that logged an
+ * expense or an admin can change or delete it. Amounts are in cents.
+ *
+ *   GET    /api/expenses        - the ledger, newest first, with `mine` set for the device's own
+ *   POST   /api/expenses        - log an expense (`{ description, amount, date, paidBy,
+ *                                  locationId, split, participants, author }`)
+ *   PUT    /api/expenses/:id    - change your expense, or any expense as admin
+ *   DELETE /api/expenses/:id    - delete your expense, or any expense as admin
+ */
+
+import { HttpError, json, parseBody, getPathSegments, withErrorHandling } from '../../server/http.js';
+import { isAdminRequest } from '../../server/auth.js';
+import { getTripStores } from '../../server/trips.js';
+import { getAuthorKey } from '../../server/authorKeys.js';
+import { ExpenseValidationError } from '../../src/utils/expenses.js';
+
+/**
+ * @function withValidation
+ * @description Runs a store write, turning invalid expenses into 422 responses
+ * @param {Function} operation - Async store call
+ * @returns {Promise<*>} The operation's result
+ * @throws {HttpError} 422 listing the problems when the expense is invalid
+ */
+const withValidation = async (operation) => {
+  try {
+    return await operation();
+  } catch (error) {
+    if (error instanceof ExpenseValidationError) {
+      throw new HttpError(422, error.message, { errors: error.errors });
+    }
+    throw error;
+  }
+};
+
+export const handler = withErrorHandling(async (event) => {
+  const [id] = getPathSegments(event, 'expenses');
+  const authorKey = getAuthorKey(event);
+  const { expenses: store, locations } = await getTripStores(event);
+  const context = async () => ({ locationIds: (await locations.list()).map(location => location.id) });
+
+  switch (event.httpMethod) {
+    case 'GET':
+      return json(200, { expenses: await store.list(authorKey) });
+
+    case 'POST': {
+      if (!authorKey) throw new HttpError(400, 'X-Author-Key header is required');
+      const body = parseBody(event);
+      const expense = await withValidation(async () => store.create(body, authorKey, await context()));
+      return json(201, { expense });
+    }
+
+    case 'PUT': {
+      if (!id) throw new HttpError(400, 'An expense id is required');
+      const body = parseBody(event);
+      const isAdmin = await isAdminRequest(event);
+      const expense = await withValidation(async () => store.update(id, body, {
+        authorKey,
+        authorize: (isAuthor) => {
+          if (!isAuthor && !isAdmin) throw new HttpError(403, 'Only whoever logged this expense or an admin can change it');
+        },
+        context: await context()
+      }));
+      if (!expense) throw new HttpError(404, 'Expense not found');
+      return json(200, { expense });
+    }
+
+    case 'DELETE': {
+      if (!id) throw new HttpError(400, 'An expense id is required');
+      const isAdmin = await isAdminRequest(event);
+      const expense = await store.remove(id, {
+        authorKey,
+        authorize: (isAuthor) => {
+          if (!isAuthor && !isAdmin) throw new HttpError(403, 'Only whoever logged this expense or an admin can delete it');
+        }
+      });
+      if (!expense) throw new HttpError(404, 'Expense not found');
+      return json(200, { expense });
+    }
+
+    default:
+      throw new HttpError(405, `Method ${event.httpMethod} not allowed`);
+  }
+});
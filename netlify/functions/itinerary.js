@@ -0,0 +1,37 @@
+/**
+ * @file itinerary.js
+ * @description Itinerary API.
+ *
+ *   GET /api/itinerary   - the trip's days and their stops
+ *   PUT /api/itinerary   - replace the itinerary (admin)
+ */
+
+import { HttpError, json, parseBody, withErrorHandling } from '../../server/http.js';
+import { requireAdmin } from '../../server/auth.js';
+import { getTripStores } from '../../server/trips.js';
+import { ItineraryValidationError } from '../../src/utils/itinerary.js';
+
+export const handler = withErrorHandling(async (event) => {
+  const { itinerary: store } = await getTripStores(event);
+
+  switch (event.httpMethod) {
+    case 'GET':
+      return json(200, { itinerary: await store.get() });
+
+    case 'PUT': {
+      await requireAdmin(event);
+      const body = parseBody(event);
+      try {
+        return json(200, { itinerary: await store.replace(body) });
+      } catch (error) {
+        if (error instanceof ItineraryValidationError) {
+          throw new HttpError(422, error.message, { errors: error.errors });
+        }
+        throw error;
+      }
+    }
+
+    default:
+      throw new HttpError(405, `Method ${event.httpMethod} not allowed`);
+  }
+});
@@ -0,0 +1,92 @@
+/**
+ * @file locations.js
+ * @description Locations API.
+ *
+ *   GET    /api/locations       - list all locations and the categories they use
+ *   POST   /api/locations       - create a location (admin)
+ *   PUT    /api/locations/:id   - update a location (admin)
+ *   DELETE /api/locations/:id   - delete a location (admin)
+ *
+ * Updates carry the `revision` they were made to, and deletes send it as `?revision=`. When
+ * the location has changed since, the write is refused with 409 and the current location.
+ * Every write is added to the trip's audit log under the admin's name; see `/api/audit`.
+ */
+
+import { HttpError, json, parseBody, getPathSegments, withErrorHandling } from '../../server/http.js';
+import { requireAdmin, getEditor } from '../../server/auth.js';
+import { LocationConflictError } from '../../server/locationStore.js';
+import { getTripStores } from '../../server/trips.js';
+import { LocationValidationError } from '../../src/utils/locationSchema.js';
+
+/**
+ * @function withValidation
+ * @description Runs a store write, turning schema violations into 422 responses and stale
+ * writes into 409 responses
+ * @param {Function} operation - Async store call
+ * @returns {Promise<*>} The operation's result
+ * @throws {HttpError} 422 listing the problems when the location is invalid, 409 with the
+ * current location when it changed in the meantime
+ */
+const withValidation = async (operation) => {
+  try {
+    return await operation();
+  } catch (error) {
+    if (error instanceof LocationValidationError) {
+      throw new HttpError(422, error.message, { errors: error.errors });
+    }
+    if (error instanceof LocationConflictError) {
+      throw new HttpError(409, error.message, { location: error.current });
+    }
+    throw error;
+  }
+};
+
+/**
+ * @function parseId
+ * @description Reads the numeric location id from the request path
+ * @param {Object} event - Serverless event
+ * @returns {number} Location id
+ * @throws {HttpError} 400 when the id is missing or not a number
+ */
+const parseId = (event) => {
+  const [rawId] = getPathSegments(event, 'locations');
+  const id = Number(rawId);
+  if (!rawId || Number.isNaN(id)) {
+    throw new HttpError(400, 'A numeric location id is required');
+  }
+  return id;
+};
+
+export const handler = withErrorHandling(async (event) => {
+  const editor = event.httpMethod === 'GET' ? null : getEditor(await requireAdmin(event));
+  const { locations: store } = await getTripStores(event);
+
+  switch (event.httpMethod) {
+    case 'GET':
+      return json(200, { categories: await store.listCategories(), locations: await store.list() });
+
+    case 'POST': {
+      const body = parseBody(event);
+      const location = await withValidation(() => store.create(body, editor));
+      return json(201, { location });
+    }
+
+    case 'PUT': {
+      const id = parseId(event);
+      const body = parseBody(event);
+      const location = await withValidation(() => store.update(id, body, editor));
+      if (!location) throw new HttpError(404, 'Location not found');
+      return json(200, { location });
+    }
+
+    case 'DELETE': {
+      const revision = event.queryStringParameters?.revision;
+      const location = await withValidation(() => store.remove(parseId(event), revision === undefined ? undefined : Number(revision), editor));
+      if (!location) throw new HttpError(404, 'Location not found');
+      return json(200, { location });
+    }
+
+    default:
+      throw new HttpError(405, `Method ${event.httpMethod} not allowed`);
+  }
+});
@@ -0,0 +1,70 @@
+/**
+ * @file people.js
+ * @description People API.
+ *
+ *   GET    /api/people       - the trip's roster
+ *   POST   /api/people       - add a person (admin)
+ *   PUT    /api/people/:id   - update a person's profile (admin)
+ *   DELETE /api/people/:id   - take a person off the roster (admin)
+ */
+
+import { HttpError, json, parseBody, getPathSegments, withErrorHandling } from '../../server/http.js';
+import { requireAdmin } from '../../server/auth.js';
+import { getTripStores } from '../../server/trips.js';
+import { PersonValidationError } from '../../src/utils/people.js';
+
+/**
+ * @function withValidation
+ * @description Runs a store write, turning profile problems into 422 responses
+ * @param {Function} operation - Async store call
+ * @returns {Promise<*>} The operation's result
+ * @throws {HttpError} 422 listing the problems when the person is invalid
+ */
+const withValidation = async (operation) => {
+  try {
+    return await operation();
+  } catch (error) {
+    if (error instanceof PersonValidationError) {
+      throw new HttpError(422, error.message, { errors: error.errors });
+    }
+    throw error;
+  }
+};
+
+export const handler = withErrorHandling(async (event) => {
+  if (event.httpMethod !== 'GET') {
+    await requireAdmin(event);
+  }
+  const [id] = getPathSegments(event, 'people');
+  const { people: store, locations } = await getTripStores(event);
+  const context = async () => ({ locationIds: (await locations.list()).map(location => location.id) });
+
+  switch (event.httpMethod) {
+    case 'GET':
+      return json(200, { people: await store.list() });
+
+    case 'POST': {
+      const body = parseBody(event);
+      const person = await withValidation(async () => store.create(body, await context()));
+      return json(201, { person });
+    }
+
+    case 'PUT': {
+      if (!id) throw new HttpError(400, 'A person id is required');
+      const body = parseBody(event);
+      const person = await withValidation(async () => store.update(id, body, await context()));
+      if (!person) throw new HttpError(404, 'Person not found');
+      return json(200, { person });
+    }
+
+    case 'DELETE': {
+      if (!id) throw new HttpError(400, 'A person id is required');
+      const person = await store.remove(id);
+      if (!person) throw new HttpError(404, 'Person not found');
+      return json(200, { person });
+    }
+
+    default:
+      throw new HttpError(405, `Method ${event.httpMethod} not allowed`);
+  }
+});
@@ -0,0 +1,80 @@
+/**
+ * @file photos.js
+ * @description Photos API. Images are resized and compressed in the browser and uploaded as
+ * data URLs; the returned photo record is then saved on a location through the locations API.
+ *
+ *   POST /api/photos         - upload a photo and its thumbnail (admin)
+ *   GET  /api/photos/:file   - serve a photo or thumbnail
+ */
+
+import { HttpError, binary, json, parseBody, getPathSegments, withErrorHandling } from '../../server/http.js';
+import { requireAdmin } from '../../server/auth.js';
+import { createPhotoStore, PHOTO_TYPES } from '../../server/photoStore.js';
+
+const store = createPhotoStore();
+
+/**
+ * @constant {number} MAX_PHOTO_BYTES
+ * @description Largest accepted image; browser-resized photos are well under this
+ */
+const MAX_PHOTO_BYTES = 2 * 1024 * 1024;
+
+/**
+ * @function decodeDataUrl
+ * @description Decodes a base64 image data URL
+ * @param {string} dataUrl - `data:image/jpeg;base64,...`
+ * @param {string} field - Field name used in error messages
+ * @returns {{type: string, data: Buffer}} MIME type and bytes
+ * @throws {HttpError} 422 when the value is not a supported image or is too large
+ */
+const decodeDataUrl = (dataUrl, field) => {
+  const match = typeof dataUrl === 'string' && dataUrl.match(/^data:([\w/+.-]+);base64,(.*)$/s);
+  if (!match || !PHOTO_TYPES[match[1]]) {
+    throw new HttpError(422, 'Invalid photo', {
+      errors: [`${field} must be a JPEG, PNG or WebP data URL`]
+    });
+  }
+  const data = Buffer.from(match[2], 'base64');
+  if (data.length === 0 || data.length > MAX_PHOTO_BYTES) {
+    throw new HttpError(422, 'Invalid photo', {
+      errors: [`${field} must be between 1 byte and ${MAX_PHOTO_BYTES / 1024 / 1024} MB`]
+    });
+  }
+  return { type: match[1], data };
+};
+
+export const handler = withErrorHandling(async (event) => {
+  const [file] = getPathSegments(event, 'photos');
+
+  switch (event.httpMethod) {
+    case 'GET': {
+      const photo = file && await store.read(file);
+      if (!photo) throw new HttpError(404, 'Photo not found');
+      // File names are unique per upload, so the contents never change
+      return binary(photo.data, photo.type, { 'Cache-Control': 'public, max-age=31536000, immutable' });
+    }
+
+    case 'POST': {
+      await requireAdmin(event);
+      const { image, thumbnail, width, height } = parseBody(event);
+      const full = decodeDataUrl(image, 'image');
+      const thumb = decodeDataUrl(thumbnail, 'thumbnail');
+      if (thumb.type !== full.type) {
+        throw new HttpError(422, 'Invalid photo', { errors: ['image and thumbnail must have the same type'] });
+      }
+      const saved = await store.save({ image: full.data, thumbnail: thumb.data, type: full.type });
+      return json(201, {
+        photo: {
+          id: saved.id,
+          url: `/api/photos/${saved.file}`,
+          thumbUrl: `/api/photos/${saved.thumbFile}`,
+          width: Number(width) || null,
+          height: Number(height) || null
+        }
+      });
+    }
+
+    default:
+      throw new HttpError(405, `Method ${event.httpMethod} not allowed`);
+  }
+});
@@ -0,0 +1,42 @@
+/**
+ * @file ratings.js
+ * @description Ratings API. Anyone on the trip can vote under the name they picked; no
+ * admin session is needed.
+ *
+ *   GET /api/ratings                - every member's ratings
+ *   PUT /api/ratings/:locationId    - set the member's stars and thumbs-up for a location
+ */
+
+import { HttpError, json, parseBody, getPathSegments, withErrorHandling } from '../../server/http.js';
+import { getTripStores } from '../../server/trips.js';
+import { RatingValidationError } from '../../src/utils/ratings.js';
+
+export const handler = withErrorHandling(async (event) => {
+  const { ratings: store, locations: locationStore } = await getTripStores(event);
+
+  switch (event.httpMethod) {
+    case 'GET':
+      return json(200, { ratings: await store.list() });
+
+    case 'PUT': {
+      const [id] = getPathSegments(event, 'ratings');
+      const locationId = Number(id);
+      const locations = await locationStore.list();
+      if (!locations.some(location => location.id === locationId)) {
+        throw new HttpError(404, `Location ${id} not found`);
+      }
+      const { member, stars, thumbsUp } = parseBody(event);
+      try {
+        return json(200, { rating: await store.rate({ locationId, member, stars, thumbsUp }) });
+      } catch (error) {
+        if (error instanceof RatingValidationError) {
+          throw new HttpError(422, error.message, { errors: error.errors });
+        }
+        throw error;
+      }
+    }
+
+    default:
+      throw new HttpError(405, `Method ${event.httpMethod} not allowed`);
+  }
+});
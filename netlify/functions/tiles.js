@@ -0,0 +1,68 @@
+/**
+ * @file tiles.js
+ * @description Map tile sources API. Extra sources are shared by every trip; local ones are
+ * served from the machine running the API so the map works offline.
+ *
+ *   GET /api/tiles                  - the extra tile sources
+ *   PUT /api/tiles                  - replace the extra tile sources (admin)
+ *   GET /api/tiles/:id/:z/:x/:y     - a tile of a local (folder or MBTiles) source
+ */
+
+import { HttpError, binary, json, parseBody, getPathSegments, withErrorHandling } from '../../server/http.js';
+import { requireAdmin } from '../../server/auth.js';
+import { createTileSourceStore, DEFAULT_TILE_SOURCES_FILE } from '../../server/tileSourceStore.js';
+import { readLocalTile } from '../../server/localTiles.js';
+import { TileSourceValidationError } from '../../src/utils/tileSources.js';
+
+// With `TILE_SOURCES_FILE` set, the bundled list is served until the first save
+const store = createTileSourceStore(undefined, { seedFile: DEFAULT_TILE_SOURCES_FILE });
+
+/**
+ * @function parseTile
+ * @description Reads tile coordinates from the request path; the row may carry a file
+ * extension (`/12/654/1453.png`)
+ * @param {Array<string>} segments - `[z, x, y]`
+ * @returns {Object} `{ z, x, y }`
+ * @throws {HttpError} 400 when a coordinate is not a whole number or is out of range
+ */
+const parseTile = ([z, x, y = '']) => {
+  const tile = { z: Number(z), x: Number(x), y: Number(y.replace(/\.\w+$/, '')) };
+  const isValid = [tile.z, tile.x, tile.y].every(Number.isInteger)
+    && tile.z >= 0 && tile.z <= 22
+    && [tile.x, tile.y].every(value => value >= 0 && value < 2 ** tile.z);
+  if (!isValid) throw new HttpError(400, 'Invalid tile coordinates');
+  return tile;
+};
+
+export const handler = withErrorHandling(async (event) => {
+  const [id, ...coordinates] = getPathSegments(event, 'tiles');
+
+  switch (event.httpMethod) {
+    case 'GET': {
+      if (!id) return json(200, { sources: await store.list() });
+      const tile = parseTile(coordinates);
+      const source = await store.get(id);
+      if (!source || source.type === 'xyz') throw new HttpError(404, 'Tile source not found');
+      const found = await readLocalTile(source, tile);
+      if (!found) throw new HttpError(404, 'Tile not found');
+      return binary(found.data, found.type, { 'Cache-Control': 'public, max-age=86400' });
+    }
+
+    case 'PUT': {
+      await requireAdmin(event);
+      if (id) throw new HttpError(404, 'Not found');
+      const { sources } = parseBody(event);
+      try {
+        return json(200, { sources: await store.replace(sources) });
+      } catch (error) {
+        if (error instanceof TileSourceValidationError) {
+          throw new HttpError(422, error.message, { errors: error.errors });
+        }
+        throw error;
+      }
+    }
+
+    default:
+      throw new HttpError(405, `Method ${event.httpMethod} not allowed`);
+  }
+});
@@ -0,0 +1,16 @@
+/**
+ * @file trips.js
+ * @description Trips API. The manifest is edited by hand in `public/trips.json`.
+ *
+ *   GET /api/trips   - the trips in this deployment and which one is the default
+ */
+
+import { HttpError, json, withErrorHandling } from '../../server/http.js';
+import { readTripManifest } from '../../server/trips.js';
+
+export const handler = withErrorHandling(async (event) => {
+  if (event.httpMethod !== 'GET') {
+    throw new HttpError(405, `Method ${event.httpMethod} not allowed`);
+  }
+  return json(200, await readTripManifest());
+});
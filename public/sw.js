@@ -0,0 +1,150 @@
+/**
+ * @file sw.js
+ * @description Service worker that keeps the app usable without a signal. The app shell,
+ * location data and images are precached on install; map tiles are served from the tile
+ * cache that the admin "Offline map" download fills (see src/utils/offlineTiles.js).
+ */
+
+/**
+ * @constant {string} SHELL_CACHE
+ * @description Cache for the app shell and data. Bump the version whenever PRECACHE_URLS,
+ * NETWORK_FIRST_PATHS or the routing below changes: browsers only install a new service
+ * worker when this file changes, and activating it drops the caches of the old one.
+ */
+const SHELL_CACHE = 'bend-shell-v2';
+
+/**
+ * @constant {string} TILE_CACHE
+ * @description Cache for downloaded map tiles; must match TILE_CACHE in src/utils/offlineTiles.js
+ */
+const TILE_CACHE = 'bend-tiles-v1';
+
+/**
+ * @constant {Array<string>} PRECACHE_URLS
+ * @description Files cached on install, in addition to the built scripts and styles
+ */
+const PRECACHE_URLS = [
+  '/',
+  '/trips.json',
+  '/locations.json',
+  '/itinerary.json',
+  '/people.json',
+  '/events.json',
+  '/manifest.webmanifest',
+  '/icon.svg',
+  '/cooper.jpg',
+  '/marker-icon.png',
+  '/marker-icon-2x.png',
+  '/marker-shadow.png'
+];
+
+/**
+ * @constant {Array<string>} NETWORK_FIRST_PATHS
+ * @description Data that changes while the app is open: fresh when online, cached copy offline.
+ * The static JSON data files of every trip are treated the same way.
+ */
+const NETWORK_FIRST_PATHS = ['/api/trips', '/api/tiles', '/api/locations', '/api/itinerary', '/api/people', '/api/events', '/api/ratings', '/api/checkins', '/api/comments', '/api/expenses'];
+
+const isDataRequest = (url) => NETWORK_FIRST_PATHS.includes(url.pathname) || url.pathname.endsWith('.json');
+
+/**
+ * @function isTileRequest
+ * @description Map tiles: the built-in CARTO styles, local tile sources served by the API, and
+ * images from the hosts of custom tile URLs (the app loads no other cross-origin images)
+ * @param {URL} url - Request URL
+ * @param {Request} request - The request
+ * @returns {boolean} Whether to answer from the tile cache
+ */
+const isTileRequest = (url, request) => url.hostname.endsWith('basemaps.cartocdn.com')
+  || (url.origin === self.location.origin && /^\/api\/tiles\/[^/]+\/./.test(url.pathname))
+  || (url.origin !== self.location.origin && request.destination === 'image');
+
+/**
+ * @function precacheShell
+ * @description Caches the precache list plus the hashed scripts and styles referenced by
+ * index.html, which is the whole app since Vite builds it as one entry
+ * @param {Cache} cache - Shell cache
+ */
+const precacheShell = async (cache) => {
+  await cache.addAll(PRECACHE_URLS);
+  const html = await (await cache.match('/')).text();
+  const assets = [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map(([, url]) => url);
+  await cache.addAll(assets);
+};
+
+/**
+ * @function networkFirst
+ * @description Fetches from the network, refreshing the cached copy, and falls back to it offline
+ * @param {Request} request - Request to answer
+ * @param {string} [cacheKey] - Cache entry to use instead of the request itself
+ * @returns {Promise<Response>} Response
+ */
+const networkFirst = async (request, cacheKey = request) => {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(cacheKey, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(cacheKey);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+/**
+ * @function cacheFirst
+ * @description Answers from the cache, going to the network only for files not cached yet
+ * @param {Request} request - Request to answer
+ * @param {string} cacheName - Cache to look in; new shell files are added to it
+ * @returns {Promise<Response>} Response
+ */
+const cacheFirst = async (request, cacheName) => {
+  const cached = await caches.match(request, { cacheName });
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok && cacheName === SHELL_CACHE) {
+    const cache = await caches.open(SHELL_CACHE);
+    cache.put(request, response.clone());
+  }
+  return response;
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(precacheShell).then(() => self.skipWaiting()));
+});
+
+// Drop caches left by earlier versions, keeping downloaded tiles
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => key !== SHELL_CACHE && key !== TILE_CACHE).map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (isTileRequest(url, request)) {
+    event.respondWith(cacheFirst(request, TILE_CACHE));
+    return;
+  }
+  if (url.origin !== self.location.origin || url.pathname.startsWith('/api/auth')) return;
+
+  if (request.mode === 'navigate') {
+    // Every route is the same single-page app, so one cached index.html serves them all
+    event.respondWith(networkFirst(request, '/'));
+  } else if (isDataRequest(url)) {
+    event.respondWith(networkFirst(request));
+  } else if (!url.pathname.startsWith('/api/') || url.pathname.startsWith('/api/photos/')) {
+    // Photo files never change once uploaded, so they are cached like static assets
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+  }
+});
@@ -0,0 +1,57 @@
+/**
+ * @file auditStore.js
+ * @description Audit log persistence on top of the JSON store. The log lives in
+ * `data/audit.json`; set `AUDIT_FILE` to point it somewhere else. It is kept out of
+ * `public/` since only admins may read it. The oldest entries are dropped once the log
+ * holds `MAX_ENTRIES`.
+ */
+
+import path from 'node:path';
+import { createJsonStore } from './jsonStore.js';
+import { buildAuditEntry, filterAuditEntries } from '../src/utils/auditLog.js';
+
+/**
+ * @constant {string} DEFAULT_AUDIT_FILE
+ * @description Audit log file used when `AUDIT_FILE` is not set
+ */
+const DEFAULT_AUDIT_FILE = path.resolve(process.cwd(), 'data/audit.json');
+
+/**
+ * @constant {number} MAX_ENTRIES
+ * @description Entries kept per trip
+ */
+const MAX_ENTRIES = 5000;
+
+/**
+ * @function createAuditStore
+ * @description Creates an audit log backed by an `{ entries: [...] }` JSON file
+ * @param {string} [filePath] - Path of the log file
+ * @returns {Object} Store with record/list methods
+ */
+export const createAuditStore = (filePath = process.env.AUDIT_FILE || DEFAULT_AUDIT_FILE) => {
+  const store = createJsonStore(filePath, { entries: [] });
+
+  /**
+   * @function record
+   * @description Logs changes made together, e.g. every location touched by a category rename
+   * @param {Array<{before: Object|null, after: Object|null}>} changes - Locations before and after
+   * @param {string} [editor] - Name of the admin who made them
+   * @returns {Promise<Array>} The new entries
+   */
+  const record = (changes, editor) => store.update(data => {
+    const timestamp = Date.now();
+    const entries = changes.map(change => buildAuditEntry({ ...change, editor, timestamp }));
+    data.entries = [...data.entries, ...entries].slice(-MAX_ENTRIES);
+    return entries;
+  });
+
+  /**
+   * @function list
+   * @description Returns logged changes
+   * @param {Object} [filters] - See filterAuditEntries
+   * @returns {Promise<Array>} Matching entries, newest first
+   */
+  const list = async (filters) => filterAuditEntries((await store.read()).entries, filters);
+
+  return { record, list };
+};
@@ -0,0 +1,78 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createSessionStore } from './auth.js';
+
+const SPOT = { id: 1, name: 'Crux', category: ['Food'], emoji: '🍺', position: [44.05, -121.31] };
+
+describe('audit log of location edits', () => {
+  let dir;
+  let handlers;
+  let token;
+
+  const call = async (name, httpMethod, { id, body, query } = {}) => {
+    const response = await handlers[name]({
+      httpMethod,
+      path: id ? `/api/${name}/${id}` : `/api/${name}`,
+      headers: { authorization: `Bearer ${token}` },
+      queryStringParameters: query || {},
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.statusCode, body: JSON.parse(response.body) };
+  };
+
+  const load = async () => {
+    vi.resetModules();
+    handlers = {
+      locations: (await import('../netlify/functions/locations.js')).handler,
+      audit: (await import('../netlify/functions/audit.js')).handler
+    };
+  };
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'audit-'));
+    await fs.writeFile(path.join(dir, 'locations.json'), JSON.stringify({
+      categories: [{ name: 'Food', color: '#2ca5b8' }],
+      locations: []
+    }));
+    vi.stubEnv('TRIPS_FILE', path.join(dir, 'trips.json'));
+    vi.stubEnv('LOCATIONS_FILE', path.join(dir, 'locations.json'));
+    vi.stubEnv('AUDIT_FILE', path.join(dir, 'audit.json'));
+    vi.stubEnv('SESSIONS_FILE', path.join(dir, 'sessions.json'));
+    ({ token } = await createSessionStore(path.join(dir, 'sessions.json')).create('Ana'));
+    await load();
+  });
+
+  afterEach(async () => {
+    vi.unstubAllEnvs();
+    vi.restoreAllMocks();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('logs edits under the account that logged in, not a name sent with the edit', async () => {
+    const { body: { location } } = await call('locations', 'POST', { body: { ...SPOT, editor: 'Mallory' } });
+    await call('locations', 'PUT', { id: location.id, body: { ...location, name: 'Crux Fermentation', editor: 'Mallory' } });
+
+    const { body } = await call('audit', 'GET', { query: { location: String(location.id) } });
+    expect(body.entries.map(({ action, editor }) => [action, editor]).sort())
+      .toEqual([['create', 'Ana'], ['update', 'Ana']]);
+    expect(body.editors).toEqual(['Ana']);
+  });
+
+  it('keeps an edit that was saved when the log cannot be written', async () => {
+    vi.stubEnv('AUDIT_FILE', path.join(dir, 'locations.json', 'audit.json'));
+    await load();
+    const logged = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const created = await call('locations', 'POST', { body: SPOT });
+    expect(created.status).toBe(201);
+    expect((await call('locations', 'GET')).body.locations).toEqual([expect.objectContaining({ name: 'Crux' })]);
+    expect(logged).toHaveBeenCalledOnce();
+  });
+
+  it('is for admins only', async () => {
+    token = 'made-up';
+    expect((await call('audit', 'GET')).status).toBe(401);
+  });
+});
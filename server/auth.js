@@ -0,0 +1,212 @@
+/**
+ * @file auth.js
+ * @description Admin authentication. Each admin gets their own password, configured as
+ * `Name:hash` pairs in `ADMIN_ACCOUNTS` (generate one with
+ * `npm run hash-password -- <password> <name>`); a shared password in `ADMIN_PASSWORD_HASH`
+ * still works, for admins who do not need to be told apart. Successful logins get a random
+ * session token that expires after `SESSION_TTL_MS`. Only a SHA-256 digest of each token is
+ * stored, in `SESSIONS_FILE` (default `data/sessions.json`), along with the name of the account
+ * whose password matched, which the audit log records as the editor. The name is never taken
+ * from the client.
+ */
+
+import { randomBytes, scrypt, createHash, timingSafeEqual } from 'node:crypto';
+import path from 'node:path';
+import { promisify } from 'node:util';
+import { createJsonStore } from './jsonStore.js';
+import { HttpError } from './http.js';
+import { DEFAULT_EDITOR } from '../src/utils/auditLog.js';
+
+const scryptAsync = promisify(scrypt);
+
+/**
+ * @constant {number} SESSION_TTL_MS
+ * @description How long an admin session stays valid (12 hours)
+ */
+export const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+
+/**
+ * @constant {number} KEY_LENGTH
+ * @description Length in bytes of the derived password key
+ */
+const KEY_LENGTH = 64;
+
+/**
+ * @function hashPassword
+ * @description Hashes a password into the `scrypt$<salt>$<key>` format stored in config
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} Encoded hash
+ */
+export const hashPassword = async (password) => {
+  const salt = randomBytes(16).toString('hex');
+  const key = await scryptAsync(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${key.toString('hex')}`;
+};
+
+/**
+ * @function verifyPassword
+ * @description Checks a password against an encoded hash in constant time
+ * @param {string} password - Plain-text password
+ * @param {string} encoded - Hash produced by hashPassword
+ * @returns {Promise<boolean>} Whether the password matches
+ */
+export const verifyPassword = async (password, encoded) => {
+  const [scheme, salt, keyHex] = (encoded || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !keyHex) return false;
+  const expected = Buffer.from(keyHex, 'hex');
+  const actual = await scryptAsync(String(password), salt, expected.length);
+  return timingSafeEqual(actual, expected);
+};
+
+const digest = (token) => createHash('sha256').update(token).digest('hex');
+
+/**
+ * @function createSessionStore
+ * @description Creates the file-backed store of active admin sessions
+ * @param {string} [filePath] - Path of the sessions file
+ * @returns {Object} Store with create/get/revoke methods
+ */
+export const createSessionStore = (filePath = process.env.SESSIONS_FILE || path.resolve(process.cwd(), 'data/sessions.json')) => {
+  const store = createJsonStore(filePath, { sessions: {} });
+
+  const pruneExpired = (data, now = Date.now()) => {
+    Object.entries(data.sessions).forEach(([key, session]) => {
+      if (session.expiresAt <= now) delete data.sessions[key];
+    });
+  };
+
+  /**
+   * @function create
+   * @description Starts a new session
+   * @param {string|null} [editor] - Name of the admin
+   * @returns {Promise<{token: string, expiresAt: number}>} The token to hand to the client
+   */
+  const create = (editor = null) => store.update(data => {
+    pruneExpired(data);
+    const token = randomBytes(32).toString('hex');
+    const expiresAt = Date.now() + SESSION_TTL_MS;
+    data.sessions[digest(token)] = { createdAt: Date.now(), expiresAt, editor };
+    return { token, expiresAt };
+  });
+
+  /**
+   * @function get
+   * @description Looks up an unexpired session
+   * @param {string} token - Session token
+   * @returns {Promise<Object|null>} The session, or null if unknown or expired
+   */
+  const get = async (token) => {
+    if (!token) return null;
+    const session = (await store.read()).sessions[digest(token)];
+    return session && session.expiresAt > Date.now() ? session : null;
+  };
+
+  /**
+   * @function revoke
+   * @description Ends a session immediately
+   * @param {string} token - Session token
+   * @returns {Promise<boolean>} Whether a session was removed
+   */
+  const revoke = (token) => store.update(data => {
+    pruneExpired(data);
+    const key = digest(token || '');
+    const existed = key in data.sessions;
+    delete data.sessions[key];
+    return existed;
+  });
+
+  return { create, get, revoke };
+};
+
+const sessions = createSessionStore();
+
+/**
+ * @function getBearerToken
+ * @description Reads the token from an `Authorization: Bearer <token>` header
+ * @param {Object} event - Serverless event
+ * @returns {string|null} The token, if present
+ */
+export const getBearerToken = (event) => {
+  const headers = event.headers || {};
+  const header = headers.authorization || headers.Authorization || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+};
+
+/**
+ * @function listAdminAccounts
+ * @description Reads the configured admin passwords: the named ones from `ADMIN_ACCOUNTS`
+ * (`Steve:scrypt$...,Ana:scrypt$...`), then the shared `ADMIN_PASSWORD_HASH`, which has no name
+ * @returns {Array<{editor: string|null, hash: string}>} Accounts to check a password against
+ */
+const listAdminAccounts = () => [
+  ...(process.env.ADMIN_ACCOUNTS || '').split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.lastIndexOf(':');
+      return { editor: entry.slice(0, separator).trim().slice(0, 60) || null, hash: entry.slice(separator + 1).trim() };
+    }),
+  ...(process.env.ADMIN_PASSWORD_HASH ? [{ editor: null, hash: process.env.ADMIN_PASSWORD_HASH }] : [])
+];
+
+/**
+ * @function login
+ * @description Verifies an admin password and opens a session for the account it belongs to
+ * @param {string} password - Password from the login form
+ * @returns {Promise<{token: string, expiresAt: number, editor: string}>} New session, with
+ * the name its edits are logged under
+ * @throws {HttpError} 500 when no password is configured, 401 when the password is wrong
+ */
+export const login = async (password) => {
+  const accounts = listAdminAccounts();
+  if (accounts.length === 0) {
+    throw new HttpError(500, 'Admin login is not configured (set ADMIN_ACCOUNTS or ADMIN_PASSWORD_HASH)');
+  }
+  for (const { editor, hash } of accounts) {
+    if (await verifyPassword(password, hash)) {
+      return { ...(await sessions.create(editor)), editor: editor || DEFAULT_EDITOR };
+    }
+  }
+  throw new HttpError(401, 'Incorrect password');
+};
+
+/**
+ * @function logout
+ * @description Revokes the session the request was made with
+ * @param {Object} event - Serverless event
+ * @returns {Promise<boolean>} Whether a session was removed
+ */
+export const logout = (event) => sessions.revoke(getBearerToken(event));
+
+/**
+ * @function requireAdmin
+ * @description Rejects requests that do not carry a valid admin session token
+ * @param {Object} event - Serverless event
+ * @returns {Promise<Object>} The session
+ * @throws {HttpError} 401 when the token is missing, unknown or expired
+ */
+export const requireAdmin = async (event) => {
+  const session = await sessions.get(getBearerToken(event));
+  if (!session) {
+    throw new HttpError(401, 'Admin session is missing or has expired');
+  }
+  return session;
+};
+
+/**
+ * @function isAdminRequest
+ * @description Checks for a valid admin session without rejecting the request, for endpoints
+ * that guests may use but admins can do more with
+ * @param {Object} event - Serverless event
+ * @returns {Promise<boolean>} Whether the request carries a valid admin session token
+ */
+export const isAdminRequest = async (event) => Boolean(await sessions.get(getBearerToken(event)));
+
+/**
+ * @function getEditor
+ * @description Name an admin session's edits are logged under
+ * @param {Object} session - Session returned by requireAdmin
+ * @returns {string} The name of the account that logged in, or DEFAULT_EDITOR
+ */
+export const getEditor = (session) => session.editor || DEFAULT_EDITOR;
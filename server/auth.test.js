@@ -0,0 +1,109 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { hashPassword, verifyPassword, createSessionStore, getBearerToken } from './auth.js';
+
+describe('passwords', () => {
+  it('verifies a hash and refuses other passwords and malformed hashes', async () => {
+    const hash = await hashPassword('powder day');
+    expect(hash).toMatch(/^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+    expect(await verifyPassword('powder day', hash)).toBe(true);
+    expect(await verifyPassword('powder', hash)).toBe(false);
+    expect(await verifyPassword('powder day', 'plain')).toBe(false);
+    expect(await verifyPassword('powder day', undefined)).toBe(false);
+  });
+});
+
+describe('getBearerToken', () => {
+  it('reads the token from either header case', () => {
+    expect(getBearerToken({ headers: { authorization: 'Bearer abc' } })).toBe('abc');
+    expect(getBearerToken({ headers: { Authorization: 'bearer abc' } })).toBe('abc');
+    expect(getBearerToken({ headers: { authorization: 'Basic abc' } })).toBeNull();
+    expect(getBearerToken({})).toBeNull();
+  });
+});
+
+describe('auth endpoints', () => {
+  let dir;
+  let accounts;
+  let handler;
+
+  const call = async (method, action, { token, body } = {}) => {
+    const response = await handler({
+      httpMethod: method,
+      path: `/api/auth/${action}`,
+      headers: token ? { authorization: `Bearer ${token}` } : {},
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.statusCode, body: JSON.parse(response.body) };
+  };
+
+  beforeAll(async () => {
+    accounts = `Ana:${await hashPassword('ana-pw')},Ben:${await hashPassword('ben-pw')}`;
+  });
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'auth-'));
+    vi.stubEnv('SESSIONS_FILE', path.join(dir, 'sessions.json'));
+    vi.stubEnv('ADMIN_ACCOUNTS', accounts);
+    vi.stubEnv('ADMIN_PASSWORD_HASH', '');
+    vi.resetModules();
+    ({ handler } = await import('../netlify/functions/auth.js'));
+  });
+
+  afterEach(async () => {
+    vi.unstubAllEnvs();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('names the session after the account whose password matched, whatever the body says', async () => {
+    const { status, body } = await call('POST', 'login', { body: { password: 'ben-pw', editor: 'Ana' } });
+    expect(status).toBe(200);
+    expect(body.editor).toBe('Ben');
+    expect((await call('GET', 'session', { token: body.token })).body.editor).toBe('Ben');
+
+    const stored = JSON.parse(await fs.readFile(path.join(dir, 'sessions.json'), 'utf8'));
+    expect(JSON.stringify(stored)).not.toContain(body.token);
+  });
+
+  it('refuses wrong and missing passwords', async () => {
+    expect((await call('POST', 'login', { body: { password: 'nope' } })).status).toBe(401);
+    expect((await call('POST', 'login', { body: {} })).status).toBe(400);
+    expect((await call('GET', 'session', { token: 'made-up' })).status).toBe(401);
+  });
+
+  it('ends the session on logout', async () => {
+    const { body: { token } } = await call('POST', 'login', { body: { password: 'ana-pw' } });
+    expect((await call('POST', 'logout', { token })).status).toBe(200);
+    expect((await call('GET', 'session', { token })).status).toBe(401);
+  });
+
+  it('logs the shared password in under the default name', async () => {
+    vi.stubEnv('ADMIN_ACCOUNTS', '');
+    vi.stubEnv('ADMIN_PASSWORD_HASH', await hashPassword('shared'));
+    expect((await call('POST', 'login', { body: { password: 'shared' } })).body.editor).toBe('Admin');
+  });
+
+  it('reports a server without passwords as misconfigured', async () => {
+    vi.stubEnv('ADMIN_ACCOUNTS', '');
+    expect((await call('POST', 'login', { body: { password: 'ana-pw' } })).status).toBe(500);
+  });
+});
+
+describe('session store', () => {
+  it('forgets sessions once they expire', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sessions-'));
+    try {
+      const sessions = createSessionStore(path.join(dir, 'sessions.json'));
+      const { token } = await sessions.create('Ana');
+      expect(await sessions.get(token)).toMatchObject({ editor: 'Ana' });
+
+      vi.useFakeTimers({ now: Date.now() + 13 * 60 * 60 * 1000, toFake: ['Date'] });
+      expect(await sessions.get(token)).toBeNull();
+    } finally {
+      vi.useRealTimers();
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,27 @@
+/**
+ * @file authorKeys.js
+ * @description Device author keys, which let people change what they posted without an
+ * account. Each browser sends a random key in the `X-Author-Key` header; stores keep only a
+ * digest of it next to each record and compare digests to recognize the author.
+ */
+
+import { createHash } from 'node:crypto';
+
+/**
+ * @function getAuthorKey
+ * @description Reads the device's author key
+ * @param {Object} event - Serverless event
+ * @returns {string|undefined} The key, if sent
+ */
+export const getAuthorKey = (event) => {
+  const headers = event.headers || {};
+  return headers['x-author-key'] || headers['X-Author-Key'] || undefined;
+};
+
+/**
+ * @function digestKey
+ * @description Hashes an author key for storage
+ * @param {string} key - Key sent by the author's device
+ * @returns {string|null} Hex digest, or null without a key
+ */
+export const digestKey = (key) => (key ? createHash('sha256').update(key).digest('hex') : null);
@@ -0,0 +1,69 @@
+/**
+ * @file checkInStore.js
+ * @description Check-in persistence on top of the JSON store. Check-ins live in
+ * `public/checkins.json` so they can also be served as a static file; set `CHECKINS_FILE`
+ * to point it somewhere else.
+ */
+
+import path from 'node:path';
+import { createJsonStore } from './jsonStore.js';
+import { assertValidCheckIn, normalizeCheckIns } from '../src/utils/checkins.js';
+
+/**
+ * @constant {string} DEFAULT_CHECKINS_FILE
+ * @description Check-ins data file used when `CHECKINS_FILE` is not set
+ */
+const DEFAULT_CHECKINS_FILE = path.resolve(process.cwd(), 'public/checkins.json');
+
+/**
+ * @function createCheckInStore
+ * @description Creates a check-in store backed by a `{ checkins: [...] }` JSON file
+ * @param {string} [filePath] - Path of the data file
+ * @param {Object} [options]
+ * @param {string} [options.seedFile] - Data read until the file exists; see createJsonStore
+ * @returns {Object} Store with list/checkIn/remove methods
+ */
+export const createCheckInStore = (filePath = process.env.CHECKINS_FILE || DEFAULT_CHECKINS_FILE, { seedFile } = {}) => {
+  const store = createJsonStore(filePath, { checkins: [] }, { migrate: normalizeCheckIns, seedFile });
+
+  const isSame = (a, b) => a.locationId === b.locationId && a.member === b.member;
+
+  /**
+   * @function list
+   * @description Returns every check-in
+   * @returns {Promise<Array>} Check-ins
+   */
+  const list = async () => (await store.read()).checkins;
+
+  /**
+   * @function checkIn
+   * @description Records a member's visit. Checking in twice keeps the first time.
+   * @param {Object} checkIn - `{ locationId, member }`
+   * @returns {Promise<Object>} The stored check-in
+   * @throws {CheckInValidationError} When the check-in is invalid
+   */
+  const checkIn = (checkIn) => store.update(data => {
+    const valid = assertValidCheckIn(checkIn);
+    const existing = data.checkins.find(other => isSame(other, valid));
+    if (existing) return existing;
+    const stored = { ...valid, at: new Date().toISOString() };
+    data.checkins.push(stored);
+    return stored;
+  });
+
+  /**
+   * @function remove
+   * @description Takes back a member's check-in
+   * @param {Object} checkIn - `{ locationId, member }`
+   * @returns {Promise<Object|null>} The removed check-in, or null when there was none
+   * @throws {CheckInValidationError} When the check-in is invalid
+   */
+  const remove = (checkIn) => store.update(data => {
+    const valid = assertValidCheckIn(checkIn);
+    const existing = data.checkins.find(other => isSame(other, valid));
+    data.checkins = data.checkins.filter(other => other !== existing);
+    return existing || null;
+  });
+
+  return { list, checkIn, remove };
+};
@@ -0,0 +1,54 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const SPOT = { id: 1, name: 'Pilot Butte', category: ['Outdoors'], emoji: '🌋', position: [44.06, -121.28] };
+
+describe('check-ins endpoint', () => {
+  let dir;
+  let handler;
+
+  const call = async (httpMethod, locationId, { body, member } = {}) => {
+    const response = await handler({
+      httpMethod,
+      path: locationId ? `/api/checkins/${locationId}` : '/api/checkins',
+      headers: {},
+      queryStringParameters: member ? { member } : {},
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.statusCode, body: JSON.parse(response.body) };
+  };
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'checkins-'));
+    await fs.writeFile(path.join(dir, 'locations.json'), JSON.stringify([SPOT]));
+    await fs.writeFile(path.join(dir, 'checkins.json'), JSON.stringify({ checkins: [] }));
+    vi.stubEnv('TRIPS_FILE', path.join(dir, 'trips.json'));
+    vi.stubEnv('LOCATIONS_FILE', path.join(dir, 'locations.json'));
+    vi.stubEnv('CHECKINS_FILE', path.join(dir, 'checkins.json'));
+    vi.resetModules();
+    ({ handler } = await import('../netlify/functions/checkins.js'));
+  });
+
+  afterEach(async () => {
+    vi.unstubAllEnvs();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('keeps the first check-in of a member and takes it back on request', async () => {
+    const first = await call('POST', 1, { body: { member: 'Ana' } });
+    expect(first.status).toBe(201);
+    expect((await call('POST', 1, { body: { member: ' Ana ' } })).body.checkin.at).toBe(first.body.checkin.at);
+    expect((await call('GET')).body.checkins).toHaveLength(1);
+
+    expect((await call('DELETE', 1, { member: 'Ana' })).body.checkin).toMatchObject({ locationId: 1, member: 'Ana' });
+    expect((await call('DELETE', 1, { member: 'Ana' })).status).toBe(404);
+    expect((await call('GET')).body.checkins).toEqual([]);
+  });
+
+  it('refuses check-ins without a name or at unknown locations', async () => {
+    expect((await call('POST', 1, { body: {} })).status).toBe(422);
+    expect((await call('POST', 7, { body: { member: 'Ana' } })).status).toBe(404);
+  });
+});
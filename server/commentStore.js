@@ -0,0 +1,122 @@
+/**
+ * @file commentStore.js
+ * @description Comment persistence on top of the JSON store. Comments live in
+ * `data/comments.json`; set `COMMENTS_FILE` to point it somewhere else. Unlike the location
+ * data they are kept out of `public/`, since the file holds the author key digests, which
+ * the API strips before anything is sent to a client.
+ */
+
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { createJsonStore } from './jsonStore.js';
+import { digestKey } from './authorKeys.js';
+import { assertValidComment, normalizeComments } from '../src/utils/comments.js';
+
+/**
+ * @constant {string} DEFAULT_COMMENTS_FILE
+ * @description Comments data file used when `COMMENTS_FILE` is not set
+ */
+const DEFAULT_COMMENTS_FILE = path.resolve(process.cwd(), 'data/comments.json');
+
+/**
+ * @function toPublic
+ * @description Strips the author key digest from a stored comment
+ * @param {Object} comment - Stored comment
+ * @param {string} [authorKey] - Key of the requesting device
+ * @returns {Object} Comment with `mine` telling whether the requesting device wrote it
+ */
+const toPublic = ({ authorKeyHash, ...comment }, authorKey) => ({
+  ...comment,
+  mine: Boolean(authorKeyHash) && authorKeyHash === digestKey(authorKey)
+});
+
+/**
+ * @function createCommentStore
+ * @description Creates a comment store backed by a `{ comments: [...] }` JSON file
+ * @param {string} [filePath] - Path of the data file
+ * @returns {Object} Store with list/create/update/remove methods
+ */
+export const createCommentStore = (filePath = process.env.COMMENTS_FILE || DEFAULT_COMMENTS_FILE) => {
+  const store = createJsonStore(filePath, { comments: [] }, { migrate: normalizeComments });
+
+  /**
+   * @function isAuthor
+   * @description Whether a key belongs to the device that wrote a comment
+   * @param {Object} comment - Stored comment
+   * @param {string} [authorKey] - Key of the requesting device
+   * @returns {boolean} True for the author
+   */
+  const isAuthor = (comment, authorKey) =>
+    Boolean(comment.authorKeyHash) && comment.authorKeyHash === digestKey(authorKey);
+
+  /**
+   * @function list
+   * @description Returns every comment
+   * @param {string} [authorKey] - Key of the requesting device, to flag its own comments
+   * @returns {Promise<Array>} Comments without key digests
+   */
+  const list = async (authorKey) => (await store.read()).comments.map(comment => toPublic(comment, authorKey));
+
+  /**
+   * @function create
+   * @description Adds a comment
+   * @param {Object} comment - `{ locationId, author, text }`
+   * @param {string} authorKey - Key of the author's device
+   * @returns {Promise<Object>} The stored comment
+   * @throws {CommentValidationError} When the comment is invalid
+   */
+  const create = (comment, authorKey) => store.update(data => {
+    const { locationId, author, text } = assertValidComment(comment);
+    const now = new Date().toISOString();
+    const stored = {
+      id: randomUUID(),
+      locationId,
+      author,
+      text,
+      createdAt: now,
+      updatedAt: now,
+      authorKeyHash: digestKey(authorKey)
+    };
+    data.comments.push(stored);
+    return toPublic(stored, authorKey);
+  });
+
+  /**
+   * @function update
+   * @description Changes the text of a comment
+   * @param {string} id - Comment id
+   * @param {string} text - New text
+   * @param {Object} access
+   * @param {string} [access.authorKey] - Key of the requesting device
+   * @param {Function} access.authorize - Called with whether the requester wrote the
+   * comment; throws to refuse the change
+   * @returns {Promise<Object|null>} The updated comment, or null when it does not exist
+   * @throws {CommentValidationError} When the new text is invalid
+   */
+  const update = (id, text, { authorKey, authorize }) => store.update(data => {
+    const comment = data.comments.find(other => other.id === id);
+    if (!comment) return null;
+    authorize(isAuthor(comment, authorKey));
+    const valid = assertValidComment({ ...comment, text });
+    comment.text = valid.text;
+    comment.updatedAt = new Date().toISOString();
+    return toPublic(comment, authorKey);
+  });
+
+  /**
+   * @function remove
+   * @description Deletes a comment
+   * @param {string} id - Comment id
+   * @param {Object} access - See update
+   * @returns {Promise<Object|null>} The deleted comment, or null when it does not exist
+   */
+  const remove = (id, { authorKey, authorize }) => store.update(data => {
+    const comment = data.comments.find(other => other.id === id);
+    if (!comment) return null;
+    authorize(isAuthor(comment, authorKey));
+    data.comments = data.comments.filter(other => other !== comment);
+    return toPublic(comment, authorKey);
+  });
+
+  return { list, create, update, remove };
+};
@@ -0,0 +1,74 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createSessionStore } from './auth.js';
+
+const SPOT = { id: 1, name: 'Crux', category: ['Food'], emoji: '🍺', position: [44.05, -121.31] };
+
+describe('comments endpoint', () => {
+  let dir;
+  let handler;
+
+  const call = async (httpMethod, id, { body, authorKey, token } = {}) => {
+    const response = await handler({
+      httpMethod,
+      path: id ? `/api/comments/${id}` : '/api/comments',
+      headers: {
+        ...(authorKey && { 'x-author-key': authorKey }),
+        ...(token && { authorization: `Bearer ${token}` })
+      },
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.statusCode, body: JSON.parse(response.body) };
+  };
+
+  const post = (text, authorKey = 'ana-device') => call('POST', null, { body: { locationId: 1, author: 'Ana', text }, authorKey });
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'comments-'));
+    await fs.writeFile(path.join(dir, 'locations.json'), JSON.stringify([SPOT]));
+    vi.stubEnv('TRIPS_FILE', path.join(dir, 'trips.json'));
+    vi.stubEnv('LOCATIONS_FILE', path.join(dir, 'locations.json'));
+    vi.stubEnv('COMMENTS_FILE', path.join(dir, 'comments.json'));
+    vi.stubEnv('SESSIONS_FILE', path.join(dir, 'sessions.json'));
+    vi.resetModules();
+    ({ handler } = await import('../netlify/functions/comments.js'));
+  });
+
+  afterEach(async () => {
+    vi.unstubAllEnvs();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('lets only the device that wrote a comment edit it, and only stores a digest of its key', async () => {
+    const { status, body: { comment } } = await post('Go early');
+    expect(status).toBe(201);
+    expect(comment).toMatchObject({ author: 'Ana', text: 'Go early', mine: true });
+
+    expect((await call('PUT', comment.id, { body: { text: 'Hijacked' }, authorKey: 'ben-device' })).status).toBe(403);
+    expect((await call('PUT', comment.id, { body: { text: 'Go at 7' }, authorKey: 'ana-device' })).body.comment.text).toBe('Go at 7');
+
+    const listed = await call('GET', null, { authorKey: 'ben-device' });
+    expect(listed.body.comments).toEqual([expect.objectContaining({ text: 'Go at 7', mine: false })]);
+    expect(listed.body.comments[0]).not.toHaveProperty('authorKeyHash');
+    expect(await fs.readFile(path.join(dir, 'comments.json'), 'utf8')).not.toContain('ana-device');
+  });
+
+  it('lets an admin delete anyone\'s comment', async () => {
+    const { body: { comment } } = await post('Cash only');
+    expect((await call('DELETE', comment.id, { authorKey: 'ben-device' })).status).toBe(403);
+
+    const { token } = await createSessionStore(path.join(dir, 'sessions.json')).create('Steve');
+    expect((await call('DELETE', comment.id, { token })).status).toBe(200);
+    expect((await call('GET')).body.comments).toEqual([]);
+  });
+
+  it('refuses comments without a key, on unknown locations or without text', async () => {
+    expect((await post('Hi', null)).status).toBe(400);
+    expect((await call('POST', null, { body: { locationId: 9, author: 'Ana', text: 'Hi' }, authorKey: 'k' })).status).toBe(404);
+    const empty = await post('  ');
+    expect(empty.status).toBe(422);
+    expect(empty.body.errors).toEqual(['comment is empty']);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * @file devFunctions.js
+ * @description Vite plugin that serves the serverless functions in `netlify/functions`
+ * under `/api/*` from the dev and preview servers, so the API works locally without
+ * any extra tooling. `/api/locations/123` is handled by `netlify/functions/locations.js`.
+ * Variables from the `.env` files are exposed to the functions through `process.env`,
+ * the same way the hosting provider passes its environment settings.
+ */
+
+import { existsSync } from 'node:fs';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { loadEnv } from 'vite';
+
+/**
+ * @function readRequestBody
+ * @description Collects the raw request body
+ * @param {http.IncomingMessage} req - Node request
+ * @returns {Promise<string>} The body as a string
+ */
+const readRequestBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => resolve(body));
+  req.on('error', reject);
+});
+
+/**
+ * @function createFunctionsMiddleware
+ * @description Builds a connect middleware that turns requests into serverless events
+ * @param {string} functionsDir - Directory holding the function modules
+ * @param {string} prefix - URL prefix the middleware is mounted on
+ * @param {Function} loadModule - Loads a function module from its absolute path
+ * @returns {Function} Connect middleware
+ */
+const createFunctionsMiddleware = (functionsDir, prefix, loadModule) => async (req, res, next) => {
+  const url = new URL(req.url, 'http://localhost');
+  const [name] = url.pathname.split('/').filter(Boolean);
+  const file = name && path.join(functionsDir, `${name}.js`);
+  if (!file || !existsSync(file)) {
+    next();
+    return;
+  }
+
+  try {
+    const { handler } = await loadModule(file);
+    const result = await handler({
+      httpMethod: req.method,
+      path: `${prefix}${url.pathname}`,
+      headers: req.headers,
+      queryStringParameters: Object.fromEntries(url.searchParams),
+      body: await readRequestBody(req)
+    }, {});
+
+    res.statusCode = result.statusCode;
+    Object.entries(result.headers || {}).forEach(([key, value]) => res.setHeader(key, value));
+    res.end(result.isBase64Encoded ? Buffer.from(result.body, 'base64') : result.body);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @function functionsPlugin
+ * @description Vite plugin exposing the serverless functions on the local servers
+ * @param {Object} [options]
+ * @param {string} [options.dir='netlify/functions'] - Functions directory
+ * @param {string} [options.prefix='/api'] - URL prefix
+ * @returns {import('vite').Plugin} The plugin
+ */
+export const functionsPlugin = ({ dir = 'netlify/functions', prefix = '/api' } = {}) => {
+  const functionsDir = path.resolve(dir);
+
+  return {
+    name: 'local-functions',
+    configResolved(config) {
+      const env = loadEnv(config.mode, config.envDir || config.root, '');
+      Object.entries(env).forEach(([key, value]) => {
+        if (!(key in process.env)) process.env[key] = value;
+      });
+    },
+    configureServer(server) {
+      // ssrLoadModule picks up edits to the functions without restarting the dev server
+      server.middlewares.use(prefix, createFunctionsMiddleware(functionsDir, prefix, file => server.ssrLoadModule(file)));
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use(prefix, createFunctionsMiddleware(functionsDir, prefix, file => import(pathToFileURL(file).href)));
+    }
+  };
+};
@@ -0,0 +1,80 @@
+/**
+ * @file eventStore.js
+ * @description Event persistence on top of the JSON store. Like the locations, events live
+ * in `public/` (`public/events.json`) so they can also be served as a static file; set
+ * `EVENTS_FILE` to point it somewhere else.
+ */
+
+import path from 'node:path';
+import { createJsonStore } from './jsonStore.js';
+import { assertValidEvent, normalizeEvents, sortEvents } from '../src/utils/events.js';
+import { createId } from '../src/utils/itinerary.js';
+
+/**
+ * @constant {string} DEFAULT_EVENTS_FILE
+ * @description Events data file used when `EVENTS_FILE` is not set
+ */
+const DEFAULT_EVENTS_FILE = path.resolve(process.cwd(), 'public/events.json');
+
+/**
+ * @function createEventStore
+ * @description Creates an event store backed by an `{ events: [...] }` JSON file
+ * @param {string} [filePath] - Path of the data file
+ * @param {Object} [options]
+ * @param {string} [options.seedFile] - Data read until the file exists; see createJsonStore
+ * @returns {Object} Store with list/create/update/remove methods
+ */
+export const createEventStore = (filePath = process.env.EVENTS_FILE || DEFAULT_EVENTS_FILE, { seedFile } = {}) => {
+  const store = createJsonStore(filePath, { events: [] }, { migrate: normalizeEvents, seedFile });
+
+  /**
+   * @function list
+   * @description Returns every event
+   * @returns {Promise<Array>} Events by start time
+   */
+  const list = async () => sortEvents((await store.read()).events);
+
+  /**
+   * @function create
+   * @description Adds an event under a new id
+   * @param {Object} event - Event to add
+   * @param {Object} [context] - See validateEvent
+   * @returns {Promise<Object>} The stored event
+   * @throws {EventValidationError} When the event is invalid
+   */
+  const create = (event, context) => store.update(data => {
+    const valid = { ...assertValidEvent(event, context), id: createId() };
+    data.events.push(valid);
+    return valid;
+  });
+
+  /**
+   * @function update
+   * @description Replaces the fields of an event
+   * @param {string} id - Event id
+   * @param {Object} changes - Fields to overwrite
+   * @param {Object} [context] - See validateEvent
+   * @returns {Promise<Object|null>} The updated event, or null if it does not exist
+   * @throws {EventValidationError} When the result would be invalid
+   */
+  const update = (id, changes, context) => store.update(data => {
+    const index = data.events.findIndex(event => event.id === id);
+    if (index < 0) return null;
+    data.events[index] = assertValidEvent({ ...data.events[index], ...changes, id }, context);
+    return data.events[index];
+  });
+
+  /**
+   * @function remove
+   * @description Deletes an event
+   * @param {string} id - Event id
+   * @returns {Promise<Object|null>} The deleted event, or null if it does not exist
+   */
+  const remove = (id) => store.update(data => {
+    const index = data.events.findIndex(event => event.id === id);
+    if (index < 0) return null;
+    return data.events.splice(index, 1)[0];
+  });
+
+  return { list, create, update, remove };
+};
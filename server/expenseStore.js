@@ -0,0 +1,139 @@
+/**
+ * @file expenseStore.js
+ * @description Expense persistence on top of the JSON store. Like comments, expenses live in
+ * `data/expenses.json` (set `EXPENSES_FILE` to point it somewhere else) rather than `public/`,
+ * since the file holds the author key digests, which the API strips before anything is sent
+ * to a client.
+ */
+
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { createJsonStore } from './jsonStore.js';
+import { digestKey } from './authorKeys.js';
+import { assertValidExpense, normalizeExpenses, sortExpenses } from '../src/utils/expenses.js';
+
+/**
+ * @constant {string} DEFAULT_EXPENSES_FILE
+ * @description Expenses data file used when `EXPENSES_FILE` is not set
+ */
+const DEFAULT_EXPENSES_FILE = path.resolve(process.cwd(), 'data/expenses.json');
+
+/**
+ * @constant {Array<string>} EDITABLE_FIELDS
+ * @description Expense fields a request may set; the rest are kept by the store
+ */
+const EDITABLE_FIELDS = ['description', 'amount', 'date', 'paidBy', 'locationId', 'split', 'participants'];
+
+/**
+ * @function pickEditable
+ * @description Keeps only the fields a request may set
+ * @param {Object} body - Request body
+ * @returns {Object} Editable fields that were sent
+ */
+const pickEditable = (body) => Object.fromEntries(EDITABLE_FIELDS
+  .filter(field => body[field] !== undefined)
+  .map(field => [field, body[field]]));
+
+/**
+ * @function toPublic
+ * @description Strips the author key digest from a stored expense
+ * @param {Object} expense - Stored expense
+ * @param {string} [authorKey] - Key of the requesting device
+ * @returns {Object} Expense with `mine` telling whether the requesting device logged it
+ */
+const toPublic = ({ authorKeyHash, ...expense }, authorKey) => ({
+  ...expense,
+  mine: Boolean(authorKeyHash) && authorKeyHash === digestKey(authorKey)
+});
+
+/**
+ * @function createExpenseStore
+ * @description Creates an expense store backed by an `{ expenses: [...] }` JSON file
+ * @param {string} [filePath] - Path of the data file
+ * @returns {Object} Store with list/create/update/remove methods
+ */
+export const createExpenseStore = (filePath = process.env.EXPENSES_FILE || DEFAULT_EXPENSES_FILE) => {
+  const store = createJsonStore(filePath, { expenses: [] }, { migrate: normalizeExpenses });
+
+  /**
+   * @function isAuthor
+   * @description Whether a key belongs to the device that logged an expense
+   * @param {Object} expense - Stored expense
+   * @param {string} [authorKey] - Key of the requesting device
+   * @returns {boolean} True for the author
+   */
+  const isAuthor = (expense, authorKey) =>
+    Boolean(expense.authorKeyHash) && expense.authorKeyHash === digestKey(authorKey);
+
+  /**
+   * @function list
+   * @description Returns the whole ledger
+   * @param {string} [authorKey] - Key of the requesting device, to flag its own expenses
+   * @returns {Promise<Array>} Expenses newest first, without key digests
+   */
+  const list = async (authorKey) =>
+    sortExpenses((await store.read()).expenses).map(expense => toPublic(expense, authorKey));
+
+  /**
+   * @function create
+   * @description Logs an expense
+   * @param {Object} expense - Expense fields, with `author` naming who logged it
+   * @param {string} authorKey - Key of the author's device
+   * @param {Object} [context] - See validateExpense
+   * @returns {Promise<Object>} The stored expense
+   * @throws {ExpenseValidationError} When the expense is invalid
+   */
+  const create = (expense, authorKey, context) => store.update(data => {
+    const now = new Date().toISOString();
+    const valid = assertValidExpense({ ...pickEditable(expense), author: expense.author }, context);
+    const stored = {
+      ...valid,
+      id: randomUUID(),
+      createdAt: now,
+      updatedAt: now,
+      authorKeyHash: digestKey(authorKey)
+    };
+    data.expenses.push(stored);
+    return toPublic(stored, authorKey);
+  });
+
+  /**
+   * @function update
+   * @description Changes an expense
+   * @param {string} id - Expense id
+   * @param {Object} changes - Editable fields to overwrite
+   * @param {Object} access
+   * @param {string} [access.authorKey] - Key of the requesting device
+   * @param {Function} access.authorize - Called with whether the requester logged the
+   * expense; throws to refuse the change
+   * @param {Object} [access.context] - See validateExpense
+   * @returns {Promise<Object|null>} The updated expense, or null when it does not exist
+   * @throws {ExpenseValidationError} When the result would be invalid
+   */
+  const update = (id, changes, { authorKey, authorize, context }) => store.update(data => {
+    const index = data.expenses.findIndex(other => other.id === id);
+    if (index < 0) return null;
+    const expense = data.expenses[index];
+    authorize(isAuthor(expense, authorKey));
+    const valid = assertValidExpense({ ...expense, ...pickEditable(changes) }, context);
+    data.expenses[index] = { ...valid, updatedAt: new Date().toISOString() };
+    return toPublic(data.expenses[index], authorKey);
+  });
+
+  /**
+   * @function remove
+   * @description Deletes an expense
+   * @param {string} id - Expense id
+   * @param {Object} access - `{ authorKey, authorize }`, see update
+   * @returns {Promise<Object|null>} The deleted expense, or null when it does not exist
+   */
+  const remove = (id, { authorKey, authorize }) => store.update(data => {
+    const expense = data.expenses.find(other => other.id === id);
+    if (!expense) return null;
+    authorize(isAuthor(expense, authorKey));
+    data.expenses = data.expenses.filter(other => other !== expense);
+    return toPublic(expense, authorKey);
+  });
+
+  return { list, create, update, remove };
+};
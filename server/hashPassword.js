@@ -0,0 +1,18 @@
+/**
+ * @file hashPassword.js
+ * @description Prints the config value for a password: an `ADMIN_ACCOUNTS` entry when an
+ * admin name is given, else a shared `ADMIN_PASSWORD_HASH`.
+ * Usage: npm run hash-password -- <password> [name]
+ */
+
+import { hashPassword } from './auth.js';
+
+const [password, name] = process.argv.slice(2);
+
+if (!password || /[:,]/.test(name || '')) {
+  console.error('Usage: npm run hash-password -- <password> [name]   (names cannot contain ":" or ",")');
+  process.exit(1);
+}
+
+const hash = await hashPassword(password);
+console.log(name ? `ADMIN_ACCOUNTS=${name.trim()}:${hash}` : `ADMIN_PASSWORD_HASH=${hash}`);
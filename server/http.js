@@ -0,0 +1,107 @@
+/**
+ * @file http.js
+ * @description Helpers for writing API functions in the serverless handler shape
+ * (`handler(event) => { statusCode, headers, body }`).
+ */
+
+/**
+ * @class HttpError
+ * @description Error that carries the HTTP status code to respond with
+ * @property {number} statusCode - HTTP status code
+ * @property {Object} details - Extra fields merged into the error response body
+ */
+export class HttpError extends Error {
+  constructor(statusCode, message, details = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * @function json
+ * @description Builds a JSON response
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} body - Response payload
+ * @returns {Object} Serverless response object
+ */
+export const json = (statusCode, body) => ({
+  statusCode,
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+/**
+ * @function binary
+ * @description Builds a response carrying a file, base64-encoded as serverless platforms expect
+ * @param {Buffer} data - File contents
+ * @param {string} contentType - MIME type
+ * @param {Object} [headers] - Extra response headers
+ * @returns {Object} Serverless response object
+ */
+export const binary = (data, contentType, headers = {}) => ({
+  statusCode: 200,
+  headers: { 'Content-Type': contentType, ...headers },
+  body: data.toString('base64'),
+  isBase64Encoded: true
+});
+
+/**
+ * @function parseBody
+ * @description Parses the JSON request body. Every API takes an object, so a body of `null`,
+ * an array or a bare value is refused here rather than failing inside a store.
+ * @param {Object} event - Serverless event
+ * @returns {Object} The parsed body
+ * @throws {HttpError} 400 when the body is not a valid JSON object
+ */
+export const parseBody = (event) => {
+  let body;
+  try {
+    body = JSON.parse(event.body || '{}');
+  } catch {
+    throw new HttpError(400, 'Request body must be valid JSON');
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new HttpError(400, 'Request body must be a JSON object');
+  }
+  return body;
+};
+
+/**
+ * @function getPathSegments
+ * @description Returns the path segments that follow the function name, so that
+ * `/api/locations/123` and `/.netlify/functions/locations/123` both yield `['123']`
+ * @param {Object} event - Serverless event
+ * @param {string} name - Function name
+ * @returns {Array<string>} Remaining path segments
+ * @throws {HttpError} 400 when a segment is not valid percent-encoding
+ */
+export const getPathSegments = (event, name) => {
+  const segments = (event.path || '').split('/').filter(Boolean);
+  const index = segments.lastIndexOf(name);
+  if (index < 0) return [];
+  try {
+    return segments.slice(index + 1).map(decodeURIComponent);
+  } catch {
+    throw new HttpError(400, 'Malformed URL path');
+  }
+};
+
+/**
+ * @function withErrorHandling
+ * @description Wraps a handler so thrown HttpErrors become JSON error responses
+ * @param {Function} handler - Async serverless handler
+ * @returns {Function} Wrapped handler
+ */
+export const withErrorHandling = (handler) => async (event, context) => {
+  try {
+    return await handler(event, context);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return json(error.statusCode, { ...error.details, error: error.message });
+    }
+    console.error('Unhandled API error:', error);
+    return json(500, { error: 'Internal server error' });
+  }
+};
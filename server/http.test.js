@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { HttpError, parseBody, getPathSegments, withErrorHandling } from './http.js';
+
+describe('parseBody', () => {
+  it('reads a JSON object and treats a missing body as empty', () => {
+    expect(parseBody({ body: '{"name":"Crux"}' })).toEqual({ name: 'Crux' });
+    expect(parseBody({})).toEqual({});
+  });
+
+  it('refuses bodies that are not a JSON object with a 400', () => {
+    ['{', 'null', '[]', '"Crux"', '7'].forEach(body => {
+      expect(() => parseBody({ body })).toThrow(HttpError);
+      try {
+        parseBody({ body });
+      } catch (error) {
+        expect(error.statusCode).toBe(400);
+      }
+    });
+  });
+});
+
+describe('getPathSegments', () => {
+  it('decodes the segments after the function name on either path', () => {
+    expect(getPathSegments({ path: '/api/people/ana%20b' }, 'people')).toEqual(['ana b']);
+    expect(getPathSegments({ path: '/.netlify/functions/people/ana' }, 'people')).toEqual(['ana']);
+    expect(getPathSegments({ path: '/api/other' }, 'people')).toEqual([]);
+  });
+
+  it('answers malformed percent-encoding with a 400 instead of a 500', async () => {
+    const handler = withErrorHandling(async (event) => getPathSegments(event, 'people'));
+    const response = await handler({ path: '/api/people/%E0%A4%A' });
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).error).toBe('Malformed URL path');
+  });
+});
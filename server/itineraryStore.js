@@ -0,0 +1,50 @@
+/**
+ * @file itineraryStore.js
+ * @description Itinerary persistence on top of the JSON store. Like the locations, the
+ * itinerary lives in `public/` (`public/itinerary.json`) so it can also be served as a
+ * static file; set `ITINERARY_FILE` to point it somewhere else.
+ */
+
+import path from 'node:path';
+import { createJsonStore } from './jsonStore.js';
+import { assertValidItinerary, normalizeItinerary } from '../src/utils/itinerary.js';
+
+/**
+ * @constant {string} DEFAULT_ITINERARY_FILE
+ * @description Itinerary data file used when `ITINERARY_FILE` is not set
+ */
+const DEFAULT_ITINERARY_FILE = path.resolve(process.cwd(), 'public/itinerary.json');
+
+/**
+ * @function createItineraryStore
+ * @description Creates an itinerary store backed by a `{ days: [...] }` JSON file
+ * @param {string} [filePath] - Path of the data file
+ * @param {Object} [options]
+ * @param {string} [options.seedFile] - Data read until the file exists; see createJsonStore
+ * @returns {Object} Store with get/replace methods
+ */
+export const createItineraryStore = (filePath = process.env.ITINERARY_FILE || DEFAULT_ITINERARY_FILE, { seedFile } = {}) => {
+  const store = createJsonStore(filePath, { days: [] }, { migrate: normalizeItinerary, seedFile });
+
+  /**
+   * @function get
+   * @description Returns the whole itinerary
+   * @returns {Promise<Object>} Itinerary
+   */
+  const get = () => store.read();
+
+  /**
+   * @function replace
+   * @description Replaces the whole itinerary
+   * @param {Object} itinerary - New itinerary
+   * @returns {Promise<Object>} The stored itinerary
+   * @throws {ItineraryValidationError} When the itinerary is invalid
+   */
+  const replace = (itinerary) => store.update(data => {
+    const valid = assertValidItinerary(itinerary);
+    data.days = valid.days;
+    return valid;
+  });
+
+  return { get, replace };
+};
@@ -0,0 +1,73 @@
+/**
+ * @file jsonStore.js
+ * @description File-backed JSON document store shared by the API functions. Every read
+ * goes to disk so separate function invocations see each other's writes, and updates
+ * are serialized and written atomically (temp file + rename).
+ *
+ * A store can be seeded from another file, such as the copy bundled with a deployment, so
+ * pointing it at a writable path starts from the shipped data instead of an empty document.
+ */
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+/**
+ * @function createJsonStore
+ * @description Creates a store around a single JSON file
+ * @param {string} filePath - Absolute path of the JSON file
+ * @param {Object} defaults - Document returned when the file does not exist yet
+ * @param {Object} [options]
+ * @param {Function} [options.migrate] - Upgrades a document read from disk to the current format
+ * @param {string} [options.seedFile] - Read instead while the file does not exist yet; the
+ * first update writes the result to `filePath`
+ * @returns {{read: Function, update: Function}} Store API
+ */
+export const createJsonStore = (filePath, defaults, { migrate = data => data, seedFile } = {}) => {
+  let queue = Promise.resolve();
+
+  const readFirst = async (paths) => {
+    try {
+      return JSON.parse(await fs.readFile(paths[0], 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return paths.length > 1 ? readFirst(paths.slice(1)) : structuredClone(defaults);
+      }
+      throw error;
+    }
+  };
+
+  /**
+   * @function read
+   * @description Reads the current document from disk, falling back to the seed file and
+   * then the defaults
+   * @returns {Promise<Object>} The parsed document
+   */
+  const read = async () => migrate(await readFirst(seedFile && seedFile !== filePath ? [filePath, seedFile] : [filePath]));
+
+  const write = async (data) => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, `${JSON.stringify(data, null, 2)}\n`);
+    await fs.rename(tempPath, filePath);
+  };
+
+  /**
+   * @function update
+   * @description Reads the document, lets the mutator change it in place and writes it back.
+   * Updates run one at a time so concurrent requests cannot drop each other's changes.
+   * @param {Function} mutator - Receives the document; its return value is passed through
+   * @returns {Promise<*>} Whatever the mutator returned
+   */
+  const update = (mutator) => {
+    const run = queue.then(async () => {
+      const data = await read();
+      const result = await mutator(data);
+      await write(data);
+      return result;
+    });
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  return { read, update };
+};
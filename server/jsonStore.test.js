@@ -0,0 +1,39 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createJsonStore } from './jsonStore.js';
+
+describe('json store', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'json-store-'));
+  });
+
+  afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it('returns the defaults until the file is written', async () => {
+    const store = createJsonStore(path.join(dir, 'nested', 'data.json'), { items: [] });
+    expect(await store.read()).toEqual({ items: [] });
+    await store.update(data => data.items.push('a'));
+    expect(JSON.parse(await fs.readFile(path.join(dir, 'nested', 'data.json'), 'utf8'))).toEqual({ items: ['a'] });
+  });
+
+  it('starts from the seed file and leaves it alone', async () => {
+    const seedFile = path.join(dir, 'bundled.json');
+    await fs.writeFile(seedFile, JSON.stringify({ items: ['shipped'] }));
+    const store = createJsonStore(path.join(dir, 'writable.json'), { items: [] }, { seedFile });
+
+    expect(await store.read()).toEqual({ items: ['shipped'] });
+    await store.update(data => data.items.push('added'));
+    expect(await store.read()).toEqual({ items: ['shipped', 'added'] });
+    expect(JSON.parse(await fs.readFile(seedFile, 'utf8'))).toEqual({ items: ['shipped'] });
+  });
+
+  it('runs concurrent updates one after another', async () => {
+    const store = createJsonStore(path.join(dir, 'data.json'), { count: 0 });
+    await Promise.all(Array.from({ length: 5 }, () => store.update(data => { data.count += 1; })));
+    expect(await store.read()).toEqual({ count: 5 });
+  });
+});
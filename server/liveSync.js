@@ -0,0 +1,424 @@
+/**
+ * @file liveSync.js
+ * @description WebSocket hub that pushes location changes and editor locks to every open
+ * copy of a trip on other devices. It runs on the local dev and preview servers, next to the
+ * API functions: `liveSyncPlugin` accepts connections on `/api/live?trip=<id>`, and the
+ * location stores publish each write through `getLiveHub()`. Serverless hosts have no
+ * long-lived server to hold the connections, so there publishing does nothing and only tabs
+ * of the same browser stay in step.
+ *
+ * Only admins may connect: the session token travels as the second WebSocket subprotocol
+ * (`new WebSocket(url, [LIVE_SYNC_PROTOCOL, token])`, as browsers cannot set headers on the
+ * handshake) and is checked like any other admin request. Locks carry the name the admin
+ * logged in under, whatever the client claims. Connections are closed when their session is
+ * logged out or expires, and only trips in the manifest can be joined.
+ *
+ * The protocol is plain RFC 6455 with text frames carrying the JSON messages described in
+ * `src/utils/liveSync.js`; messages are small, so fragmented frames are not supported.
+ */
+
+import { createHash } from 'node:crypto';
+import { requireAdmin, getEditor } from './auth.js';
+import { readTripManifest } from './trips.js';
+import { LIVE_SYNC_PATH, LIVE_SYNC_PROTOCOL, LOCK_TTL_MS, parseSyncMessage } from '../src/utils/liveSync.js';
+
+/**
+ * @constant {string} HANDSHAKE_GUID
+ * @description Value the handshake appends to the client's key (RFC 6455 section 1.3)
+ */
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+/**
+ * @constant {number} MAX_PAYLOAD
+ * @description Largest frame accepted from a client; lock messages are far smaller
+ */
+const MAX_PAYLOAD = 64 * 1024;
+
+/**
+ * @constant {Object} OPCODES
+ * @description Frame types used by the hub
+ */
+const OPCODES = { text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+
+/**
+ * @constant {Buffer} CLOSE_SESSION_ENDED
+ * @description Close frame payload sent when the admin session behind a connection ends:
+ * status 1008 (policy violation) and a reason
+ */
+const CLOSE_SESSION_ENDED = Buffer.concat([Buffer.from([0x03, 0xf0]), Buffer.from('Session ended')]);
+
+/**
+ * @constant {symbol} HUB_KEY
+ * @description Where the hub is kept on `globalThis`. The dev server loads the API functions
+ * through its own module graph, so they get a separate copy of this file; the global lets
+ * both copies share one hub.
+ */
+const HUB_KEY = Symbol.for('trip-map.liveSyncHub');
+
+/**
+ * @function encodeFrame
+ * @description Builds an unmasked server frame
+ * @param {number} opcode - Frame type
+ * @param {Buffer} [payload] - Frame data
+ * @returns {Buffer} The frame
+ */
+const encodeFrame = (opcode, payload = Buffer.alloc(0)) => {
+  const { length } = payload;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+};
+
+/**
+ * @function createFrameReader
+ * @description Collects socket data into client frames, unmasking their payloads
+ * @param {Function} onFrame - Called with `{ fin, opcode, payload }` for each whole frame
+ * @returns {Function} Takes each chunk of socket data
+ * @throws {Error} When a frame is unmasked or larger than MAX_PAYLOAD
+ */
+const createFrameReader = (onFrame) => {
+  let buffer = Buffer.alloc(0);
+  return (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (buffer.length >= 2) {
+      const fin = (buffer[0] & 0x80) !== 0;
+      const opcode = buffer[0] & 0x0f;
+      if ((buffer[1] & 0x80) === 0) throw new Error('Client frames must be masked');
+      let length = buffer[1] & 0x7f;
+      let offset = 2;
+      if (length === 126) {
+        if (buffer.length < 4) return;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (buffer.length < 10) return;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+      if (length > MAX_PAYLOAD) throw new Error('Frame is too large');
+      if (buffer.length < offset + 4 + length) return;
+
+      const mask = buffer.subarray(offset, offset + 4);
+      const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+      for (let i = 0; i < payload.length; i += 1) {
+        payload[i] ^= mask[i % 4];
+      }
+      buffer = buffer.subarray(offset + 4 + length);
+      onFrame({ fin, opcode, payload });
+    }
+  };
+};
+
+/**
+ * @function rejectUpgrade
+ * @description Refuses a handshake with a plain HTTP response
+ * @param {net.Socket} socket - Client socket
+ * @param {string} status - Status line, e.g. `401 Unauthorized`
+ */
+const rejectUpgrade = (socket, status) => {
+  socket.end(`HTTP/1.1 ${status}\r\nConnection: close\r\n\r\n`);
+};
+
+/**
+ * @function authenticate
+ * @description Checks the admin session token offered as the second subprotocol
+ * @param {http.IncomingMessage} req - Upgrade request
+ * @returns {Promise<{session: Object, token: string}|null>} The admin session and its token,
+ * or null when there is no valid one
+ */
+const authenticate = async (req) => {
+  const [protocol, token] = (req.headers['sec-websocket-protocol'] || '').split(',').map(value => value.trim());
+  if (protocol !== LIVE_SYNC_PROTOCOL || !token) return null;
+  try {
+    return { session: await requireAdmin({ headers: { authorization: `Bearer ${token}` } }), token };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * @function isKnownTrip
+ * @description Whether a trip is in the manifest, so connections cannot open rooms at will
+ * @param {string} tripId - Trip id from the query string
+ * @returns {Promise<boolean>} True for listed trips
+ */
+const isKnownTrip = async (tripId) => {
+  try {
+    return (await readTripManifest()).trips.some(trip => trip.id === tripId);
+  } catch (error) {
+    console.error('Could not read the trip manifest for live sync:', error);
+    return false;
+  }
+};
+
+/**
+ * @function acceptUpgrade
+ * @description Completes the WebSocket handshake
+ * @param {http.IncomingMessage} req - Upgrade request
+ * @param {net.Socket} socket - Client socket
+ * @returns {boolean} Whether the connection was accepted
+ */
+const acceptUpgrade = (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  if (!key || req.headers.upgrade?.toLowerCase() !== 'websocket') {
+    rejectUpgrade(socket, '400 Bad Request');
+    return false;
+  }
+  const accept = createHash('sha1').update(`${key}${HANDSHAKE_GUID}`).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    `Sec-WebSocket-Protocol: ${LIVE_SYNC_PROTOCOL}`,
+    '',
+    ''
+  ].join('\r\n'));
+  socket.setNoDelay(true);
+  socket.setKeepAlive(true, 30000);
+  return true;
+};
+
+/**
+ * @function createLiveHub
+ * @description Creates a hub holding the open connections and the editor locks of each trip
+ * @returns {Object} Hub with publish/attach methods
+ */
+export const createLiveHub = () => {
+  const rooms = new Map(); // trip id -> Set of clients
+  const locks = new Map(); // trip id -> Map of location id -> { locationId, editor, clientId, expiresAt }
+  const attached = new WeakSet();
+
+  /**
+   * @function getLocks
+   * @description The unexpired locks of a trip
+   * @param {string} tripId - Trip id
+   * @returns {Map} Location id to lock
+   */
+  const getLocks = (tripId) => {
+    if (!locks.has(tripId)) locks.set(tripId, new Map());
+    const tripLocks = locks.get(tripId);
+    const now = Date.now();
+    tripLocks.forEach((lock, locationId) => {
+      if (lock.expiresAt <= now) tripLocks.delete(locationId);
+    });
+    return tripLocks;
+  };
+
+  /**
+   * @function broadcast
+   * @description Sends a message to every connection of a trip
+   * @param {string} tripId - Trip id
+   * @param {Object} message - Message to send
+   * @param {Object} [except] - Client to skip, usually the sender
+   */
+  const broadcast = (tripId, message, except) => {
+    const data = JSON.stringify(message);
+    rooms.get(tripId)?.forEach(client => {
+      if (client !== except) client.send(data);
+    });
+  };
+
+  /**
+   * @function publish
+   * @description Pushes a message from the API to every open copy of a trip
+   * @param {string} tripId - Trip id
+   * @param {Object} message - Message to send, e.g. `{ type: 'changes', changes, editor }`
+   */
+  const publish = (tripId, message) => broadcast(tripId, message);
+
+  /**
+   * @function isClaimedElsewhere
+   * @description Whether another connection already speaks for a tab, so one admin cannot
+   * take over or release another's locks by reusing their client id
+   * @param {Object} client - Sending client
+   * @param {string} clientId - Tab id from the message
+   * @returns {boolean} True when the id belongs to another connection
+   */
+  const isClaimedElsewhere = (client, clientId) =>
+    [...(rooms.get(client.tripId) || [])].some(other => other !== client && other.clientIds.has(clientId));
+
+  /**
+   * @function handleMessage
+   * @description Records a lock change from a client and passes it on. Location changes
+   * only come from the API, never from clients.
+   * @param {Object} client - Sending client
+   * @param {Object} message - Parsed message
+   */
+  const handleMessage = (client, message) => {
+    if ((message.type !== 'lock' && message.type !== 'unlock') || isClaimedElsewhere(client, message.clientId)) return;
+    const tripLocks = getLocks(client.tripId);
+    client.clientIds.add(message.clientId);
+    if (message.type === 'lock') {
+      const ttl = Math.max(0, Math.min(message.ttl, LOCK_TTL_MS));
+      const lock = { type: 'lock', locationId: message.locationId, editor: client.editor, clientId: message.clientId, ttl };
+      tripLocks.forEach((held, locationId) => {
+        if (held.clientId === message.clientId) tripLocks.delete(locationId);
+      });
+      tripLocks.set(message.locationId, {
+        locationId: lock.locationId,
+        editor: lock.editor,
+        clientId: lock.clientId,
+        expiresAt: Date.now() + ttl
+      });
+      broadcast(client.tripId, lock, client);
+    } else {
+      if (tripLocks.get(message.locationId)?.clientId === message.clientId) {
+        tripLocks.delete(message.locationId);
+      }
+      broadcast(client.tripId, message, client);
+    }
+  };
+
+  /**
+   * @function connect
+   * @description Serves one accepted connection
+   * @param {string} tripId - Trip the client is viewing
+   * @param {Object} auth - Result of authenticate: the session, whose editor name is shown on
+   * the locks and whose expiry ends the connection, and its token
+   * @param {net.Socket} socket - Client socket
+   */
+  const connect = (tripId, { session, token }, socket) => {
+    const client = {
+      tripId,
+      editor: getEditor(session),
+      token,
+      clientIds: new Set(),
+      send: (data) => {
+        if (socket.writable) socket.write(encodeFrame(OPCODES.text, Buffer.from(data)));
+      },
+      close: () => socket.end(encodeFrame(OPCODES.close, CLOSE_SESSION_ENDED))
+    };
+    if (!rooms.has(tripId)) rooms.set(tripId, new Set());
+    rooms.get(tripId).add(client);
+    const expiry = setTimeout(client.close, Math.max(0, session.expiresAt - Date.now()));
+    expiry.unref();
+
+    const disconnect = () => {
+      clearTimeout(expiry);
+      if (!rooms.get(tripId)?.delete(client)) return;
+      // Whoever had a location open on this connection is no longer editing it
+      const tripLocks = getLocks(tripId);
+      tripLocks.forEach((lock, locationId) => {
+        if (client.clientIds.has(lock.clientId)) {
+          tripLocks.delete(locationId);
+          broadcast(tripId, { type: 'unlock', locationId, clientId: lock.clientId });
+        }
+      });
+    };
+
+    const read = createFrameReader(({ fin, opcode, payload }) => {
+      if (opcode === OPCODES.close) {
+        socket.end(encodeFrame(OPCODES.close));
+      } else if (opcode === OPCODES.ping) {
+        socket.write(encodeFrame(OPCODES.pong, payload));
+      } else if (opcode === OPCODES.text && fin) {
+        const message = parseSyncMessage(payload.toString('utf8'));
+        if (message) handleMessage(client, message);
+      }
+    });
+
+    socket.on('data', (chunk) => {
+      try {
+        read(chunk);
+      } catch (error) {
+        console.warn(`Closing live sync connection: ${error.message}`);
+        socket.destroy();
+      }
+    });
+    // HTTP servers leave sockets half open, so finish closing when the client hangs up
+    socket.on('end', () => socket.end());
+    socket.on('close', disconnect);
+    socket.on('error', disconnect);
+
+    const now = Date.now();
+    client.send(JSON.stringify({
+      type: 'locks',
+      locks: [...getLocks(tripId).values()].map(({ expiresAt, ...lock }) => ({ ...lock, ttl: expiresAt - now }))
+    }));
+  };
+
+  /**
+   * @function closeSession
+   * @description Closes every connection opened with a session token, e.g. after logout
+   * @param {string|null} token - Session token
+   */
+  const closeSession = (token) => {
+    if (!token) return;
+    rooms.forEach(clients => clients.forEach(client => {
+      if (client.token === token) client.close();
+    }));
+  };
+
+  /**
+   * @function attach
+   * @description Accepts live sync connections from admins on an HTTP server. Other upgrade
+   * requests, such as the dev server's hot reload socket, are left alone.
+   * @param {http.Server} httpServer - Server to listen on
+   */
+  const attach = (httpServer) => {
+    if (!httpServer || attached.has(httpServer)) return;
+    attached.add(httpServer);
+    httpServer.on('upgrade', async (req, socket) => {
+      const url = new URL(req.url, 'http://localhost');
+      if (url.pathname !== LIVE_SYNC_PATH) return;
+      // The client can hang up while the session is checked; without a listener that error
+      // would take the whole server down
+      socket.on('error', () => socket.destroy());
+      const tripId = url.searchParams.get('trip');
+      if (!tripId) {
+        rejectUpgrade(socket, '400 Bad Request');
+        return;
+      }
+      const auth = await authenticate(req);
+      if (!auth) {
+        rejectUpgrade(socket, '401 Unauthorized');
+        return;
+      }
+      if (!(await isKnownTrip(tripId))) {
+        rejectUpgrade(socket, '404 Not Found');
+        return;
+      }
+      if (socket.destroyed) return;
+      if (acceptUpgrade(req, socket)) connect(tripId, auth, socket);
+    });
+  };
+
+  return { publish, closeSession, attach };
+};
+
+/**
+ * @function getLiveHub
+ * @description Returns the process-wide hub, creating it on first use
+ * @returns {Object} See createLiveHub
+ */
+export const getLiveHub = () => {
+  if (!globalThis[HUB_KEY]) globalThis[HUB_KEY] = createLiveHub();
+  return globalThis[HUB_KEY];
+};
+
+/**
+ * @function liveSyncPlugin
+ * @description Vite plugin serving the live sync WebSocket from the dev and preview servers
+ * @returns {import('vite').Plugin} The plugin
+ */
+export const liveSyncPlugin = () => ({
+  name: 'live-sync',
+  configureServer(server) {
+    getLiveHub().attach(server.httpServer);
+  },
+  configurePreviewServer(server) {
+    getLiveHub().attach(server.httpServer);
+  }
+});
@@ -0,0 +1,148 @@
+/**
+ * @file localTiles.js
+ * @description Reads map tiles of the local tile sources from disk. Sources point into
+ * `data/tiles` (set `TILES_DIR` to point it somewhere else) at either a folder laid out as
+ * `{z}/{x}/{y}.png` or an MBTiles file. MBTiles files are SQLite databases, which Node cannot
+ * read by itself: install the optional `better-sqlite3` package to serve them.
+ */
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { HttpError } from './http.js';
+
+/**
+ * @constant {string} DEFAULT_TILES_DIR
+ * @description Tiles directory used when `TILES_DIR` is not set
+ */
+const DEFAULT_TILES_DIR = path.resolve(process.cwd(), 'data/tiles');
+
+/**
+ * @constant {Object} TILE_TYPES
+ * @description File extensions tried in tile folders and their MIME types
+ */
+const TILE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp'
+};
+
+/**
+ * @constant {string} SQLITE_MODULE
+ * @description Optional package used to read MBTiles files; kept in a variable so bundlers
+ * leave the import alone when it is not installed
+ */
+const SQLITE_MODULE = 'better-sqlite3';
+
+/**
+ * @constant {Map} databases
+ * @description Open MBTiles files by path, shared between requests
+ */
+const databases = new Map();
+
+/**
+ * @function resolveSourcePath
+ * @description Absolute path of a source's folder or file
+ * @param {Object} source - Normalized tile source
+ * @returns {string} Path inside the tiles directory
+ * @throws {HttpError} 404 when the path points outside the tiles directory
+ */
+const resolveSourcePath = (source) => {
+  const root = path.resolve(process.env.TILES_DIR || DEFAULT_TILES_DIR);
+  const resolved = path.resolve(root, source.path);
+  if (!resolved.startsWith(`${root}${path.sep}`)) {
+    throw new HttpError(404, 'Tile source not found');
+  }
+  return resolved;
+};
+
+/**
+ * @function readFolderTile
+ * @description Reads a tile from a `{z}/{x}/{y}.<ext>` folder
+ * @param {string} dir - Source folder
+ * @param {Object} tile - `{ z, x, y }`
+ * @returns {Promise<Object|null>} `{ data, type }`, or null when the folder has no such tile
+ */
+const readFolderTile = async (dir, { z, x, y }) => {
+  for (const [extension, type] of Object.entries(TILE_TYPES)) {
+    try {
+      return { data: await fs.readFile(path.join(dir, String(z), String(x), `${y}.${extension}`)), type };
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+  return null;
+};
+
+/**
+ * @function openDatabase
+ * @description Opens an MBTiles file read-only, once per file
+ * @param {string} file - MBTiles path
+ * @returns {Promise<Object>} better-sqlite3 database
+ * @throws {HttpError} 501 when better-sqlite3 is not installed, 404 when the file is missing
+ */
+const openDatabase = (file) => {
+  if (!databases.has(file)) {
+    const opening = import(/* @vite-ignore */ SQLITE_MODULE)
+      .catch(() => {
+        throw new HttpError(501, `MBTiles sources need the ${SQLITE_MODULE} package (npm install ${SQLITE_MODULE})`);
+      })
+      .then(({ default: Database }) => {
+        try {
+          return new Database(file, { readonly: true, fileMustExist: true });
+        } catch {
+          throw new HttpError(404, 'MBTiles file not found');
+        }
+      });
+    // A failed open is retried on the next request, e.g. once the file has been copied over
+    databases.set(file, opening.catch(error => {
+      databases.delete(file);
+      throw error;
+    }));
+  }
+  return databases.get(file);
+};
+
+/**
+ * @function detectType
+ * @description Works out an MBTiles tile's image type from its first bytes
+ * @param {Buffer} data - Tile data
+ * @returns {string|null} MIME type, or null for anything that is not a raster image
+ */
+const detectType = (data) => {
+  if (data[0] === 0x89 && data[1] === 0x50) return 'image/png';
+  if (data[0] === 0xff && data[1] === 0xd8) return 'image/jpeg';
+  if (data.subarray(0, 4).toString() === 'RIFF' && data.subarray(8, 12).toString() === 'WEBP') return 'image/webp';
+  return null;
+};
+
+/**
+ * @function readMbtilesTile
+ * @description Reads a tile from an MBTiles file, whose rows count from the bottom (TMS)
+ * @param {string} file - MBTiles path
+ * @param {Object} tile - `{ z, x, y }`
+ * @returns {Promise<Object|null>} `{ data, type }`, or null when the file has no such tile
+ * @throws {HttpError} 415 for vector tiles, which the map cannot draw
+ */
+const readMbtilesTile = async (file, { z, x, y }) => {
+  const database = await openDatabase(file);
+  const row = database
+    .prepare('SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?')
+    .get(z, x, 2 ** z - 1 - y);
+  if (!row) return null;
+  const type = detectType(row.tile_data);
+  if (!type) throw new HttpError(415, 'Only raster MBTiles files are supported');
+  return { data: row.tile_data, type };
+};
+
+/**
+ * @function readLocalTile
+ * @description Reads one tile of a local tile source
+ * @param {Object} source - Normalized `folder` or `mbtiles` source
+ * @param {Object} tile - `{ z, x, y }`
+ * @returns {Promise<Object|null>} `{ data, type }`, or null when the source has no such tile
+ */
+export const readLocalTile = (source, tile) => {
+  const sourcePath = resolveSourcePath(source);
+  return source.type === 'mbtiles' ? readMbtilesTile(sourcePath, tile) : readFolderTile(sourcePath, tile);
+};
@@ -0,0 +1,233 @@
+/**
+ * @file locationStore.js
+ * @description Location persistence on top of the JSON store. By default it reads and
+ * writes `public/locations.json`, so the static file served to guests always matches
+ * what admins saved. Set `LOCATIONS_FILE` to point it somewhere else. Older data files
+ * are migrated on read, and every write is validated against the location schema and the
+ * file's own category list. Each write bumps the location's `revision`; updates and deletes
+ * that name the revision they started from are refused once it is out of date. Writes take
+ * the name of the editor making them, which is handed to `onChange` along with every
+ * location before and after, for the audit log.
+ */
+
+import path from 'node:path';
+import { createJsonStore } from './jsonStore.js';
+import {
+  assertValidCategories,
+  assertValidLocation,
+  migrateLocationData,
+  renameCategory as renameCategoryInData,
+  CategoryValidationError,
+  DEFAULT_CATEGORIES,
+  SCHEMA_VERSION
+} from '../src/utils/locationSchema.js';
+
+/**
+ * @class LocationConflictError
+ * @description Thrown when a write was based on an older revision of the location
+ * @property {Object} current - The location as it is stored now
+ */
+export class LocationConflictError extends Error {
+  constructor(current) {
+    super(`"${current.name}" was changed by someone else`);
+    this.name = 'LocationConflictError';
+    this.current = current;
+  }
+}
+
+/**
+ * @function assertRevision
+ * @description Checks that a write starts from the stored revision
+ * @param {Object} current - Stored location
+ * @param {number|undefined} expected - Revision the client started from; not checked if missing
+ * @throws {LocationConflictError} When the revisions differ
+ */
+const assertRevision = (current, expected) => {
+  if (expected !== undefined && expected !== current.revision) {
+    throw new LocationConflictError(current);
+  }
+};
+
+/**
+ * @constant {string} DEFAULT_LOCATIONS_FILE
+ * @description Location data file used when `LOCATIONS_FILE` is not set
+ */
+const DEFAULT_LOCATIONS_FILE = path.resolve(process.cwd(), 'public/locations.json');
+
+/**
+ * @function createLocationStore
+ * @description Creates a location store backed by a `{ version, categories, locations }` JSON file
+ * @param {string} [filePath] - Path of the data file
+ * @param {Object} [options]
+ * @param {Object} [options.bounds] - Area locations must lie in; see validateLocation
+ * @param {Function} [options.onChange] - Called after each write with
+ * `([{ before, after }], editor)`
+ * @param {string} [options.seedFile] - Data read until the file exists; see createJsonStore
+ * @returns {Object} Store with list/create/update/remove methods for locations and
+ * listCategories/replaceCategories/renameCategory for categories
+ */
+export const createLocationStore = (
+  filePath = process.env.LOCATIONS_FILE || DEFAULT_LOCATIONS_FILE,
+  { bounds, onChange = async () => {}, seedFile } = {}
+) => {
+  const store = createJsonStore(
+    filePath,
+    { version: SCHEMA_VERSION, categories: DEFAULT_CATEGORIES, locations: [] },
+    { migrate: migrateLocationData, seedFile }
+  );
+
+  const categoryNames = (data) => data.categories.map(category => category.name);
+
+  /**
+   * @function notify
+   * @description Reports the locations a write changed
+   * @param {Array<{before: Object|null, after: Object|null}>} changes - Changed locations
+   * @param {string} [editor] - Who made the write
+   * @returns {Promise<void>}
+   */
+  const notify = async (changes, editor) => {
+    if (changes.length > 0) await onChange(changes, editor);
+  };
+
+  /**
+   * @function list
+   * @description Returns every stored location
+   * @returns {Promise<Array>} Locations in file order
+   */
+  const list = async () => (await store.read()).locations;
+
+  /**
+   * @function create
+   * @description Adds a location. The client-supplied id is kept unless it is missing or taken.
+   * @param {Object} location - Location to add
+   * @param {string} [editor] - Who added it
+   * @returns {Promise<Object>} The stored location
+   * @throws {LocationValidationError} When the location is invalid
+   */
+  const create = async (location, editor) => {
+    const created = await store.update(data => {
+      const valid = assertValidLocation(location, { categories: categoryNames(data), bounds, requireId: false });
+      const ids = new Set(data.locations.map(loc => loc.id));
+      let id = Number.isFinite(valid.id) ? valid.id : Date.now();
+      while (ids.has(id)) {
+        id += 1;
+      }
+      // A restored location continues from its old revision so stale copies still conflict
+      const stored = { ...valid, id, revision: valid.revision + 1 };
+      data.locations.push(stored);
+      return stored;
+    });
+    await notify([{ before: null, after: created }], editor);
+    return created;
+  };
+
+  /**
+   * @function update
+   * @description Replaces the fields of an existing location
+   * @param {number} id - Location id
+   * @param {Object} changes - Fields to overwrite; `revision` is the revision they were made to
+   * @param {string} [editor] - Who made the changes
+   * @returns {Promise<Object|null>} The updated location, or null if it does not exist
+   * @throws {LocationValidationError} When the result would be invalid
+   * @throws {LocationConflictError} When the location changed since `changes.revision`
+   */
+  const update = async (id, changes, editor) => {
+    const result = await store.update(data => {
+      const index = data.locations.findIndex(loc => loc.id === id);
+      if (index < 0) return null;
+      const current = data.locations[index];
+      assertRevision(current, changes.revision);
+      data.locations[index] = assertValidLocation(
+        { ...current, ...changes, id, revision: current.revision + 1 },
+        { categories: categoryNames(data), bounds }
+      );
+      return { before: current, after: data.locations[index] };
+    });
+    if (!result) return null;
+    await notify([result], editor);
+    return result.after;
+  };
+
+  /**
+   * @function remove
+   * @description Deletes a location
+   * @param {number} id - Location id
+   * @param {number} [revision] - Revision the delete was decided on
+   * @param {string} [editor] - Who deleted it
+   * @returns {Promise<Object|null>} The deleted location, or null if it does not exist
+   * @throws {LocationConflictError} When the location changed since `revision`
+   */
+  const remove = async (id, revision, editor) => {
+    const removed = await store.update(data => {
+      const index = data.locations.findIndex(loc => loc.id === id);
+      if (index < 0) return null;
+      assertRevision(data.locations[index], revision);
+      return data.locations.splice(index, 1)[0];
+    });
+    if (removed) await notify([{ before: removed, after: null }], editor);
+    return removed;
+  };
+
+  /**
+   * @function listCategories
+   * @description Returns the category list
+   * @returns {Promise<Array>} Categories in display order
+   */
+  const listCategories = async () => (await store.read()).categories;
+
+  /**
+   * @function replaceCategories
+   * @description Replaces the category list, e.g. after adding, recoloring or reordering.
+   * Renaming goes through renameCategory so locations follow along.
+   * @param {Array} categories - New category list
+   * @returns {Promise<Array>} The stored categories
+   * @throws {CategoryValidationError} When the list is invalid or drops a category still in use
+   */
+  const replaceCategories = (categories) => store.update(data => {
+    const valid = assertValidCategories(categories);
+    const names = new Set(valid.map(category => category.name));
+    const errors = [...new Set(data.locations.flatMap(location => location.category))]
+      .filter(name => !names.has(name))
+      .map(name => {
+        const count = data.locations.filter(location => location.category.includes(name)).length;
+        return `"${name}" is still used by ${count} location${count === 1 ? '' : 's'}; merge it into another category instead`;
+      });
+    if (errors.length > 0) {
+      throw new CategoryValidationError(errors);
+    }
+    data.categories = valid;
+    return valid;
+  });
+
+  /**
+   * @function renameCategory
+   * @description Renames a category, or merges it into an existing one, rewriting every
+   * location that uses it
+   * @param {string} from - Current category name
+   * @param {string} to - New name, or the category to merge into
+   * @param {string} [editor] - Who renamed it
+   * @returns {Promise<{categories: Array, locations: Array}>} The stored categories and the
+   * locations that changed
+   * @throws {CategoryValidationError} When the category is unknown or the result is invalid
+   */
+  const renameCategory = async (from, to, editor) => {
+    const { result, changes } = await store.update(data => {
+      const { categories, locations, changed } = renameCategoryInData(data, from, to);
+      const changedIds = new Set(changed.map(location => location.id));
+      const previous = new Map(data.locations.map(location => [location.id, location]));
+      data.categories = assertValidCategories(categories);
+      data.locations = locations.map(location => (
+        changedIds.has(location.id) ? { ...location, revision: location.revision + 1 } : location
+      ));
+      const updated = data.locations.filter(location => changedIds.has(location.id));
+      return {
+        result: { categories: data.categories, locations: updated },
+        changes: updated.map(location => ({ before: previous.get(location.id), after: location }))
+      };
+    });
+    await notify(changes, editor);
+    return result;
+  };
+
+  return { list, create, update, remove, listCategories, replaceCategories, renameCategory };
+};
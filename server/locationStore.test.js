@@ -0,0 +1,75 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createLocationStore, LocationConflictError } from './locationStore.js';
+import { CATEGORIES } from '../src/utils/locationSchema.js';
+
+const SPOT = {
+  id: 1,
+  name: 'Smith Rock',
+  description: 'Climbing',
+  category: [CATEGORIES[0]],
+  emoji: '🧗',
+  position: [44.3672, -121.1406]
+};
+
+describe('location store revisions', () => {
+  let dir;
+  let store;
+  let changes;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'locations-'));
+    changes = [];
+    store = createLocationStore(path.join(dir, 'locations.json'), {
+      onChange: async (written, editor) => changes.push({ written, editor })
+    });
+  });
+
+  afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it('counts revisions up from 1 and reports each write', async () => {
+    const created = await store.create(SPOT, 'Ana');
+    const updated = await store.update(created.id, { name: 'Smith Rock State Park', revision: created.revision }, 'Ben');
+    expect([created.revision, updated.revision]).toEqual([1, 2]);
+    expect(changes.map(({ written, editor }) => [written[0].before?.revision ?? null, written[0].after.revision, editor]))
+      .toEqual([[null, 1, 'Ana'], [1, 2, 'Ben']]);
+  });
+
+  it('refuses an update made to an older revision and keeps the newer one', async () => {
+    const created = await store.create(SPOT, 'Ana');
+    await store.update(created.id, { name: 'First edit', revision: created.revision }, 'Ana');
+
+    const stale = store.update(created.id, { name: 'Second edit', revision: created.revision }, 'Ben');
+    await expect(stale).rejects.toBeInstanceOf(LocationConflictError);
+    await expect(stale).rejects.toMatchObject({ current: { name: 'First edit', revision: 2 } });
+
+    const [stored] = await store.list();
+    expect(stored).toMatchObject({ name: 'First edit', revision: 2 });
+    expect(changes).toHaveLength(2);
+  });
+
+  it('refuses a delete decided on an older revision', async () => {
+    const created = await store.create(SPOT, 'Ana');
+    await store.update(created.id, { description: 'Bring a rope', revision: 1 }, 'Ana');
+
+    await expect(store.remove(created.id, 1, 'Ben')).rejects.toBeInstanceOf(LocationConflictError);
+    expect(await store.list()).toHaveLength(1);
+    expect(await store.remove(created.id, 2, 'Ben')).toMatchObject({ revision: 2 });
+    expect(await store.list()).toEqual([]);
+  });
+
+  it('continues from the old revision when a deleted location is restored', async () => {
+    const created = await store.create(SPOT, 'Ana');
+    const deleted = await store.remove(created.id, created.revision, 'Ana');
+    const restored = await store.create(deleted, 'Ana');
+    expect(restored.revision).toBe(2);
+    await expect(store.update(restored.id, { name: 'Stale', revision: 1 }, 'Ben')).rejects.toBeInstanceOf(LocationConflictError);
+  });
+
+  it('returns null for locations that do not exist', async () => {
+    expect(await store.update(99, { name: 'Ghost', revision: 1 })).toBeNull();
+    expect(await store.remove(99, 1)).toBeNull();
+  });
+});
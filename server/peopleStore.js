@@ -0,0 +1,82 @@
+/**
+ * @file peopleStore.js
+ * @description People persistence on top of the JSON store. Like the locations, the roster
+ * lives in `public/` (`public/people.json`) so it can also be served as a static file; set
+ * `PEOPLE_FILE` to point it somewhere else.
+ */
+
+import path from 'node:path';
+import { createJsonStore } from './jsonStore.js';
+import { assertValidPerson, normalizePeople, PersonValidationError } from '../src/utils/people.js';
+
+/**
+ * @constant {string} DEFAULT_PEOPLE_FILE
+ * @description People data file used when `PEOPLE_FILE` is not set
+ */
+const DEFAULT_PEOPLE_FILE = path.resolve(process.cwd(), 'public/people.json');
+
+/**
+ * @function createPeopleStore
+ * @description Creates a people store backed by a `{ people: [...] }` JSON file
+ * @param {string} [filePath] - Path of the data file
+ * @param {Object} [options]
+ * @param {string} [options.seedFile] - Data read until the file exists; see createJsonStore
+ * @returns {Object} Store with list/create/update/remove methods
+ */
+export const createPeopleStore = (filePath = process.env.PEOPLE_FILE || DEFAULT_PEOPLE_FILE, { seedFile } = {}) => {
+  const store = createJsonStore(filePath, { people: [] }, { migrate: normalizePeople, seedFile });
+
+  /**
+   * @function list
+   * @description Returns everyone on the roster
+   * @returns {Promise<Array>} People in roster order
+   */
+  const list = async () => (await store.read()).people;
+
+  /**
+   * @function create
+   * @description Adds a person
+   * @param {Object} person - Person to add
+   * @param {Object} [context] - See validatePerson
+   * @returns {Promise<Object>} The stored person
+   * @throws {PersonValidationError} When the person is invalid or the profile path is taken
+   */
+  const create = (person, context) => store.update(data => {
+    const valid = assertValidPerson(person, context);
+    if (data.people.some(other => other.id === valid.id)) {
+      throw new PersonValidationError([`profile path "${valid.id}" is already taken`]);
+    }
+    data.people.push(valid);
+    return valid;
+  });
+
+  /**
+   * @function update
+   * @description Replaces the fields of a person. The profile path stays the same so links keep working.
+   * @param {string} id - Profile path
+   * @param {Object} changes - Fields to overwrite
+   * @param {Object} [context] - See validatePerson
+   * @returns {Promise<Object|null>} The updated person, or null if there is no such person
+   * @throws {PersonValidationError} When the result would be invalid
+   */
+  const update = (id, changes, context) => store.update(data => {
+    const index = data.people.findIndex(person => person.id === id);
+    if (index < 0) return null;
+    data.people[index] = assertValidPerson({ ...data.people[index], ...changes, id }, context);
+    return data.people[index];
+  });
+
+  /**
+   * @function remove
+   * @description Takes a person off the roster
+   * @param {string} id - Profile path
+   * @returns {Promise<Object|null>} The removed person, or null if there is no such person
+   */
+  const remove = (id) => store.update(data => {
+    const index = data.people.findIndex(person => person.id === id);
+    if (index < 0) return null;
+    return data.people.splice(index, 1)[0];
+  });
+
+  return { list, create, update, remove };
+};
@@ -0,0 +1,62 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createSessionStore } from './auth.js';
+
+const SPOT = { id: 1, name: 'Cabin', category: ['Home'], emoji: '🏠', position: [44.05, -121.31] };
+
+describe('people endpoint', () => {
+  let dir;
+  let handler;
+  let token;
+
+  const call = async (httpMethod, id, { body, auth = true } = {}) => {
+    const response = await handler({
+      httpMethod,
+      path: id ? `/api/people/${id}` : '/api/people',
+      headers: auth ? { authorization: `Bearer ${token}` } : {},
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.statusCode, body: JSON.parse(response.body) };
+  };
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'people-'));
+    await fs.writeFile(path.join(dir, 'locations.json'), JSON.stringify([SPOT]));
+    await fs.writeFile(path.join(dir, 'people.json'), JSON.stringify({ people: [] }));
+    vi.stubEnv('TRIPS_FILE', path.join(dir, 'trips.json'));
+    vi.stubEnv('LOCATIONS_FILE', path.join(dir, 'locations.json'));
+    vi.stubEnv('PEOPLE_FILE', path.join(dir, 'people.json'));
+    vi.stubEnv('SESSIONS_FILE', path.join(dir, 'sessions.json'));
+    ({ token } = await createSessionStore(path.join(dir, 'sessions.json')).create('Ana'));
+    vi.resetModules();
+    ({ handler } = await import('../netlify/functions/people.js'));
+  });
+
+  afterEach(async () => {
+    vi.unstubAllEnvs();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('lets admins add, edit and remove people, and anyone list them', async () => {
+    expect((await call('POST', null, { body: { name: 'Cooper' }, auth: false })).status).toBe(401);
+
+    const created = await call('POST', null, { body: { name: 'Cooper', homeLocationId: 1 } });
+    expect(created.status).toBe(201);
+    expect(created.body.person).toMatchObject({ id: 'cooper', homeLocationId: 1 });
+
+    const updated = await call('PUT', 'cooper', { body: { id: 'renamed', bio: 'Trip planner' } });
+    expect(updated.body.person).toMatchObject({ id: 'cooper', name: 'Cooper', bio: 'Trip planner' });
+    expect((await call('GET', null, { auth: false })).body.people).toHaveLength(1);
+
+    expect((await call('DELETE', 'cooper')).status).toBe(200);
+    expect((await call('DELETE', 'cooper')).status).toBe(404);
+  });
+
+  it('refuses taken profile paths and homes that are not locations', async () => {
+    await call('POST', null, { body: { name: 'Cooper' } });
+    expect((await call('POST', null, { body: { name: 'cooper' } })).body.errors).toEqual(['profile path "cooper" is already taken']);
+    expect((await call('PUT', 'cooper', { body: { homeLocationId: 7 } })).body.errors).toEqual(['home location does not exist']);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * @file photoStore.js
+ * @description Photo file storage for location attachments. Each upload is kept as a full
+ * image and a thumbnail under `public/photos`, next to the location data they belong to.
+ * Set `PHOTOS_DIR` to point it somewhere else. Files are never deleted when a photo is
+ * removed from a location, so undoing the edit brings the photo back.
+ */
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+
+/**
+ * @constant {string} DEFAULT_PHOTOS_DIR
+ * @description Photo directory used when `PHOTOS_DIR` is not set
+ */
+const DEFAULT_PHOTOS_DIR = path.resolve(process.cwd(), 'public/photos');
+
+/**
+ * @constant {Object} PHOTO_TYPES
+ * @description Accepted image MIME types and their file extensions
+ */
+export const PHOTO_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+
+/**
+ * @constant {RegExp} FILE_NAME_PATTERN
+ * @description Names the store writes: `<uuid>.<ext>` and `<uuid>-thumb.<ext>`
+ */
+const FILE_NAME_PATTERN = /^[0-9a-f-]{36}(-thumb)?\.(jpg|png|webp)$/;
+
+/**
+ * @function createPhotoStore
+ * @description Creates a store for photo files
+ * @param {string} [dir] - Directory holding the photos
+ * @returns {{save: Function, read: Function}} Store API
+ */
+export const createPhotoStore = (dir = process.env.PHOTOS_DIR || DEFAULT_PHOTOS_DIR) => {
+  /**
+   * @function save
+   * @description Writes a photo and its thumbnail under a new id
+   * @param {Object} photo
+   * @param {Buffer} photo.image - Full-size image
+   * @param {Buffer} photo.thumbnail - Thumbnail image
+   * @param {string} photo.type - MIME type of both images
+   * @returns {Promise<{id: string, file: string, thumbFile: string}>} The stored file names
+   */
+  const save = async ({ image, thumbnail, type }) => {
+    const id = randomUUID();
+    const extension = PHOTO_TYPES[type];
+    const file = `${id}.${extension}`;
+    const thumbFile = `${id}-thumb.${extension}`;
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, file), image);
+    await fs.writeFile(path.join(dir, thumbFile), thumbnail);
+    return { id, file, thumbFile };
+  };
+
+  /**
+   * @function read
+   * @description Reads a stored photo file
+   * @param {string} file - File name returned by save
+   * @returns {Promise<{data: Buffer, type: string}|null>} The file and its MIME type, or null
+   * when there is no such photo
+   */
+  const read = async (file) => {
+    if (!FILE_NAME_PATTERN.test(file)) return null;
+    try {
+      const data = await fs.readFile(path.join(dir, file));
+      const extension = path.extname(file).slice(1);
+      const type = Object.keys(PHOTO_TYPES).find(key => PHOTO_TYPES[key] === extension);
+      return { data, type };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  return { save, read };
+};
@@ -0,0 +1,55 @@
+/**
+ * @file ratingStore.js
+ * @description Rating persistence on top of the JSON store. Ratings live in
+ * `public/ratings.json` so they can also be served as a static file; set `RATINGS_FILE` to
+ * point it somewhere else. Each member has at most one rating per location. Ratings of a
+ * deleted location are kept, so undoing the delete brings them back.
+ */
+
+import path from 'node:path';
+import { createJsonStore } from './jsonStore.js';
+import { assertValidRating, isEmptyRating, normalizeRatings } from '../src/utils/ratings.js';
+
+/**
+ * @constant {string} DEFAULT_RATINGS_FILE
+ * @description Ratings data file used when `RATINGS_FILE` is not set
+ */
+const DEFAULT_RATINGS_FILE = path.resolve(process.cwd(), 'public/ratings.json');
+
+/**
+ * @function createRatingStore
+ * @description Creates a rating store backed by a `{ ratings: [...] }` JSON file
+ * @param {string} [filePath] - Path of the data file
+ * @param {Object} [options]
+ * @param {string} [options.seedFile] - Data read until the file exists; see createJsonStore
+ * @returns {Object} Store with list/rate methods
+ */
+export const createRatingStore = (filePath = process.env.RATINGS_FILE || DEFAULT_RATINGS_FILE, { seedFile } = {}) => {
+  const store = createJsonStore(filePath, { ratings: [] }, { migrate: normalizeRatings, seedFile });
+
+  /**
+   * @function list
+   * @description Returns every rating
+   * @returns {Promise<Array>} Ratings
+   */
+  const list = async () => (await store.read()).ratings;
+
+  /**
+   * @function rate
+   * @description Sets a member's rating of a location, replacing their earlier vote. A rating
+   * without stars or thumbs-up removes the vote.
+   * @param {Object} rating - `{ locationId, member, stars, thumbsUp }`
+   * @returns {Promise<Object|null>} The stored rating, or null when the vote was removed
+   * @throws {RatingValidationError} When the rating is invalid
+   */
+  const rate = (rating) => store.update(data => {
+    const valid = { ...assertValidRating(rating), updatedAt: new Date().toISOString() };
+    data.ratings = data.ratings.filter(existing =>
+      existing.locationId !== valid.locationId || existing.member !== valid.member);
+    if (isEmptyRating(valid)) return null;
+    data.ratings.push(valid);
+    return valid;
+  });
+
+  return { list, rate };
+};
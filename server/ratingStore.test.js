@@ -0,0 +1,57 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const SPOT = { id: 1, name: 'Crux', category: ['Food'], emoji: '🍺', position: [44.05, -121.31] };
+
+describe('ratings endpoint', () => {
+  let dir;
+  let handler;
+
+  const put = async (locationId, body) => {
+    const response = await handler({
+      httpMethod: 'PUT',
+      path: `/api/ratings/${locationId}`,
+      headers: {},
+      body: JSON.stringify(body)
+    });
+    return { status: response.statusCode, body: JSON.parse(response.body) };
+  };
+
+  const list = async () => JSON.parse((await handler({ httpMethod: 'GET', path: '/api/ratings', headers: {} })).body).ratings;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ratings-'));
+    await fs.writeFile(path.join(dir, 'locations.json'), JSON.stringify([SPOT]));
+    vi.stubEnv('TRIPS_FILE', path.join(dir, 'trips.json'));
+    vi.stubEnv('LOCATIONS_FILE', path.join(dir, 'locations.json'));
+    vi.stubEnv('RATINGS_FILE', path.join(dir, 'ratings.json'));
+    await fs.writeFile(path.join(dir, 'ratings.json'), JSON.stringify({ ratings: [] }));
+    vi.resetModules();
+    ({ handler } = await import('../netlify/functions/ratings.js'));
+  });
+
+  afterEach(async () => {
+    vi.unstubAllEnvs();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('keeps one vote per member and location, and drops emptied votes', async () => {
+    expect((await put(1, { member: 'Ana', stars: 4 })).body.rating).toMatchObject({ locationId: 1, member: 'Ana', stars: 4 });
+    await put(1, { member: 'Ana', stars: 5, thumbsUp: true });
+    await put(1, { member: 'Ben', stars: 3 });
+    expect((await list()).map(({ member, stars }) => [member, stars])).toEqual([['Ana', 5], ['Ben', 3]]);
+
+    expect((await put(1, { member: 'Ben', stars: null })).body.rating).toBeNull();
+    expect((await list()).map(({ member }) => member)).toEqual(['Ana']);
+  });
+
+  it('refuses invalid votes and votes on unknown locations', async () => {
+    const invalid = await put(1, { member: '', stars: 9 });
+    expect(invalid.status).toBe(422);
+    expect(invalid.body.errors).toEqual(['missing name', 'stars must be a whole number from 1 to 5']);
+    expect((await put(2, { member: 'Ana', stars: 4 })).status).toBe(404);
+    expect(await list()).toEqual([]);
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * @file tileSourceStore.js
+ * @description Extra map tile sources on top of the JSON store. The list lives in
+ * `public/tile-sources.json` so it can also be served as a static file; set
+ * `TILE_SOURCES_FILE` to point it somewhere else. Sources are shared by every trip.
+ */
+
+import path from 'node:path';
+import { createJsonStore } from './jsonStore.js';
+import { assertValidTileSources, normalizeTileSources } from '../src/utils/tileSources.js';
+
+/**
+ * @constant {string} DEFAULT_TILE_SOURCES_FILE
+ * @description Tile sources file used when `TILE_SOURCES_FILE` is not set
+ */
+export const DEFAULT_TILE_SOURCES_FILE = path.resolve(process.cwd(), 'public/tile-sources.json');
+
+/**
+ * @function createTileSourceStore
+ * @description Creates a tile source store backed by a `{ sources: [...] }` JSON file
+ * @param {string} [filePath] - Path of the data file
+ * @param {Object} [options]
+ * @param {string} [options.seedFile] - Data read until the file exists; see createJsonStore
+ * @returns {Object} Store with list/get/replace methods
+ */
+export const createTileSourceStore = (filePath = process.env.TILE_SOURCES_FILE || DEFAULT_TILE_SOURCES_FILE, { seedFile } = {}) => {
+  const store = createJsonStore(filePath, { sources: [] }, { migrate: normalizeTileSources, seedFile });
+
+  /**
+   * @function list
+   * @description Returns every extra tile source
+   * @returns {Promise<Array>} Sources
+   */
+  const list = async () => (await store.read()).sources;
+
+  /**
+   * @function get
+   * @description Finds a tile source by id
+   * @param {string} id - Source id
+   * @returns {Promise<Object|undefined>} The source
+   */
+  const get = async (id) => (await list()).find(source => source.id === id);
+
+  /**
+   * @function replace
+   * @description Replaces the whole source list
+   * @param {Array} sources - New sources
+   * @returns {Promise<Array>} The stored sources
+   * @throws {TileSourceValidationError} When a source is invalid
+   */
+  const replace = (sources) => store.update(data => {
+    data.sources = assertValidTileSources(sources);
+    return data.sources;
+  });
+
+  return { list, get, replace };
+};
@@ -0,0 +1,59 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createSessionStore } from './auth.js';
+
+describe('tile sources endpoint', () => {
+  let dir;
+  let handler;
+  let token;
+
+  const call = async (httpMethod, tilePath = '', { body, auth = true } = {}) => {
+    const response = await handler({
+      httpMethod,
+      path: `/api/tiles${tilePath}`,
+      headers: auth ? { authorization: `Bearer ${token}` } : {},
+      body: body && JSON.stringify(body)
+    });
+    const isJson = response.headers['Content-Type'].startsWith('application/json');
+    return { status: response.statusCode, body: isJson ? JSON.parse(response.body) : response.body };
+  };
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tiles-'));
+    await fs.mkdir(path.join(dir, 'tiles', 'bend', '12', '654'), { recursive: true });
+    await fs.writeFile(path.join(dir, 'tiles', 'bend', '12', '654', '1453.png'), 'png');
+    await fs.writeFile(path.join(dir, 'tile-sources.json'), JSON.stringify({ sources: [] }));
+    vi.stubEnv('TILE_SOURCES_FILE', path.join(dir, 'tile-sources.json'));
+    vi.stubEnv('TILES_DIR', path.join(dir, 'tiles'));
+    vi.stubEnv('SESSIONS_FILE', path.join(dir, 'sessions.json'));
+    ({ token } = await createSessionStore(path.join(dir, 'sessions.json')).create('Ana'));
+    vi.resetModules();
+    ({ handler } = await import('../netlify/functions/tiles.js'));
+  });
+
+  afterEach(async () => {
+    vi.unstubAllEnvs();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('saves sources for admins only and serves tiles of local folders', async () => {
+    const sources = [{ id: 'bend', name: 'Bend', type: 'folder', path: 'bend' }];
+    expect((await call('PUT', '', { body: { sources }, auth: false })).status).toBe(401);
+    expect((await call('PUT', '', { body: { sources } })).status).toBe(200);
+    expect((await call('GET', '', { auth: false })).body.sources).toEqual([expect.objectContaining({ id: 'bend' })]);
+
+    const tile = await call('GET', '/bend/12/654/1453.png', { auth: false });
+    expect(tile.status).toBe(200);
+    expect(Buffer.from(tile.body, 'base64').toString()).toBe('png');
+    expect((await call('GET', '/bend/12/654/1454.png', { auth: false })).status).toBe(404);
+    expect((await call('GET', '/bend/12/9999/1453', { auth: false })).status).toBe(400);
+  });
+
+  it('refuses invalid sources with the problems found', async () => {
+    const { status, body } = await call('PUT', '', { body: { sources: [{ id: 'x', name: 'Escape', type: 'folder', path: '../..' }] } });
+    expect(status).toBe(422);
+    expect(body.errors).toEqual(['"Escape" needs a path inside the tiles folder']);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * @file trips.js
+ * @description Resolves which trip an API request is for and hands out that trip's stores.
+ * Requests name the trip with `?trip=<id>`; without it they get the manifest's default trip,
+ * so single-trip clients keep working. The manifest is read from `public/trips.json` (set
+ * `TRIPS_FILE` to point it somewhere else).
+ *
+ * A trip's data files sit next to its `dataFile` under `public/`, except comments, expenses
+ * and the audit log, which go in the matching folder under `data/`. The `LOCATIONS_FILE`,
+ * `ITINERARY_FILE`, `PEOPLE_FILE`, `EVENTS_FILE`, `RATINGS_FILE`, `CHECKINS_FILE`, `COMMENTS_FILE`,
+ * `EXPENSES_FILE` and `AUDIT_FILE` overrides apply to the default trip. An overridden file
+ * that does not exist yet starts from the trip's copy under `public/`, which is bundled with
+ * the Netlify functions, so the overrides can point at a writable folder.
+ *
+ * Every location write is recorded in the trip's audit log and pushed to the other open
+ * copies of the trip through the live sync hub.
+ */
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { HttpError } from './http.js';
+import { createLocationStore } from './locationStore.js';
+import { createItineraryStore } from './itineraryStore.js';
+import { createPeopleStore } from './peopleStore.js';
+import { createEventStore } from './eventStore.js';
+import { createRatingStore } from './ratingStore.js';
+import { createCheckInStore } from './checkInStore.js';
+import { createCommentStore } from './commentStore.js';
+import { createExpenseStore } from './expenseStore.js';
+import { createAuditStore } from './auditStore.js';
+import { getLiveHub } from './liveSync.js';
+import { parseTripManifest, getTripDataDir } from '../src/utils/trips.js';
+
+/**
+ * @constant {string} DEFAULT_TRIPS_FILE
+ * @description Manifest used when `TRIPS_FILE` is not set
+ */
+const DEFAULT_TRIPS_FILE = path.resolve(process.cwd(), 'public/trips.json');
+
+const PUBLIC_DIR = path.resolve(process.cwd(), 'public');
+const DATA_DIR = path.resolve(process.cwd(), 'data');
+
+/**
+ * @constant {Map} storeCache
+ * @description Stores by trip id and file. Each JSON store serializes its own writes, so
+ * every request for a trip has to share the same instances.
+ */
+const storeCache = new Map();
+
+/**
+ * @function readTripManifest
+ * @description Reads the trip manifest; a missing file means the single original trip
+ * @returns {Promise<Object>} `{ defaultTrip, trips }`
+ * @throws {TripManifestError} When the manifest is invalid
+ */
+export const readTripManifest = async () => {
+  try {
+    return parseTripManifest(JSON.parse(await fs.readFile(process.env.TRIPS_FILE || DEFAULT_TRIPS_FILE, 'utf8')));
+  } catch (error) {
+    if (error.code === 'ENOENT') return parseTripManifest(null);
+    throw error;
+  }
+};
+
+/**
+ * @function getTripFiles
+ * @description Paths of a trip's data files
+ * @param {Object} trip - Normalized trip
+ * @param {boolean} isDefault - Whether it is the manifest's default trip
+ * @returns {Object} Absolute paths keyed by store name
+ */
+const getTripFiles = (trip, isDefault) => {
+  const dir = getTripDataDir(trip);
+  const override = (variable, file) => (isDefault && process.env[variable]) || file;
+  return {
+    locations: override('LOCATIONS_FILE', path.join(PUBLIC_DIR, trip.dataFile)),
+    itinerary: override('ITINERARY_FILE', path.join(PUBLIC_DIR, dir, 'itinerary.json')),
+    people: override('PEOPLE_FILE', path.join(PUBLIC_DIR, dir, 'people.json')),
+    events: override('EVENTS_FILE', path.join(PUBLIC_DIR, dir, 'events.json')),
+    ratings: override('RATINGS_FILE', path.join(PUBLIC_DIR, dir, 'ratings.json')),
+    checkins: override('CHECKINS_FILE', path.join(PUBLIC_DIR, dir, 'checkins.json')),
+    comments: override('COMMENTS_FILE', path.join(DATA_DIR, dir, 'comments.json')),
+    expenses: override('EXPENSES_FILE', path.join(DATA_DIR, dir, 'expenses.json')),
+    audit: override('AUDIT_FILE', path.join(DATA_DIR, dir, 'audit.json'))
+  };
+};
+
+/**
+ * @function getTripStores
+ * @description Finds the trip a request is for and returns its stores
+ * @param {Object} event - Serverless event
+ * @returns {Promise<Object>} `{ trip, locations, itinerary, people, events, ratings, checkins, comments, expenses, audit }`
+ * @throws {HttpError} 404 when the request names an unknown trip
+ */
+export const getTripStores = async (event) => {
+  const manifest = await readTripManifest();
+  const id = event.queryStringParameters?.trip || manifest.defaultTrip;
+  const trip = manifest.trips.find(candidate => candidate.id === id);
+  if (!trip) {
+    throw new HttpError(404, `Unknown trip "${id}"`);
+  }
+
+  const files = getTripFiles(trip, trip.id === manifest.defaultTrip);
+  const bundled = getTripFiles(trip, false);
+  const cacheKey = JSON.stringify([trip.id, files, trip.bounds]);
+  if (!storeCache.has(cacheKey)) {
+    const audit = createAuditStore(files.audit);
+    // The location is already saved by the time this runs, so a failed audit write is
+    // logged rather than turned into an error for a request that did its job
+    const onChange = async (changes, editor) => {
+      try {
+        await audit.record(changes, editor);
+      } catch (error) {
+        console.error(`Could not record ${changes.length} change(s) in the audit log of ${trip.id}:`, error);
+      }
+      getLiveHub().publish(trip.id, { type: 'changes', changes, editor });
+    };
+    storeCache.set(cacheKey, {
+      trip,
+      locations: createLocationStore(files.locations, { bounds: trip.bounds, onChange, seedFile: bundled.locations }),
+      itinerary: createItineraryStore(files.itinerary, { seedFile: bundled.itinerary }),
+      people: createPeopleStore(files.people, { seedFile: bundled.people }),
+      events: createEventStore(files.events, { seedFile: bundled.events }),
+      ratings: createRatingStore(files.ratings, { seedFile: bundled.ratings }),
+      checkins: createCheckInStore(files.checkins, { seedFile: bundled.checkins }),
+      comments: createCommentStore(files.comments),
+      expenses: createExpenseStore(files.expenses),
+      audit
+    });
+  }
+  return storeCache.get(cacheKey);
+};
@@ -1,213 +1,463 @@
 /**
  * @file App.jsx
- * @description Main application component for the Bend Travel Guide. Handles map display,
+ * @description Main application component for one trip's travel guide. Handles map display,
  * location management, and user interactions.
  */
 
-import React, { useState, useEffect, useRef } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, useMap } from 'react-leaflet';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { MapContainer, TileLayer, Marker, Popup, Polyline, Circle, useMap } from 'react-leaflet';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
-import { FaChevronLeft, FaChevronRight, FaSearch, FaLock, FaUnlock, FaMap, FaList, FaCheck, FaDog } from 'react-icons/fa';
+import { FaChevronLeft, FaChevronRight, FaLock, FaUnlock, FaMap, FaList, FaCheck, FaUsers, FaUndo, FaRedo, FaCalendarDay, FaCalendarAlt, FaReceipt } from 'react-icons/fa';
 import HotDogParty from './components/HotDogParty';
-import CooperParty from './components/CooperParty';
-
-/**
- * @constant {Array} INITIAL_CENTER
- * @description Default map center coordinates for Bend, Oregon
- */
-const INITIAL_CENTER = [44.0582, -121.3153];
-
-/**
- * @constant {number} INITIAL_ZOOM
- * @description Initial zoom level for the map
- */
-const INITIAL_ZOOM = 13;
-
-/**
- * @constant {Object} MAP_STYLES
- * @description Different map style configurations for the application
- * @property {Object} minimal - Minimal map style with no labels
- * @property {Object} light - Light map style with labels
- * @property {Object} detailed - Detailed map style with more information
- */
-const MAP_STYLES = {
-  minimal: {
-    url: 'https://{s}.basemaps.cartocdn.com/light_nolabels/{z}/{x}/{y}.png',
-    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>'
-  },
-  light: {
-    url: 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}.png',
-    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>'
-  },
-  detailed: {
-    url: 'https://{s}.basemaps.cartocdn.com/rastertiles/voyager/{z}/{x}/{y}.png',
-    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>'
-  }
-};
-
-/**
- * @constant {Array} CATEGORIES
- * @description Available categories for location classification
- */
-const CATEGORIES = ['Food', 'Beverages', 'Activities', 'Home'];
-
-/**
- * @constant {Object} CATEGORY_EMOJIS
- * @description Emoji mappings for different location categories
- * @property {Array} Food - Food-related emojis
- * @property {Array} Beverages - Beverage-related emojis
- * @property {Array} Activities - Activity-related emojis
- * @property {Array} Home - Home-related emojis
- */
-const CATEGORY_EMOJIS = {
-  Food: ['🍽️', '🍕', '🍜', '🍣', '🥗', '🥪', '🍰', '🍦'],
-  Beverages: ['🍺', '🍷', '🍸', '🍹', '🥂', '🍻', '🥃'],
-  Activities: ['🏃', '🚴', '⛷️', '🏂', '🎣', '⛰️', '🏕️', '🎯', '🎨', '🎭', '🎪', '🎢', '🏖️', '🏊'],
-  Home: ['🏠', '🏡', '🏘️', '🏚️', '🏛️', '🏰']
-};
-
-/**
- * @constant {string} ADMIN_PASSWORD
- * @description Password for admin access (should be moved to environment variables in production)
- */
-const ADMIN_PASSWORD = 'strongjasper';
+import { celebrate } from './components/PartyButton';
+import PeopleView from './components/PeopleView';
+import PersonProfile from './components/PersonProfile';
+import PersonEditor from './components/PersonEditor';
+import EventsView from './components/EventsView';
+import EventEditor from './components/EventEditor';
+import EventCountdown from './components/EventCountdown';
+import ExpensesView from './components/ExpensesView';
+import ExpenseEditor from './components/ExpenseEditor';
+import UndoToast from './components/UndoToast';
+import ImportDialog from './components/ImportDialog';
+import ExportMenu from './components/ExportMenu';
+import ItineraryView from './components/ItineraryView';
+import DistanceControls from './components/DistanceControls';
+import MarkerClusterGroup from './components/MarkerClusterGroup';
+import OfflineMapDialog from './components/OfflineMapDialog';
+import CategorySettings from './components/CategorySettings';
+import SearchBox from './components/SearchBox';
+import Highlight from './components/Highlight';
+import EmojiInput from './components/EmojiInput';
+import PhotoStrip from './components/PhotoStrip';
+import PhotoGallery from './components/PhotoGallery';
+import RatingControl from './components/RatingControl';
+import NamePicker from './components/NamePicker';
+import CheckInButton from './components/CheckInButton';
+import TripProgress from './components/TripProgress';
+import VisitedFilter from './components/VisitedFilter';
+import CommentThread from './components/CommentThread';
+import TripSwitcher from './components/TripSwitcher';
+import MapStyleControl from './components/MapStyleControl';
+import TileSourceSettings from './components/TileSourceSettings';
+import SyncDialog from './components/SyncDialog';
+import HistoryPanel from './components/HistoryPanel';
+import { fetchLocations, createLocation, updateLocation, deleteLocation } from './api/locations';
+import { login, logout, restoreSession } from './api/auth';
+import { fetchAuditLog } from './api/audit';
+import { fetchPeople, createPerson, updatePerson, deletePerson } from './api/people';
+import { fetchEvents, createEvent, updateEvent, deleteEvent } from './api/events';
+import { fetchExpenses, addExpense, updateExpense, deleteExpense } from './api/expenses';
+import { fetchItinerary, saveItinerary } from './api/itinerary';
+import { saveCategories, renameCategory } from './api/categories';
+import { uploadPhoto } from './api/photos';
+import { fetchRatings, saveRating } from './api/ratings';
+import { fetchCheckIns, checkIn, undoCheckIn } from './api/checkins';
+import { fetchComments, addComment, editComment, deleteComment } from './api/comments';
+import { fetchTileSources, saveTileSources } from './api/tileSources';
+import { getAuthToken, setAuthToken } from './api/client';
+import { DEFAULT_CATEGORIES, HOME_CATEGORY, normalizeLocation, validateLocation, parseLocations } from './utils/locationSchema';
+import { EXPORT_FORMATS, exportLocations } from './utils/locationFormats';
+import { downloadFile } from './utils/download';
+import { buildCalendar, calendarFileName, ICS_FORMAT } from './utils/icalendar';
+import { normalizeItinerary, buildRoute, findHeadquarters } from './utils/itinerary';
+import { sortEvents } from './utils/events';
+import { sortExpenses, summarizeSpendByLocation, formatMoney } from './utils/expenses';
+import { toExpenseCSV, EXPENSE_CSV_FORMAT } from './utils/expenseExport';
+import { haversineDistance, formatDistance } from './utils/geo';
+import { parseRoute, buildUrl } from './utils/routes';
+import { searchLocations } from './utils/search';
+import { normalizeRatings, summarizeRatings, listMembers, UNRATED_SCORE } from './utils/ratings';
+import { normalizeCheckIns, groupCheckIns, matchesVisitedFilter, summarizeProgress } from './utils/checkins';
+import { normalizeComments, groupComments } from './utils/comments';
+import { listMapStyles, resolveMapStyle } from './utils/tileSources';
+import { SyncCancelledError, diffLocationLists, listSyncFields } from './utils/locationSync';
+import { getRestorableVersion } from './utils/auditLog';
+import { mergeLocationChanges } from './utils/liveSync';
+import { escapeHtml, cssUrl } from './utils/html';
+import useEditHistory from './hooks/useEditHistory';
+import useOnlineStatus from './hooks/useOnlineStatus';
+import useMemberName from './hooks/useMemberName';
+import useMapStyle from './hooks/useMapStyle';
+import useLiveSync from './hooks/useLiveSync';
 
 /**
  * @function App
- * @description Main application component
+ * @description Main application component. It is remounted when the trip changes, so all of
+ * its state belongs to one trip.
+ * @param {Object} props
+ * @param {Object} props.trip - Trip being shown, from the manifest
+ * @param {Object} props.manifest - `{ defaultTrip, trips }`
+ * @param {Function} props.onSwitchTrip - Called with the id of a trip to show instead
  * @returns {JSX.Element} The rendered application
  */
-function App() {
+function App({ trip, manifest, onSwitchTrip }) {
   /**
    * @state {Array} locations - List of locations to display on the map
+   * @state {Array} categoryList - Categories stored with the location data, in display order
    * @state {Object|null} selectedLocation - Currently selected location
    * @state {boolean} isEditing - Whether a location is being edited
    * @state {boolean} isSidebarOpen - Whether the sidebar is open
    * @state {string} searchTerm - Current search term for filtering locations
    * @state {Set} selectedCategories - Set of selected category filters
-   * @state {string} mapStyle - Current map style
+   * @state {Array} tileSources - Extra map tile sources configured by admins
    * @state {boolean} isAdmin - Whether the user is logged in as admin
-   * @state {string} password - Admin password input
-   * @state {string} view - Current view ('map', 'list', or 'cooper')
-   * @state {string} customEmoji - Custom emoji for location markers
+   * @state {string|null} adminName - Name the server logs this admin's edits under
+   * @state {string} view - Current view ('map', 'list', 'today', 'events', 'expenses' or 'people')
+   * @state {string|null} personId - Profile shown in the people view; null for the index
+   * @state {Array} people - Trip members
+   * @state {Object|null} personEditor - `{ person }` while a profile is being edited; person is null when adding
+   * @state {Array} events - Trip events by start time
+   * @state {Object|null} eventEditor - `{ event }` while an event is being edited; event is null when adding
+   * @state {Array} expenses - The shared expense ledger, newest first
+   * @state {Object|null} expenseEditor - `{ expense, defaults }` while an expense is being edited; expense is null when logging one
    * @state {boolean} showSaveIndicator - Whether to show the save indicator
+   * @state {Array} invalidLocations - Loaded records that failed validation, with their errors
+   * @state {Array} editorErrors - Validation errors for the location being edited
+   * @state {Object|null} undoToast - Message and history entry for the "Undo delete" toast
+   * @state {Object|null} pendingMove - Location dragged to a new position, awaiting confirmation
+   * @state {boolean} isImportOpen - Whether the import dialog is shown
+   * @state {boolean} isOfflineMapOpen - Whether the offline map download dialog is shown
+   * @state {boolean} isCategorySettingsOpen - Whether the category settings panel is shown
+   * @state {boolean} isTileSourceSettingsOpen - Whether the tile source settings panel is shown
+   * @state {Object|null} syncConflict - Refused change waiting for the admin, with the callbacks of its pending save
+   * @state {Object|null} historyFilters - `{ locationId, editor }` while the History panel is open
+   * @state {Object|null} auditLog - Audit entries shown in the History panel, null while loading
+   * @state {Object} itinerary - Trip days and their ordered stops
+   * @state {string|null} routeDayId - Itinerary day whose route is drawn on the map
+   * @state {string} originId - Where distances are measured from: a Home location id or 'me' (empty for HQ)
+   * @state {Array|null} userPosition - Device location from the Geolocation API
+   * @state {string} geolocationError - Why the device location could not be used
+   * @state {string} sortBy - List sort order ('nearest', 'name' or 'category')
+   * @state {number|null} radiusKm - Only show locations within this distance of the origin
+   * @state {number|null} focusLocationId - Linked location to fly to once it is loaded and the map is ready
+   * @state {boolean} isMapReady - Whether the Leaflet map of the map view has been created
    */
+  const routeOptions = { tripIds: manifest.trips.map(candidate => candidate.id) };
+  const [initialRoute] = useState(() => parseRoute(window.location.pathname, window.location.search, routeOptions));
   const [locations, setLocations] = useState([]);
+  const [categoryList, setCategoryList] = useState(DEFAULT_CATEGORIES);
   const [selectedLocation, setSelectedLocation] = useState(null);
   const [isEditing, setIsEditing] = useState(false);
   const [isSidebarOpen, setIsSidebarOpen] = useState(false);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [selectedCategories, setSelectedCategories] = useState(new Set());
-  const [mapStyle, setMapStyle] = useState('detailed');
+  const [searchTerm, setSearchTerm] = useState(initialRoute.searchTerm);
+  const [selectedCategories, setSelectedCategories] = useState(initialRoute.categories);
+  const [tileSources, setTileSources] = useState([]);
   const [isAdmin, setIsAdmin] = useState(false);
-  const [password, setPassword] = useState('');
-  const [view, setView] = useState('map'); // 'map' or 'list' or 'cooper'
-  const [customEmoji, setCustomEmoji] = useState('📍');
+  const [adminName, setAdminName] = useState(null);
+  const [view, setView] = useState(initialRoute.view); // 'map', 'list', 'today', 'events', 'expenses' or 'people'
+  const [personId, setPersonId] = useState(initialRoute.personId);
+  const [people, setPeople] = useState([]);
+  const [personEditor, setPersonEditor] = useState(null);
+  const [events, setEvents] = useState([]);
+  const [eventEditor, setEventEditor] = useState(null);
+  const [expenses, setExpenses] = useState([]);
+  const [expenseEditor, setExpenseEditor] = useState(null);
   const [showSaveIndicator, setShowSaveIndicator] = useState(false);
+  const [invalidLocations, setInvalidLocations] = useState([]);
+  const [editorErrors, setEditorErrors] = useState([]);
+  const [undoToast, setUndoToast] = useState(null);
+  const [pendingMove, setPendingMove] = useState(null);
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  const [isOfflineMapOpen, setIsOfflineMapOpen] = useState(false);
+  const [gallery, setGallery] = useState(null); // { photos, index, title } while open
+  const [isCategorySettingsOpen, setIsCategorySettingsOpen] = useState(false);
+  const [isTileSourceSettingsOpen, setIsTileSourceSettingsOpen] = useState(false);
+  const [syncConflict, setSyncConflict] = useState(null);
+  const [historyFilters, setHistoryFilters] = useState(null);
+  const [auditLog, setAuditLog] = useState(null);
+  const [itinerary, setItinerary] = useState({ days: [] });
+  const [routeDayId, setRouteDayId] = useState(null);
+  const [originId, setOriginId] = useState('');
+  const [userPosition, setUserPosition] = useState(null);
+  const [geolocationError, setGeolocationError] = useState('');
+  const [sortBy, setSortBy] = useState('nearest');
+  const [radiusKm, setRadiusKm] = useState(null);
+  const [focusLocationId, setFocusLocationId] = useState(initialRoute.locationId);
+  const [isMapReady, setIsMapReady] = useState(false);
+  const [ratings, setRatings] = useState([]);
+  const [isNamePickerOpen, setIsNamePickerOpen] = useState(false);
+  const [pendingAction, setPendingAction] = useState(null); // { run, cancel } waiting for a name to be picked
+  const [checkins, setCheckIns] = useState([]);
+  const [visitedFilter, setVisitedFilter] = useState(initialRoute.visited); // 'all', 'hide' or 'only'
+  const [comments, setComments] = useState([]);
+  const [expandedCardIds, setExpandedCardIds] = useState(() => new Set());
   
   // Add state variables for location editor
   const [name, setName] = useState('');
   const [description, setDescription] = useState('');
   const [categories, setCategories] = useState([]);
   const [emoji, setEmoji] = useState('📍');
+  const [photos, setPhotos] = useState([]);
+  const [coverPhotoId, setCoverPhotoId] = useState(null);
+  const [photoUploads, setPhotoUploads] = useState(0);
+  const [latitude, setLatitude] = useState('');
+  const [longitude, setLongitude] = useState('');
 
   /**
    * @ref {Object} mapRef - Reference to the map instance
    * @ref {Object} saveTimeoutRef - Reference to the save indicator timeout
+   * @ref {Object} clusterRef - Reference to the marker cluster layer
+   * @ref {Map} markerRefs - Leaflet markers by location id
    */
   const mapRef = useRef(null);
+  const clusterRef = useRef(null);
+  const markerRefs = useRef(new Map());
   const saveTimeoutRef = useRef(null);
+  const isApplyingHistoryRef = useRef(false);
+  const remoteEditorsRef = useRef(new Map()); // location id -> who last changed it elsewhere
+
+  const history = useEditHistory(isAdmin && adminName ? `${trip.id}:${adminName}` : null);
+  const isOnline = useOnlineStatus();
+  const [memberName, setMemberName] = useMemberName();
+  const [preferredMapStyle, setPreferredMapStyle] = useMapStyle();
+
+  /**
+   * @constant {Object} mapStyle
+   * @description Style the map is drawn in: the one picked on this device, else the trip's
+   * default, else the built-in default
+   */
+  const mapStyles = listMapStyles(tileSources);
+  const mapStyle = resolveMapStyle(mapStyles, preferredMapStyle, trip.mapStyle);
+
+  /**
+   * @constant {Array<string>} categoryNames
+   * @description Names of the categories, in display order
+   */
+  const categoryNames = categoryList.map(category => category.name);
+
+  /**
+   * @function getCategory
+   * @description Looks up a category by name
+   * @param {string} name - Category name
+   * @returns {Object|undefined} `{ name, color, emoji, emojis }`
+   */
+  const getCategory = (name) => categoryList.find(category => category.name === name);
+
+  /**
+   * @function getEmojiPalette
+   * @description Emoji offered in the editor for a location's categories: their palettes
+   * combined, or every palette when no category is picked yet
+   * @param {Array<string>} names - Category names
+   * @returns {Array<string>} Emoji without duplicates
+   */
+  const getEmojiPalette = (names) => {
+    const selected = categoryList.filter(category => names.includes(category.name));
+    return [...new Set((selected.length > 0 ? selected : categoryList).flatMap(category => category.emojis))];
+  };
+
+  /**
+   * @function loadLocations
+   * @description Loads locations and categories from the API, falling back to the static
+   * JSON file when the API is not available (e.g. a plain static deploy). Records that fail
+   * validation are left off the map and reported instead.
+   */
+  const loadLocations = () => {
+    fetchLocations()
+      .catch(() => fetch(`/${trip.dataFile}`).then(response => response.json()))
+      .then(data => {
+        const { categories, locations, invalid } = parseLocations(data, { bounds: trip.bounds });
+        invalid.forEach(({ location, errors }) => {
+          console.warn(`Skipping invalid location "${location.name || location.id}": ${errors.join('; ')}`);
+        });
+        setCategoryList(categories);
+        setLocations(locations);
+        setInvalidLocations(invalid);
+      })
+      .catch(error => console.error('Error loading locations:', error));
+  };
+
+  /**
+   * @function loadRatings
+   * @description Loads everyone's ratings
+   */
+  const loadRatings = () => {
+    fetchRatings()
+      .then(data => setRatings(normalizeRatings(data).ratings))
+      .catch(error => console.error('Error loading ratings:', error));
+  };
+
+  /**
+   * @function loadCheckIns
+   * @description Loads everyone's check-ins
+   */
+  const loadCheckIns = () => {
+    fetchCheckIns()
+      .then(data => setCheckIns(normalizeCheckIns(data).checkins))
+      .catch(error => console.error('Error loading check-ins:', error));
+  };
+
+  /**
+   * @function loadComments
+   * @description Loads every comment, flagged with whether this device wrote it
+   */
+  const loadComments = () => {
+    fetchComments()
+      .then(data => setComments(normalizeComments({ comments: data }).comments))
+      .catch(error => console.error('Error loading comments:', error));
+  };
+
+  /**
+   * @function loadExpenses
+   * @description Loads the expense ledger, flagged with which expenses this device logged
+   */
+  const loadExpenses = () => {
+    fetchExpenses()
+      .then(setExpenses)
+      .catch(error => console.error('Error loading expenses:', error));
+  };
+
+  /**
+   * @function handleRemoteChanges
+   * @description Merges locations written in another tab or on another device into the
+   * loaded list. The map view and any open editor are left as they are; the editor warns
+   * when the location it has open was changed underneath it. Categories this copy has not
+   * seen yet (e.g. after a rename) are loaded along with everything else.
+   * @param {Array} changes - `[{ before, after }]`
+   * @param {string} editor - Who made the changes
+   */
+  const handleRemoteChanges = (changes, editor) => {
+    const incoming = changes.map(({ before, after }) => ({ before, after: after && normalizeLocation(after) }));
+    incoming.forEach(({ before, after }) => remoteEditorsRef.current.set((after || before).id, editor));
+    setLocations(prev => mergeLocationChanges(prev, incoming));
+    if (incoming.some(({ after }) => after?.category.some(category => !categoryNames.includes(category)))) {
+      loadLocations();
+    }
+  };
+
+  const liveSync = useLiveSync({
+    tripId: trip.id,
+    editor: adminName,
+    token: isAdmin ? getAuthToken() : null,
+    onChanges: handleRemoteChanges
+  });
 
   /**
    * @effect
-   * @description Loads locations from localStorage or JSON file on component mount
+   * @description Tells other admins which saved location is open in this editor
    */
   useEffect(() => {
-    const savedLocations = localStorage.getItem('locations');
-    const isAdminSession = localStorage.getItem('isAdminSession');
-    
-    // Always start in non-admin mode
-    setIsAdmin(false);
-    
-    // Only load saved locations if there's a valid admin session
-    if (isAdminSession === 'true' && savedLocations) {
-      setLocations(JSON.parse(savedLocations));
-    } else {
-      // Load default locations from JSON file
-      fetch('/locations.json')
-        .then(response => response.json())
-        .then(data => setLocations(data.locations))
-        .catch(error => console.error('Error loading locations:', error));
-    }
+    const isOpen = isAdmin && isEditing && selectedLocation?.revision !== undefined;
+    liveSync.lockLocation(isOpen ? selectedLocation.id : null);
+  }, [isAdmin, isEditing, selectedLocation, liveSync.lockLocation]);
+
+  /**
+   * @constant {Object|null} editorNotice
+   * @description Set when the location open in the editor was changed or deleted elsewhere
+   * since it was opened: `{ editor, isDeleted }`
+   */
+  const editorNotice = (() => {
+    if (!isEditing || selectedLocation?.revision === undefined) return null;
+    const loaded = locations.find(loc => loc.id === selectedLocation.id);
+    if (loaded && loaded.revision <= selectedLocation.revision) return null;
+    return { editor: remoteEditorsRef.current.get(selectedLocation.id) || 'Someone', isDeleted: !loaded };
+  })();
+
+  /**
+   * @effect
+   * @description Loads locations and restores a still-valid admin session on component mount
+   */
+  useEffect(() => {
+    loadLocations();
+    fetchItinerary()
+      .then(data => setItinerary(normalizeItinerary(data)))
+      .catch(error => console.error('Error loading itinerary:', error));
+    loadRatings();
+    loadCheckIns();
+    loadComments();
+    loadExpenses();
+    fetchPeople()
+      .then(setPeople)
+      .catch(error => console.error('Error loading people:', error));
+    fetchEvents()
+      .then(setEvents)
+      .catch(error => console.error('Error loading events:', error));
+    fetchTileSources()
+      .then(setTileSources)
+      .catch(error => console.error('Error loading tile sources:', error));
+    restoreSession().then(session => {
+      setAdminName(session?.editor ?? null);
+      setIsAdmin(Boolean(session));
+    });
   }, []);
 
   /**
    * @function handleLogin
-   * @description Handles admin login
-   * @param {Event} e - Form submission event
+   * @description Verifies the admin password with the server and starts an admin session.
+   * The server decides whose password it was, and edits are logged under that name.
+   * @param {string} password - Password entered by the user
    */
-  const handleLogin = (e) => {
-    e.preventDefault();
-    if (password === ADMIN_PASSWORD) {
+  const handleLogin = async (password) => {
+    try {
+      const session = await login(password);
+      setAdminName(session.editor);
       setIsAdmin(true);
-      setPassword('');
-      localStorage.setItem('isAdminSession', 'true');
-      fetch('/locations.json')
-        .then(response => response.json())
-        .then(data => setLocations(data.locations))
-        .catch(error => console.error('Error loading locations:', error));
-    } else {
-      alert('Incorrect password');
+      loadLocations();
+    } catch (error) {
+      alert(error.status === 401 ? 'Incorrect password' : `Could not log in: ${error.message}`);
     }
   };
 
   /**
-   * @function handleLogout
-   * @description Handles admin logout
+   * @function endAdminSession
+   * @description Leaves admin mode locally, closing any open editor
    */
-  const handleLogout = () => {
-    console.log('Logout clicked'); // Debug log
+  const endAdminSession = () => {
     setIsAdmin(false);
+    setAdminName(null);
     setIsEditing(false);
     setSelectedLocation(null);
-    localStorage.removeItem('isAdminSession');
-    localStorage.removeItem('locations');
-    window.location.reload();
+    setHistoryFilters(null);
   };
 
   /**
-   * @effect
-   * @description Saves locations to localStorage when they change (admin only)
+   * @function handleLogout
+   * @description Revokes the admin session on the server and leaves admin mode
    */
-  useEffect(() => {
-    if (locations.length > 0 && isAdmin) {
-      localStorage.setItem('locations', JSON.stringify(locations));
-      
-      setShowSaveIndicator(true);
-      if (saveTimeoutRef.current) {
-        clearTimeout(saveTimeoutRef.current);
-      }
-      saveTimeoutRef.current = setTimeout(() => {
-        setShowSaveIndicator(false);
-      }, 2000);
-      
-      if (process.env.NODE_ENV === 'production') {
-        const dataStr = JSON.stringify({ locations }, null, 2);
-        const dataBlob = new Blob([dataStr], { type: 'application/json' });
-        const url = URL.createObjectURL(dataBlob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = 'locations.json';
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
-        
-        alert('Location data has been downloaded. Please update the locations.json file in your GitHub repository to make the changes visible to everyone.');
-      }
+  const handleLogout = async () => {
+    try {
+      await logout();
+    } catch (error) {
+      console.error('Error logging out:', error);
+    }
+    history.clear();
+    setUndoToast(null);
+    endAdminSession();
+  };
+
+  /**
+   * @function handleApiError
+   * @description Reports a failed write; an expired session drops the user out of admin mode
+   * @param {string} action - What was being attempted, for the alert
+   * @param {Error} error - The error from the API client
+   */
+  const handleApiError = (action, error) => {
+    if (error instanceof SyncCancelledError) return;
+    console.error(`Error trying to ${action}:`, error);
+    if (error.status === 401) {
+      // The server has already forgotten the session; drop the token so a reload stays logged out
+      setAuthToken(null);
+      endAdminSession();
+      alert('Your admin session has expired. Please log in again.');
+    } else {
+      alert(`Could not ${action}: ${error.message}`);
     }
-  }, [locations, isAdmin]);
+  };
+
+  /**
+   * @function flashSaveIndicator
+   * @description Shows the "Changes saved" indicator for two seconds
+   */
+  const flashSaveIndicator = () => {
+    setShowSaveIndicator(true);
+    if (saveTimeoutRef.current) {
+      clearTimeout(saveTimeoutRef.current);
+    }
+    saveTimeoutRef.current = setTimeout(() => {
+      setShowSaveIndicator(false);
+    }, 2000);
+  };
 
   /**
    * @effect
@@ -221,15 +471,47 @@ function App() {
     };
   }, []);
 
+  /**
+   * @effect
+   * @description Loads the audit log while the History panel is open, again whenever its
+   * filters change
+   */
+  useEffect(() => {
+    if (!historyFilters) return undefined;
+    let isCurrent = true;
+    setAuditLog(null);
+    fetchAuditLog(historyFilters)
+      .then(log => isCurrent && setAuditLog(log))
+      .catch(error => {
+        if (!isCurrent) return;
+        setHistoryFilters(null);
+        handleApiError('load the edit history', error);
+      });
+    return () => {
+      isCurrent = false;
+    };
+  }, [historyFilters]);
+
+  /**
+   * @function withVisitedBadge
+   * @description Wraps marker HTML so visited locations are faded and get a check badge
+   * @param {string} html - Marker HTML
+   * @param {boolean} isVisited - Whether someone has checked in there
+   * @returns {string} Marker HTML
+   */
+  const withVisitedBadge = (html, isVisited) =>
+    (isVisited ? `<div class="marker-visited">${html}</div>` : html);
+
   /**
    * @function createEmojiIcon
    * @description Creates a custom emoji icon for map markers
    * @param {string} emoji - The emoji to use for the marker
+   * @param {boolean} [isVisited] - Whether to draw the marker as visited
    * @returns {L.DivIcon} A Leaflet div icon
    */
-  const createEmojiIcon = (emoji) => {
+  const createEmojiIcon = (emoji, isVisited = false) => {
     return L.divIcon({
-      html: `<div class="emoji-marker" style="display: inline-flex; gap: 4px; white-space: nowrap;">${Array.isArray(emoji) ? emoji.join('') : emoji}</div>`,
+      html: withVisitedBadge(`<div class="emoji-marker" style="display: inline-flex; gap: 4px; white-space: nowrap;">${escapeHtml(emoji)}</div>`, isVisited),
       className: 'custom-div-icon',
       iconSize: [40, 40],
       iconAnchor: [20, 40],
@@ -237,6 +519,85 @@ function App() {
     });
   };
 
+  /**
+   * @function createLocationIcon
+   * @description Marker icon for a location: its cover photo when it has one, else its emoji
+   * @param {Object} location - Location (or editor draft) with emoji, photos and coverPhotoId
+   * @param {boolean} [isVisited] - Whether someone has checked in there
+   * @returns {L.DivIcon} A Leaflet div icon
+   */
+  const createLocationIcon = ({ emoji, photos = [], coverPhotoId }, isVisited = false) => {
+    const cover = photos.find(photo => photo.id === coverPhotoId);
+    if (!cover) return createEmojiIcon(emoji || '📍', isVisited);
+    return L.divIcon({
+      html: withVisitedBadge(`<div class="photo-marker" style="background-image: ${cssUrl(cover.thumbUrl)}"></div>`, isVisited),
+      className: 'custom-div-icon',
+      iconSize: [44, 53],
+      iconAnchor: [22, 53],
+      popupAnchor: [0, -53]
+    });
+  };
+
+  /**
+   * @function formatCoordinate
+   * @description Formats a latitude or longitude for the editor inputs (~10 cm precision)
+   * @param {number} value - Coordinate in degrees
+   * @returns {string} Coordinate with six decimals
+   */
+  const formatCoordinate = (value) => value.toFixed(6);
+
+  /**
+   * @function openEditor
+   * @description Opens the location editor with the fields of the given location
+   * @param {Object} location - Location to edit (new or existing)
+   */
+  const openEditor = (location) => {
+    setSelectedLocation(location);
+    setName(location.name);
+    setDescription(location.description);
+    setCategories(location.category);
+    setEmoji(location.emoji);
+    setPhotos(location.photos || []);
+    setCoverPhotoId(location.coverPhotoId ?? null);
+    setLatitude(formatCoordinate(location.position[0]));
+    setLongitude(formatCoordinate(location.position[1]));
+    setPendingMove(null);
+    setIsEditing(true);
+  };
+
+  /**
+   * @function handlePhotoFiles
+   * @description Uploads photos picked in the editor and adds them to the draft. They are
+   * stored with the location when the editor is saved.
+   * @param {FileList} files - Images from the file input
+   */
+  const handlePhotoFiles = async (files) => {
+    const images = [...files].filter(file => file.type.startsWith('image/'));
+    setPhotoUploads(count => count + images.length);
+    await Promise.all(images.map(async (file) => {
+      try {
+        const photo = await uploadPhoto(file);
+        setPhotos(prev => [...prev, photo]);
+      } catch (error) {
+        handleApiError(`upload ${file.name}`, error);
+      } finally {
+        setPhotoUploads(count => count - 1);
+      }
+    }));
+  };
+
+  const closeGallery = useCallback(() => setGallery(null), []);
+
+  /**
+   * @function handlePhotoRemove
+   * @description Removes a photo from the draft, along with its cover status
+   * @param {string} photoId - Photo to remove
+   */
+  const handlePhotoRemove = (photoId) => {
+    setPhotos(prev => prev.filter(photo => photo.id !== photoId));
+    setCoverPhotoId(prev => (prev === photoId ? null : prev));
+  };
+
   /**
    * @function handleMapClick
    * @description Handles map click events for adding new locations (admin only)
@@ -244,299 +605,1071 @@ function App() {
    */
   const handleMapClick = (e) => {
     if (isAdmin) {
-      const newLocation = {
+      openEditor({
         id: Date.now(),
         position: [e.latlng.lat, e.latlng.lng],
         name: '',
         description: '',
-        category: ['Food'],
-        emoji: '📍'
-      };
-      setSelectedLocation(newLocation);
-      setName('');
-      setDescription('');
-      setCategories(['Food']);
-      setEmoji('📍');
-      setIsEditing(true);
+        category: [categoryNames[0]],
+        emoji: categoryList[0].emoji,
+        photos: [],
+        coverPhotoId: null
+      });
     }
   };
 
   /**
-   * @function handleLocationUpdate
-   * @description Updates a location's information
-   * @param {Object} updatedLocation - The updated location object
+   * @constant {Array|null} editorPosition
+   * @description Coordinates typed into the editor, when both parse as numbers
+   */
+  const editorPosition = isEditing && latitude !== '' && longitude !== '' &&
+    Number.isFinite(Number(latitude)) && Number.isFinite(Number(longitude))
+    ? [Number(latitude), Number(longitude)]
+    : null;
+
+  /**
+   * @function getMarkerPosition
+   * @description Where to draw a location's marker: an unconfirmed drag or the editor's
+   * coordinates take precedence over the saved position
+   * @param {Object} location - Location to place
+   * @returns {Array} [lat, lng]
+   */
+  const getMarkerPosition = (location) => {
+    if (pendingMove?.location.id === location.id) return pendingMove.position;
+    if (selectedLocation?.id === location.id && editorPosition) return editorPosition;
+    return location.position;
+  };
+
+  /**
+   * @function handleMarkerDragEnd
+   * @description Handles a marker being dropped in admin mode. If the location is open in
+   * the editor the new coordinates go into the form; otherwise the move waits for confirmation.
+   * @param {Object} location - Location whose marker was dragged
+   * @param {Object} e - Leaflet dragend event
+   */
+  const handleMarkerDragEnd = (location, e) => {
+    const { lat, lng } = e.target.getLatLng();
+    if (isEditing && selectedLocation?.id === location.id) {
+      setLatitude(formatCoordinate(lat));
+      setLongitude(formatCoordinate(lng));
+    } else {
+      setPendingMove({ location, position: [lat, lng] });
+    }
+  };
+
+  /**
+   * @function handleMoveConfirm
+   * @description Saves the pending marker move
    */
-  const handleLocationUpdate = (updatedLocation) => {
+  const handleMoveConfirm = async () => {
+    const { location, position } = pendingMove;
+    const moved = normalizeLocation({ ...location, position });
+    const errors = validateLocation(moved, { categories: categoryNames, bounds: trip.bounds });
+    if (errors.length > 0) {
+      alert(`Could not move ${location.name}: ${errors.join('; ')}`);
+      setPendingMove(null);
+      return;
+    }
+    try {
+      const { before, saved } = await persistChange(location, moved);
+      history.record(before, saved);
+      setPendingMove(null);
+      flashSaveIndicator();
+    } catch (error) {
+      setPendingMove(null);
+      handleApiError(`move ${location.name}`, error);
+    }
+  };
+
+  /**
+   * @effect
+   * @description Clears validation errors whenever a different location is opened
+   */
+  useEffect(() => {
+    setEditorErrors([]);
+  }, [selectedLocation]);
+
+  /**
+   * @effect
+   * @description Drops category filters (e.g. from a shared link) that no longer exist
+   */
+  useEffect(() => {
+    setSelectedCategories(prev => {
+      const known = [...prev].filter(name => categoryList.some(category => category.name === name));
+      return known.length === prev.size ? prev : new Set(known);
+    });
+  }, [categoryList]);
+
+  /**
+   * @effect
+   * @description Keeps the URL in sync with the view, filters and selected location. Changing
+   * the view or location adds a history entry; typing a search or toggling a filter only
+   * replaces the current one.
+   */
+  useEffect(() => {
+    const selectedId = selectedLocation && locations.some(loc => loc.id === selectedLocation.id)
+      ? selectedLocation.id
+      : null;
+    const url = buildUrl({
+      tripId: trip.id,
+      view,
+      locationId: view === 'map' ? (focusLocationId ?? selectedId) : null,
+      personId: view === 'people' ? personId : null,
+      searchTerm,
+      categories: selectedCategories,
+      visited: visitedFilter
+    });
+    if (url === window.location.pathname + window.location.search) return;
+    const [path] = url.split('?');
+    // Paths that do not name a view yet (`/`, `/bend-2025`) or the trip (`/list`), and legacy
+    // paths (`/cooper`), are completed in place rather than adding a history entry
+    const isComplete = window.location.pathname.startsWith(`/${trip.id}/`)
+      && !parseRoute(window.location.pathname, '', routeOptions).redirected;
+    if (path === window.location.pathname || !isComplete) {
+      window.history.replaceState(null, '', url);
+    } else {
+      window.history.pushState(null, '', url);
+    }
+  }, [trip, view, personId, selectedLocation, focusLocationId, searchTerm, selectedCategories, visitedFilter, locations]);
+
+  /**
+   * @effect
+   * @description Applies the URL when the user goes back or forward
+   */
+  useEffect(() => {
+    const handlePopState = () => {
+      const route = parseRoute(window.location.pathname, window.location.search, routeOptions);
+      // Going back to another trip remounts the app for that trip instead
+      if ((route.tripId ?? manifest.defaultTrip) !== trip.id) return;
+      setView(route.locationId !== null ? 'map' : route.view);
+      setPersonId(route.personId);
+      setSearchTerm(route.searchTerm);
+      setSelectedCategories(route.categories);
+      setVisitedFilter(route.visited);
+      if (route.locationId !== null) {
+        setFocusLocationId(route.locationId);
+      } else if (!isEditing) {
+        mapRef.current?.closePopup();
+        setSelectedLocation(null);
+      }
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [isEditing]);
+
+  /**
+   * @effect
+   * @description Names the browser tab after the trip and tints the browser UI to match
+   */
+  useEffect(() => {
+    document.title = trip.title;
+    document.querySelector('meta[name="theme-color"]')?.setAttribute('content', trip.colors.primary);
+  }, [trip]);
+
+  /**
+   * @effect
+   * @description The map is recreated whenever the map view is shown again
+   */
+  useEffect(() => {
+    if (view !== 'map') {
+      setIsMapReady(false);
+    }
+  }, [view]);
+
+  /**
+   * @effect
+   * @description Flies to a linked location and opens its popup, expanding its cluster first
+   */
+  useEffect(() => {
+    if (focusLocationId === null || !isMapReady || locations.length === 0) return;
+    const location = locations.find(loc => loc.id === focusLocationId);
+    setFocusLocationId(null);
+    if (!location) return;
+
+    setSelectedLocation(location);
+    const map = mapRef.current;
+    const marker = markerRefs.current.get(location.id);
+    map.flyTo(location.position, Math.max(map.getZoom(), 16));
+    if (marker) {
+      map.once('moveend', () => clusterRef.current.zoomToShowLayer(marker, () => marker.openPopup()));
+    }
+  }, [focusLocationId, isMapReady, locations]);
+
+  /**
+   * @function writeChange
+   * @description Sends a change to the API, stating the revision it was made to
+   * @param {Object|null} before - Location the change was made to, or null to create `after`
+   * @param {Object|null} after - New location, or null to delete `before`
+   * @returns {Promise<Object|null>} The stored location, or null after a delete
+   * @throws {ApiError} 409 when `before` is out of date, 404 when it no longer exists
+   */
+  const writeChange = async (before, after) => {
+    if (!after) {
+      await deleteLocation(before.id, before.revision);
+      return null;
+    }
+    if (!before) return createLocation(after);
+    return updateLocation({ ...after, revision: before.revision });
+  };
+
+  /**
+   * @function resolveConflict
+   * @description Handles a change refused because the location changed or disappeared on the
+   * server. Loads the published data, shows the admin how it differs from what they had and
+   * from their change, and retries with whatever they decide.
+   * @param {Object} before - Location the change was made to
+   * @param {Object|null} after - The refused change, or null for a delete
+   * @returns {Promise<{before: Object|null, saved: Object|null}>} What was finally written
+   * @throws {SyncCancelledError} When the admin keeps the published version
+   */
+  const resolveConflict = async (before, after) => {
+    const data = await fetchLocations();
+    const published = parseLocations(data, { bounds: trip.bounds });
+    const current = published.locations.find(loc => loc.id === before.id) || null;
+    const others = diffLocationLists(
+      locations.filter(loc => loc.id !== before.id),
+      published.locations.filter(loc => loc.id !== before.id)
+    );
+    setCategoryList(published.categories);
+    setLocations(published.locations);
+
+    // Deleting something that is already gone, or an edit someone else made too, needs no decision
+    if (!after && !current) return { before: null, saved: null };
+    if (after && current && listSyncFields(before, after, current).length === 0) {
+      return { before: current, saved: current };
+    }
+
+    const kind = !after ? 'delete' : current ? 'changed' : 'deleted';
+    const resolution = await new Promise((resolve, reject) => {
+      setSyncConflict({ kind, base: before, mine: after, published: current, others, resolve, reject });
+    });
+    if (kind === 'delete') return persistChange(current, null);
+    if (kind === 'deleted') return persistChange(null, after);
+    return persistChange(current, resolution);
+  };
+
+  /**
+   * @function persistChange
+   * @description Applies a change to a location through the API and mirrors it in local state.
+   * Used for regular edits as well as for undo/redo, which pass the change in reverse. When
+   * someone else changed the location first, the admin decides how to combine the two.
+   * @param {Object|null} before - Current location, or null to create `after`
+   * @param {Object|null} after - New location, or null to delete `before`
+   * @returns {Promise<{before: Object|null, saved: Object|null}>} The version that was
+   * replaced (which differs from `before` after a conflict) and the stored location, or null
+   * after a delete
+   * @throws {SyncCancelledError} When a conflict was left unsaved
+   */
+  const persistChange = async (before, after) => {
+    let saved;
+    try {
+      saved = await writeChange(before, after);
+    } catch (error) {
+      if (!before || (error.status !== 409 && error.status !== 404)) throw error;
+      return resolveConflict(before, after);
+    }
+
     setLocations(prevLocations => {
-      const existingIndex = prevLocations.findIndex(loc => loc.id === updatedLocation.id);
+      if (!saved) {
+        return prevLocations.filter(loc => loc.id !== before.id);
+      }
+      const existingIndex = prevLocations.findIndex(loc => loc.id === saved.id);
       if (existingIndex >= 0) {
         const newLocations = [...prevLocations];
-        newLocations[existingIndex] = updatedLocation;
+        newLocations[existingIndex] = saved;
         return newLocations;
       } else {
-        return [...prevLocations, updatedLocation];
+        return [...prevLocations, saved];
       }
     });
-    setIsEditing(false);
-    setSelectedLocation(null);
+    liveSync.publishChanges([{ before, after: saved }]);
+    return { before, saved };
+  };
+
+  /**
+   * @function handleLocationUpdate
+   * @description Validates a location, saves it through the API and updates local state
+   * with the stored copy. Validation errors are shown in the editor.
+   * @param {Object} updatedLocation - The updated location object
+   */
+  const handleLocationUpdate = async (updatedLocation) => {
+    const location = normalizeLocation(updatedLocation);
+    const errors = validateLocation(location, { categories: categoryNames, bounds: trip.bounds });
+    if (errors.length > 0) {
+      setEditorErrors(errors);
+      return;
+    }
+
+    // The change was made to the version the editor opened, even if a newer one has
+    // arrived since, so that saving over someone else's edit goes through the sync dialog
+    const opened = selectedLocation?.id === location.id && selectedLocation.revision !== undefined ? selectedLocation : null;
+    const base = opened || locations.find(loc => loc.id === location.id) || null;
+    try {
+      const { before, saved } = await persistChange(base, location);
+      history.record(before, saved);
+      setIsEditing(false);
+      setSelectedLocation(null);
+      flashSaveIndicator();
+    } catch (error) {
+      if (error.errors) {
+        setEditorErrors(error.errors);
+      } else {
+        handleApiError('save location', error);
+      }
+    }
+  };
+
+  /**
+   * @function handleRestoreVersion
+   * @description Saves a location as it was at an audit log entry, recreating it if it has
+   * since been deleted. Goes through the usual conflict checks and can be undone.
+   * @param {Object} entry - Audit entry to go back to
+   */
+  const handleRestoreVersion = async (entry) => {
+    const version = getRestorableVersion(entry);
+    const current = locations.find(loc => loc.id === version.id) || null;
+    try {
+      const { before, saved } = await persistChange(current, version);
+      history.record(before, saved);
+      flashSaveIndicator();
+      // A new filters object reloads the log so the restore shows up
+      setHistoryFilters(prev => (prev ? { ...prev } : prev));
+    } catch (error) {
+      handleApiError(`restore ${version.name}`, error);
+    }
   };
 
   /**
    * @function handleLocationDelete
-   * @description Deletes a location
+   * @description Deletes a location through the API and offers to undo it
    * @param {number} id - The ID of the location to delete
    */
-  const handleLocationDelete = (id) => {
-    setLocations(prevLocations => prevLocations.filter(loc => loc.id !== id));
-    setIsEditing(false);
-    setSelectedLocation(null);
+  const handleLocationDelete = async (id) => {
+    const before = locations.find(loc => loc.id === id);
+    if (!before) {
+      // Deleting a location that was never saved just closes the editor
+      setIsEditing(false);
+      setSelectedLocation(null);
+      return;
+    }
+    try {
+      const { before: deleted } = await persistChange(before, null);
+      setIsEditing(false);
+      setSelectedLocation(null);
+      if (deleted) {
+        const entry = history.record(deleted, null);
+        setUndoToast({ message: `Deleted ${deleted.name}`, entryId: entry.id });
+      }
+    } catch (error) {
+      handleApiError('delete location', error);
+    }
+  };
+
+  /**
+   * @function withCurrentRevision
+   * @description History entries keep the revision a location had when the edit was made;
+   * replaying one has to state the revision the location has now
+   * @param {Object|null} location - Location from a history entry
+   * @returns {Object|null} The location with the revision of the loaded copy, if there is one
+   */
+  const withCurrentRevision = (location) => {
+    const current = location && locations.find(loc => loc.id === location.id);
+    return current ? { ...location, revision: current.revision } : location;
+  };
+
+  /**
+   * @function replayEntry
+   * @description Reverts or reapplies a history entry one location at a time, newest change
+   * first when undoing. If a save fails part way, the changes that went through still move
+   * to the other stack and the rest can be retried.
+   * @param {Object} entry - Entry from the undo or redo stack
+   * @param {boolean} isUndo - Whether to revert the entry rather than reapply it
+   */
+  const replayEntry = async (entry, isUndo) => {
+    if (isApplyingHistoryRef.current) return;
+    isApplyingHistoryRef.current = true;
+    const pending = isUndo ? [...entry.changes].reverse() : [...entry.changes];
+    try {
+      while (pending.length > 0) {
+        const { before, after } = pending[0];
+        await (isUndo
+          ? persistChange(withCurrentRevision(after), before)
+          : persistChange(withCurrentRevision(before), after));
+        pending.shift();
+      }
+      if (isUndo) setUndoToast(prev => (prev?.entryId === entry.id ? null : prev));
+      setIsEditing(false);
+      setSelectedLocation(null);
+      flashSaveIndicator();
+    } catch (error) {
+      handleApiError(`${isUndo ? 'undo' : 'redo'} ${entry.type} of ${entry.name}`, error);
+    } finally {
+      if (pending.length < entry.changes.length) {
+        (isUndo ? history.markUndone : history.markRedone)(entry.id, pending);
+      }
+      isApplyingHistoryRef.current = false;
+    }
+  };
+
+  /**
+   * @function handleUndo
+   * @description Reverts the most recent edit
+   */
+  const handleUndo = () => history.nextUndo && replayEntry(history.nextUndo, true);
+
+  /**
+   * @function handleRedo
+   * @description Reapplies the most recently undone edit
+   */
+  const handleRedo = () => history.nextRedo && replayEntry(history.nextRedo, false);
+
+  /**
+   * @function handleToastUndo
+   * @description Reverts the edit the toast is about, even if other edits were made since
+   */
+  const handleToastUndo = () => {
+    const entry = undoToast && history.findUndo(undoToast.entryId);
+    if (entry) replayEntry(entry, true);
   };
 
+  const dismissUndoToast = useCallback(() => setUndoToast(null), []);
+
+  /**
+   * @effect
+   * @description Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS) undo and redo admin edits.
+   * Text fields keep their native undo.
+   */
+  useEffect(() => {
+    if (!isAdmin) return undefined;
+
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+      if (e.target.closest('input, textarea, [contenteditable="true"]')) return;
+      e.preventDefault();
+      if (e.shiftKey) {
+        handleRedo();
+      } else {
+        handleUndo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  /**
+   * @constant {Array} homeLocations
+   * @description Home locations that can serve as the distance origin, HQ first
+   */
+  const headquarters = findHeadquarters(locations);
+  const homeLocations = [
+    ...(headquarters ? [headquarters] : []),
+    ...locations.filter(loc => loc.category.includes(HOME_CATEGORY) && loc !== headquarters)
+  ];
+
+  /**
+   * @constant {Object|null} origin
+   * @description Resolved distance origin with its position and a short label
+   */
+  const origin = originId === 'me'
+    ? (userPosition ? { position: userPosition, label: 'you' } : null)
+    : (() => {
+      const home = homeLocations.find(loc => String(loc.id) === originId) || headquarters;
+      return home ? { position: home.position, label: home === headquarters ? 'HQ' : home.name } : null;
+    })();
+
+  /**
+   * @function handleOriginChange
+   * @description Changes the distance origin, asking the browser for the device location
+   * when 'me' is chosen
+   * @param {string} id - Home location id or 'me'
+   */
+  const handleOriginChange = (id) => {
+    setOriginId(id);
+    setGeolocationError('');
+    if (id !== 'me') return;
+    if (!navigator.geolocation) {
+      setGeolocationError('This browser cannot share its location.');
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => setUserPosition([coords.latitude, coords.longitude]),
+      (error) => setGeolocationError(`Could not get your location: ${error.message}`),
+      { enableHighAccuracy: true, timeout: 10000 }
+    );
+  };
+
+  /**
+   * @function distanceFromOrigin
+   * @description Straight-line distance from the origin to a location
+   * @param {Object} location - Location
+   * @returns {number|null} Kilometres, or null without an origin
+   */
+  const distanceFromOrigin = (location) => (origin ? haversineDistance(origin.position, location.position) : null);
+
+  /**
+   * @constant {Map} searchResults
+   * @description Fuzzy search matches by location id, with their rank score and highlights
+   */
+  const isSearching = searchTerm.trim() !== '';
+  const searchResults = new Map(searchLocations(locations, searchTerm).map(result => [result.location.id, result]));
+
   /**
    * @constant {Array} filteredLocations
-   * @description Filtered list of locations based on search term and selected categories
+   * @description Filtered list of locations based on search term, selected categories and radius
+   */
+  const checkInsByLocation = groupCheckIns(checkins);
+  const commentsByLocation = groupComments(comments);
+  const visitedIds = new Set(checkInsByLocation.keys());
+
+  /**
+   * @constant {Object} progress
+   * @description Visited counts over every location, overall and per category
    */
+  const progress = summarizeProgress(locations, visitedIds, categoryNames);
+
   const filteredLocations = locations.filter(location => {
-    const matchesSearch = location.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         location.description.toLowerCase().includes(searchTerm.toLowerCase());
-    const categories = Array.isArray(location.category) ? location.category : [location.category];
+    const matchesSearch = !isSearching || searchResults.has(location.id);
     const matchesCategory = selectedCategories.size === 0 || 
-                          categories.some(cat => selectedCategories.has(cat));
-    return matchesSearch && matchesCategory;
+                          location.category.some(cat => selectedCategories.has(cat));
+    const matchesRadius = !radiusKm || !origin || distanceFromOrigin(location) <= radiusKm;
+    const matchesVisited = matchesVisitedFilter(visitedIds.has(location.id), visitedFilter);
+    return matchesSearch && matchesCategory && matchesRadius && matchesVisited;
   });
 
-  const LocationEditor = ({ location }) => {
-    const [name, setName] = useState(location.name);
-    const [description, setDescription] = useState(location.description);
-    const [categories, setCategories] = useState(Array.isArray(location.category) ? location.category : [location.category]);
-    const [emoji, setEmoji] = useState(location.emoji);
+  /**
+   * @constant {Map} ratingSummaries
+   * @description Group rating totals by location id
+   */
+  const ratingSummaries = summarizeRatings(ratings);
+  const spendByLocation = summarizeSpendByLocation(expenses);
+  const topPickScore = (location) => ratingSummaries.get(location.id)?.score ?? UNRATED_SCORE;
 
-    const handleSubmit = (e) => {
-      e.preventDefault();
-      handleLocationUpdate({
-        ...location,
-        name,
-        description,
-        category: categories.length > 0 ? categories : ['Food'], // Ensure at least one category
-        emoji
-      });
-    };
+  /**
+   * @constant {Array} sortedLocations
+   * @description filteredLocations in the order chosen for the list view, or by relevance
+   * while searching
+   */
+  const sortedLocations = [...filteredLocations].sort((a, b) => {
+    if (isSearching) {
+      const byScore = searchResults.get(b.id).score - searchResults.get(a.id).score;
+      if (byScore !== 0) return byScore;
+    }
+    if (sortBy === 'nearest' && origin) {
+      return distanceFromOrigin(a) - distanceFromOrigin(b);
+    }
+    if (sortBy === 'top') {
+      const byScore = topPickScore(b) - topPickScore(a);
+      if (byScore !== 0) return byScore;
+    }
+    if (sortBy === 'category') {
+      const byCategory = categoryNames.indexOf(a.category[0]) - categoryNames.indexOf(b.category[0]);
+      if (byCategory !== 0) return byCategory;
+    }
+    return a.name.localeCompare(b.name);
+  });
 
-    const toggleCategory = (category) => {
-      setCategories(prev => {
-        if (prev.includes(category)) {
-          return prev.filter(c => c !== category);
-        } else {
-          return [...prev, category];
-        }
-      });
-    };
+  /**
+   * @constant {Array} visibleSearchResults
+   * @description Ranked search results that also pass the category and radius filters
+   */
+  const visibleSearchResults = [...searchResults.values()]
+    .filter(({ location }) => filteredLocations.includes(location))
+    .sort((a, b) => b.score - a.score);
 
-    // Get the first category or default to 'Food'
-    const currentCategory = categories[0] || 'Food';
-    const availableEmojis = CATEGORY_EMOJIS[currentCategory] || CATEGORY_EMOJIS['Food'];
-
-    return (
-      <div className="fixed top-20 right-4 w-80 bg-white rounded-lg shadow-lg p-4 z-[1000]">
-        <form onSubmit={handleSubmit}>
-          <input
-            type="text"
-            value={name}
-            onChange={(e) => setName(e.target.value)}
-            placeholder="Location name"
-            className="w-full p-2 mb-2 border rounded"
-          />
-          <textarea
-            value={description}
-            onChange={(e) => setDescription(e.target.value)}
-            placeholder="Description"
-            className="w-full p-2 mb-2 border rounded"
-          />
-          <div className="mb-2">
-            <label className="block text-sm font-medium mb-1">Categories</label>
-            <div className="space-y-2">
-              {CATEGORIES.map(cat => (
-                <label key={cat} className="flex items-center space-x-2">
-                  <input
-                    type="checkbox"
-                    checked={categories.includes(cat)}
-                    onChange={() => toggleCategory(cat)}
-                    className="form-checkbox h-4 w-4 text-blue-500"
-                  />
-                  <span>{cat}</span>
-                </label>
-              ))}
-            </div>
-          </div>
-          <div className="mb-2">
-            <label className="block text-sm font-medium mb-1">Choose Icon</label>
-            <div className="grid grid-cols-5 gap-2">
-              {availableEmojis.map((em) => (
-                <button
-                  key={em}
-                  type="button"
-                  onClick={() => setEmoji(em)}
-                  className={`p-2 text-xl rounded ${
-                    emoji === em ? 'bg-blue-100 border-2 border-blue-500' : 'border hover:bg-gray-100'
-                  }`}
-                >
-                  {em}
-                </button>
-              ))}
-            </div>
-            <div className="mt-2">
-              <label className="block text-sm font-medium mb-1">Custom Emoji</label>
-              <EmojiInput value={emoji} onChange={setEmoji} />
-            </div>
-          </div>
-          <div className="flex justify-between">
-            <button
-              type="submit"
-              className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600"
-            >
-              Save
-            </button>
-            <button
-              type="button"
-              onClick={() => handleLocationDelete(location.id)}
-              className="px-4 py-2 bg-red-500 text-white rounded hover:bg-red-600"
-            >
-              Delete
-            </button>
-          </div>
-        </form>
-      </div>
-    );
+  /**
+   * @function handleSearchPick
+   * @description Shows a location picked from the search suggestions on the map
+   * @param {Object} location - Picked location
+   */
+  const handleSearchPick = (location) => {
+    setView('map');
+    setFocusLocationId(location.id);
+  };
+
+  /**
+   * @function getMemberVote
+   * @description The current member's rating of a location
+   * @param {number} locationId - Location id
+   * @returns {Object|undefined} Their rating, if they voted
+   */
+  const getMemberVote = (locationId) =>
+    ratings.find(rating => rating.locationId === locationId && rating.member === memberName);
+
+  /**
+   * @function submitVote
+   * @description Shows a vote immediately and saves it; on failure the saved ratings are reloaded
+   * @param {number} locationId - Rated location
+   * @param {Object} vote - `{ stars, thumbsUp }`
+   * @param {string} member - Who is voting
+   */
+  const submitVote = async (locationId, vote, member) => {
+    const others = (list) => list.filter(rating => rating.locationId !== locationId || rating.member !== member);
+    setRatings(prev => [...others(prev), { locationId, member, ...vote }]);
+    try {
+      const saved = await saveRating(locationId, { member, ...vote });
+      setRatings(prev => (saved ? [...others(prev), saved] : others(prev)));
+    } catch (error) {
+      handleApiError('save your rating', error);
+      loadRatings();
+    }
+  };
+
+  /**
+   * @function withMemberName
+   * @description Runs an action that needs the current member's name, asking for the name
+   * first if nobody has picked one on this device yet
+   * @param {Function} run - Called with the member name
+   * @returns {Promise<*>} What the action returned, or undefined when no name was picked
+   */
+  const withMemberName = (run) => new Promise(resolve => {
+    if (memberName) {
+      resolve(run(memberName));
+    } else {
+      setPendingAction({ run: (member) => resolve(run(member)), cancel: () => resolve(undefined) });
+      setIsNamePickerOpen(true);
+    }
+  });
+
+  /**
+   * @function handleVote
+   * @description Rates a location as the current member
+   * @param {Object} location - Rated location
+   * @param {Object} vote - `{ stars, thumbsUp }`
+   */
+  const handleVote = (location, vote) => {
+    withMemberName(member => submitVote(location.id, vote, member));
+  };
+
+  /**
+   * @function handleMemberPick
+   * @description Remembers the picked name and runs the action that was waiting for it
+   * @param {string} member - Chosen name
+   */
+  const handleMemberPick = (member) => {
+    setMemberName(member);
+    setIsNamePickerOpen(false);
+    if (pendingAction) {
+      pendingAction.run(member);
+      setPendingAction(null);
+    }
+  };
+
+  /**
+   * @function handleCheckIn
+   * @description Checks the current member in to a location, with confetti
+   * @param {Object} location - Visited location
+   */
+  const handleCheckIn = (location) => {
+    withMemberName(async (member) => {
+      setCheckIns(prev => [...prev, { locationId: location.id, member, at: new Date().toISOString() }]);
+      celebrate(location.emoji);
+      try {
+        const saved = await checkIn(location.id, member);
+        setCheckIns(prev => [
+          ...prev.filter(other => other.locationId !== location.id || other.member !== member),
+          saved
+        ]);
+      } catch (error) {
+        handleApiError(`check in to ${location.name}`, error);
+        loadCheckIns();
+      }
+    });
+  };
+
+  /**
+   * @function handleAddComment
+   * @description Posts a comment on a location as the current member
+   * @param {Object} location - Commented location
+   * @param {string} text - Comment text
+   * @returns {Promise<boolean>} Whether the comment was posted
+   */
+  const handleAddComment = async (location, text) => (await withMemberName(async (member) => {
+    try {
+      const comment = await addComment({ locationId: location.id, author: member, text });
+      setComments(prev => [...prev, comment]);
+      return true;
+    } catch (error) {
+      handleApiError(`post your comment on ${location.name}`, error);
+      return false;
+    }
+  })) === true;
+
+  /**
+   * @function handleEditComment
+   * @description Saves a new text for one of this device's comments
+   * @param {Object} comment - Comment to change
+   * @param {string} text - New text
+   * @returns {Promise<boolean>} Whether the change was saved
+   */
+  const handleEditComment = async (comment, text) => {
+    try {
+      const saved = await editComment(comment.id, text);
+      setComments(prev => prev.map(other => (other.id === saved.id ? saved : other)));
+      return true;
+    } catch (error) {
+      handleApiError('save your comment', error);
+      return false;
+    }
+  };
+
+  /**
+   * @function handleDeleteComment
+   * @description Deletes a comment: the author's own, or any as admin
+   * @param {Object} comment - Comment to delete
+   */
+  const handleDeleteComment = async (comment) => {
+    setComments(prev => prev.filter(other => other.id !== comment.id));
+    try {
+      await deleteComment(comment.id);
+    } catch (error) {
+      handleApiError('delete the comment', error);
+      loadComments();
+    }
+  };
+
+  /**
+   * @function toggleCard
+   * @description Expands or collapses a list card's comment thread
+   * @param {number} locationId - Card's location id
+   */
+  const toggleCard = (locationId) => {
+    setExpandedCardIds(prev => {
+      const next = new Set(prev);
+      if (next.has(locationId)) {
+        next.delete(locationId);
+      } else {
+        next.add(locationId);
+      }
+      return next;
+    });
+  };
+
+  /**
+   * @function handleUndoCheckIn
+   * @description Takes back the current member's check-in
+   * @param {Object} location - Location checked in to
+   */
+  const handleUndoCheckIn = async (location) => {
+    setCheckIns(prev => prev.filter(other => other.locationId !== location.id || other.member !== memberName));
+    try {
+      await undoCheckIn(location.id, memberName);
+    } catch (error) {
+      handleApiError(`undo the check-in at ${location.name}`, error);
+      loadCheckIns();
+    }
+  };
+
+  const MapEvents = () => {
+    const map = useMap();
+    
+    useEffect(() => {
+      if (isAdmin) {
+        map.on('click', handleMapClick);
+      }
+      return () => {
+        map.off('click', handleMapClick);
+      };
+    }, [map, isAdmin]);
+    
+    return null;
+  };
+
+  /**
+   * @function handleItineraryChange
+   * @description Shows an itinerary edit immediately and saves it; on failure the saved
+   * itinerary is reloaded
+   * @param {Object} nextItinerary - The whole updated itinerary
+   */
+  const handleItineraryChange = async (nextItinerary) => {
+    setItinerary(normalizeItinerary(nextItinerary));
+    try {
+      setItinerary(await saveItinerary(nextItinerary));
+      flashSaveIndicator();
+    } catch (error) {
+      handleApiError('save itinerary', error);
+      fetchItinerary().then(data => setItinerary(normalizeItinerary(data)));
+    }
+  };
+
+  /**
+   * @function openPerson
+   * @description Shows a person's profile, or the people index
+   * @param {string|null} id - Profile path, or null for the index
+   */
+  const openPerson = (id) => {
+    setView('people');
+    setPersonId(id);
+  };
+
+  /**
+   * @function handleSavePerson
+   * @description Adds a person or saves their profile, then shows it
+   * @param {Object} person - Edited person
+   * @throws {ApiError} 422 with `errors` for the editor to show
+   */
+  const handleSavePerson = async (person) => {
+    try {
+      if (personEditor.person) {
+        const saved = await updatePerson(person);
+        setPeople(prev => prev.map(other => (other.id === saved.id ? saved : other)));
+      } else {
+        const saved = await createPerson(person);
+        setPeople(prev => [...prev, saved]);
+        openPerson(saved.id);
+      }
+      setPersonEditor(null);
+      flashSaveIndicator();
+    } catch (error) {
+      if (error.status !== 401) throw error;
+      handleApiError('save the profile', error);
+    }
+  };
+
+  /**
+   * @function handleDeletePerson
+   * @description Takes the person being edited off the roster after confirming
+   */
+  const handleDeletePerson = async () => {
+    const { person } = personEditor;
+    if (!window.confirm(`Remove ${person.name} from the trip? Their ratings, check-ins and comments stay.`)) return;
+    try {
+      await deletePerson(person.id);
+      setPeople(prev => prev.filter(other => other.id !== person.id));
+      setPersonEditor(null);
+      openPerson(null);
+      flashSaveIndicator();
+    } catch (error) {
+      handleApiError(`remove ${person.name}`, error);
+    }
+  };
+
+  /**
+   * @function handleSaveEvent
+   * @description Adds an event or saves changes to it
+   * @param {Object} event - Edited event
+   * @throws {ApiError} 422 with `errors` for the editor to show
+   */
+  const handleSaveEvent = async (event) => {
+    try {
+      const saved = eventEditor.event
+        ? await updateEvent({ ...event, id: eventEditor.event.id })
+        : await createEvent(event);
+      setEvents(prev => sortEvents([...prev.filter(other => other.id !== saved.id), saved]));
+      setEventEditor(null);
+      flashSaveIndicator();
+    } catch (error) {
+      if (error.status !== 401) throw error;
+      handleApiError('save the event', error);
+    }
+  };
+
+  /**
+   * @function handleDeleteEvent
+   * @description Deletes the event being edited after confirming
+   */
+  const handleDeleteEvent = async () => {
+    const { event } = eventEditor;
+    if (!window.confirm(`Delete ${event.title}?`)) return;
+    try {
+      await deleteEvent(event.id);
+      setEvents(prev => prev.filter(other => other.id !== event.id));
+      setEventEditor(null);
+      flashSaveIndicator();
+    } catch (error) {
+      handleApiError(`delete ${event.title}`, error);
+    }
+  };
+
+  /**
+   * @function handleExportEvents
+   * @description Downloads events as an iCalendar file
+   * @param {Array} exported - Events to include
+   * @param {string} [name] - File name without extension; defaults to the trip id
+   */
+  const handleExportEvents = (exported, name = trip.id) => {
+    const calendar = buildCalendar(exported, { tripId: trip.id, title: trip.title, locations, people });
+    downloadFile(calendar, calendarFileName(name), ICS_FORMAT.type);
+  };
+
+  /**
+   * @function openExpenseEditor
+   * @description Opens the editor to log an expense as the current member, asking for their
+   * name first if needed
+   * @param {Object} [defaults] - Fields to prefill, e.g. `{ locationId }`
+   */
+  const openExpenseEditor = (defaults = {}) => withMemberName(() => setExpenseEditor({ expense: null, defaults }));
+
+  /**
+   * @function handleSaveExpense
+   * @description Logs an expense or saves changes to it
+   * @param {Object} expense - Edited expense
+   * @throws {ApiError} 422 with `errors` for the editor to show
+   */
+  const handleSaveExpense = async (expense) => {
+    try {
+      const saved = expenseEditor.expense
+        ? await updateExpense({ ...expense, id: expenseEditor.expense.id })
+        : await addExpense({ ...expense, author: memberName });
+      setExpenses(prev => sortExpenses([...prev.filter(other => other.id !== saved.id), saved]));
+      setExpenseEditor(null);
+      flashSaveIndicator();
+    } catch (error) {
+      if (error.status !== 401 && error.status !== 403) throw error;
+      handleApiError('save the expense', error);
+    }
+  };
+
+  /**
+   * @function handleDeleteExpense
+   * @description Deletes the expense being edited after confirming
+   */
+  const handleDeleteExpense = async () => {
+    const { expense } = expenseEditor;
+    if (!window.confirm(`Delete ${expense.description} (${formatMoney(expense.amount)})?`)) return;
+    try {
+      await deleteExpense(expense.id);
+      setExpenses(prev => prev.filter(other => other.id !== expense.id));
+      setExpenseEditor(null);
+      flashSaveIndicator();
+    } catch (error) {
+      handleApiError(`delete ${expense.description}`, error);
+    }
+  };
+
+  /**
+   * @function handleExportExpenses
+   * @description Downloads the ledger as CSV
+   */
+  const handleExportExpenses = () => {
+    downloadFile(toExpenseCSV(expenses, locations), `${trip.id}-expenses.${EXPENSE_CSV_FORMAT.extension}`, EXPENSE_CSV_FORMAT.type);
+  };
+
+  /**
+   * @function handleShowRoute
+   * @description Switches to the map with a day's route drawn on it
+   * @param {string} dayId - Itinerary day id
+   */
+  const handleShowRoute = (dayId) => {
+    setRouteDayId(dayId);
+    setView('map');
   };
 
-  const LocationView = ({ location }) => (
-    <div className="p-4">
-      <h3 className="font-bold text-lg">{location.emoji} {location.name}</h3>
-      <p className="text-sm text-gray-600 mt-1">{location.category}</p>
-      <p className="mt-2">{location.description}</p>
-    </div>
-  );
+  /**
+   * @constant {Object|null} routeDay
+   * @description Itinerary day currently drawn on the map, with its resolved route
+   */
+  const routeDay = itinerary.days.find(day => day.id === routeDayId) || null;
+  const route = routeDay ? buildRoute(routeDay, locations) : null;
 
-  const MapEvents = () => {
-    const map = useMap();
-    
-    useEffect(() => {
-      if (isAdmin) {
-        map.on('click', handleMapClick);
-      }
-      return () => {
-        map.off('click', handleMapClick);
-      };
-    }, [map, isAdmin]);
-    
-    return null;
+  /**
+   * @function createStopIcon
+   * @description Creates a numbered badge marking a stop on the route
+   * @param {number} number - Position of the stop in the day
+   * @returns {L.DivIcon} A Leaflet div icon
+   */
+  const createStopIcon = (number) => L.divIcon({
+    html: `<div class="route-stop-marker">${number}</div>`,
+    className: 'custom-div-icon',
+    iconSize: [24, 24],
+    iconAnchor: [12, 52]
+  });
+
+  /**
+   * @function handleSaveCategories
+   * @description Saves the edited category list from the settings panel
+   * @param {Array} categories - Whole category list
+   * @throws {ApiError} When the list is rejected, so the panel can show why
+   */
+  const handleSaveCategories = async (categories) => {
+    try {
+      setCategoryList(await saveCategories(categories));
+      flashSaveIndicator();
+    } catch (error) {
+      if (!error.errors) handleApiError('save categories', error);
+      throw error;
+    }
   };
 
-  const ListView = () => (
-    <div className="flex-1 p-6 overflow-auto">
-      <div className="mb-6">
-        <input
-          type="text"
-          value={searchTerm}
-          onChange={(e) => setSearchTerm(e.target.value)}
-          placeholder="Search locations..."
-          className="w-full p-2 border rounded mb-4"
-        />
-        <div className="flex flex-wrap gap-2">
-          {CATEGORIES.map(category => (
-            <label key={category} className="flex items-center space-x-2 bg-gray-100 px-3 py-2 rounded-full">
-              <input
-                type="checkbox"
-                checked={selectedCategories.has(category)}
-                onChange={() => {
-                  const newCategories = new Set(selectedCategories);
-                  if (newCategories.has(category)) {
-                    newCategories.delete(category);
-                  } else {
-                    newCategories.add(category);
-                  }
-                  setSelectedCategories(newCategories);
-                }}
-                className="form-checkbox h-4 w-4 text-blue-500"
-              />
-              <span>{category}</span>
-            </label>
-          ))}
-        </div>
-      </div>
-      {CATEGORIES.map(category => {
-        const categoryLocations = filteredLocations.filter(loc => 
-          Array.isArray(loc.category) ? loc.category.includes(category) : loc.category === category
-        );
-        if (categoryLocations.length === 0) return null;
-
-        return (
-          <div key={category} className="mb-8">
-            <h2 className="text-2xl font-bold mb-4">{category}</h2>
-            <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-3">
-              {categoryLocations.map(location => (
-                <div 
-                  key={location.id}
-                  className="bg-white rounded-lg shadow-md p-4 hover:shadow-lg transition-shadow"
-                >
-                  <div className="flex items-center gap-2 mb-2">
-                    <span className="text-2xl">{location.emoji}</span>
-                    <h3 className="text-xl font-semibold">{location.name}</h3>
-                  </div>
-                  <p className="text-gray-600">{location.description}</p>
-                  {isAdmin && (
-                    <div className="mt-3 flex justify-end gap-2">
-                      <button
-                        onClick={() => {
-                          setSelectedLocation(location);
-                          setIsEditing(true);
-                          setView('map');
-                          mapRef.current?.flyTo(location.position, 15);
-                        }}
-                        className="px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 text-sm"
-                      >
-                        Edit
-                      </button>
-                      <button
-                        onClick={() => handleLocationDelete(location.id)}
-                        className="px-3 py-1 bg-red-500 text-white rounded hover:bg-red-600 text-sm"
-                      >
-                        Delete
-                      </button>
-                    </div>
-                  )}
-                </div>
-              ))}
-            </div>
-          </div>
-        );
-      })}
-    </div>
-  );
+  /**
+   * @function handleSaveTileSources
+   * @description Saves the edited tile source list from the settings panel
+   * @param {Array} sources - Whole source list
+   * @throws {ApiError} When the list is rejected, so the panel can show why
+   */
+  const handleSaveTileSources = async (sources) => {
+    try {
+      setTileSources(await saveTileSources(sources));
+      flashSaveIndicator();
+    } catch (error) {
+      if (!error.errors) handleApiError('save tile sources', error);
+      throw error;
+    }
+  };
 
-  const EmojiInput = ({ value, onChange }) => {
-    return (
-      <input
-        type="text"
-        value={value}
-        onChange={(e) => onChange(e.target.value)}
-        className="w-16 text-2xl text-center"
-        placeholder="📍"
-      />
-    );
+  /**
+   * @function handleRenameCategory
+   * @description Renames a category or merges it into another, then applies the rewritten
+   * locations returned by the API
+   * @param {string} from - Current category name
+   * @param {string} to - New name, or the category to merge into
+   * @throws {ApiError} When the rename is rejected, so the panel can show why
+   */
+  const handleRenameCategory = async (from, to) => {
+    try {
+      const { categories, locations: changed } = await renameCategory(from, to);
+      const changedById = new Map(changed.map(location => [location.id, location]));
+      setCategoryList(categories);
+      setLocations(prev => prev.map(location => changedById.get(location.id) || location));
+      liveSync.publishChanges(changed.map(location => ({
+        before: locations.find(loc => loc.id === location.id) || null,
+        after: location
+      })));
+      setSelectedCategories(prev => {
+        if (!prev.has(from)) return prev;
+        const next = new Set(prev);
+        next.delete(from);
+        next.add(to);
+        return next;
+      });
+      flashSaveIndicator();
+    } catch (error) {
+      if (!error.errors) handleApiError(`rename ${from}`, error);
+      throw error;
+    }
+  };
+
+  /**
+   * @function handleExportLocations
+   * @description Downloads all locations in the chosen format
+   * @param {string} format - Key of EXPORT_FORMATS
+   */
+  const handleExportLocations = (format) => {
+    const { extension, type } = EXPORT_FORMATS[format];
+    downloadFile(exportLocations(locations, format), `locations.${extension}`, type);
   };
 
-  const handleExportLocations = () => {
-    const dataStr = JSON.stringify({ locations }, null, 2);
-    const dataBlob = new Blob([dataStr], { type: 'application/json' });
-    const url = URL.createObjectURL(dataBlob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = 'locations.json';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+  /**
+   * @function handleImport
+   * @description Saves the rows accepted in the import dialog, one at a time, and records
+   * them as a single undoable edit. Stops at the first failure; the rows saved until then can
+   * still be undone together.
+   * @param {Array} entries - `{ action, location, existing }` from the import dialog
+   */
+  const handleImport = async (entries) => {
+    const changes = [];
+    try {
+      for (const { action, location, existing } of entries) {
+        const { before, saved } = await persistChange(action === 'merge' ? existing : null, location);
+        if (before || saved) changes.push({ before, after: saved });
+      }
+      setIsImportOpen(false);
+      flashSaveIndicator();
+    } catch (error) {
+      handleApiError(`import locations (${changes.length} of ${entries.length} were saved)`, error);
+    } finally {
+      history.recordBatch('import', changes);
+    }
   };
 
   useEffect(() => {
@@ -568,23 +1701,77 @@ function App() {
     return () => document.head.removeChild(style);
   }, []);
 
+  const shownPerson = people.find(person => person.id === personId) || null;
+  const expenseNames = [...new Set([
+    memberName,
+    ...people.map(person => person.name),
+    ...expenses.flatMap(expense => [expense.paidBy, ...expense.participants.map(participant => participant.member)])
+  ].filter(Boolean))].sort((a, b) => a.localeCompare(b));
+
   return (
-    <div className="relative h-screen">
-      <header className="bg-[#2ca5b8] shadow-lg py-2 px-4 z-[1000] flex justify-between items-center fixed top-0 left-0 right-0">
+    <div
+      className="relative h-screen"
+      style={{ '--trip-primary': trip.colors.primary, '--trip-accent': trip.colors.accent }}
+    >
+      <header className="bg-[var(--trip-primary)] shadow-lg py-2 px-4 z-[1000] flex justify-between items-center fixed top-0 left-0 right-0">
         <div className="relative z-10">
           <HotDogParty />
         </div>
         <h1 className="text-2xl md:text-5xl font-bold absolute left-0 right-0 text-center">
-          <span className="text-[#F4EAD5] [text-shadow:_-3px_-2px_0_#ab5c95,_1px_-1px_0_#ab5c95,_-1px_1px_0_#ab5c95,_1px_1px_0_#ab5c95]">Bend 2025</span>
+          <TripSwitcher trip={trip} trips={manifest.trips} onSwitch={onSwitchTrip} />
+          <EventCountdown events={events} onOpen={() => setView('events')} />
         </h1>
         <div className="relative z-10">
           {isAdmin ? (
             <div className="flex items-center space-x-2">
+              <span
+                title={liveSync.status === 'live'
+                  ? 'Changes from other devices show up as they are saved'
+                  : 'Only changes from other tabs in this browser show up as they are saved'}
+                className={`w-2.5 h-2.5 rounded-full ${liveSync.status === 'live' ? 'bg-[#8FD6E1]' : 'bg-[#F4EAD5] opacity-50'}`}
+                aria-label={liveSync.status === 'live' ? 'Live sync connected' : 'Live sync between tabs only'}
+                role="status"
+              />
+              <button
+                onClick={handleUndo}
+                disabled={!history.nextUndo}
+                title={history.nextUndo ? `Undo ${history.nextUndo.type} of ${history.nextUndo.name} (Ctrl+Z)` : 'Nothing to undo'}
+                className="p-2 bg-[var(--trip-accent)] hover:bg-[#8FD6E1] text-[#F4EAD5] rounded transition-colors cursor-pointer disabled:opacity-50 disabled:cursor-default disabled:hover:bg-[var(--trip-accent)]"
+              >
+                <FaUndo />
+              </button>
+              <button
+                onClick={handleRedo}
+                disabled={!history.nextRedo}
+                title={history.nextRedo ? `Redo ${history.nextRedo.type} of ${history.nextRedo.name} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+                className="p-2 bg-[var(--trip-accent)] hover:bg-[#8FD6E1] text-[#F4EAD5] rounded transition-colors cursor-pointer disabled:opacity-50 disabled:cursor-default disabled:hover:bg-[var(--trip-accent)]"
+              >
+                <FaRedo />
+              </button>
+              <button
+                onClick={() => setIsImportOpen(true)}
+                className="bg-[var(--trip-accent)] hover:bg-[#8FD6E1] text-[#F4EAD5] px-3 py-1.5 rounded transition-colors cursor-pointer"
+              >
+                Import
+              </button>
+              <ExportMenu onExport={handleExportLocations} />
+              <button
+                onClick={() => setIsCategorySettingsOpen(true)}
+                className="bg-[var(--trip-accent)] hover:bg-[#8FD6E1] text-[#F4EAD5] px-3 py-1.5 rounded transition-colors cursor-pointer"
+              >
+                Categories
+              </button>
               <button
-                onClick={handleExportLocations}
-                className="bg-[#6B4984] hover:bg-[#8FD6E1] text-[#F4EAD5] px-3 py-1.5 rounded transition-colors cursor-pointer"
+                onClick={() => setIsOfflineMapOpen(true)}
+                className="bg-[var(--trip-accent)] hover:bg-[#8FD6E1] text-[#F4EAD5] px-3 py-1.5 rounded transition-colors cursor-pointer"
               >
-                Export
+                Offline map
+              </button>
+              <button
+                onClick={() => setHistoryFilters({ locationId: null, editor: null })}
+                className="bg-[var(--trip-accent)] hover:bg-[#8FD6E1] text-[#F4EAD5] px-3 py-1.5 rounded transition-colors cursor-pointer"
+              >
+                History
               </button>
               <button
                 onClick={handleLogout}
@@ -597,14 +1784,11 @@ function App() {
             <button
               onClick={() => {
                 const password = prompt('Enter admin password:');
-                if (password === ADMIN_PASSWORD) {
-                  setIsAdmin(true);
-                  localStorage.setItem('isAdminSession', 'true');
-                } else if (password) {
-                  alert('Incorrect password');
+                if (password) {
+                  handleLogin(password);
                 }
               }}
-              className="p-2 bg-[#2ca5b8] text-[#F4EAD5] rounded-full hover:bg-[#6B4984] transition-colors cursor-pointer"
+              className="p-2 bg-[var(--trip-primary)] text-[#F4EAD5] rounded-full hover:bg-[var(--trip-accent)] transition-colors cursor-pointer"
             >
               <FaLock />
             </button>
@@ -613,57 +1797,66 @@ function App() {
       </header>
 
       <main className="pt-16 h-full">
-        {view === 'cooper' ? (
-          <div className="w-full h-full flex flex-col items-center justify-start bg-gradient-to-br from-[#2A4858] via-[#6B4984] to-[#2A4858] pt-32 pb-64 overflow-auto">
-            <div className="max-w-4xl mx-auto p-8 text-center">
-              <img 
-                src="/cooper.jpg" 
-                alt="Cooper" 
-                className="w-64 h-64 object-cover rounded-full mx-auto mb-8 shadow-xl"
-              />
-              <h2 className="text-4xl font-bold text-[#F4EAD5] mb-4">Cooper</h2>
-              <p className="text-xl text-[#F4EAD5]">
-              Corvallis Coop has been working day and night on his thesis. Something about writing "the single greatest, most literate sentence Central Eastern Oregon will ever read?" I don't know what that means, but it sounds impressive, so let's all agree not to put any extra pressure on him to finish it, okay? I mean, can you imagine if we built a whole elaborate, convoluted thing just to shine a spotlight on him? He would hate that. All the attention. The questions. The silent, reverent admiration of his god-like command of words—and of knowing how to use that little dash thingy for a funny aside—without the artificial intelligencia coming after him. Yeah… no. That would be terrible. Let's not do that to him.
-              </p>
-            </div>
-          </div>
+        {view === 'people' && personId ? (
+          <PersonProfile
+            person={shownPerson}
+            home={locations.find(location => location.id === shownPerson?.homeLocationId) || null}
+            isAdmin={isAdmin}
+            onBack={() => openPerson(null)}
+            onShowHome={handleSearchPick}
+            onEdit={() => setPersonEditor({ person: shownPerson })}
+          />
+        ) : view === 'people' ? (
+          <PeopleView
+            people={people}
+            isAdmin={isAdmin}
+            onOpen={openPerson}
+            onAdd={() => setPersonEditor({ person: null })}
+          />
+        ) : view === 'expenses' ? (
+          <ExpensesView
+            expenses={expenses}
+            locations={locations}
+            isAdmin={isAdmin}
+            onAdd={() => openExpenseEditor()}
+            onEdit={(expense) => setExpenseEditor({ expense })}
+            onExport={handleExportExpenses}
+            onShowLocation={handleSearchPick}
+          />
+        ) : view === 'events' ? (
+          <EventsView
+            events={events}
+            locations={locations}
+            people={people}
+            isAdmin={isAdmin}
+            onShowLocation={handleSearchPick}
+            onOpenPerson={openPerson}
+            onExport={handleExportEvents}
+            onEdit={(event) => setEventEditor({ event })}
+          />
+        ) : view === 'today' ? (
+          <ItineraryView
+            itinerary={itinerary}
+            locations={locations}
+            isAdmin={isAdmin}
+            onChange={handleItineraryChange}
+            onShowOnMap={handleShowRoute}
+          />
         ) : view === 'list' ? (
           <div className="w-full h-full overflow-auto bg-gradient-to-br from-[#2A4858] via-[#6B4984] to-[#2A4858] p-4">
             <div className="max-w-4xl mx-auto space-y-4">
               {/* Filter Bubbles */}
               <div className="flex justify-center gap-2 p-4">
                 {/* Search Bubble */}
-                <div className="relative">
-                  <button
-                    onClick={() => {
-                      const existingInput = document.querySelector('.search-input');
-                      if (existingInput) {
-                        existingInput.remove();
-                        setSearchTerm('');
-                      } else {
-                        const searchInput = document.createElement('input');
-                        searchInput.type = 'text';
-                        searchInput.placeholder = 'Search locations...';
-                        searchInput.className = 'px-4 py-2 rounded-full transition-colors bg-white text-[#2A4858] focus:outline-none focus:ring-2 focus:ring-[#2ca5b8]';
-                        searchInput.style.width = '200px';
-                        
-                        searchInput.classList.add('search-input');
-                        searchInput.value = searchTerm;
-                        searchInput.addEventListener('input', (e) => {
-                          setSearchTerm(e.target.value);
-                        });
-                        
-                        const searchButton = document.querySelector('.search-bubble');
-                        searchButton.parentNode.insertBefore(searchInput, searchButton.nextSibling);
-                      }
-                    }}
-                    className="search-bubble px-4 py-2 rounded-full transition-colors bg-white text-[#2A4858] hover:bg-gray-100"
-                  >
-                    <FaSearch />
-                  </button>
-                </div>
+                <SearchBox
+                  value={searchTerm}
+                  onChange={setSearchTerm}
+                  results={visibleSearchResults}
+                  onPick={handleSearchPick}
+                  className="px-4 py-2"
+                />
                 
-                {CATEGORIES.map(category => (
+                {categoryList.map(({ name: category, color }) => (
                   <button
                     key={category}
                     onClick={() => {
@@ -675,34 +1868,113 @@ function App() {
                       }
                       setSelectedCategories(newCategories);
                     }}
-                    className={`px-4 py-2 rounded-full transition-colors ${
+                    style={selectedCategories.has(category) ? { backgroundColor: color } : undefined}
+                    className={`px-4 py-2 rounded-full transition-colors flex items-center gap-1 ${
                       selectedCategories.has(category)
-                        ? 'bg-[#2ca5b8] text-[#F4EAD5]'
+                        ? 'text-[#F4EAD5]'
                         : 'bg-white text-[#2A4858] hover:bg-gray-100'
                     }`}
                   >
+                    {!selectedCategories.has(category) && (
+                      <span className="w-2 h-2 rounded-full" style={{ backgroundColor: color }} />
+                    )}
                     {category}
                   </button>
                 ))}
+
+                <VisitedFilter
+                  value={visitedFilter}
+                  onChange={setVisitedFilter}
+                  progress={progress}
+                  className="px-4 py-2"
+                />
               </div>
               
-              {filteredLocations.map(location => (
+              <DistanceControls
+                homes={homeLocations}
+                originId={originId || String(headquarters?.id ?? '')}
+                onOriginChange={handleOriginChange}
+                sortBy={sortBy}
+                onSortChange={setSortBy}
+                radiusKm={radiusKm}
+                onRadiusChange={setRadiusKm}
+                geolocationError={geolocationError}
+              />
+              {progress.total > 0 && (
+                <TripProgress progress={progress} getColor={(name) => getCategory(name)?.color} />
+              )}
+
+              <p className="text-center text-sm text-[#F4EAD5]">
+                {memberName ? `Rating and checking in as ${memberName} · ` : 'Rate spots and check in as you go · '}
+                <button onClick={() => setIsNamePickerOpen(true)} className="underline hover:text-[#6B4984]">
+                  {memberName ? 'not you?' : 'pick your name'}
+                </button>
+              </p>
+
+              {sortedLocations.map(location => (
                 <div key={location.id} className="bg-[#F4EAD5] rounded-lg p-4 shadow-lg">
-                  <h3 className="text-[#2A4858] font-bold text-lg mb-2">{location.name}</h3>
-                  <p className="text-[#2A4858] mb-2">{location.description}</p>
-                  <div className="flex flex-wrap gap-2">
-                    {Array.isArray(location.category) ? (
-                      location.category.map(cat => (
-                        <span key={cat} className="bg-[#8FD6E1] text-[#2ca5b8] px-2 py-1 rounded-full text-sm">
-                          {cat}
-                        </span>
-                      ))
-                    ) : (
-                      <span className="bg-[#8FD6E1] text-[#2ca5b8] px-2 py-1 rounded-full text-sm">
-                        {location.category}
+                  <div className="flex justify-between items-start gap-2 mb-2">
+                    <h3 className="text-[#2A4858] font-bold text-lg">
+                      <Highlight text={location.name} ranges={searchResults.get(location.id)?.highlights.name} />
+                    </h3>
+                    {origin && (
+                      <span className="text-sm text-[#6B4984] whitespace-nowrap">
+                        {formatDistance(distanceFromOrigin(location))} from {origin.label}
                       </span>
                     )}
                   </div>
+                  <p className="text-[#2A4858] mb-2">
+                    <Highlight text={location.description} ranges={searchResults.get(location.id)?.highlights.description} />
+                  </p>
+                  <PhotoStrip
+                    photos={location.photos}
+                    title={location.name}
+                    onOpen={(index) => setGallery({ photos: location.photos, index, title: location.name })}
+                    className="mb-2"
+                  />
+                  <div className="mb-2">
+                    <RatingControl
+                      summary={ratingSummaries.get(location.id)}
+                      vote={getMemberVote(location.id)}
+                      onVote={(vote) => handleVote(location, vote)}
+                    />
+                  </div>
+                  <div className="mb-2">
+                    <CheckInButton
+                      checkins={checkInsByLocation.get(location.id) || []}
+                      member={memberName}
+                      onCheckIn={() => handleCheckIn(location)}
+                      onUndo={() => handleUndoCheckIn(location)}
+                    />
+                  </div>
+                  <div className="flex flex-wrap items-center gap-2">
+                    {location.category.map(cat => (
+                      <span
+                        key={cat}
+                        className="text-[#F4EAD5] px-2 py-1 rounded-full text-sm"
+                        style={{ backgroundColor: getCategory(cat)?.color }}
+                      >
+                        {cat}
+                      </span>
+                    ))}
+                    <button
+                      onClick={() => toggleCard(location.id)}
+                      className="ml-auto text-sm text-[#6B4984] hover:text-[#2ca5b8]"
+                      aria-expanded={expandedCardIds.has(location.id)}
+                    >
+                      💬 {(commentsByLocation.get(location.id) || []).length || ''} {expandedCardIds.has(location.id) ? 'Hide tips' : 'Tips'}
+                    </button>
+                  </div>
+                  {expandedCardIds.has(location.id) && (
+                    <CommentThread
+                      comments={commentsByLocation.get(location.id) || []}
+                      isAdmin={isAdmin}
+                      onAdd={(text) => handleAddComment(location, text)}
+                      onEdit={handleEditComment}
+                      onDelete={handleDeleteComment}
+                      className="mt-3"
+                    />
+                  )}
                 </div>
               ))}
             </div>
@@ -713,7 +1985,7 @@ function App() {
             <div className="absolute top-20 left-0 right-0 flex flex-col items-center gap-2 p-2 z-[1000]">
               {/* Category Filters */}
               <div className="flex flex-wrap justify-center gap-1 md:gap-2">
-                {CATEGORIES.map(category => (
+                {categoryList.map(({ name: category, color }) => (
                   <button
                     key={category}
                     onClick={() => {
@@ -725,133 +1997,246 @@ function App() {
                       }
                       setSelectedCategories(newCategories);
                     }}
-                    className={`px-2 py-1 md:px-4 md:py-2 rounded-full transition-colors text-xs md:text-base ${
+                    style={selectedCategories.has(category) ? { backgroundColor: color } : undefined}
+                    className={`px-2 py-1 md:px-4 md:py-2 rounded-full transition-colors text-xs md:text-base flex items-center gap-1 ${
                       selectedCategories.has(category)
-                        ? 'bg-[#2ca5b8] text-[#F4EAD5]'
+                        ? 'text-[#F4EAD5]'
                         : 'bg-white text-[#2A4858] hover:bg-gray-100'
                     }`}
                   >
+                    {!selectedCategories.has(category) && (
+                      <span className="w-2 h-2 rounded-full" style={{ backgroundColor: color }} />
+                    )}
                     {category}
                   </button>
                 ))}
+                <VisitedFilter
+                  value={visitedFilter}
+                  onChange={setVisitedFilter}
+                  progress={progress}
+                  className="px-2 py-1 md:px-4 md:py-2 text-xs md:text-base"
+                />
               </div>
-              
-              {/* Search Bubble - Moved below categories */}
-              <div className="relative">
+
+              {/* Radius Bubble */}
+              {radiusKm && origin && (
                 <button
-                  onClick={() => {
-                    const existingInput = document.querySelector('.search-input');
-                    if (existingInput) {
-                      existingInput.remove();
-                      setSearchTerm('');
-                    } else {
-                      const searchInput = document.createElement('input');
-                      searchInput.type = 'text';
-                      searchInput.placeholder = 'Search locations...';
-                      searchInput.className = 'px-3 py-1.5 md:px-4 md:py-2 rounded-full transition-colors bg-white text-[#2A4858] focus:outline-none focus:ring-2 focus:ring-[#2ca5b8]';
-                      searchInput.style.width = '180px';
-                      
-                      searchInput.classList.add('search-input');
-                      searchInput.value = searchTerm;
-                      searchInput.addEventListener('input', (e) => {
-                        setSearchTerm(e.target.value);
-                      });
-                      
-                      const searchButton = document.querySelector('.search-bubble');
-                      searchButton.parentNode.insertBefore(searchInput, searchButton.nextSibling);
-                    }
-                  }}
-                  className="search-bubble px-3 py-1.5 md:px-4 md:py-2 rounded-full transition-colors bg-white text-[#2A4858] hover:bg-gray-100 text-sm md:text-base"
+                  onClick={() => setRadiusKm(null)}
+                  className="px-3 py-1.5 md:px-4 md:py-2 rounded-full transition-colors bg-[#2ca5b8] text-[#F4EAD5] hover:bg-[#8FD6E1] text-sm md:text-base"
                 >
-                  <FaSearch />
+                  Within {radiusKm} km of {origin.label} ✕
                 </button>
-              </div>
+              )}
+
+              {/* Route Bubble */}
+              {route && (
+                <button
+                  onClick={() => setRouteDayId(null)}
+                  className="px-3 py-1.5 md:px-4 md:py-2 rounded-full transition-colors bg-[#6B4984] text-[#F4EAD5] hover:bg-[#8FD6E1] text-sm md:text-base"
+                >
+                  Route: {routeDay.title || routeDay.date} ✕
+                </button>
+              )}
+              
+              {/* Search Bubble - Moved below categories */}
+              <SearchBox
+                value={searchTerm}
+                onChange={setSearchTerm}
+                results={visibleSearchResults}
+                onPick={handleSearchPick}
+                className="px-3 py-1.5 md:px-4 md:py-2 text-sm md:text-base"
+              />
             </div>
             <MapContainer
-              center={INITIAL_CENTER}
-              zoom={INITIAL_ZOOM}
+              center={trip.center}
+              zoom={trip.zoom}
               style={{ height: '100%', width: '100%' }}
               ref={mapRef}
+              whenReady={() => setIsMapReady(true)}
             >
+              {/* Keyed by style so the attribution is replaced along with the tiles */}
               <TileLayer
-                url={MAP_STYLES[mapStyle].url}
-                attribution={MAP_STYLES[mapStyle].attribution}
+                key={mapStyle.id}
+                url={mapStyle.url}
+                attribution={mapStyle.attribution}
+                minNativeZoom={mapStyle.minZoom}
+                maxNativeZoom={mapStyle.maxZoom}
               />
               <MapEvents />
-              {filteredLocations.map(location => (
-                <Marker
-                  key={location.id}
-                  position={location.position}
-                  icon={createEmojiIcon(location.emoji)}
-                  eventHandlers={{
-                    click: () => {
-                      if (isAdmin) {
-                        setSelectedLocation(location);
-                        setIsEditing(true);
-                        setName(location.name);
-                        setDescription(location.description);
-                        setCategories(Array.isArray(location.category) ? location.category : [location.category]);
-                        setEmoji(location.emoji);
+              <MarkerClusterGroup ref={clusterRef} locations={locations} categories={categoryList}>
+                {filteredLocations.map(location => (
+                  <Marker
+                    key={location.id}
+                    ref={(marker) => {
+                      if (marker) {
+                        markerRefs.current.set(location.id, marker);
                       } else {
-                        setSelectedLocation(location);
+                        markerRefs.current.delete(location.id);
                       }
-                    }
-                  }}
-                >
-                  <Popup>
-                    <div className="p-4">
-                      <h3 className="font-bold text-lg mb-2">{location.name}</h3>
-                      <p className="text-gray-600 mb-2">{location.description}</p>
-                      <div className="flex flex-wrap gap-2 mb-2">
-                        {Array.isArray(location.category) ? (
-                          location.category.map(cat => (
+                    }}
+                    locationId={location.id}
+                    position={getMarkerPosition(location)}
+                    icon={createLocationIcon(location, visitedIds.has(location.id))}
+                    draggable={isAdmin}
+                    eventHandlers={{
+                      click: () => {
+                        if (isAdmin) {
+                          openEditor(location);
+                        } else {
+                          setSelectedLocation(location);
+                        }
+                      },
+                      popupclose: () => {
+                        if (!isEditing) {
+                          setSelectedLocation(null);
+                        }
+                      },
+                      dragend: (e) => handleMarkerDragEnd(location, e)
+                    }}
+                  >
+                    <Popup>
+                      <div className="p-4">
+                        <h3 className="font-bold text-lg mb-2">
+                          <Highlight text={location.name} ranges={searchResults.get(location.id)?.highlights.name} />
+                        </h3>
+                        <p className="text-gray-600 mb-2">
+                          <Highlight text={location.description} ranges={searchResults.get(location.id)?.highlights.description} />
+                        </p>
+                        <PhotoStrip
+                          photos={location.photos}
+                          title={location.name}
+                          onOpen={(index) => setGallery({ photos: location.photos, index, title: location.name })}
+                          className="mb-2 max-w-[16rem]"
+                        />
+                        <div className="mb-2">
+                          <RatingControl
+                            summary={ratingSummaries.get(location.id)}
+                            vote={getMemberVote(location.id)}
+                            onVote={(vote) => handleVote(location, vote)}
+                          />
+                        </div>
+                        <div className="mb-2">
+                          <CheckInButton
+                            checkins={checkInsByLocation.get(location.id) || []}
+                            member={memberName}
+                            onCheckIn={() => handleCheckIn(location)}
+                            onUndo={() => handleUndoCheckIn(location)}
+                          />
+                        </div>
+                        <div className="flex flex-wrap gap-2 mb-2">
+                          {location.category.map(cat => (
                             <span key={cat} className="bg-[#8FD6E1] text-[#2A4858] px-2 py-1 rounded-full text-xs">
                               {cat}
                             </span>
-                          ))
-                        ) : (
-                          <span className="bg-[#8FD6E1] text-[#2A4858] px-2 py-1 rounded-full text-xs">
-                            {location.category}
-                          </span>
-                        )}
-                      </div>
-                      {isAdmin && (
-                        <div className="flex justify-end gap-2 mt-2">
-                          <button
-                            onClick={() => {
-                              setSelectedLocation(location);
-                              setIsEditing(true);
-                              setName(location.name);
-                              setDescription(location.description);
-                              setCategories(Array.isArray(location.category) ? location.category : [location.category]);
-                              setEmoji(location.emoji);
-                            }}
-                            className="px-3 py-1 bg-[#6B4984] text-[#F4EAD5] rounded hover:bg-[#8FD6E1] transition-colors"
-                          >
-                            Edit
-                          </button>
+                          ))}
+                        </div>
+                        <div className="flex items-center justify-between gap-2 mb-2 text-sm">
+                          {spendByLocation.has(location.id) ? (
+                            <button onClick={() => setView('expenses')} className="underline hover:text-[#6B4984]">
+                              Group spend: {formatMoney(spendByLocation.get(location.id).total)}
+                              {' '}({spendByLocation.get(location.id).count} {spendByLocation.get(location.id).count === 1 ? 'expense' : 'expenses'})
+                            </button>
+                          ) : (
+                            <span>No group spend yet</span>
+                          )}
                           <button
-                            onClick={() => handleLocationDelete(location.id)}
-                            className="px-3 py-1 bg-[#FF6B6B] text-[#F4EAD5] rounded hover:bg-[#FF8E8E] transition-colors"
+                            onClick={() => openExpenseEditor({ locationId: location.id })}
+                            className="px-2 py-1 bg-[#8FD6E1] text-[#2A4858] rounded hover:bg-[#6B4984] hover:text-[#F4EAD5] transition-colors"
                           >
-                            Delete
+                            Log expense
                           </button>
                         </div>
-                      )}
-                    </div>
-                  </Popup>
-                </Marker>
-              ))}
+                        <CommentThread
+                          comments={commentsByLocation.get(location.id) || []}
+                          isAdmin={isAdmin}
+                          onAdd={(text) => handleAddComment(location, text)}
+                          onEdit={handleEditComment}
+                          onDelete={handleDeleteComment}
+                          className="max-h-48 overflow-y-auto"
+                        />
+                        {isAdmin && liveSync.locks.has(location.id) && (
+                          <p className="mt-2 text-sm text-[#6B4984]">
+                            ✏️ {liveSync.locks.get(location.id).editor || 'Someone'} is editing this
+                          </p>
+                        )}
+                        {isAdmin && (
+                          <div className="flex justify-end gap-2 mt-2">
+                            <button
+                              onClick={() => setHistoryFilters({ locationId: location.id, editor: null })}
+                              className="px-3 py-1 bg-[#8FD6E1] text-[#2A4858] rounded hover:bg-[#6B4984] hover:text-[#F4EAD5] transition-colors"
+                            >
+                              History
+                            </button>
+                            <button
+                              onClick={() => openEditor(location)}
+                              className="px-3 py-1 bg-[#6B4984] text-[#F4EAD5] rounded hover:bg-[#8FD6E1] transition-colors"
+                            >
+                              Edit
+                            </button>
+                            <button
+                              onClick={() => handleLocationDelete(location.id)}
+                              className="px-3 py-1 bg-[#FF6B6B] text-[#F4EAD5] rounded hover:bg-[#FF8E8E] transition-colors"
+                            >
+                              Delete
+                            </button>
+                          </div>
+                        )}
+                      </div>
+                    </Popup>
+                  </Marker>
+                ))}
+              </MarkerClusterGroup>
+              {/* Radius filter around the distance origin */}
+              {radiusKm && origin && (
+                <Circle
+                  center={origin.position}
+                  radius={radiusKm * 1000}
+                  pathOptions={{ color: '#2ca5b8', fillColor: '#8FD6E1', fillOpacity: 0.15, weight: 2 }}
+                  interactive={false}
+                />
+              )}
+              {/* Itinerary route from HQ through the day's stops */}
+              {route && (
+                <>
+                  <Polyline positions={route.points} pathOptions={{ color: '#6B4984', weight: 4, dashArray: '8 8' }} />
+                  {route.legs.map(({ stop, location }, index) => (
+                    <Marker
+                      key={stop.id}
+                      position={location.position}
+                      icon={createStopIcon(index + 1)}
+                      interactive={false}
+                    />
+                  ))}
+                </>
+              )}
+              {/* Draft marker for a location that has not been saved yet */}
+              {isEditing && editorPosition && !locations.some(loc => loc.id === selectedLocation.id) && (
+                <Marker
+                  position={editorPosition}
+                  icon={createLocationIcon({ emoji, photos, coverPhotoId })}
+                  draggable
+                  eventHandlers={{
+                    dragend: (e) => handleMarkerDragEnd(selectedLocation, e)
+                  }}
+                />
+              )}
             </MapContainer>
+            <MapStyleControl
+              styles={mapStyles}
+              value={mapStyle.id}
+              onChange={setPreferredMapStyle}
+              onManage={isAdmin ? () => setIsTileSourceSettingsOpen(true) : undefined}
+              className="absolute bottom-24 left-4 z-[1000]"
+            />
           </div>
         )}
       </main>
 
-      <div className="fixed bottom-0 left-0 right-0 bg-[#2ca5b8] shadow-lg flex justify-around items-center p-4 z-[1001]">
+      <div className="fixed bottom-0 left-0 right-0 bg-[var(--trip-primary)] shadow-lg flex justify-around items-center p-4 z-[1001]">
         <button
           onClick={() => setView('map')}
           className={`flex flex-col items-center ${
-            view === 'map' ? 'text-[#6B4984]' : 'text-[#F4EAD5] hover:text-[#6B4984]'
+            view === 'map' ? 'text-[var(--trip-accent)]' : 'text-[#F4EAD5] hover:text-[var(--trip-accent)]'
           } transition-colors`}
         >
           <FaMap className="text-2xl" />
@@ -860,20 +2245,47 @@ function App() {
         <button
           onClick={() => setView('list')}
           className={`flex flex-col items-center ${
-            view === 'list' ? 'text-[#6B4984]' : 'text-[#F4EAD5] hover:text-[#6B4984]'
+            view === 'list' ? 'text-[var(--trip-accent)]' : 'text-[#F4EAD5] hover:text-[var(--trip-accent)]'
           } transition-colors`}
         >
           <FaList className="text-2xl" />
           <span className="text-sm mt-1">List</span>
         </button>
         <button
-          onClick={() => setView('cooper')}
+          onClick={() => setView('today')}
+          className={`flex flex-col items-center ${
+            view === 'today' ? 'text-[var(--trip-accent)]' : 'text-[#F4EAD5] hover:text-[var(--trip-accent)]'
+          } transition-colors`}
+        >
+          <FaCalendarDay className="text-2xl" />
+          <span className="text-sm mt-1">Today</span>
+        </button>
+        <button
+          onClick={() => setView('events')}
+          className={`flex flex-col items-center ${
+            view === 'events' ? 'text-[var(--trip-accent)]' : 'text-[#F4EAD5] hover:text-[var(--trip-accent)]'
+          } transition-colors`}
+        >
+          <FaCalendarAlt className="text-2xl" />
+          <span className="text-sm mt-1">Events</span>
+        </button>
+        <button
+          onClick={() => setView('expenses')}
           className={`flex flex-col items-center ${
-            view === 'cooper' ? 'text-[#6B4984]' : 'text-[#F4EAD5] hover:text-[#6B4984]'
+            view === 'expenses' ? 'text-[var(--trip-accent)]' : 'text-[#F4EAD5] hover:text-[var(--trip-accent)]'
           } transition-colors`}
         >
-          <FaDog className="text-2xl" />
-          <span className="text-sm mt-1">Cooper</span>
+          <FaReceipt className="text-2xl" />
+          <span className="text-sm mt-1">Expenses</span>
+        </button>
+        <button
+          onClick={() => openPerson(null)}
+          className={`flex flex-col items-center ${
+            view === 'people' ? 'text-[var(--trip-accent)]' : 'text-[#F4EAD5] hover:text-[var(--trip-accent)]'
+          } transition-colors`}
+        >
+          <FaUsers className="text-2xl" />
+          <span className="text-sm mt-1">People</span>
         </button>
       </div>
 
@@ -881,7 +2293,7 @@ function App() {
 
       {/* Location Editor */}
       {isEditing && (
-        <div className="fixed top-20 right-4 w-80 bg-[#F4EAD5] rounded-lg shadow-lg p-4 z-[1000]">
+        <div className="fixed top-20 right-4 w-80 max-h-[calc(100vh-10rem)] overflow-auto bg-[#F4EAD5] rounded-lg shadow-lg p-4 z-[1000]">
           <form onSubmit={(e) => {
             e.preventDefault();
             handleLocationUpdate({
@@ -889,9 +2301,24 @@ function App() {
               name,
               description,
               category: categories,
-              emoji
+              emoji,
+              photos,
+              coverPhotoId,
+              position: editorPosition
             });
           }}>
+            {liveSync.locks.has(selectedLocation.id) && (
+              <p className="mb-2 p-2 bg-[#8FD6E1] bg-opacity-40 rounded text-sm text-[#2A4858]">
+                ✏️ {liveSync.locks.get(selectedLocation.id).editor || 'Someone'} is editing this too
+              </p>
+            )}
+            {editorNotice && (
+              <p className="mb-2 p-2 bg-[#FF6B6B] bg-opacity-20 border border-[#FF6B6B] rounded text-sm text-[#2A4858]">
+                {editorNotice.isDeleted
+                  ? `${editorNotice.editor} deleted this location while you were editing. Saving will ask whether to bring it back.`
+                  : `${editorNotice.editor} changed this location while you were editing. Saving will show both versions.`}
+              </p>
+            )}
             <input
               type="text"
               value={name}
@@ -908,7 +2335,7 @@ function App() {
             <div className="mb-2">
               <label className="block text-sm font-medium mb-1 text-[#2ca5b8]">Categories</label>
               <div className="space-y-2">
-                {CATEGORIES.map(cat => (
+                {categoryNames.map(cat => (
                   <label key={cat} className="flex items-center space-x-2">
                     <input
                       type="checkbox"
@@ -931,18 +2358,108 @@ function App() {
             </div>
             <div className="mb-4">
               <label className="block text-sm font-medium mb-1 text-[#2A4858]">Emoji</label>
+              <div className="grid grid-cols-7 gap-1 mb-2">
+                {getEmojiPalette(categories).map(em => (
+                  <button
+                    key={em}
+                    type="button"
+                    onClick={() => setEmoji(em)}
+                    className={`p-1 text-xl rounded ${
+                      emoji === em ? 'bg-[#8FD6E1] ring-2 ring-[#2ca5b8]' : 'hover:bg-white'
+                    }`}
+                  >
+                    {em}
+                  </button>
+                ))}
+              </div>
+              <EmojiInput value={emoji} onChange={setEmoji} />
+            </div>
+            <div className="mb-4">
+              <label className="block text-sm font-medium mb-1 text-[#2A4858]">Photos</label>
+              {photos.length > 0 && (
+                <div className="grid grid-cols-3 gap-2 mb-2">
+                  {photos.map(photo => (
+                    <div key={photo.id} className="relative">
+                      <img
+                        src={photo.thumbUrl}
+                        alt=""
+                        className={`w-full h-16 object-cover rounded ${
+                          coverPhotoId === photo.id ? 'ring-2 ring-[#2ca5b8]' : ''
+                        }`}
+                      />
+                      <button
+                        type="button"
+                        onClick={() => handlePhotoRemove(photo.id)}
+                        className="absolute top-0 right-0 w-5 h-5 text-xs bg-[#FF6B6B] text-[#F4EAD5] rounded-full hover:bg-[#FF8E8E]"
+                        aria-label="Remove photo"
+                      >
+                        ✕
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setCoverPhotoId(prev => (prev === photo.id ? null : photo.id))}
+                        className={`absolute bottom-0 left-0 right-0 text-xs rounded-b ${
+                          coverPhotoId === photo.id ? 'bg-[#2ca5b8] text-[#F4EAD5]' : 'bg-white bg-opacity-80 text-[#2A4858] hover:bg-[#8FD6E1]'
+                        }`}
+                      >
+                        {coverPhotoId === photo.id ? 'Cover' : 'Use as marker'}
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
               <input
-                type="text"
-                value={emoji}
-                onChange={(e) => setEmoji(e.target.value)}
-                placeholder="Enter emoji"
-                className="w-full p-2 border border-[#6B4984] rounded focus:outline-none focus:ring-2 focus:ring-[#8FD6E1]"
+                type="file"
+                accept="image/*"
+                multiple
+                onChange={(e) => {
+                  handlePhotoFiles(e.target.files);
+                  e.target.value = '';
+                }}
+                className="w-full text-sm text-[#2A4858]"
               />
+              {photoUploads > 0 && (
+                <p className="text-xs text-[#2A4858] mt-1">
+                  Uploading {photoUploads} photo{photoUploads === 1 ? '' : 's'}…
+                </p>
+              )}
+            </div>
+            <div className="mb-4">
+              <label className="block text-sm font-medium mb-1 text-[#2A4858]">Coordinates</label>
+              <div className="flex gap-2">
+                <input
+                  type="number"
+                  step="any"
+                  value={latitude}
+                  onChange={(e) => setLatitude(e.target.value)}
+                  placeholder="Latitude"
+                  aria-label="Latitude"
+                  className="w-1/2 p-2 border border-[#6B4984] rounded focus:outline-none focus:ring-2 focus:ring-[#8FD6E1]"
+                />
+                <input
+                  type="number"
+                  step="any"
+                  value={longitude}
+                  onChange={(e) => setLongitude(e.target.value)}
+                  placeholder="Longitude"
+                  aria-label="Longitude"
+                  className="w-1/2 p-2 border border-[#6B4984] rounded focus:outline-none focus:ring-2 focus:ring-[#8FD6E1]"
+                />
+              </div>
+              <p className="text-xs text-[#2A4858] mt-1">Drag the marker or type coordinates</p>
             </div>
+            {editorErrors.length > 0 && (
+              <ul className="mb-4 p-2 bg-[#FF6B6B] bg-opacity-20 border border-[#FF6B6B] rounded text-sm text-[#2A4858] list-disc list-inside">
+                {editorErrors.map(error => (
+                  <li key={error}>{error}</li>
+                ))}
+              </ul>
+            )}
             <div className="flex justify-between">
               <button
                 type="submit"
-                className="bg-[#8FD6E1] hover:bg-[#6B4984] text-[#2A4858] font-bold py-2 px-4 rounded transition-colors"
+                disabled={photoUploads > 0}
+                className="bg-[#8FD6E1] hover:bg-[#6B4984] text-[#2A4858] font-bold py-2 px-4 rounded transition-colors disabled:opacity-50"
               >
                 Save
               </button>
@@ -961,7 +2478,192 @@ function App() {
         </div>
       )}
 
+      {/* Import dialog */}
+      {isAdmin && isImportOpen && (
+        <ImportDialog
+          locations={locations}
+          categories={categoryNames}
+          bounds={trip.bounds}
+          onImport={handleImport}
+          onClose={() => setIsImportOpen(false)}
+        />
+      )}
+
+      {/* Marker move confirmation */}
+      {isAdmin && pendingMove && (
+        <div className="fixed bottom-24 left-1/2 transform -translate-x-1/2 bg-[#F4EAD5] rounded-lg shadow-lg p-4 z-[1002] text-[#2A4858]">
+          <p className="mb-1">
+            Move <span className="font-bold">{pendingMove.location.name}</span> here?
+          </p>
+          <p className="text-sm mb-3">
+            {formatCoordinate(pendingMove.position[0])}, {formatCoordinate(pendingMove.position[1])}
+          </p>
+          <div className="flex justify-between gap-2">
+            <button
+              onClick={handleMoveConfirm}
+              className="bg-[#8FD6E1] hover:bg-[#6B4984] text-[#2A4858] font-bold py-2 px-4 rounded transition-colors"
+            >
+              Confirm
+            </button>
+            <button
+              onClick={() => setPendingMove(null)}
+              className="bg-[#FF6B6B] hover:bg-[#FF8E8E] text-[#F4EAD5] font-bold py-2 px-4 rounded transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Invalid data warning */}
+      {isAdmin && invalidLocations.length > 0 && (
+        <div className="fixed top-20 left-4 w-80 max-h-64 overflow-auto bg-[#F4EAD5] border-2 border-[#FF6B6B] rounded-lg shadow-lg p-4 z-[1001]">
+          <div className="flex justify-between items-start mb-2">
+            <h3 className="font-bold text-[#2A4858]">
+              {invalidLocations.length} location{invalidLocations.length === 1 ? '' : 's'} could not be loaded
+            </h3>
+            <button
+              onClick={() => setInvalidLocations([])}
+              className="text-[#2A4858] hover:text-[#FF6B6B] ml-2"
+            >
+              ✕
+            </button>
+          </div>
+          <ul className="text-sm text-[#2A4858] space-y-1">
+            {invalidLocations.map(({ location, errors }, index) => (
+              <li key={location.id ?? index}>
+                <span className="font-semibold">{location.name || `#${location.id ?? index}`}</span>: {errors.join('; ')}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Undo delete toast */}
+      {isAdmin && undoToast && history.findUndo(undoToast.entryId) && (
+        <UndoToast
+          message={undoToast.message}
+          onUndo={handleToastUndo}
+          onDismiss={dismissUndoToast}
+        />
+      )}
+
       {/* Save indicator */}
+      {isAdmin && isCategorySettingsOpen && (
+        <CategorySettings
+          categories={categoryList}
+          locations={locations}
+          onSave={handleSaveCategories}
+          onRename={handleRenameCategory}
+          onClose={() => setIsCategorySettingsOpen(false)}
+        />
+      )}
+
+      {syncConflict && (
+        <SyncDialog
+          conflict={syncConflict}
+          onResolve={(location) => {
+            setSyncConflict(null);
+            syncConflict.resolve(location);
+          }}
+          onCancel={() => {
+            setSyncConflict(null);
+            syncConflict.reject(new SyncCancelledError());
+          }}
+        />
+      )}
+
+      {isAdmin && isTileSourceSettingsOpen && (
+        <TileSourceSettings
+          sources={tileSources}
+          onSave={handleSaveTileSources}
+          onClose={() => setIsTileSourceSettingsOpen(false)}
+        />
+      )}
+
+      {isAdmin && personEditor && (
+        <PersonEditor
+          person={personEditor.person}
+          locations={locations}
+          onUploadPhoto={(file) => uploadPhoto(file).then(photo => photo.url)}
+          onSave={handleSavePerson}
+          onDelete={handleDeletePerson}
+          onClose={() => setPersonEditor(null)}
+        />
+      )}
+
+      {expenseEditor && (
+        <ExpenseEditor
+          expense={expenseEditor.expense}
+          defaults={expenseEditor.defaults}
+          memberName={memberName}
+          names={expenseNames}
+          locations={locations}
+          onSave={handleSaveExpense}
+          onDelete={handleDeleteExpense}
+          onClose={() => setExpenseEditor(null)}
+        />
+      )}
+
+      {isAdmin && eventEditor && (
+        <EventEditor
+          event={eventEditor.event}
+          locations={locations}
+          people={people}
+          onSave={handleSaveEvent}
+          onDelete={handleDeleteEvent}
+          onClose={() => setEventEditor(null)}
+        />
+      )}
+
+      {isAdmin && historyFilters && (
+        <HistoryPanel
+          log={auditLog}
+          filters={historyFilters}
+          onFilterChange={setHistoryFilters}
+          onRestore={handleRestoreVersion}
+          onClose={() => setHistoryFilters(null)}
+        />
+      )}
+
+      {isAdmin && isOfflineMapOpen && (
+        <OfflineMapDialog
+          trip={trip}
+          styleName={mapStyle.name}
+          tileUrl={mapStyle.url}
+          onClose={() => setIsOfflineMapOpen(false)}
+        />
+      )}
+
+      {isNamePickerOpen && (
+        <NamePicker
+          members={listMembers(ratings)}
+          current={memberName}
+          onPick={handleMemberPick}
+          onClose={() => {
+            setIsNamePickerOpen(false);
+            pendingAction?.cancel();
+            setPendingAction(null);
+          }}
+        />
+      )}
+
+      {gallery && (
+        <PhotoGallery
+          photos={gallery.photos}
+          startIndex={gallery.index}
+          title={gallery.title}
+          onClose={closeGallery}
+        />
+      )}
+
+      {/* Offline Indicator */}
+      {!isOnline && (
+        <div className="fixed bottom-20 left-4 bg-[#2A4858] text-[#F4EAD5] px-4 py-2 rounded-lg shadow-lg z-[1001] text-sm">
+          Offline — showing saved locations and map tiles
+        </div>
+      )}
+
       {isAdmin && showSaveIndicator && (
         <div className="fixed bottom-20 right-4 bg-green-500 text-white px-4 py-2 rounded-lg shadow-lg flex items-center space-x-2 z-[1001]">
           <FaCheck />
@@ -969,13 +2671,6 @@ function App() {
         </div>
       )}
 
-      {/* Cooper Party Button - Show in Cooper view for both mobile and desktop */}
-      {view === 'cooper' && (
-        <div className="fixed bottom-20 left-1/2 transform -translate-x-1/2 z-[1001] mb-8">
-          <CooperParty />
-        </div>
-      )}
-
       {/* Tumbleweed Animation */}
       <div className="fixed inset-0 pointer-events-none z-[999]">
         <div className="tumbleweed">🌵</div>
@@ -0,0 +1,73 @@
+/**
+ * @file TripRoot.jsx
+ * @description Loads the trip manifest and shows the trip named in the URL. Each trip gets
+ * its own App instance, so switching trips starts from a clean slate.
+ */
+
+import React, { useState, useEffect } from 'react';
+import App from './App.jsx';
+import { fetchTrips } from './api/trips';
+import { setCurrentTrip } from './api/client';
+import { parseTripManifest } from './utils/trips';
+import { parseRoute } from './utils/routes';
+
+/**
+ * @function tripIdFromUrl
+ * @description Reads the trip from the current URL
+ * @param {Object} manifest - `{ defaultTrip, trips }`
+ * @returns {string} Trip id; the default trip when the path names none
+ */
+const tripIdFromUrl = (manifest) => {
+  const { tripId } = parseRoute(window.location.pathname, window.location.search, {
+    tripIds: manifest.trips.map(trip => trip.id)
+  });
+  return tripId ?? manifest.defaultTrip;
+};
+
+/**
+ * @function TripRoot
+ * @description Top-level component: resolves the trip and renders the app for it
+ * @returns {JSX.Element|null} The app, or nothing while the manifest loads
+ */
+const TripRoot = () => {
+  const [manifest, setManifest] = useState(null);
+  const [tripId, setTripId] = useState(null);
+
+  useEffect(() => {
+    fetchTrips()
+      .catch(error => {
+        console.error('Error loading trips:', error);
+        return parseTripManifest(null);
+      })
+      .then(loaded => {
+        setManifest(loaded);
+        setTripId(tripIdFromUrl(loaded));
+      });
+  }, []);
+
+  useEffect(() => {
+    if (!manifest) return undefined;
+    const handlePopState = () => setTripId(tripIdFromUrl(manifest));
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [manifest]);
+
+  if (!manifest) return null;
+  const trip = manifest.trips.find(candidate => candidate.id === tripId);
+  // Set while rendering so the app's first requests already go to this trip
+  setCurrentTrip(trip);
+
+  /**
+   * @function handleSwitchTrip
+   * @description Opens another trip on its map
+   * @param {string} id - Trip id
+   */
+  const handleSwitchTrip = (id) => {
+    window.history.pushState(null, '', `/${encodeURIComponent(id)}/map`);
+    setTripId(id);
+  };
+
+  return <App key={trip.id} trip={trip} manifest={manifest} onSwitchTrip={handleSwitchTrip} />;
+};
+
+export default TripRoot;
@@ -0,0 +1,23 @@
+/**
+ * @file audit.js
+ * @description Client for the location audit log served from `/api/audit`
+ */
+
+import { request } from './client';
+
+/**
+ * @function fetchAuditLog
+ * @description Loads logged location changes (admin only)
+ * @param {Object} [filters]
+ * @param {number|null} [filters.locationId] - Only changes to this location
+ * @param {string|null} [filters.editor] - Only changes by this editor
+ * @returns {Promise<{entries: Array, editors: Array<string>, locations: Array}>} Matching
+ * entries, newest first, and what the filters can pick from
+ */
+export const fetchAuditLog = ({ locationId = null, editor = null } = {}) => {
+  const params = new URLSearchParams();
+  if (locationId !== null) params.set('location', locationId);
+  if (editor) params.set('editor', editor);
+  const query = params.toString();
+  return request(query ? `/api/audit?${query}` : '/api/audit');
+};
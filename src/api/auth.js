@@ -0,0 +1,50 @@
+/**
+ * @file auth.js
+ * @description Client for the admin authentication API served from `/api/auth`
+ */
+
+import { request, getAuthToken, setAuthToken } from './client';
+
+/**
+ * @function login
+ * @description Logs in with an admin password and stores the session token
+ * @param {string} password - Admin password
+ * @returns {Promise<{token: string, expiresAt: number, editor: string}>} The new session, with
+ * the name the server logs its edits under
+ */
+export const login = async (password) => {
+  const session = await request('/api/auth/login', {
+    method: 'POST',
+    body: JSON.stringify({ password })
+  });
+  setAuthToken(session.token);
+  return session;
+};
+
+/**
+ * @function logout
+ * @description Revokes the session on the server and forgets the token
+ * @returns {Promise<void>}
+ */
+export const logout = async () => {
+  try {
+    await request('/api/auth/logout', { method: 'POST' });
+  } finally {
+    setAuthToken(null);
+  }
+};
+
+/**
+ * @function restoreSession
+ * @description Checks a stored token with the server, clearing it if it is no longer valid
+ * @returns {Promise<{expiresAt: number, editor: string}|null>} The active admin session, if any
+ */
+export const restoreSession = async () => {
+  if (!getAuthToken()) return null;
+  try {
+    return await request('/api/auth/session');
+  } catch (error) {
+    if (error.status === 401) setAuthToken(null);
+    return null;
+  }
+};
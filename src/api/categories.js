@@ -0,0 +1,31 @@
+/**
+ * @file categories.js
+ * @description Client for the categories API served from `/api/categories`
+ */
+
+import { request } from './client';
+
+/**
+ * @constant {string} CATEGORIES_API
+ * @description Base URL of the categories API
+ */
+const CATEGORIES_API = '/api/categories';
+
+/**
+ * @function saveCategories
+ * @description Replaces the category list
+ * @param {Array} categories - Whole category list
+ * @returns {Promise<Array>} The stored categories
+ */
+export const saveCategories = (categories) =>
+  request(CATEGORIES_API, { method: 'PUT', body: JSON.stringify({ categories }) }).then(data => data.categories);
+
+/**
+ * @function renameCategory
+ * @description Renames a category, or merges it into another when the name is taken
+ * @param {string} from - Current category name
+ * @param {string} to - New name, or the category to merge into
+ * @returns {Promise<Object>} `{ categories, locations }` with the locations that changed
+ */
+export const renameCategory = (from, to) =>
+  request(`${CATEGORIES_API}/rename`, { method: 'POST', body: JSON.stringify({ from, to }) });
@@ -0,0 +1,42 @@
+/**
+ * @file checkins.js
+ * @description Client for the check-ins API served from `/api/checkins`
+ */
+
+import { request, tripFileUrl } from './client';
+
+/**
+ * @constant {string} CHECKINS_API
+ * @description Base URL of the check-ins API
+ */
+const CHECKINS_API = '/api/checkins';
+
+/**
+ * @function fetchCheckIns
+ * @description Loads every check-in, falling back to the static file when the API is unavailable
+ * @returns {Promise<Object>} `{ checkins }`
+ */
+export const fetchCheckIns = () => request(CHECKINS_API)
+  .catch(() => fetch(tripFileUrl('checkins.json')).then(response => response.json()));
+
+/**
+ * @function checkIn
+ * @description Records that a member visited a location
+ * @param {number} locationId - Visited location
+ * @param {string} member - Who checked in
+ * @returns {Promise<Object>} The stored check-in
+ */
+export const checkIn = (locationId, member) =>
+  request(`${CHECKINS_API}/${locationId}`, { method: 'POST', body: JSON.stringify({ member }) })
+    .then(data => data.checkin);
+
+/**
+ * @function undoCheckIn
+ * @description Takes back a member's check-in
+ * @param {number} locationId - Location checked in to
+ * @param {string} member - Who checked in
+ * @returns {Promise<Object>} The removed check-in
+ */
+export const undoCheckIn = (locationId, member) =>
+  request(`${CHECKINS_API}/${locationId}?${new URLSearchParams({ member })}`, { method: 'DELETE' })
+    .then(data => data.checkin);
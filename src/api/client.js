@@ -0,0 +1,144 @@
+/**
+ * @file client.js
+ * @description Shared fetch wrapper for the `/api/*` endpoints. Attaches the admin session
+ * token, when there is one, to every request, and names the trip being viewed so the server
+ * answers with that trip's data.
+ */
+
+import { getTripDataDir } from '../utils/trips';
+
+/**
+ * @constant {string} TOKEN_KEY
+ * @description localStorage key holding the admin session token
+ */
+const TOKEN_KEY = 'adminToken';
+
+/**
+ * @function getAuthToken
+ * @description Returns the stored admin session token
+ * @returns {string|null} The token, if logged in
+ */
+export const getAuthToken = () => localStorage.getItem(TOKEN_KEY);
+
+/**
+ * @function setAuthToken
+ * @description Stores or clears the admin session token
+ * @param {string|null} token - Token to store, or null to clear it
+ */
+export const setAuthToken = (token) => {
+  if (token) {
+    localStorage.setItem(TOKEN_KEY, token);
+  } else {
+    localStorage.removeItem(TOKEN_KEY);
+  }
+};
+
+/**
+ * @constant {string} AUTHOR_KEY
+ * @description localStorage key holding this device's author key. It was first used for
+ * comments only, hence the name.
+ */
+const AUTHOR_KEY = 'commentAuthorKey';
+
+/**
+ * @function getAuthorKey
+ * @description Returns this device's author key, creating it on first use
+ * @returns {string} Random key
+ */
+const getAuthorKey = () => {
+  let key = localStorage.getItem(AUTHOR_KEY);
+  if (!key) {
+    // randomUUID needs a secure context; plain-http LAN addresses only get getRandomValues
+    key = [...crypto.getRandomValues(new Uint8Array(16))].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    localStorage.setItem(AUTHOR_KEY, key);
+  }
+  return key;
+};
+
+/**
+ * @type {Object|null}
+ * @description Trip whose data requests are for; null until the manifest has loaded
+ */
+let currentTrip = null;
+
+/**
+ * @function setCurrentTrip
+ * @description Points the API calls and static data fallbacks at a trip
+ * @param {Object|null} trip - Normalized trip
+ */
+export const setCurrentTrip = (trip) => {
+  currentTrip = trip;
+};
+
+/**
+ * @function tripFileUrl
+ * @description URL of one of the current trip's static data files, used when the API is
+ * unavailable. Files sit next to the trip's location data file.
+ * @param {string} name - File name, e.g. `itinerary.json`
+ * @returns {string} URL under `/`
+ */
+export const tripFileUrl = (name) => `/${currentTrip ? getTripDataDir(currentTrip) : ''}${name}`;
+
+/**
+ * @function withTrip
+ * @description Adds the current trip to an API URL
+ * @param {string} url - Request URL
+ * @returns {string} URL with `trip` in the query string
+ */
+const withTrip = (url) => {
+  if (!currentTrip || !url.startsWith('/api/')) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}trip=${encodeURIComponent(currentTrip.id)}`;
+};
+
+/**
+ * @class ApiError
+ * @description Error thrown for non-2xx API responses
+ * @property {number} status - HTTP status code
+ * @property {Array<string>|undefined} errors - Validation errors, for 422 responses
+ * @property {Object|null} body - Parsed response body, e.g. the current record of a 409
+ */
+export class ApiError extends Error {
+  constructor(status, message, errors, body = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.errors = errors;
+    this.body = body;
+  }
+}
+
+/**
+ * @function request
+ * @description Sends a JSON request and unwraps the response
+ * @param {string} url - Request URL
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Object>} Parsed response body
+ * @throws {ApiError} With the server's error message when the response is not ok
+ */
+export const request = async (url, options = {}) => {
+  const token = getAuthToken();
+  const response = await fetch(withTrip(url), {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...options.headers
+    }
+  });
+  const data = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new ApiError(response.status, data?.error || `Request failed with status ${response.status}`, data?.errors, data);
+  }
+  return data;
+};
+
+/**
+ * @function authoredRequest
+ * @description Sends a request with this device's author key attached, for APIs where people
+ * can change what they posted from the same device
+ * @param {string} url - Request URL
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Object>} Parsed response body
+ */
+export const authoredRequest = (url, options = {}) =>
+  request(url, { ...options, headers: { 'X-Author-Key': getAuthorKey(), ...options.headers } });
@@ -0,0 +1,48 @@
+/**
+ * @file comments.js
+ * @description Client for the comments API served from `/api/comments`. Requests carry this
+ * device's author key, which is what lets people edit and delete their own comments.
+ */
+
+import { authoredRequest } from './client';
+
+/**
+ * @constant {string} COMMENTS_API
+ * @description Base URL of the comments API
+ */
+const COMMENTS_API = '/api/comments';
+
+/**
+ * @function fetchComments
+ * @description Loads every comment
+ * @returns {Promise<Array>} Comments, with `mine` set on this device's own
+ */
+export const fetchComments = () => authoredRequest(COMMENTS_API).then(data => data.comments);
+
+/**
+ * @function addComment
+ * @description Adds a comment to a location
+ * @param {Object} comment - `{ locationId, author, text }`
+ * @returns {Promise<Object>} The stored comment
+ */
+export const addComment = (comment) =>
+  authoredRequest(COMMENTS_API, { method: 'POST', body: JSON.stringify(comment) }).then(data => data.comment);
+
+/**
+ * @function editComment
+ * @description Changes the text of one of this device's comments
+ * @param {string} id - Comment id
+ * @param {string} text - New text
+ * @returns {Promise<Object>} The updated comment
+ */
+export const editComment = (id, text) =>
+  authoredRequest(`${COMMENTS_API}/${id}`, { method: 'PUT', body: JSON.stringify({ text }) }).then(data => data.comment);
+
+/**
+ * @function deleteComment
+ * @description Deletes one of this device's comments, or any comment as admin
+ * @param {string} id - Comment id
+ * @returns {Promise<Object>} The deleted comment
+ */
+export const deleteComment = (id) =>
+  authoredRequest(`${COMMENTS_API}/${id}`, { method: 'DELETE' }).then(data => data.comment);
@@ -0,0 +1,52 @@
+/**
+ * @file events.js
+ * @description Client for the events API served from `/api/events`
+ */
+
+import { request, tripFileUrl } from './client';
+import { normalizeEvents, sortEvents } from '../utils/events';
+
+/**
+ * @constant {string} EVENTS_API
+ * @description Base URL of the events API
+ */
+const EVENTS_API = '/api/events';
+
+/**
+ * @function fetchEvents
+ * @description Loads the trip's events, falling back to the static file when the API is unavailable
+ * @returns {Promise<Array>} Normalized events by start time
+ */
+export const fetchEvents = () => request(EVENTS_API)
+  .catch(() => fetch(tripFileUrl('events.json')).then(response => (response.ok ? response.json() : null)))
+  .then(data => sortEvents(normalizeEvents(data).events));
+
+/**
+ * @function createEvent
+ * @description Adds an event
+ * @param {Object} event - Event to add
+ * @returns {Promise<Object>} The stored event, with its new id
+ * @throws {ApiError} 422 with `errors` when the event is invalid
+ */
+export const createEvent = (event) =>
+  request(EVENTS_API, { method: 'POST', body: JSON.stringify(event) }).then(data => data.event);
+
+/**
+ * @function updateEvent
+ * @description Saves changes to an event
+ * @param {Object} event - Event with its `id`
+ * @returns {Promise<Object>} The stored event
+ * @throws {ApiError} 422 with `errors` when the event is invalid
+ */
+export const updateEvent = (event) =>
+  request(`${EVENTS_API}/${encodeURIComponent(event.id)}`, { method: 'PUT', body: JSON.stringify(event) })
+    .then(data => data.event);
+
+/**
+ * @function deleteEvent
+ * @description Deletes an event
+ * @param {string} id - Event id
+ * @returns {Promise<Object>} The removed event
+ */
+export const deleteEvent = (id) =>
+  request(`${EVENTS_API}/${encodeURIComponent(id)}`, { method: 'DELETE' }).then(data => data.event);
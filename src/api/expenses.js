@@ -0,0 +1,53 @@
+/**
+ * @file expenses.js
+ * @description Client for the expense ledger API served from `/api/expenses`. Requests carry
+ * this device's author key, which is what lets people change the expenses they logged.
+ */
+
+import { authoredRequest } from './client';
+import { normalizeExpense } from '../utils/expenses';
+
+/**
+ * @constant {string} EXPENSES_API
+ * @description Base URL of the expenses API
+ */
+const EXPENSES_API = '/api/expenses';
+
+/**
+ * @function fetchExpenses
+ * @description Loads the ledger
+ * @returns {Promise<Array>} Normalized expenses newest first, with `mine` set on this device's own
+ */
+export const fetchExpenses = () =>
+  authoredRequest(EXPENSES_API).then(data => data.expenses.map(normalizeExpense));
+
+/**
+ * @function addExpense
+ * @description Logs an expense
+ * @param {Object} expense - Expense fields and the `author` logging it
+ * @returns {Promise<Object>} The stored expense
+ * @throws {ApiError} 422 with `errors` when the expense is invalid
+ */
+export const addExpense = (expense) =>
+  authoredRequest(EXPENSES_API, { method: 'POST', body: JSON.stringify(expense) })
+    .then(data => normalizeExpense(data.expense));
+
+/**
+ * @function updateExpense
+ * @description Saves changes to an expense logged on this device, or any as admin
+ * @param {Object} expense - Expense with its `id`
+ * @returns {Promise<Object>} The stored expense
+ * @throws {ApiError} 422 with `errors` when the expense is invalid
+ */
+export const updateExpense = (expense) =>
+  authoredRequest(`${EXPENSES_API}/${encodeURIComponent(expense.id)}`, { method: 'PUT', body: JSON.stringify(expense) })
+    .then(data => normalizeExpense(data.expense));
+
+/**
+ * @function deleteExpense
+ * @description Deletes an expense logged on this device, or any as admin
+ * @param {string} id - Expense id
+ * @returns {Promise<Object>} The deleted expense
+ */
+export const deleteExpense = (id) =>
+  authoredRequest(`${EXPENSES_API}/${encodeURIComponent(id)}`, { method: 'DELETE' }).then(data => data.expense);
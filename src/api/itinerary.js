@@ -0,0 +1,30 @@
+/**
+ * @file itinerary.js
+ * @description Client for the itinerary API served from `/api/itinerary`
+ */
+
+import { request, tripFileUrl } from './client';
+
+/**
+ * @constant {string} ITINERARY_API
+ * @description URL of the itinerary API
+ */
+const ITINERARY_API = '/api/itinerary';
+
+/**
+ * @function fetchItinerary
+ * @description Loads the itinerary, falling back to the static file when the API is unavailable
+ * @returns {Promise<Object>} Itinerary
+ */
+export const fetchItinerary = () => request(ITINERARY_API)
+  .then(data => data.itinerary)
+  .catch(() => fetch(tripFileUrl('itinerary.json')).then(response => response.json()));
+
+/**
+ * @function saveItinerary
+ * @description Replaces the itinerary
+ * @param {Object} itinerary - Whole itinerary
+ * @returns {Promise<Object>} The stored itinerary
+ */
+export const saveItinerary = (itinerary) =>
+  request(ITINERARY_API, { method: 'PUT', body: JSON.stringify(itinerary) }).then(data => data.itinerary);
@@ -0,0 +1,49 @@
+/**
+ * @file locations.js
+ * @description Client for the locations API served from `/api/locations`
+ */
+
+import { request } from './client';
+
+/**
+ * @constant {string} LOCATIONS_API
+ * @description Base URL of the locations API
+ */
+const LOCATIONS_API = '/api/locations';
+
+/**
+ * @function fetchLocations
+ * @description Loads every location along with the category list
+ * @returns {Promise<Object>} `{ categories, locations }`
+ */
+export const fetchLocations = () => request(LOCATIONS_API);
+
+/**
+ * @function createLocation
+ * @description Saves a new location
+ * @param {Object} location - Location to create
+ * @returns {Promise<Object>} The stored location
+ */
+export const createLocation = (location) =>
+  request(LOCATIONS_API, { method: 'POST', body: JSON.stringify(location) }).then(data => data.location);
+
+/**
+ * @function updateLocation
+ * @description Saves changes to an existing location
+ * @param {Object} location - Location with its id and the revision the changes were made to
+ * @returns {Promise<Object>} The stored location
+ * @throws {ApiError} 409 with the current location in `body.location` when it changed since
+ */
+export const updateLocation = (location) =>
+  request(`${LOCATIONS_API}/${location.id}`, { method: 'PUT', body: JSON.stringify(location) }).then(data => data.location);
+
+/**
+ * @function deleteLocation
+ * @description Deletes a location
+ * @param {number} id - Location id
+ * @param {number} revision - Revision the delete was decided on
+ * @returns {Promise<Object>} The deleted location
+ * @throws {ApiError} 409 with the current location in `body.location` when it changed since
+ */
+export const deleteLocation = (id, revision) =>
+  request(`${LOCATIONS_API}/${id}?revision=${revision}`, { method: 'DELETE' }).then(data => data.location);
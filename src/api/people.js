@@ -0,0 +1,52 @@
+/**
+ * @file people.js
+ * @description Client for the people API served from `/api/people`
+ */
+
+import { request, tripFileUrl } from './client';
+import { normalizePeople } from '../utils/people';
+
+/**
+ * @constant {string} PEOPLE_API
+ * @description Base URL of the people API
+ */
+const PEOPLE_API = '/api/people';
+
+/**
+ * @function fetchPeople
+ * @description Loads the trip's roster, falling back to the static file when the API is unavailable
+ * @returns {Promise<Array>} Normalized people
+ */
+export const fetchPeople = () => request(PEOPLE_API)
+  .catch(() => fetch(tripFileUrl('people.json')).then(response => (response.ok ? response.json() : null)))
+  .then(data => normalizePeople(data).people);
+
+/**
+ * @function createPerson
+ * @description Adds a person to the roster
+ * @param {Object} person - Person to add
+ * @returns {Promise<Object>} The stored person
+ * @throws {ApiError} 422 with `errors` when the person is invalid
+ */
+export const createPerson = (person) =>
+  request(PEOPLE_API, { method: 'POST', body: JSON.stringify(person) }).then(data => data.person);
+
+/**
+ * @function updatePerson
+ * @description Saves changes to a person's profile
+ * @param {Object} person - Person with its `id`
+ * @returns {Promise<Object>} The stored person
+ * @throws {ApiError} 422 with `errors` when the person is invalid
+ */
+export const updatePerson = (person) =>
+  request(`${PEOPLE_API}/${encodeURIComponent(person.id)}`, { method: 'PUT', body: JSON.stringify(person) })
+    .then(data => data.person);
+
+/**
+ * @function deletePerson
+ * @description Takes a person off the roster
+ * @param {string} id - Profile path
+ * @returns {Promise<Object>} The removed person
+ */
+export const deletePerson = (id) =>
+  request(`${PEOPLE_API}/${encodeURIComponent(id)}`, { method: 'DELETE' }).then(data => data.person);
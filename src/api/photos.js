@@ -0,0 +1,26 @@
+/**
+ * @file photos.js
+ * @description Client for the photos API served from `/api/photos`
+ */
+
+import { request } from './client';
+import { resizePhoto } from '../utils/images';
+
+/**
+ * @constant {string} PHOTOS_API
+ * @description Base URL of the photos API
+ */
+const PHOTOS_API = '/api/photos';
+
+/**
+ * @function uploadPhoto
+ * @description Resizes a photo in the browser and uploads it. The returned record still has
+ * to be added to a location and saved.
+ * @param {File} file - Image picked by the user
+ * @returns {Promise<Object>} `{ id, url, thumbUrl, width, height }`
+ */
+export const uploadPhoto = async (file) => {
+  const resized = await resizePhoto(file);
+  const data = await request(PHOTOS_API, { method: 'POST', body: JSON.stringify(resized) });
+  return data.photo;
+};
@@ -0,0 +1,30 @@
+/**
+ * @file ratings.js
+ * @description Client for the ratings API served from `/api/ratings`
+ */
+
+import { request, tripFileUrl } from './client';
+
+/**
+ * @constant {string} RATINGS_API
+ * @description Base URL of the ratings API
+ */
+const RATINGS_API = '/api/ratings';
+
+/**
+ * @function fetchRatings
+ * @description Loads every rating, falling back to the static file when the API is unavailable
+ * @returns {Promise<Object>} `{ ratings }`
+ */
+export const fetchRatings = () => request(RATINGS_API)
+  .catch(() => fetch(tripFileUrl('ratings.json')).then(response => response.json()));
+
+/**
+ * @function saveRating
+ * @description Sets a member's vote for a location
+ * @param {number} locationId - Rated location
+ * @param {Object} vote - `{ member, stars, thumbsUp }`; no stars and no thumbs-up removes the vote
+ * @returns {Promise<Object|null>} The stored rating, or null when the vote was removed
+ */
+export const saveRating = (locationId, vote) =>
+  request(`${RATINGS_API}/${locationId}`, { method: 'PUT', body: JSON.stringify(vote) }).then(data => data.rating);
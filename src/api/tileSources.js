@@ -0,0 +1,32 @@
+/**
+ * @file tileSources.js
+ * @description Client for the extra map tile sources served from `/api/tiles`
+ */
+
+import { request } from './client';
+import { normalizeTileSources } from '../utils/tileSources';
+
+/**
+ * @constant {string} TILES_API
+ * @description Base URL of the tiles API
+ */
+const TILES_API = '/api/tiles';
+
+/**
+ * @function fetchTileSources
+ * @description Loads the extra tile sources, falling back to the static file when the API is
+ * unavailable
+ * @returns {Promise<Array>} Normalized sources
+ */
+export const fetchTileSources = () => request(TILES_API)
+  .catch(() => fetch('/tile-sources.json').then(response => response.json()))
+  .then(data => normalizeTileSources(data).sources);
+
+/**
+ * @function saveTileSources
+ * @description Replaces the extra tile sources
+ * @param {Array} sources - Whole source list
+ * @returns {Promise<Array>} The stored sources
+ */
+export const saveTileSources = (sources) =>
+  request(TILES_API, { method: 'PUT', body: JSON.stringify({ sources }) }).then(data => data.sources);
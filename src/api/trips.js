@@ -0,0 +1,17 @@
+/**
+ * @file trips.js
+ * @description Client for the trip manifest served from `/api/trips`
+ */
+
+import { request } from './client';
+import { parseTripManifest } from '../utils/trips';
+
+/**
+ * @function fetchTrips
+ * @description Loads the trips in this deployment, falling back to the static manifest when
+ * the API is unavailable
+ * @returns {Promise<{defaultTrip: string, trips: Array}>} Normalized manifest
+ */
+export const fetchTrips = () => request('/api/trips')
+  .catch(() => fetch('/trips.json').then(response => (response.ok ? response.json() : null)))
+  .then(parseTripManifest);
@@ -0,0 +1,235 @@
+import React, { useState } from 'react';
+import { FaArrowUp, FaArrowDown, FaTrash } from 'react-icons/fa';
+import { renameCategory, HOME_CATEGORY } from '../utils/locationSchema';
+
+/**
+ * @function toDraft
+ * @description Turns a stored category into editable form fields
+ * @param {Object} category - `{ name, color, emoji, emojis }`
+ * @returns {Object} Draft with the palette as space-separated text
+ */
+const toDraft = (category) => ({
+  ...category,
+  savedName: category.name,
+  emojis: category.emojis.join(' ')
+});
+
+/**
+ * @function CategorySettings
+ * @description Admin panel for the category list. Colors, default emoji, palettes, order and
+ * new categories are saved together; renaming and merging are applied straight away, since
+ * they rewrite the locations in that category.
+ * @param {Object} props
+ * @param {Array} props.categories - Current categories
+ * @param {Array} props.locations - Locations, to show how many use each category
+ * @param {Function} props.onSave - Called with the edited category list; may reject
+ * @param {Function} props.onRename - Called with `(from, to)`; may reject
+ * @param {Function} props.onClose - Closes the panel
+ * @returns {JSX.Element} The panel
+ */
+const CategorySettings = ({ categories, locations, onSave, onRename, onClose }) => {
+  const [drafts, setDrafts] = useState(() => categories.map(toDraft));
+  const [renaming, setRenaming] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const usage = (name) => locations.filter(location => location.category.includes(name)).length;
+
+  const updateDraft = (index, changes) => {
+    setDrafts(prev => prev.map((draft, i) => (i === index ? { ...draft, ...changes } : draft)));
+  };
+
+  const moveDraft = (from, to) => {
+    if (to < 0 || to >= drafts.length) return;
+    setDrafts(prev => {
+      const next = [...prev];
+      const [draft] = next.splice(from, 1);
+      next.splice(to, 0, draft);
+      return next;
+    });
+  };
+
+  const handleAdd = () => {
+    setDrafts(prev => [...prev, { name: '', color: '#8FD6E1', emoji: '📍', emojis: '', savedName: null }]);
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    const { from, to } = renaming;
+    const target = to.trim();
+    if (!target || target === from) {
+      setRenaming(null);
+      return;
+    }
+    const isMerge = drafts.some(draft => draft.savedName === target);
+    const count = usage(from);
+    const summary = isMerge
+      ? `Merge "${from}" into "${target}"? ${count} location${count === 1 ? '' : 's'} will move over.`
+      : `Rename "${from}" to "${target}"? ${count} location${count === 1 ? '' : 's'} will be updated.`;
+    if (!window.confirm(summary)) return;
+
+    try {
+      await onRename(from, target);
+      setDrafts(prev => renameCategory({ categories: prev, locations: [] }, from, target).categories
+        .map(draft => (draft.name === target ? { ...draft, savedName: target } : draft)));
+      setRenaming(null);
+      setErrors([]);
+    } catch (error) {
+      setErrors(error.errors || [error.message]);
+    }
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await onSave(drafts.map(({ savedName, ...category }) => category));
+      setErrors([]);
+      onClose();
+    } catch (error) {
+      setErrors(error.errors || [error.message]);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[2000] p-4">
+      <div className="bg-[#F4EAD5] rounded-lg shadow-lg w-full max-w-3xl max-h-full overflow-auto p-6 text-[#2A4858]">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-2xl font-bold">Categories</h2>
+          <button onClick={onClose} className="hover:text-[#FF6B6B]" aria-label="Close">✕</button>
+        </div>
+
+        <ul className="space-y-3 mb-4">
+          {drafts.map((draft, index) => {
+            const count = draft.savedName ? usage(draft.savedName) : 0;
+            const isRenaming = renaming?.from === draft.savedName;
+            return (
+              <li key={draft.savedName ?? `new-${index}`} className="bg-white rounded p-3 space-y-2">
+                <div className="flex flex-wrap items-center gap-2">
+                  <input
+                    type="color"
+                    value={draft.color}
+                    onChange={(e) => updateDraft(index, { color: e.target.value })}
+                    className="w-8 h-8 rounded cursor-pointer"
+                    aria-label="Color"
+                  />
+                  <input
+                    type="text"
+                    value={draft.emoji}
+                    onChange={(e) => updateDraft(index, { emoji: e.target.value })}
+                    className="w-12 p-1 text-xl text-center border border-[#6B4984] rounded"
+                    aria-label="Default emoji"
+                  />
+                  {draft.savedName === null ? (
+                    <input
+                      type="text"
+                      value={draft.name}
+                      onChange={(e) => updateDraft(index, { name: e.target.value })}
+                      placeholder="New category"
+                      className="flex-1 p-1 border border-[#6B4984] rounded"
+                    />
+                  ) : isRenaming ? (
+                    <form onSubmit={handleRename} className="flex-1 flex gap-2">
+                      <input
+                        type="text"
+                        value={renaming.to}
+                        onChange={(e) => setRenaming({ ...renaming, to: e.target.value })}
+                        list="category-names"
+                        autoFocus
+                        className="flex-1 p-1 border border-[#6B4984] rounded"
+                        aria-label="New name, or a category to merge into"
+                      />
+                      <button type="submit" className="px-2 py-1 bg-[#6B4984] text-[#F4EAD5] rounded hover:bg-[#8FD6E1] transition-colors">
+                        {drafts.some(other => other.savedName === renaming.to.trim() && other !== draft) ? 'Merge' : 'Rename'}
+                      </button>
+                      <button type="button" onClick={() => setRenaming(null)} className="px-2 py-1 hover:text-[#FF6B6B]">
+                        Cancel
+                      </button>
+                    </form>
+                  ) : (
+                    <>
+                      <span className="flex-1 font-semibold">
+                        {draft.name} <span className="text-sm font-normal">({count} location{count === 1 ? '' : 's'})</span>
+                      </span>
+                      <button
+                        onClick={() => setRenaming({ from: draft.savedName, to: draft.savedName })}
+                        disabled={draft.savedName === HOME_CATEGORY}
+                        title={draft.savedName === HOME_CATEGORY ? 'Home marks where the group stays and keeps its name' : undefined}
+                        className="px-2 py-1 text-sm bg-[#8FD6E1] rounded hover:bg-[#6B4984] hover:text-[#F4EAD5] transition-colors disabled:opacity-30 disabled:hover:bg-[#8FD6E1] disabled:hover:text-[#2A4858]"
+                      >
+                        Rename / merge
+                      </button>
+                    </>
+                  )}
+                  <button onClick={() => moveDraft(index, index - 1)} className="p-1 hover:text-[#2ca5b8]" aria-label="Move up">
+                    <FaArrowUp />
+                  </button>
+                  <button onClick={() => moveDraft(index, index + 1)} className="p-1 hover:text-[#2ca5b8]" aria-label="Move down">
+                    <FaArrowDown />
+                  </button>
+                  <button
+                    onClick={() => setDrafts(prev => prev.filter((_, i) => i !== index))}
+                    disabled={count > 0}
+                    title={count > 0 ? 'Merge it into another category to remove it' : 'Remove'}
+                    className="p-1 hover:text-[#FF6B6B] disabled:opacity-30 disabled:hover:text-[#2A4858]"
+                    aria-label="Remove"
+                  >
+                    <FaTrash />
+                  </button>
+                </div>
+                <input
+                  type="text"
+                  value={draft.emojis}
+                  onChange={(e) => updateDraft(index, { emojis: e.target.value })}
+                  placeholder="Emoji palette, separated by spaces"
+                  className="w-full p-1 border border-[#6B4984] rounded"
+                  aria-label="Emoji palette"
+                />
+              </li>
+            );
+          })}
+        </ul>
+        <datalist id="category-names">
+          {drafts.filter(draft => draft.savedName).map(draft => (
+            <option key={draft.savedName} value={draft.savedName} />
+          ))}
+        </datalist>
+
+        {errors.length > 0 && (
+          <ul className="mb-4 p-2 bg-[#FF6B6B] bg-opacity-20 border border-[#FF6B6B] rounded text-sm list-disc list-inside">
+            {errors.map(error => (
+              <li key={error}>{error}</li>
+            ))}
+          </ul>
+        )}
+
+        <div className="flex justify-between">
+          <div className="flex gap-2">
+            <button
+              onClick={handleSave}
+              disabled={isSaving}
+              className="bg-[#8FD6E1] hover:bg-[#6B4984] text-[#2A4858] font-bold py-2 px-4 rounded transition-colors disabled:opacity-50"
+            >
+              {isSaving ? 'Saving…' : 'Save'}
+            </button>
+            <button
+              onClick={handleAdd}
+              className="bg-[#6B4984] hover:bg-[#8FD6E1] text-[#F4EAD5] font-bold py-2 px-4 rounded transition-colors"
+            >
+              Add category
+            </button>
+          </div>
+          <button
+            onClick={onClose}
+            className="bg-[#FF6B6B] hover:bg-[#FF8E8E] text-[#F4EAD5] font-bold py-2 px-4 rounded transition-colors"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CategorySettings;
@@ -0,0 +1,60 @@
+import React from 'react';
+import { FaCheckCircle, FaRegCircle } from 'react-icons/fa';
+
+/**
+ * @function formatCheckInTime
+ * @description Short local date and time of a check-in
+ * @param {string} at - ISO timestamp
+ * @returns {string} e.g. "Sat 2:15 PM"
+ */
+const formatCheckInTime = (at) => new Date(at).toLocaleString(undefined, {
+  weekday: 'short',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+/**
+ * @function CheckInButton
+ * @description Check-in toggle for a location, with who has been there and when
+ * @param {Object} props
+ * @param {Array} props.checkins - The location's check-ins, earliest first
+ * @param {string} props.member - Current member's name ('' before one is picked)
+ * @param {Function} props.onCheckIn - Checks the current member in
+ * @param {Function} props.onUndo - Takes the current member's check-in back
+ * @returns {JSX.Element} The button and the visitor list
+ */
+const CheckInButton = ({ checkins, member, onCheckIn, onUndo }) => {
+  const isCheckedIn = Boolean(member) && checkins.some(checkIn => checkIn.member === member);
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <button
+        type="button"
+        onClick={(e) => {
+          e.stopPropagation();
+          if (isCheckedIn) {
+            onUndo();
+          } else {
+            onCheckIn();
+          }
+        }}
+        className={`flex items-center gap-1 px-3 py-1 rounded-full transition-colors ${
+          isCheckedIn
+            ? 'bg-[#2ca5b8] text-[#F4EAD5] hover:bg-[#FF6B6B]'
+            : 'bg-white text-[#2A4858] border border-[#2ca5b8] hover:bg-[#8FD6E1]'
+        }`}
+        title={isCheckedIn ? 'Undo your check-in' : undefined}
+      >
+        {isCheckedIn ? <FaCheckCircle /> : <FaRegCircle />}
+        {isCheckedIn ? 'Checked in' : 'Check in'}
+      </button>
+      {checkins.length > 0 && (
+        <span className="text-xs text-gray-600">
+          {checkins.map(checkIn => `${checkIn.member} (${formatCheckInTime(checkIn.at)})`).join(', ')}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default CheckInButton;
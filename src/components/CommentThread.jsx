@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import { MAX_COMMENT_LENGTH } from '../utils/comments';
+
+/**
+ * @function formatCommentTime
+ * @description Short local date and time of a comment
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} e.g. "Jul 12, 2:15 PM"
+ */
+const formatCommentTime = (timestamp) => new Date(timestamp).toLocaleString(undefined, {
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+/**
+ * @function CommentThread
+ * @description Tips and comments on a location. People can edit and delete their own
+ * comments; admins can delete anyone's.
+ * @param {Object} props
+ * @param {Array} props.comments - The location's comments, oldest first
+ * @param {boolean} props.isAdmin - Whether admin moderation is available
+ * @param {Function} props.onAdd - Called with the text of a new comment; resolves to whether
+ * it was posted
+ * @param {Function} props.onEdit - Called with `(comment, text)`; resolves to whether it was saved
+ * @param {Function} props.onDelete - Called with the comment to delete
+ * @param {string} [props.className] - Extra classes, e.g. a max height for popups
+ * @returns {JSX.Element} The thread and the comment form
+ */
+const CommentThread = ({ comments, isAdmin, onAdd, onEdit, onDelete, className = '' }) => {
+  const [text, setText] = useState('');
+  const [editing, setEditing] = useState(null); // { id, text }
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    // On failure the app reports the error; the text stays so it can be sent again
+    if (await onAdd(text)) setText('');
+  };
+
+  const handleEdit = async (e, comment) => {
+    e.preventDefault();
+    if (await onEdit(comment, editing.text)) setEditing(null);
+  };
+
+  return (
+    <div className={`text-sm text-[#2A4858] ${className}`} onClick={(e) => e.stopPropagation()}>
+      {comments.length > 0 && (
+        <ul className="space-y-2 mb-2">
+          {comments.map(comment => (
+            <li key={comment.id} className="bg-white rounded p-2">
+              <div className="flex justify-between items-baseline gap-2 text-xs text-gray-600">
+                <span>
+                  <span className="font-semibold text-[#6B4984]">{comment.author}</span>
+                  {' · '}{formatCommentTime(comment.createdAt)}
+                  {comment.updatedAt !== comment.createdAt && ' · edited'}
+                </span>
+                <span className="flex gap-2">
+                  {comment.mine && editing?.id !== comment.id && (
+                    <button
+                      type="button"
+                      onClick={() => setEditing({ id: comment.id, text: comment.text })}
+                      className="hover:text-[#2ca5b8]"
+                    >
+                      Edit
+                    </button>
+                  )}
+                  {(comment.mine || isAdmin) && (
+                    <button
+                      type="button"
+                      onClick={() => {
+                        if (window.confirm(comment.mine ? 'Delete your comment?' : `Delete ${comment.author}'s comment?`)) {
+                          onDelete(comment);
+                        }
+                      }}
+                      className="hover:text-[#FF6B6B]"
+                    >
+                      Delete
+                    </button>
+                  )}
+                </span>
+              </div>
+              {editing?.id === comment.id ? (
+                <form onSubmit={(e) => handleEdit(e, comment)} className="mt-1">
+                  <textarea
+                    value={editing.text}
+                    onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+                    maxLength={MAX_COMMENT_LENGTH}
+                    rows={2}
+                    autoFocus
+                    className="w-full p-1 border border-[#6B4984] rounded focus:outline-none focus:ring-2 focus:ring-[#8FD6E1]"
+                  />
+                  <div className="flex gap-2 justify-end">
+                    <button type="button" onClick={() => setEditing(null)} className="px-2 py-0.5 hover:text-[#FF6B6B]">
+                      Cancel
+                    </button>
+                    <button type="submit" className="px-2 py-0.5 bg-[#8FD6E1] rounded hover:bg-[#6B4984] hover:text-[#F4EAD5]">
+                      Save
+                    </button>
+                  </div>
+                </form>
+              ) : (
+                <p className="whitespace-pre-line break-words">{comment.text}</p>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      <form onSubmit={handleAdd} className="flex gap-2">
+        <input
+          type="text"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          maxLength={MAX_COMMENT_LENGTH}
+          placeholder="Add a tip…"
+          className="flex-1 min-w-0 p-1 border border-[#6B4984] rounded focus:outline-none focus:ring-2 focus:ring-[#8FD6E1]"
+        />
+        <button
+          type="submit"
+          disabled={!text.trim()}
+          className="px-2 py-1 bg-[#6B4984] text-[#F4EAD5] rounded hover:bg-[#8FD6E1] hover:text-[#2A4858] transition-colors disabled:opacity-50"
+        >
+          Post
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default CommentThread;
@@ -0,0 +1,91 @@
+import React from 'react';
+
+/**
+ * @constant {Array<number>} RADIUS_OPTIONS
+ * @description Radius filter choices in kilometres
+ */
+export const RADIUS_OPTIONS = [1, 2, 5, 10, 25];
+
+/**
+ * @constant {Object} SORT_OPTIONS
+ * @description List sort orders and their labels
+ */
+export const SORT_OPTIONS = {
+  nearest: 'Nearest',
+  top: 'Top picks',
+  name: 'Name',
+  category: 'Category'
+};
+
+/**
+ * @function DistanceControls
+ * @description Origin, sort and radius pickers for the list view
+ * @param {Object} props
+ * @param {Array} props.homes - Home locations that can be used as the origin
+ * @param {string} props.originId - Selected origin: a location id, or 'me' for the device location
+ * @param {Function} props.onOriginChange - Called with the new origin id
+ * @param {string} props.sortBy - Key of SORT_OPTIONS
+ * @param {Function} props.onSortChange - Called with the new sort key
+ * @param {number|null} props.radiusKm - Radius filter, or null for none
+ * @param {Function} props.onRadiusChange - Called with the new radius (or null)
+ * @param {string} [props.geolocationError] - Why the device location is unavailable
+ * @returns {JSX.Element} The controls
+ */
+const DistanceControls = ({
+  homes,
+  originId,
+  onOriginChange,
+  sortBy,
+  onSortChange,
+  radiusKm,
+  onRadiusChange,
+  geolocationError
+}) => (
+  <div className="flex flex-wrap justify-center gap-2 px-4 text-sm">
+    <label className="flex items-center gap-2 bg-white text-[#2A4858] px-3 py-1.5 rounded-full">
+      <span>From</span>
+      <select
+        value={originId}
+        onChange={(e) => onOriginChange(e.target.value)}
+        className="bg-transparent focus:outline-none"
+      >
+        {homes.map(home => (
+          <option key={home.id} value={String(home.id)}>
+            {home.emoji} {home.name}
+          </option>
+        ))}
+        <option value="me">📍 My location</option>
+      </select>
+    </label>
+    <label className="flex items-center gap-2 bg-white text-[#2A4858] px-3 py-1.5 rounded-full">
+      <span>Sort</span>
+      <select
+        value={sortBy}
+        onChange={(e) => onSortChange(e.target.value)}
+        className="bg-transparent focus:outline-none"
+      >
+        {Object.entries(SORT_OPTIONS).map(([key, label]) => (
+          <option key={key} value={key}>{label}</option>
+        ))}
+      </select>
+    </label>
+    <label className="flex items-center gap-2 bg-white text-[#2A4858] px-3 py-1.5 rounded-full">
+      <span>Within</span>
+      <select
+        value={radiusKm ?? ''}
+        onChange={(e) => onRadiusChange(e.target.value ? Number(e.target.value) : null)}
+        className="bg-transparent focus:outline-none"
+      >
+        <option value="">any distance</option>
+        {RADIUS_OPTIONS.map(km => (
+          <option key={km} value={km}>{km} km</option>
+        ))}
+      </select>
+    </label>
+    {geolocationError && (
+      <p className="w-full text-center text-[#F4EAD5]">{geolocationError}</p>
+    )}
+  </div>
+);
+
+export default DistanceControls;
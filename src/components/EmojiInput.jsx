@@ -0,0 +1,22 @@
+import React from 'react';
+
+/**
+ * @function EmojiInput
+ * @description Text field for typing or pasting any emoji as a location's marker
+ * @param {Object} props
+ * @param {string} props.value - Current emoji
+ * @param {Function} props.onChange - Called with the new text
+ * @returns {JSX.Element} The input
+ */
+const EmojiInput = ({ value, onChange }) => (
+  <input
+    type="text"
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    placeholder="Enter emoji"
+    aria-label="Custom emoji"
+    className="w-full p-2 border border-[#6B4984] rounded focus:outline-none focus:ring-2 focus:ring-[#8FD6E1]"
+  />
+);
+
+export default EmojiInput;
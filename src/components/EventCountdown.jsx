@@ -0,0 +1,49 @@
+import React, { useEffect, useState } from 'react';
+import { findNextEvent, formatCountdown, toDate } from '../utils/events';
+
+/**
+ * @function EventCountdown
+ * @description Live countdown to the next event, shown beside the header title. Renders
+ * nothing once every event is over.
+ * @param {Object} props
+ * @param {Array} props.events - Normalized events
+ * @param {Function} props.onOpen - Opens the events timeline
+ * @returns {JSX.Element|null} The countdown
+ */
+const EventCountdown = ({ events, onOpen }) => {
+  const [now, setNow] = useState(() => new Date());
+
+  /**
+   * @effect Ticks once a second while there are events to count down to
+   */
+  useEffect(() => {
+    if (events.length === 0) return undefined;
+    const timer = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(timer);
+  }, [events.length]);
+
+  const next = findNextEvent(events, now);
+  if (!next) return null;
+  const { event, isOngoing } = next;
+
+  return (
+    <button
+      onClick={onOpen}
+      title={isOngoing ? `${event.title} is on now` : `Next: ${event.title}`}
+      className="inline-flex items-center gap-1 ml-3 px-2 py-1 align-middle bg-[#2A4858] bg-opacity-60 hover:bg-opacity-90 rounded text-xs md:text-sm font-normal text-[#F4EAD5] max-w-[10rem] md:max-w-xs transition-colors"
+    >
+      {isOngoing ? (
+        <span className="truncate">Now: {event.title}</span>
+      ) : (
+        <>
+          <span className="truncate">{event.title}</span>
+          <span className="font-mono font-bold text-[#8FD6E1] whitespace-nowrap">
+            {formatCountdown(toDate(event.start) - now)}
+          </span>
+        </>
+      )}
+    </button>
+  );
+};
+
+export default EventCountdown;
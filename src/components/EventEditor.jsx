@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import { normalizeEvent, validateEvent } from '../utils/events';
+
+/**
+ * @function EventEditor
+ * @description Admin form for an event, laid out like the person editor
+ * @param {Object} props
+ * @param {Object|null} props.event - Event to edit, or null to add one
+ * @param {Array} props.locations - Locations an event can link to
+ * @param {Array} props.people - People who can attend
+ * @param {Function} props.onSave - Called with the edited event; may reject with `errors`
+ * @param {Function} props.onDelete - Deletes the event
+ * @param {Function} props.onClose - Closes the editor
+ * @returns {JSX.Element} The editor
+ */
+const EventEditor = ({ event, locations, people, onSave, onDelete, onClose }) => {
+  const isNew = !event;
+  const [draft, setDraft] = useState(() => normalizeEvent(event || {}));
+  const [errors, setErrors] = useState([]);
+
+  const update = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const toggleAttendee = (id) => update({
+    attendees: draft.attendees.includes(id)
+      ? draft.attendees.filter(other => other !== id)
+      : [...draft.attendees, id]
+  });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const candidate = normalizeEvent(draft);
+    const problems = validateEvent(candidate, {
+      locationIds: locations.map(location => location.id),
+      personIds: people.map(person => person.id)
+    });
+    if (problems.length > 0) {
+      setErrors(problems);
+      return;
+    }
+    try {
+      await onSave(candidate);
+    } catch (error) {
+      setErrors(error.errors || [error.message]);
+    }
+  };
+
+  const inputClass = 'w-full p-2 mb-2 border border-[#6B4984] rounded focus:outline-none focus:ring-2 focus:ring-[#8FD6E1]';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[2000] p-4">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-[#F4EAD5] rounded-lg shadow-lg w-full max-w-lg max-h-full overflow-auto p-6 text-[#2A4858]"
+      >
+        <h2 className="text-2xl font-bold mb-4">{isNew ? 'Add event' : `Edit ${event.title}`}</h2>
+        <input
+          type="text"
+          value={draft.title}
+          onChange={(e) => update({ title: e.target.value })}
+          placeholder="Title"
+          aria-label="Title"
+          className={inputClass}
+        />
+        <div className="flex gap-2">
+          <label className="w-1/2 text-sm font-medium">
+            Starts
+            <input
+              type="datetime-local"
+              value={draft.start}
+              onChange={(e) => update({ start: e.target.value })}
+              className={inputClass}
+            />
+          </label>
+          <label className="w-1/2 text-sm font-medium">
+            Ends
+            <input
+              type="datetime-local"
+              value={draft.end}
+              min={draft.start || undefined}
+              onChange={(e) => update({ end: e.target.value })}
+              className={inputClass}
+            />
+          </label>
+        </div>
+        <label className="block text-sm font-medium">
+          Where
+          <select
+            value={draft.locationId ?? ''}
+            onChange={(e) => update({ locationId: e.target.value === '' ? null : Number(e.target.value) })}
+            className={inputClass}
+          >
+            <option value="">No location</option>
+            {locations.map(location => (
+              <option key={location.id} value={location.id}>{location.emoji} {location.name}</option>
+            ))}
+          </select>
+        </label>
+        {people.length > 0 && (
+          <fieldset className="mb-2">
+            <legend className="text-sm font-medium mb-1">Who's going</legend>
+            <div className="flex flex-wrap gap-2">
+              {people.map(person => (
+                <label
+                  key={person.id}
+                  className={`flex items-center gap-1 px-2 py-1 rounded-full border border-[#6B4984] text-sm cursor-pointer ${
+                    draft.attendees.includes(person.id) ? 'bg-[#8FD6E1]' : ''
+                  }`}
+                >
+                  <input
+                    type="checkbox"
+                    checked={draft.attendees.includes(person.id)}
+                    onChange={() => toggleAttendee(person.id)}
+                    className="sr-only"
+                  />
+                  {person.name}
+                </label>
+              ))}
+            </div>
+          </fieldset>
+        )}
+        <textarea
+          value={draft.notes}
+          onChange={(e) => update({ notes: e.target.value })}
+          placeholder="Notes"
+          aria-label="Notes"
+          rows={3}
+          className={inputClass}
+        />
+        {errors.length > 0 && (
+          <ul className="mb-4 p-2 bg-[#FF6B6B] bg-opacity-20 border border-[#FF6B6B] rounded text-sm list-disc list-inside">
+            {errors.map(error => (
+              <li key={error}>{error}</li>
+            ))}
+          </ul>
+        )}
+        <div className="flex justify-between">
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              className="bg-[#8FD6E1] hover:bg-[#6B4984] text-[#2A4858] font-bold py-2 px-4 rounded transition-colors"
+            >
+              Save
+            </button>
+            <button
+              type="button"
+              onClick={onClose}
+              className="bg-[#6B4984] hover:bg-[#8FD6E1] text-[#F4EAD5] font-bold py-2 px-4 rounded transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+          {!isNew && (
+            <button
+              type="button"
+              onClick={onDelete}
+              className="bg-[#FF6B6B] hover:bg-[#FF8E8E] text-[#F4EAD5] font-bold py-2 px-4 rounded transition-colors"
+            >
+              Delete
+            </button>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default EventEditor;
@@ -0,0 +1,127 @@
+import React from 'react';
+import { FaPlus, FaCalendarPlus, FaMapMarkerAlt } from 'react-icons/fa';
+import { groupEventsByDay, formatEventTime, toDate } from '../utils/events';
+
+/**
+ * @function formatDay
+ * @description Heading of a day on the timeline
+ * @param {string} date - `YYYY-MM-DD`
+ * @returns {string} e.g. "Saturday, July 12"
+ */
+const formatDay = (date) =>
+  toDate(`${date}T00:00`).toLocaleDateString(undefined, { weekday: 'long', month: 'long', day: 'numeric' });
+
+/**
+ * @function EventsView
+ * @description Timeline of the trip's events grouped by day, with calendar exports
+ * @param {Object} props
+ * @param {Array} props.events - Normalized events
+ * @param {Array} props.locations - Locations events may link to
+ * @param {Array} props.people - People events may list as attendees
+ * @param {boolean} props.isAdmin - Whether events can be added and edited
+ * @param {Function} props.onShowLocation - Shows a linked location on the map
+ * @param {Function} props.onOpenPerson - Shows an attendee's profile
+ * @param {Function} props.onExport - Called with the events to download as a calendar
+ * @param {Function} props.onEdit - Opens the editor for an event, or for a new one when called with null
+ * @returns {JSX.Element} The timeline page
+ */
+const EventsView = ({ events, locations, people, isAdmin, onShowLocation, onOpenPerson, onExport, onEdit }) => {
+  const days = groupEventsByDay(events);
+
+  return (
+    <div className="w-full h-full overflow-auto bg-gradient-to-br from-[#2A4858] via-[#6B4984] to-[#2A4858] pb-32">
+      <div className="max-w-4xl mx-auto p-6">
+        <div className="flex flex-wrap justify-between items-center gap-2 mb-6">
+          <h2 className="text-3xl font-bold text-[#F4EAD5]">Events</h2>
+          <div className="flex gap-2">
+            {events.length > 0 && (
+              <button
+                onClick={() => onExport(events)}
+                className="flex items-center gap-2 bg-[#F4EAD5] hover:bg-[#8FD6E1] text-[#2A4858] font-bold py-2 px-4 rounded transition-colors"
+              >
+                <FaCalendarPlus /> Add all to calendar
+              </button>
+            )}
+            {isAdmin && (
+              <button
+                onClick={() => onEdit(null)}
+                className="flex items-center gap-2 bg-[#8FD6E1] hover:bg-[#F4EAD5] text-[#2A4858] font-bold py-2 px-4 rounded transition-colors"
+              >
+                <FaPlus /> Add event
+              </button>
+            )}
+          </div>
+        </div>
+        {days.length === 0 && (
+          <p className="text-[#F4EAD5]">Nothing is scheduled yet.</p>
+        )}
+        {days.map(day => (
+          <section key={day.date} className="mb-8">
+            <h3 className="text-xl font-bold text-[#8FD6E1] mb-3">{formatDay(day.date)}</h3>
+            <ol className="border-l-4 border-[#8FD6E1] pl-4 space-y-4">
+              {day.events.map(event => {
+                const location = locations.find(candidate => candidate.id === event.locationId);
+                const attendees = event.attendees
+                  .map(id => people.find(person => person.id === id))
+                  .filter(Boolean);
+                return (
+                  <li key={event.id} className="relative bg-[#F4EAD5] rounded-lg shadow-lg p-4 text-[#2A4858]">
+                    <span className="absolute -left-[1.65rem] top-5 w-3 h-3 rounded-full bg-[#8FD6E1] border-2 border-[#2A4858]" />
+                    <div className="flex justify-between items-start gap-2">
+                      <div>
+                        <p className="text-sm font-bold text-[#6B4984]">{formatEventTime(event)}</p>
+                        <h4 className="text-lg font-bold">{event.title}</h4>
+                      </div>
+                      <div className="flex gap-2 shrink-0">
+                        <button
+                          onClick={() => onExport([event], event.title)}
+                          title="Add to calendar (.ics)"
+                          aria-label={`Add ${event.title} to calendar`}
+                          className="p-2 bg-[#8FD6E1] hover:bg-[#6B4984] hover:text-[#F4EAD5] rounded transition-colors"
+                        >
+                          <FaCalendarPlus />
+                        </button>
+                        {isAdmin && (
+                          <button
+                            onClick={() => onEdit(event)}
+                            className="px-3 py-1 bg-[#6B4984] hover:bg-[#8FD6E1] text-[#F4EAD5] hover:text-[#2A4858] rounded transition-colors"
+                          >
+                            Edit
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                    {location && (
+                      <button
+                        onClick={() => onShowLocation(location)}
+                        className="inline-flex items-center gap-1 mt-1 text-sm underline hover:text-[#6B4984]"
+                      >
+                        <FaMapMarkerAlt /> {location.emoji} {location.name}
+                      </button>
+                    )}
+                    {event.notes && <p className="mt-2 whitespace-pre-line">{event.notes}</p>}
+                    {attendees.length > 0 && (
+                      <p className="mt-2 text-sm">
+                        With{' '}
+                        {attendees.map((person, index) => (
+                          <React.Fragment key={person.id}>
+                            {index > 0 && ', '}
+                            <button onClick={() => onOpenPerson(person.id)} className="underline hover:text-[#6B4984]">
+                              {person.name}
+                            </button>
+                          </React.Fragment>
+                        ))}
+                      </p>
+                    )}
+                  </li>
+                );
+              })}
+            </ol>
+          </section>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default EventsView;
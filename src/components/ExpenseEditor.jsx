@@ -0,0 +1,292 @@
+import React, { useState } from 'react';
+import { FaTimes } from 'react-icons/fa';
+import {
+  normalizeExpense, validateExpense, splitExpense, parseAmount, formatMoney, SPLIT_TYPES
+} from '../utils/expenses';
+
+/**
+ * @function toDraft
+ * @description Form state for an expense, with amounts as editable text
+ * @param {Object} expense - Normalized expense
+ * @returns {Object} Draft with `amountText` on the expense and each participant
+ */
+const toDraft = (expense) => ({
+  ...expense,
+  amountText: Number.isInteger(expense.amount) ? (expense.amount / 100).toFixed(2) : '',
+  participants: expense.participants.map(participant => ({
+    ...participant,
+    amountText: expense.split === 'exact' ? (participant.amount / 100).toFixed(2) : ''
+  }))
+});
+
+/**
+ * @function fromDraft
+ * @description Reads the form state back into an expense
+ * @param {Object} draft - Form state
+ * @returns {Object} Normalized expense
+ */
+const fromDraft = ({ amountText, participants, ...draft }) => normalizeExpense({
+  ...draft,
+  amount: parseAmount(amountText),
+  participants: participants.map(({ amountText: text, ...participant }) => ({
+    ...participant,
+    amount: draft.split === 'exact' ? parseAmount(text) : 0
+  }))
+});
+
+/**
+ * @function ExpenseEditor
+ * @description Form for logging or changing an expense and how it is split
+ * @param {Object} props
+ * @param {Object|null} props.expense - Expense to change, or null to log one
+ * @param {Object} [props.defaults] - Fields prefilled for a new expense, e.g. its location
+ * @param {string} props.memberName - Who is logging it; the default payer
+ * @param {Array<string>} props.names - Names to suggest for the payer and the split
+ * @param {Array} props.locations - Locations an expense can link to
+ * @param {Function} props.onSave - Called with the edited expense; may reject with `errors`
+ * @param {Function} props.onDelete - Deletes the expense
+ * @param {Function} props.onClose - Closes the editor
+ * @returns {JSX.Element} The editor
+ */
+const ExpenseEditor = ({ expense, defaults = {}, memberName, names, locations, onSave, onDelete, onClose }) => {
+  const isNew = !expense;
+  const [draft, setDraft] = useState(() => toDraft(normalizeExpense(expense || {
+    date: new Date().toLocaleDateString('en-CA'),
+    paidBy: memberName,
+    author: memberName,
+    participants: memberName ? [memberName] : [],
+    ...defaults
+  })));
+  const [newName, setNewName] = useState('');
+  const [errors, setErrors] = useState([]);
+
+  const update = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const updateParticipant = (member, changes) => update({
+    participants: draft.participants.map(participant => (participant.member === member ? { ...participant, ...changes } : participant))
+  });
+
+  const addParticipants = (members) => {
+    const present = new Set(draft.participants.map(participant => participant.member));
+    const added = members
+      .map(member => member.trim())
+      .filter(member => member && !present.has(member));
+    update({
+      participants: [...draft.participants, ...[...new Set(added)].map(member => ({ member, shares: 1, amount: 0, amountText: '' }))]
+    });
+  };
+
+  const candidate = fromDraft(draft);
+  const problems = validateExpense(candidate, { locationIds: locations.map(location => location.id) });
+  const preview = problems.length === 0 ? new Map(splitExpense(candidate).map(({ member, amount }) => [member, amount])) : null;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (problems.length > 0) {
+      setErrors(problems);
+      return;
+    }
+    try {
+      await onSave(candidate);
+    } catch (error) {
+      setErrors(error.errors || [error.message]);
+    }
+  };
+
+  const inputClass = 'w-full p-2 mb-2 border border-[#6B4984] rounded focus:outline-none focus:ring-2 focus:ring-[#8FD6E1]';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[2000] p-4">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-[#F4EAD5] rounded-lg shadow-lg w-full max-w-lg max-h-full overflow-auto p-6 text-[#2A4858]"
+      >
+        <h2 className="text-2xl font-bold mb-4">{isNew ? 'Log expense' : `Edit ${expense.description}`}</h2>
+        <datalist id="expense-names">
+          {names.map(name => <option key={name} value={name} />)}
+        </datalist>
+        <input
+          type="text"
+          value={draft.description}
+          onChange={(e) => update({ description: e.target.value })}
+          placeholder="What was it for?"
+          aria-label="Description"
+          className={inputClass}
+        />
+        <div className="flex gap-2">
+          <label className="w-1/2 text-sm font-medium">
+            Amount
+            <input
+              type="text"
+              inputMode="decimal"
+              value={draft.amountText}
+              onChange={(e) => update({ amountText: e.target.value })}
+              placeholder="0.00"
+              className={inputClass}
+            />
+          </label>
+          <label className="w-1/2 text-sm font-medium">
+            Date
+            <input type="date" value={draft.date} onChange={(e) => update({ date: e.target.value })} className={inputClass} />
+          </label>
+        </div>
+        <div className="flex gap-2">
+          <label className="w-1/2 text-sm font-medium">
+            Paid by
+            <input
+              type="text"
+              list="expense-names"
+              value={draft.paidBy}
+              onChange={(e) => update({ paidBy: e.target.value })}
+              className={inputClass}
+            />
+          </label>
+          <label className="w-1/2 text-sm font-medium">
+            Where
+            <select
+              value={draft.locationId ?? ''}
+              onChange={(e) => update({ locationId: e.target.value === '' ? null : Number(e.target.value) })}
+              className={inputClass}
+            >
+              <option value="">No location</option>
+              {locations.map(location => (
+                <option key={location.id} value={location.id}>{location.emoji} {location.name}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+        <fieldset className="mb-2">
+          <legend className="text-sm font-medium mb-1">Split</legend>
+          <div className="flex gap-2 mb-2">
+            {Object.entries(SPLIT_TYPES).map(([type, label]) => (
+              <button
+                key={type}
+                type="button"
+                onClick={() => update({ split: type })}
+                aria-pressed={draft.split === type}
+                className={`px-3 py-1 rounded-full border border-[#6B4984] text-sm transition-colors ${
+                  draft.split === type ? 'bg-[#6B4984] text-[#F4EAD5]' : 'hover:bg-[#8FD6E1]'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <ul className="space-y-1 mb-2">
+            {draft.participants.map(participant => (
+              <li key={participant.member} className="flex items-center gap-2">
+                <span className="flex-1 truncate">{participant.member}</span>
+                {draft.split === 'shares' && (
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    value={participant.shares}
+                    onChange={(e) => updateParticipant(participant.member, { shares: e.target.value })}
+                    aria-label={`Shares for ${participant.member}`}
+                    className="w-16 p-1 border border-[#6B4984] rounded text-right"
+                  />
+                )}
+                {draft.split === 'exact' ? (
+                  <input
+                    type="text"
+                    inputMode="decimal"
+                    value={participant.amountText}
+                    onChange={(e) => updateParticipant(participant.member, { amountText: e.target.value })}
+                    placeholder="0.00"
+                    aria-label={`Amount for ${participant.member}`}
+                    className="w-24 p-1 border border-[#6B4984] rounded text-right"
+                  />
+                ) : (
+                  <span className="w-24 text-right text-sm">
+                    {preview?.has(participant.member) ? formatMoney(preview.get(participant.member)) : ''}
+                  </span>
+                )}
+                <button
+                  type="button"
+                  onClick={() => update({ participants: draft.participants.filter(other => other !== participant) })}
+                  aria-label={`Take ${participant.member} out of the split`}
+                  className="p-1 hover:text-[#FF6B6B]"
+                >
+                  <FaTimes />
+                </button>
+              </li>
+            ))}
+          </ul>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              list="expense-names"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') {
+                  e.preventDefault();
+                  addParticipants([newName]);
+                  setNewName('');
+                }
+              }}
+              placeholder="Add someone"
+              aria-label="Add someone to the split"
+              className="flex-1 p-2 border border-[#6B4984] rounded"
+            />
+            <button
+              type="button"
+              onClick={() => {
+                addParticipants([newName]);
+                setNewName('');
+              }}
+              className="px-3 bg-[#8FD6E1] hover:bg-[#6B4984] hover:text-[#F4EAD5] rounded transition-colors"
+            >
+              Add
+            </button>
+            {names.length > 0 && (
+              <button
+                type="button"
+                onClick={() => addParticipants(names)}
+                className="px-3 bg-[#8FD6E1] hover:bg-[#6B4984] hover:text-[#F4EAD5] rounded transition-colors"
+              >
+                Everyone
+              </button>
+            )}
+          </div>
+        </fieldset>
+        {errors.length > 0 && (
+          <ul className="mb-4 p-2 bg-[#FF6B6B] bg-opacity-20 border border-[#FF6B6B] rounded text-sm list-disc list-inside">
+            {errors.map(error => (
+              <li key={error}>{error}</li>
+            ))}
+          </ul>
+        )}
+        <div className="flex justify-between">
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              className="bg-[#8FD6E1] hover:bg-[#6B4984] text-[#2A4858] font-bold py-2 px-4 rounded transition-colors"
+            >
+              Save
+            </button>
+            <button
+              type="button"
+              onClick={onClose}
+              className="bg-[#6B4984] hover:bg-[#8FD6E1] text-[#F4EAD5] font-bold py-2 px-4 rounded transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+          {!isNew && (
+            <button
+              type="button"
+              onClick={onDelete}
+              className="bg-[#FF6B6B] hover:bg-[#FF8E8E] text-[#F4EAD5] font-bold py-2 px-4 rounded transition-colors"
+            >
+              Delete
+            </button>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ExpenseEditor;
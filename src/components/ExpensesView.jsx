@@ -0,0 +1,149 @@
+import React from 'react';
+import { FaPlus, FaFileExport, FaMapMarkerAlt, FaArrowRight } from 'react-icons/fa';
+import { computeBalances, settleUp, formatMoney, SPLIT_TYPES } from '../utils/expenses';
+
+/**
+ * @function formatDate
+ * @description Short date of an expense
+ * @param {string} date - `YYYY-MM-DD`
+ * @returns {string} e.g. "Sat, Jul 12"
+ */
+const formatDate = (date) =>
+  new Date(`${date}T00:00:00`).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+
+/**
+ * @function ExpensesView
+ * @description The shared ledger: who should pay whom to settle up, everyone's balance, and
+ * every expense logged. People can change the expenses they logged; admins can change any.
+ * @param {Object} props
+ * @param {Array} props.expenses - Normalized expenses, newest first
+ * @param {Array} props.locations - Locations expenses may link to
+ * @param {boolean} props.isAdmin - Whether every expense can be changed
+ * @param {Function} props.onAdd - Opens the editor for a new expense
+ * @param {Function} props.onEdit - Opens the editor for an expense
+ * @param {Function} props.onExport - Downloads the ledger as CSV
+ * @param {Function} props.onShowLocation - Shows a linked location on the map
+ * @returns {JSX.Element} The ledger page
+ */
+const ExpensesView = ({ expenses, locations, isAdmin, onAdd, onEdit, onExport, onShowLocation }) => {
+  const balances = computeBalances(expenses);
+  const transfers = settleUp(balances);
+  const total = expenses.reduce((sum, expense) => sum + expense.amount, 0);
+
+  return (
+    <div className="w-full h-full overflow-auto bg-gradient-to-br from-[#2A4858] via-[#6B4984] to-[#2A4858] pb-32">
+      <div className="max-w-4xl mx-auto p-6">
+        <div className="flex flex-wrap justify-between items-center gap-2 mb-6">
+          <h2 className="text-3xl font-bold text-[#F4EAD5]">Expenses</h2>
+          <div className="flex gap-2">
+            {expenses.length > 0 && (
+              <button
+                onClick={onExport}
+                className="flex items-center gap-2 bg-[#F4EAD5] hover:bg-[#8FD6E1] text-[#2A4858] font-bold py-2 px-4 rounded transition-colors"
+              >
+                <FaFileExport /> Export CSV
+              </button>
+            )}
+            <button
+              onClick={onAdd}
+              className="flex items-center gap-2 bg-[#8FD6E1] hover:bg-[#F4EAD5] text-[#2A4858] font-bold py-2 px-4 rounded transition-colors"
+            >
+              <FaPlus /> Log expense
+            </button>
+          </div>
+        </div>
+        {expenses.length === 0 ? (
+          <p className="text-[#F4EAD5]">Nothing has been logged yet.</p>
+        ) : (
+          <>
+            <div className="grid md:grid-cols-2 gap-4 mb-6">
+              <section className="bg-[#F4EAD5] rounded-lg shadow-lg p-4 text-[#2A4858]">
+                <h3 className="text-xl font-bold mb-2">Settle up</h3>
+                {transfers.length === 0 ? (
+                  <p>Everyone is square.</p>
+                ) : (
+                  <ul className="space-y-1">
+                    {transfers.map(transfer => (
+                      <li key={`${transfer.from}:${transfer.to}`} className="flex items-center gap-2">
+                        <span className="font-bold">{transfer.from}</span>
+                        <FaArrowRight className="text-[#6B4984]" aria-label="pays" />
+                        <span className="font-bold">{transfer.to}</span>
+                        <span className="ml-auto">{formatMoney(transfer.amount)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </section>
+              <section className="bg-[#F4EAD5] rounded-lg shadow-lg p-4 text-[#2A4858]">
+                <h3 className="text-xl font-bold mb-2">Balances</h3>
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left">
+                      <th className="font-medium">Who</th>
+                      <th className="font-medium text-right">Paid</th>
+                      <th className="font-medium text-right">Share</th>
+                      <th className="font-medium text-right">Balance</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {balances.map(balance => (
+                      <tr key={balance.member}>
+                        <td>{balance.member}</td>
+                        <td className="text-right">{formatMoney(balance.paid)}</td>
+                        <td className="text-right">{formatMoney(balance.owes)}</td>
+                        <td className={`text-right font-bold ${balance.balance < 0 ? 'text-[#FF6B6B]' : 'text-[#2ca5b8]'}`}>
+                          {formatMoney(balance.balance)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <p className="mt-2 text-sm">Group total: <span className="font-bold">{formatMoney(total)}</span></p>
+              </section>
+            </div>
+            <ul className="space-y-3">
+              {expenses.map(expense => {
+                const location = locations.find(candidate => candidate.id === expense.locationId);
+                return (
+                  <li key={expense.id} className="bg-[#F4EAD5] rounded-lg shadow-lg p-4 text-[#2A4858]">
+                    <div className="flex justify-between items-start gap-2">
+                      <div>
+                        <p className="text-sm font-bold text-[#6B4984]">{formatDate(expense.date)}</p>
+                        <h4 className="text-lg font-bold">{expense.description}</h4>
+                      </div>
+                      <div className="flex items-center gap-2 shrink-0">
+                        <span className="text-lg font-bold">{formatMoney(expense.amount)}</span>
+                        {(expense.mine || isAdmin) && (
+                          <button
+                            onClick={() => onEdit(expense)}
+                            className="px-3 py-1 bg-[#6B4984] hover:bg-[#8FD6E1] text-[#F4EAD5] hover:text-[#2A4858] rounded transition-colors"
+                          >
+                            Edit
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                    <p className="text-sm">
+                      Paid by {expense.paidBy} · split {SPLIT_TYPES[expense.split].toLowerCase()}:{' '}
+                      {expense.participants.map(participant => participant.member).join(', ')}
+                    </p>
+                    {location && (
+                      <button
+                        onClick={() => onShowLocation(location)}
+                        className="inline-flex items-center gap-1 mt-1 text-sm underline hover:text-[#6B4984]"
+                      >
+                        <FaMapMarkerAlt /> {location.emoji} {location.name}
+                      </button>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ExpensesView;
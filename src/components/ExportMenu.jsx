@@ -0,0 +1,42 @@
+import React, { useState } from 'react';
+import { EXPORT_FORMATS } from '../utils/locationFormats';
+
+/**
+ * @function ExportMenu
+ * @description Header button that opens a list of export formats
+ * @param {Object} props
+ * @param {Function} props.onExport - Called with the chosen key of EXPORT_FORMATS
+ * @returns {JSX.Element} The menu
+ */
+const ExportMenu = ({ onExport }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        className="bg-[var(--trip-accent)] hover:bg-[#8FD6E1] text-[#F4EAD5] px-3 py-1.5 rounded transition-colors cursor-pointer"
+      >
+        Export
+      </button>
+      {isOpen && (
+        <div className="absolute right-0 top-full mt-1 bg-[#F4EAD5] rounded shadow-lg overflow-hidden z-[1002]">
+          {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+            <button
+              key={format}
+              onClick={() => {
+                setIsOpen(false);
+                onExport(format);
+              }}
+              className="block w-full text-left px-4 py-2 text-[#2A4858] hover:bg-[#8FD6E1] transition-colors"
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
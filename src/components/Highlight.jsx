@@ -0,0 +1,22 @@
+import React from 'react';
+import { splitHighlights } from '../utils/search';
+
+/**
+ * @function Highlight
+ * @description Renders text with search matches marked
+ * @param {Object} props
+ * @param {string} props.text - Text to show
+ * @param {Array<Array<number>>} [props.ranges] - `[start, end)` ranges to mark
+ * @returns {JSX.Element} The text
+ */
+const Highlight = ({ text, ranges }) => (
+  <>
+    {splitHighlights(text, ranges).map((part, index) => (
+      part.highlighted
+        ? <mark key={index} className="bg-[#8FD6E1] text-inherit rounded px-0.5">{part.text}</mark>
+        : <React.Fragment key={index}>{part.text}</React.Fragment>
+    ))}
+  </>
+);
+
+export default Highlight;
@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { AUDIT_ACTIONS, getRestorableVersion } from '../utils/auditLog';
+import { FIELD_LABELS, formatFieldValue } from '../utils/locationSync';
+
+/**
+ * @function formatAuditTime
+ * @description Formats when a change was made
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {string} Date and time in the reader's locale
+ */
+const formatAuditTime = (timestamp) => new Date(timestamp).toLocaleString(undefined, {
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+/**
+ * @function HistoryPanel
+ * @description Admin view of the audit log: every change to a location with who made it,
+ * when, and what each field was before and after. Any entry can be restored, which saves the
+ * location as it was right after that change (or right before it was deleted).
+ * @param {Object} props
+ * @param {Object|null} props.log - `{ entries, editors, locations }` from the API, or null while loading
+ * @param {Object} props.filters - `{ locationId, editor }`
+ * @param {Function} props.onFilterChange - Called with the new filters
+ * @param {Function} props.onRestore - Called with the entry to go back to; may reject
+ * @param {Function} props.onClose - Closes the panel
+ * @returns {JSX.Element} The panel
+ */
+const HistoryPanel = ({ log, filters, onFilterChange, onRestore, onClose }) => {
+  const [restoringId, setRestoringId] = useState(null);
+
+  const handleRestore = async (entry) => {
+    setRestoringId(entry.id);
+    try {
+      await onRestore(entry);
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  const selectClass = 'p-1 border border-[#6B4984] rounded bg-white';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[2000] p-4">
+      <div className="bg-[#F4EAD5] rounded-lg shadow-lg w-full max-w-3xl max-h-full overflow-auto p-6 text-[#2A4858]">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-2xl font-bold">History</h2>
+          <button onClick={onClose} className="hover:text-[#FF6B6B]" aria-label="Close">✕</button>
+        </div>
+
+        <div className="flex flex-wrap gap-2 mb-4 text-sm">
+          <select
+            value={filters.locationId ?? ''}
+            onChange={(e) => onFilterChange({ ...filters, locationId: e.target.value === '' ? null : Number(e.target.value) })}
+            className={selectClass}
+            aria-label="Location"
+          >
+            <option value="">All locations</option>
+            {(log?.locations || []).map(location => (
+              <option key={location.id} value={location.id}>{location.name}</option>
+            ))}
+          </select>
+          <select
+            value={filters.editor ?? ''}
+            onChange={(e) => onFilterChange({ ...filters, editor: e.target.value || null })}
+            className={selectClass}
+            aria-label="Editor"
+          >
+            <option value="">Everyone</option>
+            {(log?.editors || []).map(editor => (
+              <option key={editor} value={editor}>{editor}</option>
+            ))}
+          </select>
+        </div>
+
+        {!log && <p>Loading…</p>}
+        {log && log.entries.length === 0 && <p>No changes recorded yet.</p>}
+
+        <ul className="space-y-3">
+          {log?.entries.map(entry => (
+            <li key={entry.id} className="bg-white rounded p-3">
+              <div className="flex justify-between items-start gap-2">
+                <div>
+                  <span className="font-semibold">{AUDIT_ACTIONS[entry.action] || entry.action}</span>{' '}
+                  {getRestorableVersion(entry).emoji} {entry.name}
+                  <div className="text-xs text-gray-600">
+                    {entry.editor} · {formatAuditTime(entry.timestamp)}
+                    {entry.action !== 'delete' && ` · revision ${entry.revision}`}
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleRestore(entry)}
+                  disabled={restoringId !== null}
+                  className="px-3 py-1 text-sm bg-[#6B4984] text-[#F4EAD5] rounded hover:bg-[#8FD6E1] hover:text-[#2A4858] transition-colors whitespace-nowrap disabled:opacity-50"
+                >
+                  {restoringId === entry.id ? 'Restoring…' : entry.action === 'delete' ? 'Restore' : 'Restore this version'}
+                </button>
+              </div>
+              {entry.changes.length > 0 && (
+                <table className="w-full mt-2 text-sm">
+                  <tbody>
+                    {entry.changes.map(({ field, before, after }) => (
+                      <tr key={field} className="border-t border-[#F4EAD5] align-top">
+                        <td className="py-1 pr-2 font-semibold whitespace-nowrap">{FIELD_LABELS[field] || field}</td>
+                        <td className="py-1 pr-2 break-words text-[#FF6B6B] line-through">{formatFieldValue(field, before)}</td>
+                        <td className="py-1 break-words">{formatFieldValue(field, after)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default HistoryPanel;
@@ -0,0 +1,214 @@
+import React, { useState, useMemo } from 'react';
+import { validateLocation } from '../utils/locationSchema';
+import {
+  MAPPED_FIELDS,
+  parseImportFile,
+  guessFieldMapping,
+  applyFieldMapping,
+  mergeImportRow
+} from '../utils/locationFormats';
+
+/**
+ * @constant {Object} FIELD_LABELS
+ * @description Labels for the field mapping selects
+ */
+const FIELD_LABELS = {
+  id: 'ID (for merging)',
+  name: 'Name',
+  description: 'Description',
+  category: 'Category',
+  emoji: 'Emoji'
+};
+
+/**
+ * @function ImportDialog
+ * @description Modal for importing locations from GeoJSON, GPX, KML or CSV. Shows a preview
+ * of every row, lets the admin map source fields onto location fields, and choose per row
+ * whether to merge into the location with the same id, append it as a new location, or skip it.
+ * @param {Object} props
+ * @param {Array} props.locations - Current locations, used to find merge targets
+ * @param {Array<string>} props.categories - Category names rows may use
+ * @param {Object} [props.bounds] - Area the trip's locations must lie in
+ * @param {Function} props.onImport - Called with `[{ action, location, existing }]`
+ * @param {Function} props.onClose - Closes the dialog
+ * @returns {JSX.Element} The dialog
+ */
+const ImportDialog = ({ locations, categories, bounds, onImport, onClose }) => {
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState([]);
+  const [error, setError] = useState('');
+  const [mapping, setMapping] = useState({});
+  const [defaultCategory, setDefaultCategory] = useState(categories[0]);
+  const [actionOverrides, setActionOverrides] = useState({});
+  const [isImporting, setIsImporting] = useState(false);
+
+  const sourceFields = useMemo(
+    () => [...new Set(rows.flatMap(row => Object.keys(row.properties)))],
+    [rows]
+  );
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      const parsed = parseImportFile(file.name, await file.text());
+      if (parsed.length === 0) {
+        throw new Error('No point locations found in the file');
+      }
+      setFileName(file.name);
+      setRows(parsed);
+      setMapping(guessFieldMapping([...new Set(parsed.flatMap(row => Object.keys(row.properties)))]));
+      setActionOverrides({});
+      setError('');
+    } catch (err) {
+      setRows([]);
+      setError(`Could not read ${file.name}: ${err.message}`);
+    }
+  };
+
+  /**
+   * @constant {Array} candidates
+   * @description Each row as it would be saved, with its action and validation errors
+   */
+  const candidates = rows.map((row, index) => {
+    const imported = applyFieldMapping(row, mapping, defaultCategory);
+    const existing = imported.id !== undefined ? locations.find(loc => loc.id === imported.id) : undefined;
+    const defaultAction = existing ? 'merge' : 'append';
+    const override = actionOverrides[index];
+    const action = override === 'merge' && !existing ? defaultAction : (override || defaultAction);
+    const location = action === 'merge' ? mergeImportRow(existing, row, mapping) : { ...imported, id: undefined };
+    const errors = action === 'skip' ? [] : validateLocation(location, { categories, bounds, requireId: false });
+    return { index, action, location, existing, errors };
+  });
+
+  const importable = candidates.filter(candidate => candidate.action !== 'skip' && candidate.errors.length === 0);
+
+  const handleImport = async () => {
+    setIsImporting(true);
+    try {
+      await onImport(importable.map(({ action, location, existing }) => ({ action, location, existing })));
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[2000] p-4">
+      <div className="bg-[#F4EAD5] rounded-lg shadow-lg w-full max-w-4xl max-h-full overflow-auto p-6 text-[#2A4858]">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-2xl font-bold">Import locations</h2>
+          <button onClick={onClose} className="hover:text-[#FF6B6B]" aria-label="Close">✕</button>
+        </div>
+
+        <label className="block mb-4">
+          <span className="block text-sm font-medium mb-1">GeoJSON, GPX, KML or CSV file</span>
+          <input
+            type="file"
+            accept=".geojson,.json,.gpx,.kml,.csv"
+            onChange={handleFile}
+            className="block w-full text-sm"
+          />
+        </label>
+
+        {error && (
+          <p className="mb-4 p-2 bg-[#FF6B6B] bg-opacity-20 border border-[#FF6B6B] rounded text-sm">{error}</p>
+        )}
+
+        {rows.length > 0 && (
+          <>
+            <h3 className="font-bold mb-2">Fields</h3>
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-2 mb-4">
+              {['id', ...MAPPED_FIELDS].map(field => (
+                <label key={field} className="text-sm">
+                  <span className="block font-medium mb-1">{FIELD_LABELS[field]}</span>
+                  <select
+                    value={mapping[field] || ''}
+                    onChange={(e) => setMapping(prev => ({ ...prev, [field]: e.target.value }))}
+                    className="w-full p-1 border border-[#6B4984] rounded"
+                  >
+                    <option value="">(none)</option>
+                    {sourceFields.map(source => (
+                      <option key={source} value={source}>{source}</option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+              <label className="text-sm">
+                <span className="block font-medium mb-1">Default category</span>
+                <select
+                  value={defaultCategory}
+                  onChange={(e) => setDefaultCategory(e.target.value)}
+                  className="w-full p-1 border border-[#6B4984] rounded"
+                >
+                  {categories.map(cat => (
+                    <option key={cat} value={cat}>{cat}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+
+            <h3 className="font-bold mb-2">Preview of {fileName}</h3>
+            <div className="overflow-x-auto mb-4">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left border-b border-[#6B4984]">
+                    <th className="p-1">Action</th>
+                    <th className="p-1">Location</th>
+                    <th className="p-1">Category</th>
+                    <th className="p-1">Coordinates</th>
+                    <th className="p-1">Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {candidates.map(({ index, action, location, existing, errors }) => (
+                    <tr key={index} className="border-b border-[#8FD6E1] align-top">
+                      <td className="p-1">
+                        <select
+                          value={action}
+                          onChange={(e) => setActionOverrides(prev => ({ ...prev, [index]: e.target.value }))}
+                          className="p-1 border border-[#6B4984] rounded"
+                        >
+                          <option value="merge" disabled={!existing}>Merge</option>
+                          <option value="append">Append</option>
+                          <option value="skip">Skip</option>
+                        </select>
+                      </td>
+                      <td className="p-1">{location.emoji} {location.name || <em>(no name)</em>}</td>
+                      <td className="p-1">{location.category.join(', ')}</td>
+                      <td className="p-1 whitespace-nowrap">
+                        {location.position ? location.position.map(value => value.toFixed(4)).join(', ') : '—'}
+                      </td>
+                      <td className="p-1">
+                        {action === 'skip' ? 'Skipped' : errors.length > 0 ? (
+                          <span className="text-[#FF6B6B]">{errors.join('; ')}</span>
+                        ) : action === 'merge' ? `Updates ${existing.name}` : 'New location'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+
+        <div className="flex justify-between">
+          <button
+            onClick={handleImport}
+            disabled={importable.length === 0 || isImporting}
+            className="bg-[#8FD6E1] hover:bg-[#6B4984] text-[#2A4858] font-bold py-2 px-4 rounded transition-colors disabled:opacity-50 disabled:hover:bg-[#8FD6E1]"
+          >
+            {isImporting ? 'Importing…' : `Import ${importable.length} location${importable.length === 1 ? '' : 's'}`}
+          </button>
+          <button
+            onClick={onClose}
+            className="bg-[#FF6B6B] hover:bg-[#FF8E8E] text-[#F4EAD5] font-bold py-2 px-4 rounded transition-colors"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportDialog;
@@ -0,0 +1,281 @@
+import React, { useState } from 'react';
+import { FaArrowUp, FaArrowDown, FaTrash, FaMap } from 'react-icons/fa';
+import { buildRoute, createId, findHeadquarters, pickToday } from '../utils/itinerary';
+import { formatDistance } from '../utils/geo';
+
+/**
+ * @function formatDay
+ * @description Formats a `YYYY-MM-DD` date as e.g. "Fri, Jul 4"
+ * @param {string} date - Calendar date
+ * @returns {string} Readable date
+ */
+const formatDay = (date) => new Date(`${date}T12:00:00`).toLocaleDateString(undefined, {
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric'
+});
+
+/**
+ * @function ItineraryView
+ * @description Trip day planner. Admins add days, assign locations with optional times and
+ * reorder them (drag and drop, or the arrow buttons on touch screens); guests get the same
+ * view read-only, opened on today's plan.
+ * @param {Object} props
+ * @param {Object} props.itinerary - `{ days }`
+ * @param {Array} props.locations - Normalized locations
+ * @param {boolean} props.isAdmin - Whether editing controls are shown
+ * @param {Function} props.onChange - Called with the updated itinerary
+ * @param {Function} props.onShowOnMap - Called with a day id to draw its route on the map
+ * @returns {JSX.Element} The view
+ */
+const ItineraryView = ({ itinerary, locations, isAdmin, onChange, onShowOnMap }) => {
+  const { days } = itinerary;
+  const [selectedDayId, setSelectedDayId] = useState(null);
+  const [newDate, setNewDate] = useState('');
+  const [newTitle, setNewTitle] = useState('');
+  const [newStopLocationId, setNewStopLocationId] = useState('');
+  const [newStopTime, setNewStopTime] = useState('');
+  const [dragIndex, setDragIndex] = useState(null);
+
+  const day = days.find(d => d.id === selectedDayId) || pickToday(days);
+  const hq = findHeadquarters(locations);
+  const route = day ? buildRoute(day, locations) : null;
+  const sortedLocations = [...locations].sort((a, b) => a.name.localeCompare(b.name));
+
+  const updateDay = (dayId, changes) => {
+    onChange({ days: days.map(d => (d.id === dayId ? { ...d, ...changes } : d)) });
+  };
+
+  const handleAddDay = (e) => {
+    e.preventDefault();
+    if (!newDate) return;
+    if (days.some(d => d.date === newDate)) {
+      alert(`${formatDay(newDate)} is already planned`);
+      return;
+    }
+    const id = createId();
+    onChange({ days: [...days, { id, date: newDate, title: newTitle.trim(), stops: [] }] });
+    setSelectedDayId(id);
+    setNewDate('');
+    setNewTitle('');
+  };
+
+  const handleDeleteDay = () => {
+    if (!window.confirm(`Delete the plan for ${formatDay(day.date)}?`)) return;
+    onChange({ days: days.filter(d => d.id !== day.id) });
+    setSelectedDayId(null);
+  };
+
+  const handleAddStop = (e) => {
+    e.preventDefault();
+    if (!newStopLocationId) return;
+    updateDay(day.id, {
+      stops: [...day.stops, { id: createId(), locationId: Number(newStopLocationId), time: newStopTime }]
+    });
+    setNewStopLocationId('');
+    setNewStopTime('');
+  };
+
+  const moveStop = (from, to) => {
+    if (to < 0 || to >= day.stops.length || from === to) return;
+    const stops = [...day.stops];
+    const [stop] = stops.splice(from, 1);
+    stops.splice(to, 0, stop);
+    updateDay(day.id, { stops });
+  };
+
+  return (
+    <div className="w-full h-full overflow-auto bg-gradient-to-br from-[#2A4858] via-[#6B4984] to-[#2A4858] p-4 pb-32">
+      <div className="max-w-4xl mx-auto space-y-4">
+        {/* Day tabs */}
+        <div className="flex flex-wrap justify-center gap-2 p-4">
+          {days.map(d => (
+            <button
+              key={d.id}
+              onClick={() => setSelectedDayId(d.id)}
+              className={`px-4 py-2 rounded-full transition-colors ${
+                day?.id === d.id
+                  ? 'bg-[#2ca5b8] text-[#F4EAD5]'
+                  : 'bg-white text-[#2A4858] hover:bg-gray-100'
+              }`}
+            >
+              {formatDay(d.date)}
+            </button>
+          ))}
+        </div>
+
+        {isAdmin && (
+          <form onSubmit={handleAddDay} className="bg-[#F4EAD5] rounded-lg p-4 shadow-lg flex flex-wrap gap-2 items-end text-[#2A4858]">
+            <label className="text-sm">
+              <span className="block font-medium mb-1">Date</span>
+              <input
+                type="date"
+                value={newDate}
+                onChange={(e) => setNewDate(e.target.value)}
+                className="p-2 border border-[#6B4984] rounded"
+              />
+            </label>
+            <label className="text-sm flex-1">
+              <span className="block font-medium mb-1">Title (optional)</span>
+              <input
+                type="text"
+                value={newTitle}
+                onChange={(e) => setNewTitle(e.target.value)}
+                placeholder="Ski day"
+                className="w-full p-2 border border-[#6B4984] rounded"
+              />
+            </label>
+            <button
+              type="submit"
+              disabled={!newDate}
+              className="bg-[#8FD6E1] hover:bg-[#6B4984] text-[#2A4858] font-bold py-2 px-4 rounded transition-colors disabled:opacity-50"
+            >
+              Add day
+            </button>
+          </form>
+        )}
+
+        {!day ? (
+          <div className="bg-[#F4EAD5] rounded-lg p-4 shadow-lg text-[#2A4858] text-center">
+            Nothing planned yet.
+          </div>
+        ) : (
+          <div className="bg-[#F4EAD5] rounded-lg p-4 shadow-lg text-[#2A4858]">
+            <div className="flex justify-between items-start gap-2 mb-4">
+              <div>
+                <h2 className="text-2xl font-bold">{formatDay(day.date)}</h2>
+                {day.title && <p className="text-lg">{day.title}</p>}
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => onShowOnMap(day.id)}
+                  className="px-3 py-1 bg-[#6B4984] text-[#F4EAD5] rounded hover:bg-[#8FD6E1] transition-colors flex items-center gap-2"
+                >
+                  <FaMap /> Show on map
+                </button>
+                {isAdmin && (
+                  <button
+                    onClick={handleDeleteDay}
+                    className="px-3 py-1 bg-[#FF6B6B] text-[#F4EAD5] rounded hover:bg-[#FF8E8E] transition-colors"
+                  >
+                    Delete day
+                  </button>
+                )}
+              </div>
+            </div>
+
+            {hq && (
+              <p className="text-sm mb-2">
+                Starting from {hq.emoji} {hq.name}
+              </p>
+            )}
+
+            <ol className="space-y-2">
+              {route.legs.map(({ stop, location, distance }, index) => {
+                const stopIndex = day.stops.indexOf(stop);
+                return (
+                  <li
+                    key={stop.id}
+                    draggable={isAdmin}
+                    onDragStart={() => setDragIndex(stopIndex)}
+                    onDragOver={(e) => e.preventDefault()}
+                    onDrop={() => {
+                      moveStop(dragIndex, stopIndex);
+                      setDragIndex(null);
+                    }}
+                    onDragEnd={() => setDragIndex(null)}
+                    className={`flex items-center gap-3 bg-white rounded p-2 ${isAdmin ? 'cursor-move' : ''} ${
+                      dragIndex === stopIndex ? 'opacity-50' : ''
+                    }`}
+                  >
+                    <span className="w-7 h-7 flex-shrink-0 rounded-full bg-[#6B4984] text-[#F4EAD5] flex items-center justify-center font-bold text-sm">
+                      {index + 1}
+                    </span>
+                    <span className="text-2xl">{location.emoji}</span>
+                    <div className="flex-1 min-w-0">
+                      <div className="font-semibold truncate">{location.name}</div>
+                      <div className="text-xs text-gray-600">
+                        {formatDistance(distance)} from {index === 0 ? (hq ? 'HQ' : 'start') : 'previous stop'}
+                      </div>
+                    </div>
+                    {isAdmin ? (
+                      <>
+                        <input
+                          type="time"
+                          value={stop.time}
+                          onChange={(e) => updateDay(day.id, {
+                            stops: day.stops.map(s => (s.id === stop.id ? { ...s, time: e.target.value } : s))
+                          })}
+                          className="p-1 border border-[#6B4984] rounded text-sm"
+                          aria-label="Time"
+                        />
+                        <button onClick={() => moveStop(stopIndex, stopIndex - 1)} className="p-1 hover:text-[#2ca5b8]" aria-label="Move up">
+                          <FaArrowUp />
+                        </button>
+                        <button onClick={() => moveStop(stopIndex, stopIndex + 1)} className="p-1 hover:text-[#2ca5b8]" aria-label="Move down">
+                          <FaArrowDown />
+                        </button>
+                        <button
+                          onClick={() => updateDay(day.id, { stops: day.stops.filter(s => s.id !== stop.id) })}
+                          className="p-1 hover:text-[#FF6B6B]"
+                          aria-label="Remove stop"
+                        >
+                          <FaTrash />
+                        </button>
+                      </>
+                    ) : (
+                      stop.time && <span className="font-semibold">{stop.time}</span>
+                    )}
+                  </li>
+                );
+              })}
+            </ol>
+
+            {route.legs.length === 0 && (
+              <p className="text-sm italic">No stops yet.</p>
+            )}
+            {route.legs.length > 0 && (
+              <p className="mt-3 text-sm font-semibold">
+                Total: {formatDistance(route.total)} in a straight line
+              </p>
+            )}
+
+            {isAdmin && (
+              <form onSubmit={handleAddStop} className="mt-4 flex flex-wrap gap-2 items-end">
+                <select
+                  value={newStopLocationId}
+                  onChange={(e) => setNewStopLocationId(e.target.value)}
+                  className="flex-1 p-2 border border-[#6B4984] rounded"
+                  aria-label="Location"
+                >
+                  <option value="">Add a stop…</option>
+                  {sortedLocations.map(location => (
+                    <option key={location.id} value={location.id}>
+                      {location.emoji} {location.name}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  type="time"
+                  value={newStopTime}
+                  onChange={(e) => setNewStopTime(e.target.value)}
+                  className="p-2 border border-[#6B4984] rounded"
+                  aria-label="Time"
+                />
+                <button
+                  type="submit"
+                  disabled={!newStopLocationId}
+                  className="bg-[#8FD6E1] hover:bg-[#6B4984] text-[#2A4858] font-bold py-2 px-4 rounded transition-colors disabled:opacity-50"
+                >
+                  Add
+                </button>
+              </form>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ItineraryView;
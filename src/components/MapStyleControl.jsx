@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { FaLayerGroup, FaCheck } from 'react-icons/fa';
+
+/**
+ * @function MapStyleControl
+ * @description Map button that opens the list of map styles. Admins also get a link to the
+ * tile source settings.
+ * @param {Object} props
+ * @param {Array} props.styles - Styles from listMapStyles
+ * @param {string} props.value - Id of the style shown
+ * @param {Function} props.onChange - Called with the picked style id
+ * @param {Function} [props.onManage] - Opens the tile source settings; omitted for non-admins
+ * @param {string} [props.className] - Extra classes for the wrapper
+ * @returns {JSX.Element} The control
+ */
+const MapStyleControl = ({ styles, value, onChange, onManage, className = '' }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  return (
+    <div className={`relative ${className}`}>
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        className="p-3 rounded-full shadow-lg bg-white text-[#2A4858] hover:bg-gray-100 transition-colors"
+        aria-label="Map style"
+        aria-expanded={isOpen}
+      >
+        <FaLayerGroup />
+      </button>
+      {isOpen && (
+        <div className="absolute left-0 bottom-full mb-2 min-w-[12rem] bg-[#F4EAD5] rounded shadow-lg overflow-hidden text-[#2A4858]">
+          <ul role="listbox" aria-label="Map style">
+            {styles.map(style => (
+              <li key={style.id} role="option" aria-selected={style.id === value}>
+                <button
+                  onClick={() => {
+                    setIsOpen(false);
+                    onChange(style.id);
+                  }}
+                  className="flex items-center gap-2 w-full text-left px-4 py-2 hover:bg-[#8FD6E1] transition-colors"
+                >
+                  <span className="w-4">{style.id === value && <FaCheck className="text-[#2ca5b8]" />}</span>
+                  <span className="flex-1">{style.name}</span>
+                  {style.isLocal && <span className="text-xs text-[#6B4984]">offline</span>}
+                </button>
+              </li>
+            ))}
+          </ul>
+          {onManage && (
+            <button
+              onClick={() => {
+                setIsOpen(false);
+                onManage();
+              }}
+              className="block w-full text-left px-4 py-2 text-sm border-t border-[#6B4984] border-opacity-30 hover:bg-[#8FD6E1] transition-colors"
+            >
+              Tile sources…
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MapStyleControl;
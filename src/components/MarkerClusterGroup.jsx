@@ -0,0 +1,82 @@
+import L from 'leaflet';
+import 'leaflet.markercluster';
+import 'leaflet.markercluster/dist/MarkerCluster.css';
+import { createElementObject, createLayerComponent, extendContext } from '@react-leaflet/core';
+import { escapeHtml } from '../utils/html';
+
+/**
+ * @function dominantCategory
+ * @description Finds the most common primary category among clustered locations; ties go to
+ * the category listed first
+ * @param {Array} locations - Locations in the cluster
+ * @param {Array<string>} order - Category names in display order
+ * @returns {string|undefined} Category name
+ */
+const dominantCategory = (locations, order) => {
+  const counts = new Map();
+  locations.forEach(location => {
+    const category = location.category[0];
+    counts.set(category, (counts.get(category) || 0) + 1);
+  });
+  return [...counts.entries()]
+    .sort(([a, countA], [b, countB]) => countB - countA || order.indexOf(a) - order.indexOf(b))[0]?.[0];
+};
+
+/**
+ * @function createClusterIcon
+ * @description Builds the bubble for a cluster: the dominant category's emoji and the count
+ * @param {L.MarkerCluster} cluster - Cluster being drawn
+ * @param {Map} locationsById - Current locations keyed by id
+ * @param {Array} categories - Categories in display order
+ * @returns {L.DivIcon} Cluster icon
+ */
+const createClusterIcon = (cluster, locationsById, categories) => {
+  const locations = cluster.getAllChildMarkers()
+    .map(marker => locationsById.get(marker.options.locationId))
+    .filter(Boolean);
+  const name = dominantCategory(locations, categories.map(category => category.name));
+  const emoji = categories.find(category => category.name === name)?.emoji || '📍';
+  const count = cluster.getChildCount();
+  return L.divIcon({
+    html: `<div class="emoji-cluster"><span class="emoji-cluster-emoji">${escapeHtml(emoji)}</span><span class="emoji-cluster-count">${count}</span></div>`,
+    className: 'custom-div-icon',
+    iconSize: [48, 48],
+    iconAnchor: [24, 24]
+  });
+};
+
+/**
+ * @function MarkerClusterGroup
+ * @description Groups the location markers rendered inside it into zoom-aware clusters.
+ * Clicking a cluster zooms to its markers; at the maximum zoom it spiderfies them instead.
+ * Markers identify their location with a `locationId` prop so the cluster icon can look up
+ * categories without going stale after an edit.
+ * @param {Object} props
+ * @param {Array} props.locations - Locations whose markers are rendered as children
+ * @param {Array} props.categories - Categories, whose default emoji label the clusters
+ * @param {number} [props.maxClusterRadius] - Pixel radius within which markers are merged
+ * @returns {JSX.Element} The cluster layer
+ */
+const MarkerClusterGroup = createLayerComponent(
+  ({ children: _children, locations, categories, ...options }, ctx) => {
+    const group = new L.MarkerClusterGroup({
+      maxClusterRadius: 40,
+      showCoverageOnHover: false,
+      spiderfyOnMaxZoom: true,
+      ...options,
+      iconCreateFunction: (cluster) => createClusterIcon(cluster, group.locationsById, group.categories)
+    });
+    group.locationsById = new Map(locations.map(location => [location.id, location]));
+    group.categories = categories;
+    return createElementObject(group, extendContext(ctx, { layerContainer: group }));
+  },
+  (group, props, prevProps) => {
+    if (props.locations !== prevProps.locations || props.categories !== prevProps.categories) {
+      group.locationsById = new Map(props.locations.map(location => [location.id, location]));
+      group.categories = props.categories;
+      group.refreshClusters();
+    }
+  }
+);
+
+export default MarkerClusterGroup;
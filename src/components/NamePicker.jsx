@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import { MAX_MEMBER_NAME_LENGTH, normalizeMemberName } from '../utils/ratings';
+
+/**
+ * @function NamePicker
+ * @description Asks who is using this device before their first vote. Names already used
+ * for ratings are offered as buttons so the same person does not end up twice.
+ * @param {Object} props
+ * @param {Array<string>} props.members - Names already in use
+ * @param {string} [props.current] - Name picked earlier, if switching
+ * @param {Function} props.onPick - Called with the chosen name
+ * @param {Function} props.onClose - Closes the picker without choosing
+ * @returns {JSX.Element} The picker dialog
+ */
+const NamePicker = ({ members, current = '', onPick, onClose }) => {
+  const [newName, setNewName] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const name = normalizeMemberName(newName);
+    if (!name) return;
+    // Reuse an existing spelling rather than adding "sam" next to "Sam"
+    onPick(members.find(member => member.toLowerCase() === name.toLowerCase()) || name);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[2000] p-4">
+      <div className="bg-[#F4EAD5] rounded-lg shadow-lg w-full max-w-sm p-6 text-[#2A4858]">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-2xl font-bold">Who's voting?</h2>
+          <button onClick={onClose} className="hover:text-[#FF6B6B]" aria-label="Close">✕</button>
+        </div>
+
+        {members.length > 0 && (
+          <div className="flex flex-wrap gap-2 mb-4">
+            {members.map(member => (
+              <button
+                key={member}
+                onClick={() => onPick(member)}
+                className={`px-3 py-1 rounded-full transition-colors ${
+                  member === current
+                    ? 'bg-[#6B4984] text-[#F4EAD5]'
+                    : 'bg-white hover:bg-[#8FD6E1]'
+                }`}
+              >
+                {member}
+              </button>
+            ))}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="flex gap-2">
+          <input
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            maxLength={MAX_MEMBER_NAME_LENGTH}
+            placeholder={members.length > 0 ? 'Someone else' : 'Your name'}
+            autoFocus
+            className="flex-1 p-2 border border-[#6B4984] rounded focus:outline-none focus:ring-2 focus:ring-[#8FD6E1]"
+          />
+          <button
+            type="submit"
+            className="bg-[#8FD6E1] hover:bg-[#6B4984] text-[#2A4858] font-bold py-2 px-4 rounded transition-colors"
+          >
+            OK
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default NamePicker;
@@ -0,0 +1,191 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  MAX_TILES,
+  getTileUrls,
+  downloadTiles,
+  countCachedTiles,
+  clearCachedTiles
+} from '../utils/offlineTiles';
+
+/**
+ * @constant {Array<number>} ZOOM_LEVELS
+ * @description Zoom levels that can be downloaded; 10 shows a whole region, 16 single streets
+ */
+const ZOOM_LEVELS = [10, 11, 12, 13, 14, 15, 16];
+
+/**
+ * @constant {number} AVERAGE_TILE_KB
+ * @description Rough size of one CARTO tile, for the download estimate
+ */
+const AVERAGE_TILE_KB = 20;
+
+/**
+ * @function OfflineMapDialog
+ * @description Admin dialog that downloads the tiles of the current map style for the trip's
+ * area so the map works offline on this device
+ * @param {Object} props
+ * @param {Object} props.trip - Current trip; its offline area is downloaded
+ * @param {string} props.styleName - Name of the current map style
+ * @param {string} props.tileUrl - TileLayer URL template of the current map style
+ * @param {Function} props.onClose - Closes the dialog
+ * @returns {JSX.Element} The dialog
+ */
+const OfflineMapDialog = ({ trip, styleName, tileUrl, onClose }) => {
+  const [minZoom, setMinZoom] = useState(10);
+  const [maxZoom, setMaxZoom] = useState(14);
+  const [progress, setProgress] = useState(null);
+  const [cachedCount, setCachedCount] = useState(null);
+  const [message, setMessage] = useState('');
+  const abortRef = useRef(null);
+
+  const urls = getTileUrls(tileUrl, trip.offlineBounds, minZoom, maxZoom);
+  const isTooLarge = urls.length > MAX_TILES;
+  const isDownloading = progress !== null;
+  const isSupported = 'caches' in window && 'serviceWorker' in navigator;
+
+  useEffect(() => {
+    if (isSupported) {
+      countCachedTiles().then(setCachedCount);
+    }
+    return () => abortRef.current?.abort();
+  }, [isSupported]);
+
+  const handleDownload = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setMessage('');
+    setProgress({ done: 0, total: urls.length });
+    try {
+      const failed = await downloadTiles(urls, {
+        signal: controller.signal,
+        onProgress: (done, total) => setProgress({ done, total })
+      });
+      if (controller.signal.aborted) {
+        setMessage('Download cancelled. Tiles downloaded so far are kept.');
+      } else if (failed > 0) {
+        setMessage(`${failed} tile${failed === 1 ? '' : 's'} could not be downloaded. Try again to fill the gaps.`);
+      } else {
+        setMessage('Done! This map area now works offline on this device.');
+      }
+    } catch (error) {
+      setMessage(`Download failed: ${error.message}`);
+    } finally {
+      setProgress(null);
+      abortRef.current = null;
+      countCachedTiles().then(setCachedCount);
+    }
+  };
+
+  const handleClear = async () => {
+    if (!window.confirm('Delete all downloaded map tiles from this device?')) return;
+    await clearCachedTiles();
+    setCachedCount(0);
+    setMessage('Offline map tiles deleted.');
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[2000] p-4">
+      <div className="bg-[#F4EAD5] rounded-lg shadow-lg w-full max-w-md p-6 text-[#2A4858]">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-2xl font-bold">Offline map</h2>
+          <button onClick={onClose} className="hover:text-[#FF6B6B]" aria-label="Close">✕</button>
+        </div>
+
+        {!isSupported ? (
+          <p>This browser cannot store map tiles for offline use.</p>
+        ) : (
+          <>
+            <p className="text-sm mb-4">
+              Downloads the <strong>{styleName}</strong> map of the {trip.title} area to this
+              device, for trailheads without a signal.
+            </p>
+
+            <div className="grid grid-cols-2 gap-2 mb-4">
+              <label className="text-sm">
+                <span className="block font-medium mb-1">From zoom</span>
+                <select
+                  value={minZoom}
+                  onChange={(e) => {
+                    const zoom = Number(e.target.value);
+                    setMinZoom(zoom);
+                    setMaxZoom(prev => Math.max(prev, zoom));
+                  }}
+                  disabled={isDownloading}
+                  className="w-full p-1 border border-[#6B4984] rounded"
+                >
+                  {ZOOM_LEVELS.map(zoom => (
+                    <option key={zoom} value={zoom}>{zoom}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="text-sm">
+                <span className="block font-medium mb-1">To zoom</span>
+                <select
+                  value={maxZoom}
+                  onChange={(e) => setMaxZoom(Number(e.target.value))}
+                  disabled={isDownloading}
+                  className="w-full p-1 border border-[#6B4984] rounded"
+                >
+                  {ZOOM_LEVELS.filter(zoom => zoom >= minZoom).map(zoom => (
+                    <option key={zoom} value={zoom}>{zoom}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+
+            <p className={`text-sm mb-4 ${isTooLarge ? 'text-[#FF6B6B]' : ''}`}>
+              {urls.length.toLocaleString()} tiles, about {Math.ceil((urls.length * AVERAGE_TILE_KB) / 1024)} MB
+              {isTooLarge && ` — pick fewer zoom levels (at most ${MAX_TILES.toLocaleString()} tiles)`}
+            </p>
+
+            {isDownloading && (
+              <div className="mb-4">
+                <div className="h-2 bg-white rounded-full overflow-hidden">
+                  <div
+                    className="h-full bg-[#2ca5b8] transition-all"
+                    style={{ width: `${(progress.done / progress.total) * 100}%` }}
+                  />
+                </div>
+                <p className="text-sm mt-1">{progress.done} / {progress.total}</p>
+              </div>
+            )}
+
+            {message && <p className="text-sm mb-4">{message}</p>}
+
+            {cachedCount !== null && (
+              <p className="text-xs mb-4">{cachedCount.toLocaleString()} tiles stored on this device</p>
+            )}
+
+            <div className="flex justify-between gap-2">
+              {isDownloading ? (
+                <button
+                  onClick={() => abortRef.current?.abort()}
+                  className="bg-[#FF6B6B] hover:bg-[#FF8E8E] text-[#F4EAD5] font-bold py-2 px-4 rounded transition-colors"
+                >
+                  Cancel download
+                </button>
+              ) : (
+                <button
+                  onClick={handleDownload}
+                  disabled={isTooLarge}
+                  className="bg-[#8FD6E1] hover:bg-[#6B4984] text-[#2A4858] font-bold py-2 px-4 rounded transition-colors disabled:opacity-50 disabled:hover:bg-[#8FD6E1]"
+                >
+                  Download map area
+                </button>
+              )}
+              <button
+                onClick={handleClear}
+                disabled={isDownloading || !cachedCount}
+                className="bg-[#6B4984] hover:bg-[#8FD6E1] text-[#F4EAD5] font-bold py-2 px-4 rounded transition-colors disabled:opacity-50 disabled:hover:bg-[#6B4984]"
+              >
+                Delete tiles
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OfflineMapDialog;
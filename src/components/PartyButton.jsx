@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import confetti from 'canvas-confetti';
+
+/**
+ * @function ensureFlyingEmojiStyle
+ * @description Adds the flying emoji keyframes to the page the first time they are needed
+ */
+const ensureFlyingEmojiStyle = () => {
+  if (document.getElementById('flying-emoji-style')) return;
+  const style = document.createElement('style');
+  style.id = 'flying-emoji-style';
+  style.textContent = `
+    @keyframes flyAndFade {
+      0% {
+        transform: translate(0, 0) rotate(0deg);
+        opacity: 1;
+      }
+      100% {
+        transform: translate(${Math.random() * 200 - 100}px, ${-Math.random() * 200 - 100}px) rotate(${Math.random() * 360}deg);
+        opacity: 0;
+      }
+    }
+  `;
+  document.head.appendChild(style);
+};
+
+/**
+ * @function celebrate
+ * @description Fires confetti from both sides of the screen and scatters flying emoji
+ * @param {string} [emoji='👏'] - Emoji that flies around with the confetti
+ */
+export const celebrate = (emoji = '👏') => {
+  ensureFlyingEmojiStyle();
+
+  // Create confetti
+  const duration = 3 * 1000;
+  const end = Date.now() + duration;
+
+  const colors = ['#FFD700', '#FFA500', '#FF6B6B'];
+
+  (function frame() {
+    confetti({
+      particleCount: 3,
+      angle: 60,
+      spread: 55,
+      origin: { x: 0 },
+      colors: colors
+    });
+    confetti({
+      particleCount: 3,
+      angle: 120,
+      spread: 55,
+      origin: { x: 1 },
+      colors: colors
+    });
+
+    if (Date.now() < end) {
+      requestAnimationFrame(frame);
+    }
+  }());
+
+  // Add flying emojis
+  const emojis = Array(15).fill(emoji);
+  emojis.forEach((emoji) => {
+    const el = document.createElement('div');
+    el.textContent = emoji;
+    el.className = 'flying-emoji';
+    el.style.cssText = `
+      position: fixed;
+      font-size: 2rem;
+      pointer-events: none;
+      z-index: 3000;
+      left: ${Math.random() * 100}vw;
+      top: ${Math.random() * 100}vh;
+      animation: flyAndFade 2s ease-out forwards;
+    `;
+    document.body.appendChild(el);
+    setTimeout(() => document.body.removeChild(el), 2000);
+  });
+};
+
+/**
+ * @function PartyButton
+ * @description Celebration button shown on every person's profile
+ * @param {Object} props
+ * @param {string} props.label - Button text
+ * @param {string} [props.emoji] - Emoji thrown across the screen
+ * @returns {JSX.Element} The button
+ */
+const PartyButton = ({ label, emoji = '👏' }) => {
+  const [isPartyTime, setIsPartyTime] = useState(false);
+
+  const startParty = () => {
+    setIsPartyTime(true);
+    celebrate(emoji);
+
+    setTimeout(() => {
+      setIsPartyTime(false);
+    }, 2000);
+  };
+
+  return (
+    <button
+      onClick={startParty}
+      className="bg-yellow-400 hover:bg-yellow-500 text-white px-4 py-2 rounded-lg shadow-lg flex items-center gap-2"
+      disabled={isPartyTime}
+    >
+      <span>{label}</span>
+      <span>🎉</span>
+    </button>
+  );
+};
+
+export default PartyButton;
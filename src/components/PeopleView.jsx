@@ -0,0 +1,56 @@
+import React from 'react';
+import { FaPlus } from 'react-icons/fa';
+import { formatStay } from '../utils/people';
+
+/**
+ * @function PeopleView
+ * @description Index of everyone on the trip, linking to each profile
+ * @param {Object} props
+ * @param {Array} props.people - Normalized people
+ * @param {boolean} props.isAdmin - Whether people can be added
+ * @param {Function} props.onOpen - Called with a person's id to show their profile
+ * @param {Function} props.onAdd - Opens the editor for a new person
+ * @returns {JSX.Element} The index page
+ */
+const PeopleView = ({ people, isAdmin, onOpen, onAdd }) => (
+  <div className="w-full h-full overflow-auto bg-gradient-to-br from-[#2A4858] via-[#6B4984] to-[#2A4858] pb-32">
+    <div className="max-w-4xl mx-auto p-6">
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-3xl font-bold text-[#F4EAD5]">People</h2>
+        {isAdmin && (
+          <button
+            onClick={onAdd}
+            className="flex items-center gap-2 bg-[#8FD6E1] hover:bg-[#F4EAD5] text-[#2A4858] font-bold py-2 px-4 rounded transition-colors"
+          >
+            <FaPlus /> Add person
+          </button>
+        )}
+      </div>
+      {people.length === 0 && (
+        <p className="text-[#F4EAD5]">Nobody is on the roster yet.</p>
+      )}
+      <ul className="grid grid-cols-2 md:grid-cols-3 gap-4">
+        {people.map(person => (
+          <li key={person.id}>
+            <button
+              onClick={() => onOpen(person.id)}
+              className="w-full h-full bg-[#F4EAD5] rounded-lg shadow-lg p-4 flex flex-col items-center text-center text-[#2A4858] hover:bg-[#8FD6E1] transition-colors"
+            >
+              {person.photo ? (
+                <img src={person.photo} alt={person.name} className="w-24 h-24 object-cover rounded-full mb-3 shadow" />
+              ) : (
+                <div className="w-24 h-24 rounded-full mb-3 bg-[#6B4984] text-[#F4EAD5] text-4xl font-bold flex items-center justify-center">
+                  {person.name.charAt(0).toUpperCase()}
+                </div>
+              )}
+              <span className="font-bold text-lg">{person.name}</span>
+              {formatStay(person) && <span className="text-sm">{formatStay(person)}</span>}
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  </div>
+);
+
+export default PeopleView;
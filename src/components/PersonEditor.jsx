@@ -0,0 +1,189 @@
+import React, { useState } from 'react';
+import { normalizePerson, validatePerson, toPersonId, DEFAULT_PARTY_EMOJI } from '../utils/people';
+
+/**
+ * @function PersonEditor
+ * @description Admin form for a person's profile, laid out like the location editor. Photos
+ * are resized and uploaded the same way as location photos.
+ * @param {Object} props
+ * @param {Object|null} props.person - Person to edit, or null to add one
+ * @param {Array} props.locations - Locations a person can be staying at
+ * @param {Function} props.onUploadPhoto - Uploads a picked file; resolves to its URL
+ * @param {Function} props.onSave - Called with the edited person; may reject with `errors`
+ * @param {Function} props.onDelete - Takes the person off the roster
+ * @param {Function} props.onClose - Closes the editor
+ * @returns {JSX.Element} The editor
+ */
+const PersonEditor = ({ person, locations, onUploadPhoto, onSave, onDelete, onClose }) => {
+  const isNew = !person;
+  const [draft, setDraft] = useState(() => normalizePerson(person || { name: '' }));
+  const [errors, setErrors] = useState([]);
+  const [isUploading, setIsUploading] = useState(false);
+
+  const update = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const handlePhoto = async (file) => {
+    if (!file) return;
+    setIsUploading(true);
+    try {
+      update({ photo: await onUploadPhoto(file) });
+    } catch (error) {
+      setErrors([`Could not upload the photo: ${error.message}`]);
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const candidate = normalizePerson(draft);
+    const problems = validatePerson(candidate, { locationIds: locations.map(location => location.id) });
+    if (problems.length > 0) {
+      setErrors(problems);
+      return;
+    }
+    try {
+      await onSave(candidate);
+    } catch (error) {
+      setErrors(error.errors || [error.message]);
+    }
+  };
+
+  const inputClass = 'w-full p-2 mb-2 border border-[#6B4984] rounded focus:outline-none focus:ring-2 focus:ring-[#8FD6E1]';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[2000] p-4">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-[#F4EAD5] rounded-lg shadow-lg w-full max-w-lg max-h-full overflow-auto p-6 text-[#2A4858]"
+      >
+        <h2 className="text-2xl font-bold mb-4">{isNew ? 'Add person' : `Edit ${person.name}`}</h2>
+        <input
+          type="text"
+          value={draft.name}
+          onChange={(e) => update({ name: e.target.value, ...(isNew ? { id: toPersonId(e.target.value) } : {}) })}
+          placeholder="Name"
+          aria-label="Name"
+          className={inputClass}
+        />
+        <label className="block text-sm font-medium mb-1">Profile link</label>
+        <div className="flex items-center gap-1 mb-2">
+          <span className="text-sm">/people/</span>
+          <input
+            type="text"
+            value={draft.id}
+            onChange={(e) => update({ id: e.target.value })}
+            disabled={!isNew}
+            title={isNew ? 'Part of the profile link' : 'Links cannot change once saved'}
+            aria-label="Profile link"
+            className="flex-1 p-2 border border-[#6B4984] rounded disabled:opacity-60"
+          />
+        </div>
+        <textarea
+          value={draft.bio}
+          onChange={(e) => update({ bio: e.target.value })}
+          placeholder="Bio"
+          aria-label="Bio"
+          rows={5}
+          className={inputClass}
+        />
+        <div className="flex gap-2">
+          <label className="w-1/2 text-sm font-medium">
+            Arrives
+            <input type="date" value={draft.arrival} onChange={(e) => update({ arrival: e.target.value })} className={inputClass} />
+          </label>
+          <label className="w-1/2 text-sm font-medium">
+            Leaves
+            <input type="date" value={draft.departure} onChange={(e) => update({ departure: e.target.value })} className={inputClass} />
+          </label>
+        </div>
+        <label className="block text-sm font-medium">
+          Staying at
+          <select
+            value={draft.homeLocationId ?? ''}
+            onChange={(e) => update({ homeLocationId: e.target.value === '' ? null : Number(e.target.value) })}
+            className={inputClass}
+          >
+            <option value="">Nowhere in particular</option>
+            {locations.map(location => (
+              <option key={location.id} value={location.id}>{location.emoji} {location.name}</option>
+            ))}
+          </select>
+        </label>
+        <label className="block text-sm font-medium mb-1">Photo</label>
+        {draft.photo && (
+          <div className="flex items-center gap-2 mb-2">
+            <img src={draft.photo} alt="" className="w-16 h-16 object-cover rounded-full" />
+            <button type="button" onClick={() => update({ photo: '' })} className="text-sm hover:text-[#FF6B6B]">
+              Remove
+            </button>
+          </div>
+        )}
+        <input
+          type="file"
+          accept="image/*"
+          onChange={(e) => {
+            handlePhoto(e.target.files[0]);
+            e.target.value = '';
+          }}
+          className="w-full text-sm mb-2"
+        />
+        {isUploading && <p className="text-xs mb-2">Uploading photo…</p>}
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={draft.partyLabel}
+            onChange={(e) => update({ partyLabel: e.target.value })}
+            placeholder={`Congratulate ${draft.name || 'them'}!`}
+            aria-label="Celebration button text"
+            className={inputClass}
+          />
+          <input
+            type="text"
+            value={draft.partyEmoji}
+            onChange={(e) => update({ partyEmoji: e.target.value })}
+            placeholder={DEFAULT_PARTY_EMOJI}
+            aria-label="Celebration emoji"
+            className="w-16 p-2 mb-2 border border-[#6B4984] rounded text-center"
+          />
+        </div>
+        {errors.length > 0 && (
+          <ul className="mb-4 p-2 bg-[#FF6B6B] bg-opacity-20 border border-[#FF6B6B] rounded text-sm list-disc list-inside">
+            {errors.map(error => (
+              <li key={error}>{error}</li>
+            ))}
+          </ul>
+        )}
+        <div className="flex justify-between">
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={isUploading}
+              className="bg-[#8FD6E1] hover:bg-[#6B4984] text-[#2A4858] font-bold py-2 px-4 rounded transition-colors disabled:opacity-50"
+            >
+              Save
+            </button>
+            <button
+              type="button"
+              onClick={onClose}
+              className="bg-[#6B4984] hover:bg-[#8FD6E1] text-[#F4EAD5] font-bold py-2 px-4 rounded transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+          {!isNew && (
+            <button
+              type="button"
+              onClick={onDelete}
+              className="bg-[#FF6B6B] hover:bg-[#FF8E8E] text-[#F4EAD5] font-bold py-2 px-4 rounded transition-colors"
+            >
+              Delete
+            </button>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default PersonEditor;
@@ -0,0 +1,66 @@
+import React from 'react';
+import { FaArrowLeft, FaMapMarkerAlt } from 'react-icons/fa';
+import PartyButton from './PartyButton';
+import { formatStay, getPartyLabel, DEFAULT_PARTY_EMOJI } from '../utils/people';
+
+/**
+ * @function PersonProfile
+ * @description A trip member's page: photo, bio, when they are around, where they are
+ * staying, and a celebration button
+ * @param {Object} props
+ * @param {Object|null} props.person - Normalized person, or null when the path names nobody
+ * @param {Object|null} props.home - Location the person is staying at
+ * @param {boolean} props.isAdmin - Whether the profile can be edited
+ * @param {Function} props.onBack - Returns to the index
+ * @param {Function} props.onShowHome - Shows the home location on the map
+ * @param {Function} props.onEdit - Opens the editor for this person
+ * @returns {JSX.Element} The profile page
+ */
+const PersonProfile = ({ person, home, isAdmin, onBack, onShowHome, onEdit }) => (
+  <div className="w-full h-full flex flex-col items-center justify-start bg-gradient-to-br from-[#2A4858] via-[#6B4984] to-[#2A4858] pt-8 pb-64 overflow-auto">
+    <div className="w-full max-w-4xl px-8 flex justify-between">
+      <button onClick={onBack} className="flex items-center gap-2 text-[#F4EAD5] hover:text-[#8FD6E1] transition-colors">
+        <FaArrowLeft /> Everyone
+      </button>
+      {isAdmin && person && (
+        <button
+          onClick={onEdit}
+          className="px-3 py-1 bg-[#8FD6E1] text-[#2A4858] rounded hover:bg-[#F4EAD5] transition-colors"
+        >
+          Edit
+        </button>
+      )}
+    </div>
+    {person ? (
+      <div className="max-w-4xl mx-auto p-8 pt-16 text-center">
+        {person.photo && (
+          <img
+            src={person.photo}
+            alt={person.name}
+            className="w-64 h-64 object-cover rounded-full mx-auto mb-8 shadow-xl"
+          />
+        )}
+        <h2 className="text-4xl font-bold text-[#F4EAD5] mb-2">{person.name}</h2>
+        {formatStay(person) && <p className="text-lg text-[#8FD6E1] mb-2">{formatStay(person)}</p>}
+        {home && (
+          <button
+            onClick={() => onShowHome(home)}
+            className="inline-flex items-center gap-2 text-[#F4EAD5] underline hover:text-[#8FD6E1] mb-4"
+          >
+            <FaMapMarkerAlt /> Staying at {home.emoji} {home.name}
+          </button>
+        )}
+        <p className="text-xl text-[#F4EAD5] whitespace-pre-line mt-4">
+          {person.bio}
+        </p>
+        <div className="fixed bottom-20 left-1/2 transform -translate-x-1/2 z-[1001] mb-8">
+          <PartyButton label={getPartyLabel(person)} emoji={person.partyEmoji || DEFAULT_PARTY_EMOJI} />
+        </div>
+      </div>
+    ) : (
+      <p className="text-xl text-[#F4EAD5] pt-32">There is nobody by that name on this trip.</p>
+    )}
+  </div>
+);
+
+export default PersonProfile;
@@ -0,0 +1,126 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { FaChevronLeft, FaChevronRight, FaTimes } from 'react-icons/fa';
+
+/**
+ * @constant {number} SWIPE_THRESHOLD
+ * @description Horizontal distance, in pixels, a touch has to travel to change photo
+ */
+const SWIPE_THRESHOLD = 50;
+
+/**
+ * @function PhotoGallery
+ * @description Full-screen photo viewer. Swipe, the arrow buttons or the arrow keys move
+ * between photos; Escape or the close button leaves it.
+ * @param {Object} props
+ * @param {Array} props.photos - Photos to show
+ * @param {number} props.startIndex - Photo shown first
+ * @param {string} props.title - Location name shown above the photo
+ * @param {Function} props.onClose - Closes the gallery
+ * @returns {JSX.Element} The gallery overlay
+ */
+const PhotoGallery = ({ photos, startIndex, title, onClose }) => {
+  const [index, setIndex] = useState(startIndex);
+  const [dragX, setDragX] = useState(0);
+  const touchStartRef = useRef(null);
+
+  const count = photos.length;
+  const show = (next) => setIndex((next + count) % count);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+      if (e.key === 'ArrowLeft') setIndex(current => (current - 1 + count) % count);
+      if (e.key === 'ArrowRight') setIndex(current => (current + 1) % count);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [count, onClose]);
+
+  const handleTouchStart = (e) => {
+    touchStartRef.current = e.touches[0].clientX;
+  };
+
+  const handleTouchMove = (e) => {
+    if (touchStartRef.current === null) return;
+    setDragX(e.touches[0].clientX - touchStartRef.current);
+  };
+
+  const handleTouchEnd = () => {
+    if (dragX <= -SWIPE_THRESHOLD) show(index + 1);
+    if (dragX >= SWIPE_THRESHOLD) show(index - 1);
+    touchStartRef.current = null;
+    setDragX(0);
+  };
+
+  const photo = photos[index];
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-90 flex flex-col z-[3000] select-none"
+      role="dialog"
+      aria-modal="true"
+      aria-label={`Photos of ${title}`}
+    >
+      <div className="flex justify-between items-center p-4 text-[#F4EAD5]">
+        <span className="font-bold truncate">
+          {title} <span className="font-normal text-sm">{index + 1} / {count}</span>
+        </span>
+        <button onClick={onClose} className="text-2xl hover:text-[#FF6B6B]" aria-label="Close">
+          <FaTimes />
+        </button>
+      </div>
+
+      <div
+        className="relative flex-1 flex items-center justify-center overflow-hidden"
+        onTouchStart={handleTouchStart}
+        onTouchMove={handleTouchMove}
+        onTouchEnd={handleTouchEnd}
+      >
+        <img
+          key={photo.id}
+          src={photo.url}
+          alt={`${title}, photo ${index + 1}`}
+          className="max-w-full max-h-full object-contain"
+          style={{
+            transform: `translateX(${dragX}px)`,
+            transition: dragX === 0 ? 'transform 0.2s' : 'none'
+          }}
+          draggable={false}
+        />
+        {count > 1 && (
+          <>
+            <button
+              onClick={() => show(index - 1)}
+              className="absolute left-2 p-3 rounded-full bg-[#2A4858] bg-opacity-60 text-[#F4EAD5] hover:bg-[#2ca5b8]"
+              aria-label="Previous photo"
+            >
+              <FaChevronLeft />
+            </button>
+            <button
+              onClick={() => show(index + 1)}
+              className="absolute right-2 p-3 rounded-full bg-[#2A4858] bg-opacity-60 text-[#F4EAD5] hover:bg-[#2ca5b8]"
+              aria-label="Next photo"
+            >
+              <FaChevronRight />
+            </button>
+          </>
+        )}
+      </div>
+
+      {count > 1 && (
+        <div className="flex justify-center gap-2 p-4">
+          {photos.map((item, i) => (
+            <button
+              key={item.id}
+              onClick={() => setIndex(i)}
+              className={`w-2 h-2 rounded-full ${i === index ? 'bg-[#8FD6E1]' : 'bg-[#F4EAD5] bg-opacity-50'}`}
+              aria-label={`Show photo ${i + 1}`}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PhotoGallery;
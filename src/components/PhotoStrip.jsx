@@ -0,0 +1,41 @@
+import React from 'react';
+
+/**
+ * @function PhotoStrip
+ * @description Row of photo thumbnails that opens the gallery at the clicked photo
+ * @param {Object} props
+ * @param {Array} props.photos - Photos of a location
+ * @param {string} props.title - Location name, used for alt text
+ * @param {Function} props.onOpen - Called with the index of the clicked photo
+ * @param {string} [props.className] - Extra classes for the strip
+ * @returns {JSX.Element|null} The strip, or nothing when there are no photos
+ */
+const PhotoStrip = ({ photos, title, onOpen, className = '' }) => {
+  if (photos.length === 0) return null;
+
+  return (
+    <div className={`flex gap-2 overflow-x-auto ${className}`}>
+      {photos.map((photo, index) => (
+        <button
+          key={photo.id}
+          type="button"
+          onClick={(e) => {
+            e.stopPropagation();
+            onOpen(index);
+          }}
+          className="flex-shrink-0 rounded overflow-hidden focus:outline-none focus:ring-2 focus:ring-[#2ca5b8]"
+          aria-label={`Open photo ${index + 1} of ${title}`}
+        >
+          <img
+            src={photo.thumbUrl}
+            alt=""
+            loading="lazy"
+            className="w-16 h-16 object-cover"
+          />
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default PhotoStrip;
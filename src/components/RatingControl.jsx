@@ -0,0 +1,84 @@
+import React from 'react';
+import { FaStar, FaRegStar, FaThumbsUp, FaRegThumbsUp } from 'react-icons/fa';
+
+/**
+ * @function RatingSummary
+ * @description Group average, vote count and thumbs-ups for a location
+ * @param {Object} props
+ * @param {Object} [props.summary] - Entry from summarizeRatings; missing when nobody voted
+ * @returns {JSX.Element} The summary line
+ */
+export const RatingSummary = ({ summary }) => {
+  if (!summary || (summary.votes === 0 && summary.thumbsUp === 0)) {
+    return <span className="text-xs text-gray-500">No ratings yet</span>;
+  }
+  return (
+    <span className="flex items-center gap-2 text-sm text-[#2A4858]">
+      {summary.average !== null && (
+        <span className="flex items-center gap-1" title={`${summary.votes} vote${summary.votes === 1 ? '' : 's'}`}>
+          <FaStar className="text-[#FF8E8E]" />
+          {summary.average.toFixed(1)}
+          <span className="text-xs text-gray-500">({summary.votes})</span>
+        </span>
+      )}
+      {summary.thumbsUp > 0 && (
+        <span className="flex items-center gap-1">
+          <FaThumbsUp className="text-[#2ca5b8]" />
+          {summary.thumbsUp}
+        </span>
+      )}
+    </span>
+  );
+};
+
+/**
+ * @function RatingControl
+ * @description The group's rating of a location and the current member's own vote. Clicking
+ * the star already given, or the thumbs-up again, takes that part of the vote back.
+ * @param {Object} props
+ * @param {Object} [props.summary] - Entry from summarizeRatings
+ * @param {Object} [props.vote] - The current member's rating, if any
+ * @param {Function} props.onVote - Called with `{ stars, thumbsUp }`
+ * @returns {JSX.Element} The control
+ */
+const RatingControl = ({ summary, vote, onVote }) => {
+  const stars = vote?.stars ?? null;
+  const thumbsUp = vote?.thumbsUp ?? false;
+
+  return (
+    <div className="flex flex-wrap items-center justify-between gap-2">
+      <RatingSummary summary={summary} />
+      <div className="flex items-center gap-1" role="group" aria-label="Your rating">
+        {[1, 2, 3, 4, 5].map(value => (
+          <button
+            key={value}
+            type="button"
+            onClick={(e) => {
+              e.stopPropagation();
+              onVote({ stars: stars === value ? null : value, thumbsUp });
+            }}
+            className="text-[#FF8E8E] hover:scale-110 transition-transform"
+            aria-label={`${value} star${value === 1 ? '' : 's'}`}
+            aria-pressed={stars === value}
+          >
+            {stars !== null && value <= stars ? <FaStar /> : <FaRegStar />}
+          </button>
+        ))}
+        <button
+          type="button"
+          onClick={(e) => {
+            e.stopPropagation();
+            onVote({ stars, thumbsUp: !thumbsUp });
+          }}
+          className="ml-1 text-[#2ca5b8] hover:scale-110 transition-transform"
+          aria-label="Thumbs up"
+          aria-pressed={thumbsUp}
+        >
+          {thumbsUp ? <FaThumbsUp /> : <FaRegThumbsUp />}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RatingControl;
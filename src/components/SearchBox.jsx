@@ -0,0 +1,149 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { FaSearch, FaTimes } from 'react-icons/fa';
+import Highlight from './Highlight';
+
+/**
+ * @constant {number} MAX_SUGGESTIONS
+ * @description Results listed under the search box
+ */
+const MAX_SUGGESTIONS = 6;
+
+/**
+ * @function SearchBox
+ * @description Search bubble that expands into a text box with suggestions. Arrow keys move
+ * through the suggestions, Enter picks one and Escape closes the list. The box stays open
+ * while there is a search term, so reloading a link with `?q=` shows what is being filtered.
+ * @param {Object} props
+ * @param {string} props.value - Search term
+ * @param {Function} props.onChange - Called with the new search term
+ * @param {Array} props.results - Ranked results from searchLocations
+ * @param {Function} props.onPick - Called with the location chosen from the suggestions
+ * @param {string} [props.className] - Extra classes for the bubble and the box
+ * @returns {JSX.Element} The search box
+ */
+const SearchBox = ({ value, onChange, results, onPick, className = '' }) => {
+  const [isOpen, setIsOpen] = useState(Boolean(value));
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const inputRef = useRef(null);
+
+  const suggestions = results.slice(0, MAX_SUGGESTIONS);
+
+  useEffect(() => {
+    if (value) setIsOpen(true);
+    setActiveIndex(-1);
+  }, [value]);
+
+  const open = () => {
+    setIsOpen(true);
+    setTimeout(() => inputRef.current?.focus(), 0);
+  };
+
+  const close = () => {
+    onChange('');
+    setIsOpen(false);
+    setShowSuggestions(false);
+  };
+
+  const pick = (location) => {
+    setShowSuggestions(false);
+    inputRef.current?.blur();
+    onPick(location);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && suggestions.length > 0) {
+      e.preventDefault();
+      setShowSuggestions(true);
+      setActiveIndex(index => (index + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp' && suggestions.length > 0) {
+      e.preventDefault();
+      setActiveIndex(index => (index <= 0 ? suggestions.length - 1 : index - 1));
+    } else if (e.key === 'Enter' && showSuggestions && suggestions.length > 0) {
+      e.preventDefault();
+      pick(suggestions[Math.max(activeIndex, 0)].location);
+    } else if (e.key === 'Escape') {
+      if (showSuggestions) {
+        setShowSuggestions(false);
+      } else {
+        close();
+      }
+    }
+  };
+
+  if (!isOpen) {
+    return (
+      <button
+        onClick={open}
+        className={`rounded-full transition-colors bg-white text-[#2A4858] hover:bg-gray-100 ${className}`}
+        aria-label="Search locations"
+      >
+        <FaSearch />
+      </button>
+    );
+  }
+
+  return (
+    <div className="relative">
+      <div className={`flex items-center gap-2 rounded-full bg-white text-[#2A4858] focus-within:ring-2 focus-within:ring-[#2ca5b8] ${className}`}>
+        <FaSearch className="flex-shrink-0" />
+        <input
+          ref={inputRef}
+          type="text"
+          value={value}
+          onChange={(e) => {
+            onChange(e.target.value);
+            setShowSuggestions(true);
+          }}
+          onFocus={() => setShowSuggestions(true)}
+          onBlur={() => setShowSuggestions(false)}
+          onKeyDown={handleKeyDown}
+          placeholder="Search locations..."
+          className="w-36 md:w-48 bg-transparent focus:outline-none"
+          role="combobox"
+          aria-expanded={showSuggestions && suggestions.length > 0}
+          aria-controls="search-suggestions"
+          aria-activedescendant={activeIndex >= 0 ? `search-suggestion-${activeIndex}` : undefined}
+        />
+        <button onClick={close} className="hover:text-[#FF6B6B]" aria-label="Clear search">
+          <FaTimes />
+        </button>
+      </div>
+
+      {showSuggestions && value.trim() && (
+        <ul
+          id="search-suggestions"
+          role="listbox"
+          className="absolute left-0 right-0 mt-1 min-w-[16rem] bg-white rounded-lg shadow-lg overflow-hidden z-[1002] text-left"
+        >
+          {suggestions.length === 0 ? (
+            <li className="px-3 py-2 text-sm text-gray-500">No matches</li>
+          ) : suggestions.map(({ location, highlights }, index) => (
+            <li
+              key={location.id}
+              id={`search-suggestion-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              // mousedown fires before the input's blur closes the list
+              onMouseDown={(e) => {
+                e.preventDefault();
+                pick(location);
+              }}
+              onMouseEnter={() => setActiveIndex(index)}
+              className={`px-3 py-2 cursor-pointer text-[#2A4858] ${index === activeIndex ? 'bg-[#F4EAD5]' : ''}`}
+            >
+              <div className="font-semibold truncate">
+                {location.emoji} <Highlight text={location.name} ranges={highlights.name} />
+              </div>
+              <div className="text-xs text-gray-600 truncate">
+                <Highlight text={location.category.join(', ')} ranges={highlights.category} />
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SearchBox;
@@ -0,0 +1,172 @@
+import React, { useState } from 'react';
+import {
+  FIELD_LABELS,
+  listSyncFields,
+  defaultChoices,
+  applyChoices,
+  diffFields,
+  isMergeable,
+  formatFieldValue
+} from '../utils/locationSync';
+
+/**
+ * @constant {Object} CHOICE_LABELS
+ * @description Buttons offered for each field
+ */
+const CHOICE_LABELS = {
+  mine: 'Keep mine',
+  published: 'Keep published',
+  merge: 'Merge both'
+};
+
+/**
+ * @function OtherChanges
+ * @description Summary of what else changed on the server since this device loaded the data
+ * @param {Object} props
+ * @param {Object} props.others - Result of diffLocationLists, without the location in conflict
+ * @returns {JSX.Element|null} The summary, or nothing when nothing else changed
+ */
+const OtherChanges = ({ others }) => {
+  const groups = [
+    ['Added', others.added.map(location => location.name)],
+    ['Changed', others.changed.map(({ published, fields }) =>
+      `${published.name} (${fields.map(field => FIELD_LABELS[field] || field).join(', ')})`)],
+    ['Deleted', others.deleted.map(location => location.name)]
+  ].filter(([, names]) => names.length > 0);
+  if (groups.length === 0) return null;
+
+  return (
+    <details className="mb-4 text-sm bg-white rounded p-2">
+      <summary className="cursor-pointer">
+        Also updated by someone else: {groups.map(([label, names]) => `${names.length} ${label.toLowerCase()}`).join(', ')}.
+        These are already on your map.
+      </summary>
+      {groups.map(([label, names]) => (
+        <div key={label} className="mt-2">
+          <span className="font-semibold">{label}:</span> {names.join('; ')}
+        </div>
+      ))}
+    </details>
+  );
+};
+
+/**
+ * @function SyncDialog
+ * @description Shown when an admin's save runs into someone else's change. For an edit, every
+ * field where the edit and the published location differ is listed with the value each side
+ * has, and the admin keeps one, the other, or (for categories and photos) both. Deleting a
+ * location that was changed, or editing one that was deleted, asks for confirmation instead.
+ * @param {Object} props
+ * @param {Object} props.conflict - `{ kind, base, mine, published, others }`; kind is
+ * 'changed' (edit vs. edit), 'delete' (delete vs. edit) or 'deleted' (edit vs. delete)
+ * @param {Function} props.onResolve - Called with the location to save for 'changed', or with
+ * no arguments to go ahead for 'delete' and 'deleted'
+ * @param {Function} props.onCancel - Closes the dialog without saving
+ * @returns {JSX.Element} The dialog
+ */
+const SyncDialog = ({ conflict, onResolve, onCancel }) => {
+  const { kind, base, mine, published, others } = conflict;
+  const fields = kind === 'changed' ? listSyncFields(base, mine, published) : [];
+  const [choices, setChoices] = useState(() => defaultChoices(fields));
+  const name = (mine || published || base).name;
+
+  const publishedChanges = kind === 'delete' ? diffFields(base, published) : [];
+  const myChanges = kind === 'deleted' ? diffFields(base, mine) : [];
+
+  const setChoice = (field, choice) => setChoices(prev => ({ ...prev, [field]: choice }));
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[2000] p-4">
+      <div className="bg-[#F4EAD5] rounded-lg shadow-lg w-full max-w-3xl max-h-full overflow-auto p-6 text-[#2A4858]">
+        <h2 className="text-2xl font-bold mb-2">
+          {kind === 'deleted' ? `${name} was deleted` : `${name} was changed by someone else`}
+        </h2>
+        <p className="mb-4">
+          {kind === 'changed' && 'Nothing has been saved yet. Pick which version of each field to keep.'}
+          {kind === 'delete' && 'Since you loaded it, someone else changed this location. Delete it anyway?'}
+          {kind === 'deleted' && 'Someone else deleted this location while you were editing it.'}
+        </p>
+
+        <OtherChanges others={others} />
+
+        {kind === 'changed' && (
+          <table className="w-full mb-4 text-sm bg-white rounded overflow-hidden">
+            <thead>
+              <tr className="text-left bg-[#8FD6E1] bg-opacity-40">
+                <th className="p-2">Field</th>
+                <th className="p-2">Yours</th>
+                <th className="p-2">Published</th>
+                <th className="p-2">Keep</th>
+              </tr>
+            </thead>
+            <tbody>
+              {fields.map(({ field, mineChanged, publishedChanged }) => (
+                <tr key={field} className="border-t border-[#F4EAD5] align-top">
+                  <td className="p-2 font-semibold">
+                    {FIELD_LABELS[field] || field}
+                    <div className="font-normal text-xs text-gray-600">
+                      {mineChanged && publishedChanged ? 'changed on both sides' : mineChanged ? 'changed by you' : 'changed by someone else'}
+                    </div>
+                  </td>
+                  <td className="p-2 break-words">{formatFieldValue(field, mine[field])}</td>
+                  <td className="p-2 break-words">{formatFieldValue(field, published[field])}</td>
+                  <td className="p-2">
+                    <div className="flex flex-col gap-1">
+                      {Object.entries(CHOICE_LABELS)
+                        .filter(([choice]) => choice !== 'merge' || (isMergeable(field) && mineChanged && publishedChanged))
+                        .map(([choice, label]) => (
+                          <label key={choice} className="flex items-center gap-1 whitespace-nowrap">
+                            <input
+                              type="radio"
+                              name={`sync-${field}`}
+                              checked={choices[field] === choice}
+                              onChange={() => setChoice(field, choice)}
+                            />
+                            {label}
+                          </label>
+                        ))}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {kind === 'delete' && publishedChanges.length > 0 && (
+          <ul className="mb-4 text-sm bg-white rounded p-2 space-y-1">
+            {publishedChanges.map(field => (
+              <li key={field}>
+                <span className="font-semibold">{FIELD_LABELS[field] || field}:</span>{' '}
+                {formatFieldValue(field, base[field])} → {formatFieldValue(field, published[field])}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {kind === 'deleted' && myChanges.length > 0 && (
+          <p className="mb-4 text-sm">
+            Your changes: {myChanges.map(field => FIELD_LABELS[field] || field).join(', ')}.
+          </p>
+        )}
+
+        <div className="flex justify-between">
+          <button
+            onClick={() => (kind === 'changed' ? onResolve(applyChoices(base, mine, published, choices)) : onResolve())}
+            className="bg-[#8FD6E1] hover:bg-[#6B4984] text-[#2A4858] font-bold py-2 px-4 rounded transition-colors"
+          >
+            {kind === 'changed' ? 'Save' : kind === 'delete' ? 'Delete anyway' : 'Restore with my changes'}
+          </button>
+          <button
+            onClick={onCancel}
+            className="bg-[#FF6B6B] hover:bg-[#FF8E8E] text-[#F4EAD5] font-bold py-2 px-4 rounded transition-colors"
+          >
+            {kind === 'changed' ? 'Cancel' : kind === 'delete' ? 'Keep it' : 'Leave it deleted'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SyncDialog;
@@ -0,0 +1,214 @@
+import React, { useState } from 'react';
+import { FaTrash } from 'react-icons/fa';
+import { TILE_SOURCE_TYPES } from '../utils/tileSources';
+
+/**
+ * @function slugify
+ * @description Suggests a source id from its name
+ * @param {string} name - Source name
+ * @returns {string} Lowercase id with dashes
+ */
+const slugify = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+/**
+ * @function TileSourceSettings
+ * @description Admin panel for the extra map tile sources. Sources are saved together, like
+ * the categories.
+ * @param {Object} props
+ * @param {Array} props.sources - Current sources
+ * @param {Function} props.onSave - Called with the edited source list; may reject
+ * @param {Function} props.onClose - Closes the panel
+ * @returns {JSX.Element} The panel
+ */
+const TileSourceSettings = ({ sources, onSave, onClose }) => {
+  const [drafts, setDrafts] = useState(() => sources.map(source => ({ ...source, isNew: false })));
+  const [errors, setErrors] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const updateDraft = (index, changes) => {
+    setDrafts(prev => prev.map((draft, i) => (i === index ? { ...draft, ...changes } : draft)));
+  };
+
+  const handleAdd = () => {
+    setDrafts(prev => [...prev, {
+      id: '',
+      name: '',
+      type: 'xyz',
+      url: '',
+      path: '',
+      attribution: '',
+      attributionUrl: '',
+      minZoom: 0,
+      maxZoom: 18,
+      isNew: true
+    }]);
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await onSave(drafts.map(({ isNew, ...source }) => source));
+      setErrors([]);
+      onClose();
+    } catch (error) {
+      setErrors(error.errors || [error.message]);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full p-1 border border-[#6B4984] rounded';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[2000] p-4">
+      <div className="bg-[#F4EAD5] rounded-lg shadow-lg w-full max-w-3xl max-h-full overflow-auto p-6 text-[#2A4858]">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-2xl font-bold">Tile sources</h2>
+          <button onClick={onClose} className="hover:text-[#FF6B6B]" aria-label="Close">✕</button>
+        </div>
+        <p className="text-sm mb-4">
+          Extra map styles offered next to the built-in ones. Local sources are read from the
+          <code className="mx-1">data/tiles</code> folder of the machine running the app.
+        </p>
+
+        <ul className="space-y-3 mb-4">
+          {drafts.map((draft, index) => (
+            <li key={draft.isNew ? `new-${index}` : draft.id} className="bg-white rounded p-3 grid grid-cols-1 md:grid-cols-2 gap-2">
+              <input
+                type="text"
+                value={draft.name}
+                onChange={(e) => updateDraft(index, {
+                  name: e.target.value,
+                  ...(draft.isNew ? { id: slugify(e.target.value) } : {})
+                })}
+                placeholder="Name"
+                className={inputClass}
+                aria-label="Name"
+              />
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={draft.id}
+                  onChange={(e) => updateDraft(index, { id: e.target.value })}
+                  disabled={!draft.isNew}
+                  placeholder="id"
+                  title={draft.isNew ? 'Used to remember the choice on each device' : 'Ids cannot change once saved'}
+                  className={`${inputClass} disabled:opacity-60`}
+                  aria-label="Id"
+                />
+                <button
+                  onClick={() => setDrafts(prev => prev.filter((_, i) => i !== index))}
+                  className="p-1 hover:text-[#FF6B6B]"
+                  aria-label="Remove"
+                >
+                  <FaTrash />
+                </button>
+              </div>
+              <select
+                value={draft.type}
+                onChange={(e) => updateDraft(index, { type: e.target.value })}
+                className={inputClass}
+                aria-label="Type"
+              >
+                {Object.entries(TILE_SOURCE_TYPES).map(([type, label]) => (
+                  <option key={type} value={type}>{label}</option>
+                ))}
+              </select>
+              {draft.type === 'xyz' ? (
+                <input
+                  type="url"
+                  value={draft.url}
+                  onChange={(e) => updateDraft(index, { url: e.target.value })}
+                  placeholder="https://tiles.example.com/{z}/{x}/{y}.png"
+                  className={inputClass}
+                  aria-label="Tile URL"
+                />
+              ) : (
+                <input
+                  type="text"
+                  value={draft.path}
+                  onChange={(e) => updateDraft(index, { path: e.target.value })}
+                  placeholder={draft.type === 'mbtiles' ? 'central-oregon.mbtiles' : 'central-oregon'}
+                  className={inputClass}
+                  aria-label="Path inside data/tiles"
+                />
+              )}
+              <input
+                type="text"
+                value={draft.attribution}
+                onChange={(e) => updateDraft(index, { attribution: e.target.value })}
+                placeholder="Attribution, e.g. © OpenStreetMap contributors"
+                className={inputClass}
+                aria-label="Attribution"
+              />
+              <input
+                type="url"
+                value={draft.attributionUrl}
+                onChange={(e) => updateDraft(index, { attributionUrl: e.target.value })}
+                placeholder="Attribution link (optional)"
+                className={inputClass}
+                aria-label="Attribution link"
+              />
+              <label className="flex items-center gap-2 text-sm">
+                Zoom levels
+                <input
+                  type="number"
+                  min="0"
+                  max="22"
+                  value={draft.minZoom}
+                  onChange={(e) => updateDraft(index, { minZoom: e.target.value === '' ? '' : Number(e.target.value) })}
+                  className="w-16 p-1 border border-[#6B4984] rounded"
+                  aria-label="Lowest zoom level"
+                />
+                to
+                <input
+                  type="number"
+                  min="0"
+                  max="22"
+                  value={draft.maxZoom}
+                  onChange={(e) => updateDraft(index, { maxZoom: e.target.value === '' ? '' : Number(e.target.value) })}
+                  className="w-16 p-1 border border-[#6B4984] rounded"
+                  aria-label="Highest zoom level"
+                />
+              </label>
+            </li>
+          ))}
+        </ul>
+
+        {errors.length > 0 && (
+          <ul className="mb-4 p-2 bg-[#FF6B6B] bg-opacity-20 border border-[#FF6B6B] rounded text-sm list-disc list-inside">
+            {errors.map(error => (
+              <li key={error}>{error}</li>
+            ))}
+          </ul>
+        )}
+
+        <div className="flex justify-between">
+          <div className="flex gap-2">
+            <button
+              onClick={handleSave}
+              disabled={isSaving}
+              className="bg-[#8FD6E1] hover:bg-[#6B4984] text-[#2A4858] font-bold py-2 px-4 rounded transition-colors disabled:opacity-50"
+            >
+              {isSaving ? 'Saving…' : 'Save'}
+            </button>
+            <button
+              onClick={handleAdd}
+              className="bg-[#6B4984] hover:bg-[#8FD6E1] text-[#F4EAD5] font-bold py-2 px-4 rounded transition-colors"
+            >
+              Add source
+            </button>
+          </div>
+          <button
+            onClick={onClose}
+            className="bg-[#FF6B6B] hover:bg-[#FF8E8E] text-[#F4EAD5] font-bold py-2 px-4 rounded transition-colors"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TileSourceSettings;
@@ -0,0 +1,36 @@
+import React from 'react';
+
+/**
+ * @function TripProgress
+ * @description How much of the list the group has visited, overall and per category
+ * @param {Object} props
+ * @param {Object} props.progress - Result of summarizeProgress
+ * @param {Function} props.getColor - Returns a category's color
+ * @returns {JSX.Element} Progress bars
+ */
+const TripProgress = ({ progress, getColor }) => (
+  <div className="bg-[#F4EAD5] rounded-lg p-4 shadow-lg text-[#2A4858]">
+    <div className="flex justify-between items-baseline mb-2">
+      <h3 className="font-bold text-lg">Trip progress</h3>
+      <span className="text-sm">{progress.visited}/{progress.total} visited</span>
+    </div>
+    <ul className="space-y-2">
+      {progress.categories.map(({ name, visited, total }) => (
+        <li key={name}>
+          <div className="flex justify-between text-sm mb-1">
+            <span>{name}</span>
+            <span>{visited}/{total}</span>
+          </div>
+          <div className="h-2 rounded-full bg-white overflow-hidden">
+            <div
+              className="h-full rounded-full transition-all"
+              style={{ width: `${(visited / total) * 100}%`, backgroundColor: getColor(name) }}
+            />
+          </div>
+        </li>
+      ))}
+    </ul>
+  </div>
+);
+
+export default TripProgress;
@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { FaChevronDown } from 'react-icons/fa';
+import { formatTripDates } from '../utils/trips';
+
+/**
+ * @function titleShadow
+ * @description Outlined lettering of the header title in the trip's shadow color
+ * @param {string} color - CSS color
+ * @returns {string} CSS text-shadow
+ */
+const titleShadow = (color) => `-3px -2px 0 ${color}, 1px -1px 0 ${color}, -1px 1px 0 ${color}, 1px 1px 0 ${color}`;
+
+/**
+ * @function TripSwitcher
+ * @description The trip title in the header. When the deployment has more than one trip,
+ * the title opens a list of them to switch to.
+ * @param {Object} props
+ * @param {Object} props.trip - Trip being shown
+ * @param {Array} props.trips - Every trip in the manifest
+ * @param {Function} props.onSwitch - Called with the id of the picked trip
+ * @returns {JSX.Element} The title
+ */
+const TripSwitcher = ({ trip, trips, onSwitch }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const dates = formatTripDates(trip);
+  const title = (
+    <span className="text-[#F4EAD5]" style={{ textShadow: titleShadow(trip.colors.titleShadow) }}>
+      {trip.title}
+    </span>
+  );
+
+  if (trips.length < 2) {
+    return <span title={dates || undefined}>{title}</span>;
+  }
+
+  return (
+    <span className="relative inline-block">
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        title={dates || undefined}
+        className="inline-flex items-center gap-2 cursor-pointer"
+        aria-haspopup="listbox"
+        aria-expanded={isOpen}
+      >
+        {title}
+        <FaChevronDown className="text-base md:text-xl text-[#F4EAD5]" aria-label="Switch trip" />
+      </button>
+      {isOpen && (
+        <ul
+          role="listbox"
+          className="absolute left-1/2 -translate-x-1/2 top-full mt-1 min-w-[14rem] bg-[#F4EAD5] rounded shadow-lg overflow-hidden z-[1002] text-left text-base font-normal"
+        >
+          {trips.map(candidate => (
+            <li key={candidate.id} role="option" aria-selected={candidate.id === trip.id}>
+              <button
+                onClick={() => {
+                  setIsOpen(false);
+                  if (candidate.id !== trip.id) onSwitch(candidate.id);
+                }}
+                className={`block w-full text-left px-4 py-2 text-[#2A4858] hover:bg-[#8FD6E1] transition-colors ${
+                  candidate.id === trip.id ? 'font-bold' : ''
+                }`}
+              >
+                {candidate.title}
+                {formatTripDates(candidate) && (
+                  <span className="block text-xs text-gray-600">{formatTripDates(candidate)}</span>
+                )}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </span>
+  );
+};
+
+export default TripSwitcher;
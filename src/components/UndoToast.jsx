@@ -0,0 +1,35 @@
+import React, { useEffect } from 'react';
+
+/**
+ * @constant {number} TOAST_DURATION
+ * @description How long the toast stays up before dismissing itself (ms)
+ */
+const TOAST_DURATION = 6000;
+
+const UndoToast = ({ message, onUndo, onDismiss }) => {
+  useEffect(() => {
+    const timeout = setTimeout(onDismiss, TOAST_DURATION);
+    return () => clearTimeout(timeout);
+  }, [message, onDismiss]);
+
+  return (
+    <div className="fixed bottom-24 left-1/2 transform -translate-x-1/2 bg-[#2A4858] text-[#F4EAD5] px-4 py-2 rounded-lg shadow-lg flex items-center gap-4 z-[1002]">
+      <span>{message}</span>
+      <button
+        onClick={onUndo}
+        className="font-bold text-[#8FD6E1] hover:text-[#F4EAD5] transition-colors"
+      >
+        Undo
+      </button>
+      <button
+        onClick={onDismiss}
+        className="text-[#F4EAD5] hover:text-[#8FD6E1] transition-colors"
+        aria-label="Dismiss"
+      >
+        ✕
+      </button>
+    </div>
+  );
+};
+
+export default UndoToast;
@@ -0,0 +1,39 @@
+import React from 'react';
+import { FaCheckCircle } from 'react-icons/fa';
+import { VISITED_FILTERS } from '../utils/checkins';
+
+/**
+ * @constant {Object} VISITED_FILTER_LABELS
+ * @description Bubble text for each visited filter
+ */
+const VISITED_FILTER_LABELS = {
+  all: 'Visited',
+  hide: 'Hide visited',
+  only: 'Only visited'
+};
+
+/**
+ * @function VisitedFilter
+ * @description Filter bubble that cycles between all spots, hiding visited ones and only
+ * visited ones, with the group's overall progress
+ * @param {Object} props
+ * @param {string} props.value - One of VISITED_FILTERS
+ * @param {Function} props.onChange - Called with the next filter
+ * @param {Object} props.progress - Result of summarizeProgress
+ * @param {string} [props.className] - Size classes matching the neighbouring bubbles
+ * @returns {JSX.Element} The bubble
+ */
+const VisitedFilter = ({ value, onChange, progress, className = '' }) => (
+  <button
+    onClick={() => onChange(VISITED_FILTERS[(VISITED_FILTERS.indexOf(value) + 1) % VISITED_FILTERS.length])}
+    className={`rounded-full transition-colors flex items-center gap-1 ${
+      value === 'all' ? 'bg-white text-[#2A4858] hover:bg-gray-100' : 'bg-[#2ca5b8] text-[#F4EAD5] hover:bg-[#8FD6E1]'
+    } ${className}`}
+    title="Show all spots, hide visited ones or only visited ones"
+  >
+    <FaCheckCircle className={value === 'all' ? 'text-[#2ca5b8]' : ''} />
+    {VISITED_FILTER_LABELS[value]} {progress.visited}/{progress.total}
+  </button>
+);
+
+export default VisitedFilter;
@@ -0,0 +1,192 @@
+/**
+ * @file useEditHistory.js
+ * @description Undo/redo stacks for admin edits. Each entry stores the locations before and
+ * after the change, so undoing is just applying the change in reverse. Most entries change one
+ * location; an import is a single entry covering every row it saved. The stacks are kept in
+ * localStorage per trip and admin, so they survive a page reload and logging back in after a
+ * session expires, but not a logout.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+
+/**
+ * @constant {string} HISTORY_KEY
+ * @description Prefix of the localStorage keys holding the edit history
+ */
+const HISTORY_KEY = 'editHistory';
+
+/**
+ * @constant {number} MAX_ENTRIES
+ * @description Oldest entries are dropped beyond this many undo steps
+ */
+const MAX_ENTRIES = 50;
+
+const EMPTY_HISTORY = { undoStack: [], redoStack: [] };
+
+/**
+ * @function describeChange
+ * @description Classifies a change for labels and toasts
+ * @param {Object|null} before - Location before the change (null for a create)
+ * @param {Object|null} after - Location after the change (null for a delete)
+ * @returns {string} 'create', 'delete', 'move' or 'update'
+ */
+export const describeChange = (before, after) => {
+  if (!before) return 'create';
+  if (!after) return 'delete';
+  const { position: beforePosition, revision: beforeRevision, ...beforeRest } = before;
+  const { position: afterPosition, revision: afterRevision, ...afterRest } = after;
+  const moved = beforePosition.some((value, i) => value !== afterPosition[i]);
+  return moved && JSON.stringify(beforeRest) === JSON.stringify(afterRest) ? 'move' : 'update';
+};
+
+const storageKey = (historyKey) => `${HISTORY_KEY}:${historyKey}`;
+
+const loadHistory = (historyKey) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey(historyKey)));
+    return saved ? { undoStack: saved.undoStack, redoStack: saved.redoStack } : EMPTY_HISTORY;
+  } catch {
+    return EMPTY_HISTORY;
+  }
+};
+
+const createEntry = (type, name, changes) => ({
+  id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  type,
+  name,
+  timestamp: Date.now(),
+  changes
+});
+
+/**
+ * @function moveEntry
+ * @description Moves an entry from one stack to the other once it has been replayed. When only
+ * some of its changes went through, those move and the rest stay behind as the same entry, so
+ * retrying replays only what is left.
+ * @param {Object} history - `{ undoStack, redoStack }`
+ * @param {string} from - Stack the entry is on
+ * @param {string} to - Stack it moves to
+ * @param {string} id - Entry id
+ * @param {Array} remaining - Changes of the entry that were not replayed
+ * @returns {Object} Updated history
+ */
+const moveEntry = (history, from, to, id, remaining) => {
+  const entry = history[from].find(candidate => candidate.id === id);
+  if (!entry) return history;
+  const done = entry.changes.filter(change => !remaining.includes(change));
+  return {
+    ...history,
+    [from]: remaining.length === 0
+      ? history[from].filter(candidate => candidate !== entry)
+      : history[from].map(candidate => (candidate === entry
+        ? { ...entry, changes: entry.changes.filter(change => remaining.includes(change)) }
+        : candidate)),
+    [to]: [...history[to], remaining.length === 0 ? entry : createEntry(entry.type, entry.name, done)]
+  };
+};
+
+/**
+ * @function useEditHistory
+ * @description Tracks undoable location changes for an admin on a trip
+ * @param {string|null} historyKey - Identifies the trip and admin, e.g. `bend-2025:Steve`;
+ * null when not logged in
+ * @returns {Object} History state and actions
+ */
+const useEditHistory = (historyKey) => {
+  // The stacks remember whose they are, so switching trips never saves one admin's stacks
+  // under another's key before the new ones have loaded
+  const [history, setHistory] = useState(() => ({ key: historyKey, ...(historyKey ? loadHistory(historyKey) : EMPTY_HISTORY) }));
+
+  useEffect(() => {
+    setHistory({ key: historyKey, ...(historyKey ? loadHistory(historyKey) : EMPTY_HISTORY) });
+  }, [historyKey]);
+
+  useEffect(() => {
+    if (historyKey && history.key === historyKey) {
+      const { undoStack, redoStack } = history;
+      localStorage.setItem(storageKey(historyKey), JSON.stringify({ undoStack, redoStack }));
+    }
+  }, [historyKey, history]);
+
+  const push = useCallback((entry) => {
+    setHistory(prev => ({
+      ...prev,
+      undoStack: [...prev.undoStack, entry].slice(-MAX_ENTRIES),
+      redoStack: []
+    }));
+    return entry;
+  }, []);
+
+  /**
+   * @function record
+   * @description Adds a change to one location to the undo stack and clears the redo stack
+   * @param {Object|null} before - Location before the change
+   * @param {Object|null} after - Location after the change
+   * @returns {Object} The recorded entry
+   */
+  const record = useCallback((before, after) =>
+    push(createEntry(describeChange(before, after), (after || before).name, [{ before, after }])), [push]);
+
+  /**
+   * @function recordBatch
+   * @description Adds changes to several locations as one undo step, e.g. an import
+   * @param {string} type - What the changes were, e.g. 'import'
+   * @param {Array<{before: Object|null, after: Object|null}>} changes - Changes in the order made
+   * @returns {Object|null} The recorded entry, or null when there were no changes
+   */
+  const recordBatch = useCallback((type, changes) => (changes.length === 0
+    ? null
+    : push(createEntry(type, changes.length === 1
+      ? (changes[0].after || changes[0].before).name
+      : `${changes.length} locations`, changes))), [push]);
+
+  /**
+   * @function findUndo
+   * @description Looks up an entry that can still be undone, wherever it is on the stack
+   * @param {string} id - Entry id
+   * @returns {Object|null} The entry
+   */
+  const findUndo = useCallback((id) => history.undoStack.find(entry => entry.id === id) || null, [history]);
+
+  /**
+   * @function markUndone
+   * @description Moves an undo entry onto the redo stack once it has been reverted
+   * @param {string} id - Entry id
+   * @param {Array} [remaining] - Changes that could not be reverted; they stay undoable
+   */
+  const markUndone = useCallback((id, remaining = []) => {
+    setHistory(prev => moveEntry(prev, 'undoStack', 'redoStack', id, remaining));
+  }, []);
+
+  /**
+   * @function markRedone
+   * @description Moves a redo entry back onto the undo stack once it has been reapplied
+   * @param {string} id - Entry id
+   * @param {Array} [remaining] - Changes that could not be reapplied; they stay redoable
+   */
+  const markRedone = useCallback((id, remaining = []) => {
+    setHistory(prev => moveEntry(prev, 'redoStack', 'undoStack', id, remaining));
+  }, []);
+
+  /**
+   * @function clear
+   * @description Forgets the whole history, e.g. on logout
+   */
+  const clear = useCallback(() => {
+    if (historyKey) localStorage.removeItem(storageKey(historyKey));
+    setHistory({ key: historyKey, ...EMPTY_HISTORY });
+  }, [historyKey]);
+
+  return {
+    nextUndo: history.undoStack[history.undoStack.length - 1] || null,
+    nextRedo: history.redoStack[history.redoStack.length - 1] || null,
+    record,
+    recordBatch,
+    findUndo,
+    markUndone,
+    markRedone,
+    clear
+  };
+};
+
+export default useEditHistory;
@@ -0,0 +1,90 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createElement, act } from 'react';
+import { createRoot } from 'react-dom/client';
+import useEditHistory, { describeChange } from './useEditHistory';
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+const spot = (id, name, position = [44.05, -121.31]) => ({ id, name, position, revision: 1 });
+
+/**
+ * Renders the hook and returns a getter for its latest result
+ */
+const renderHistory = (historyKey) => {
+  let current;
+  const Probe = ({ value }) => {
+    current = useEditHistory(value);
+    return null;
+  };
+  const root = createRoot(document.createElement('div'));
+  act(() => root.render(createElement(Probe, { value: historyKey })));
+  return {
+    get: () => current,
+    rerender: (value) => act(() => root.render(createElement(Probe, { value }))),
+    unmount: () => act(() => root.unmount())
+  };
+};
+
+describe('describeChange', () => {
+  it('tells moves apart from other updates', () => {
+    expect(describeChange(null, spot(1, 'Crux'))).toBe('create');
+    expect(describeChange(spot(1, 'Crux'), null)).toBe('delete');
+    expect(describeChange(spot(1, 'Crux'), spot(1, 'Crux', [44.06, -121.31]))).toBe('move');
+    expect(describeChange(spot(1, 'Crux'), spot(1, 'Crux Brewing', [44.06, -121.31]))).toBe('update');
+  });
+});
+
+describe('useEditHistory', () => {
+  let hook;
+
+  beforeEach(() => {
+    localStorage.clear();
+    hook = renderHistory('bend-2025:Steve');
+  });
+
+  afterEach(() => hook.unmount());
+
+  it('undoes an older entry by id and leaves the newer ones in place', () => {
+    let deleted;
+    act(() => {
+      deleted = hook.get().record(spot(1, 'Crux'), null);
+      hook.get().record(null, spot(2, 'Pilot Butte'));
+    });
+    expect(hook.get().findUndo(deleted.id)).toBe(deleted);
+
+    act(() => hook.get().markUndone(deleted.id));
+    expect(hook.get().findUndo(deleted.id)).toBeNull();
+    expect(hook.get().nextUndo.name).toBe('Pilot Butte');
+    expect(hook.get().nextRedo.id).toBe(deleted.id);
+  });
+
+  it('keeps an import as one entry and leaves unreverted changes undoable', () => {
+    const changes = [{ before: null, after: spot(1, 'Crux') }, { before: null, after: spot(2, 'Pilot Butte') }];
+    let entry;
+    act(() => {
+      entry = hook.get().recordBatch('import', changes);
+    });
+    expect(entry).toMatchObject({ type: 'import', name: '2 locations', changes });
+
+    act(() => hook.get().markUndone(entry.id, [changes[0]]));
+    expect(hook.get().nextUndo).toMatchObject({ id: entry.id, changes: [changes[0]] });
+    expect(hook.get().nextRedo.changes).toEqual([changes[1]]);
+    expect(hook.get().recordBatch('import', [])).toBeNull();
+  });
+
+  it('keeps the history per trip and admin, across a reload', () => {
+    act(() => {
+      hook.get().record(null, spot(1, 'Crux'));
+    });
+    hook.rerender('bend-2025:Ana');
+    expect(hook.get().nextUndo).toBeNull();
+    expect(localStorage.getItem('editHistory:bend-2025:Ana')).toBe('{"undoStack":[],"redoStack":[]}');
+    hook.rerender('bend-2025:Steve');
+    expect(hook.get().nextUndo.name).toBe('Crux');
+
+    const reloaded = renderHistory('bend-2025:Steve');
+    expect(reloaded.get().nextUndo.name).toBe('Crux');
+    reloaded.unmount();
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * @file useLiveSync.js
+ * @description Keeps the open map in step with other tabs and devices. Location changes and
+ * editor locks travel between tabs of this browser over a BroadcastChannel, and between
+ * the devices of logged-in admins over a WebSocket to the local server. A socket that was
+ * connected reconnects with a growing delay when the server goes away; one that never got
+ * through (e.g. on a static or serverless deploy, which has no such server) is not retried,
+ * and tabs still sync with each other.
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  LIVE_SYNC_PATH, LIVE_SYNC_PROTOCOL, LOCK_TTL_MS, LOCK_RENEW_MS, parseSyncMessage, applyLockMessage, findActiveLocks
+} from '../utils/liveSync';
+
+/**
+ * @constant {Array<number>} RECONNECT_DELAYS
+ * @description Waits in ms before each reconnect attempt after a connection was lost; the
+ * last one repeats
+ */
+const RECONNECT_DELAYS = [1000, 2000, 5000, 10000, 30000];
+
+/**
+ * @constant {number} LOCK_PRUNE_MS
+ * @description How often lapsed locks are dropped from the display
+ */
+const LOCK_PRUNE_MS = 5000;
+
+/**
+ * @function createClientId
+ * @description Random id for this tab, so its own messages can be told apart
+ * @returns {string} Hex id
+ */
+const createClientId = () =>
+  [...crypto.getRandomValues(new Uint8Array(8))].map(byte => byte.toString(16).padStart(2, '0')).join('');
+
+/**
+ * @function useLiveSync
+ * @description Connects a trip to the live sync channels
+ * @param {Object} options
+ * @param {string} options.tripId - Trip being shown
+ * @param {string} options.editor - Name shown on this tab's locks
+ * @param {string|null} options.token - Admin session token; the socket is only opened with one
+ * @param {Function} options.onChanges - Called with `(changes, editor)` when locations were
+ * written elsewhere
+ * @returns {Object} `{ status, locks, publishChanges, lockLocation }`: status is 'live' while
+ * the socket is open and 'tabs' otherwise; locks maps location ids to other editors' locks
+ */
+const useLiveSync = ({ tripId, editor, token, onChanges }) => {
+  const clientIdRef = useRef(null);
+  if (!clientIdRef.current) clientIdRef.current = createClientId();
+  const channelRef = useRef(null);
+  const socketRef = useRef(null);
+  const ownLockRef = useRef(null); // { locationId, editor } while this tab has an editor open
+  const onChangesRef = useRef(onChanges);
+  onChangesRef.current = onChanges;
+  const [status, setStatus] = useState('tabs');
+  const [locks, setLocks] = useState([]);
+  const [now, setNow] = useState(() => Date.now());
+
+  /**
+   * @function send
+   * @description Sends a message to the other tabs and, when connected, the server
+   * @param {Object} message - Message to send
+   * @param {Object} [options]
+   * @param {boolean} [options.tabsOnly=false] - Skip the server, which publishes API writes itself
+   */
+  const send = useCallback((message, { tabsOnly = false } = {}) => {
+    const stamped = { ...message, clientId: clientIdRef.current };
+    channelRef.current?.postMessage(stamped);
+    if (!tabsOnly && socketRef.current?.readyState === WebSocket.OPEN) {
+      socketRef.current.send(JSON.stringify(stamped));
+    }
+  }, []);
+
+  /**
+   * @function sendOwnLock
+   * @description Announces (or renews) this tab's lock
+   */
+  const sendOwnLock = useCallback(() => {
+    if (ownLockRef.current) send({ type: 'lock', ...ownLockRef.current, ttl: LOCK_TTL_MS });
+  }, [send]);
+
+  /**
+   * @function receive
+   * @description Handles a message from either channel
+   * @param {string|Object} raw - Message as received
+   */
+  const receive = useCallback((raw) => {
+    const message = parseSyncMessage(raw);
+    if (!message || message.clientId === clientIdRef.current) return;
+    if (message.type === 'changes') {
+      onChangesRef.current(message.changes, message.editor);
+    } else if (message.type === 'hello') {
+      sendOwnLock();
+    } else {
+      setLocks(prev => applyLockMessage(prev, message));
+    }
+  }, [sendOwnLock]);
+
+  /**
+   * @effect
+   * @description Opens the channel to the other tabs showing the trip
+   */
+  useEffect(() => {
+    if (typeof BroadcastChannel !== 'undefined') {
+      channelRef.current = new BroadcastChannel(`live-sync:${tripId}`);
+      channelRef.current.onmessage = (event) => receive(event.data);
+      channelRef.current.postMessage({ type: 'hello', clientId: clientIdRef.current });
+    }
+
+    // Let the others know this tab's editor is gone when the tab closes
+    const handlePageHide = () => {
+      if (ownLockRef.current) send({ type: 'unlock', locationId: ownLockRef.current.locationId });
+    };
+    window.addEventListener('pagehide', handlePageHide);
+
+    return () => {
+      handlePageHide();
+      window.removeEventListener('pagehide', handlePageHide);
+      channelRef.current?.close();
+      channelRef.current = null;
+      setLocks([]);
+    };
+  }, [tripId, send, receive]);
+
+  /**
+   * @effect
+   * @description Connects an admin to the local server, reconnecting when a working
+   * connection drops
+   */
+  useEffect(() => {
+    if (!token) return undefined;
+    let attempt = 0;
+    let hasConnected = false;
+    let reconnectTimer = null;
+    let isClosed = false;
+    const connect = () => {
+      const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+      const socket = new WebSocket(
+        `${protocol}//${window.location.host}${LIVE_SYNC_PATH}?trip=${encodeURIComponent(tripId)}`,
+        [LIVE_SYNC_PROTOCOL, token]
+      );
+      socketRef.current = socket;
+      socket.onopen = () => {
+        attempt = 0;
+        hasConnected = true;
+        setStatus('live');
+        sendOwnLock();
+      };
+      socket.onmessage = (event) => receive(event.data);
+      socket.onclose = () => {
+        if (socketRef.current === socket) socketRef.current = null;
+        setStatus('tabs');
+        // A server that never answered is not there at all, e.g. on a serverless deploy
+        if (isClosed || !hasConnected) return;
+        reconnectTimer = setTimeout(connect, RECONNECT_DELAYS[Math.min(attempt, RECONNECT_DELAYS.length - 1)]);
+        attempt += 1;
+      };
+    };
+    connect();
+
+    return () => {
+      isClosed = true;
+      clearTimeout(reconnectTimer);
+      socketRef.current?.close();
+      socketRef.current = null;
+    };
+  }, [tripId, token, receive, sendOwnLock]);
+
+  /**
+   * @effect
+   * @description Renews this tab's lock, and drops lapsed locks of others from the display
+   */
+  useEffect(() => {
+    const renewTimer = setInterval(sendOwnLock, LOCK_RENEW_MS);
+    const pruneTimer = setInterval(() => setNow(Date.now()), LOCK_PRUNE_MS);
+    return () => {
+      clearInterval(renewTimer);
+      clearInterval(pruneTimer);
+    };
+  }, [sendOwnLock]);
+
+  /**
+   * @function publishChanges
+   * @description Tells the other tabs about locations this tab wrote. The server tells
+   * other devices itself.
+   * @param {Array} changes - `[{ before, after }]`
+   */
+  const publishChanges = useCallback((changes) => {
+    send({ type: 'changes', changes, editor }, { tabsOnly: true });
+  }, [send, editor]);
+
+  /**
+   * @function lockLocation
+   * @description Marks the location this tab is editing, or releases the mark
+   * @param {number|null} locationId - Location opened in the editor, or null when it closes
+   */
+  const lockLocation = useCallback((locationId) => {
+    const current = ownLockRef.current;
+    if (current?.locationId === locationId && current?.editor === editor) return;
+    if (current && current.locationId !== locationId) {
+      send({ type: 'unlock', locationId: current.locationId });
+    }
+    ownLockRef.current = locationId === null ? null : { locationId, editor };
+    sendOwnLock();
+  }, [send, sendOwnLock, editor]);
+
+  return {
+    status,
+    locks: findActiveLocks(locks, clientIdRef.current, now),
+    publishChanges,
+    lockLocation
+  };
+};
+
+export default useLiveSync;
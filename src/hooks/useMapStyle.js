@@ -0,0 +1,31 @@
+/**
+ * @file useMapStyle.js
+ * @description Remembers the map style picked on this device
+ */
+
+import { useState } from 'react';
+
+/**
+ * @constant {string} MAP_STYLE_KEY
+ * @description localStorage key holding the picked style id
+ */
+const MAP_STYLE_KEY = 'mapStyle';
+
+/**
+ * @function useMapStyle
+ * @description Keeps the picked map style in localStorage so it survives reloads and applies
+ * to every trip
+ * @returns {[string, Function]} The style id ('' until one is picked) and a setter
+ */
+const useMapStyle = () => {
+  const [styleId, setStyleId] = useState(() => localStorage.getItem(MAP_STYLE_KEY) || '');
+
+  const updateStyleId = (next) => {
+    localStorage.setItem(MAP_STYLE_KEY, next);
+    setStyleId(next);
+  };
+
+  return [styleId, updateStyleId];
+};
+
+export default useMapStyle;
@@ -0,0 +1,34 @@
+/**
+ * @file useMemberName.js
+ * @description Remembers which trip member is using this device, for ratings
+ */
+
+import { useState } from 'react';
+
+/**
+ * @constant {string} MEMBER_NAME_KEY
+ * @description localStorage key holding the picked name
+ */
+const MEMBER_NAME_KEY = 'memberName';
+
+/**
+ * @function useMemberName
+ * @description Keeps the picked member name in localStorage so it survives reloads
+ * @returns {[string, Function]} The name ('' until one is picked) and a setter
+ */
+const useMemberName = () => {
+  const [name, setName] = useState(() => localStorage.getItem(MEMBER_NAME_KEY) || '');
+
+  const updateName = (next) => {
+    if (next) {
+      localStorage.setItem(MEMBER_NAME_KEY, next);
+    } else {
+      localStorage.removeItem(MEMBER_NAME_KEY);
+    }
+    setName(next);
+  };
+
+  return [name, updateName];
+};
+
+export default useMemberName;
@@ -0,0 +1,30 @@
+/**
+ * @file useOnlineStatus.js
+ * @description Tracks whether the browser currently has a network connection
+ */
+
+import { useState, useEffect } from 'react';
+
+/**
+ * @function useOnlineStatus
+ * @description Follows the browser's online and offline events
+ * @returns {boolean} Whether the browser is online
+ */
+const useOnlineStatus = () => {
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  return isOnline;
+};
+
+export default useOnlineStatus;
@@ -0,0 +1,110 @@
+/**
+ * @file auditLog.js
+ * @description Audit entries for location edits, shared by the API functions and the History
+ * panel. Every write to a location is logged with who made it, when, and the location before
+ * and after, so the panel can show a field-level diff and any past version can be restored:
+ *
+ *   { id, timestamp, editor, action, locationId, name, revision, changes, before, after }
+ *
+ * `changes` lists `{ field, before, after }` for every field that differs.
+ */
+
+import { diffFields } from './locationSync.js';
+
+/**
+ * @constant {string} DEFAULT_EDITOR
+ * @description Editor recorded for sessions that did not give a name
+ */
+export const DEFAULT_EDITOR = 'Admin';
+
+/**
+ * @constant {Object} AUDIT_ACTIONS
+ * @description Kinds of entry and how the History panel labels them
+ */
+export const AUDIT_ACTIONS = {
+  create: 'Added',
+  update: 'Edited',
+  move: 'Moved',
+  delete: 'Deleted'
+};
+
+/**
+ * @function describeAuditAction
+ * @description Classifies a change to a location
+ * @param {Object|null} before - Location before the change (null for a create)
+ * @param {Object|null} after - Location after the change (null for a delete)
+ * @returns {string} Key of AUDIT_ACTIONS
+ */
+export const describeAuditAction = (before, after) => {
+  if (!before) return 'create';
+  if (!after) return 'delete';
+  const fields = diffFields(before, after);
+  return fields.length === 1 && fields[0] === 'position' ? 'move' : 'update';
+};
+
+/**
+ * @function buildAuditEntry
+ * @description Creates the log entry for one change
+ * @param {Object} change
+ * @param {Object|null} change.before - Location before the change
+ * @param {Object|null} change.after - Location after the change
+ * @param {string} [change.editor] - Name of the admin who made it
+ * @param {number} [change.timestamp] - When it was made
+ * @returns {Object} Audit entry
+ */
+export const buildAuditEntry = ({ before, after, editor, timestamp = Date.now() }) => {
+  const location = after || before;
+  const fields = before && after ? diffFields(before, after) : [];
+  return {
+    id: `${timestamp}-${Math.random().toString(36).slice(2, 8)}`,
+    timestamp,
+    editor: editor || DEFAULT_EDITOR,
+    action: describeAuditAction(before, after),
+    locationId: location.id,
+    name: location.name,
+    revision: location.revision,
+    changes: fields.map(field => ({ field, before: before[field], after: after[field] })),
+    before,
+    after
+  };
+};
+
+/**
+ * @function getRestorableVersion
+ * @description The version of a location an entry lets the admin go back to: what it looked
+ * like right after the change, or right before it was deleted
+ * @param {Object} entry - Audit entry
+ * @returns {Object} Location snapshot
+ */
+export const getRestorableVersion = (entry) => entry.after || entry.before;
+
+/**
+ * @function filterAuditEntries
+ * @description Narrows the log down to one location and/or one editor
+ * @param {Array} entries - Audit entries
+ * @param {Object} [filters]
+ * @param {number|null} [filters.locationId] - Only entries for this location
+ * @param {string|null} [filters.editor] - Only entries by this editor
+ * @returns {Array} Matching entries, newest first
+ */
+export const filterAuditEntries = (entries, { locationId = null, editor = null } = {}) => entries
+  .filter(entry => (locationId === null || entry.locationId === locationId) && (!editor || entry.editor === editor))
+  .sort((a, b) => b.timestamp - a.timestamp);
+
+/**
+ * @function summarizeAuditLog
+ * @description Lists what the History panel's filters can pick from
+ * @param {Array} entries - Audit entries
+ * @returns {{editors: Array<string>, locations: Array<{id: number, name: string}>}} Editors
+ * sorted by name, and every logged location under its latest name
+ */
+export const summarizeAuditLog = (entries) => {
+  const locations = new Map();
+  [...entries]
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .forEach(entry => locations.set(entry.locationId, { id: entry.locationId, name: entry.name }));
+  return {
+    editors: [...new Set(entries.map(entry => entry.editor))].sort((a, b) => a.localeCompare(b)),
+    locations: [...locations.values()].sort((a, b) => a.name.localeCompare(b.name))
+  };
+};
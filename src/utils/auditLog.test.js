@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { buildAuditEntry, describeAuditAction, filterAuditEntries, summarizeAuditLog, getRestorableVersion, DEFAULT_EDITOR } from './auditLog';
+
+const spot = (fields) => ({ id: 1, name: 'Crux', description: '', category: ['Food'], emoji: '🍺', position: [44.05, -121.31], revision: 1, ...fields });
+
+describe('buildAuditEntry', () => {
+  it('tells moves from other edits and lists each changed field', () => {
+    expect(describeAuditAction(null, spot())).toBe('create');
+    expect(describeAuditAction(spot(), null)).toBe('delete');
+    expect(describeAuditAction(spot(), spot({ position: [44.06, -121.3] }))).toBe('move');
+
+    const entry = buildAuditEntry({ before: spot(), after: spot({ name: 'Crux Fermentation', revision: 2 }), editor: 'Ana', timestamp: 5 });
+    expect(entry).toMatchObject({ timestamp: 5, editor: 'Ana', action: 'update', locationId: 1, name: 'Crux Fermentation', revision: 2 });
+    expect(entry.changes).toEqual([{ field: 'name', before: 'Crux', after: 'Crux Fermentation' }]);
+  });
+
+  it('logs deletes under the default editor and restores the deleted version', () => {
+    const entry = buildAuditEntry({ before: spot(), after: null });
+    expect(entry.editor).toBe(DEFAULT_EDITOR);
+    expect(getRestorableVersion(entry)).toEqual(spot());
+  });
+});
+
+describe('filtering the log', () => {
+  const entries = [
+    { locationId: 1, name: 'Crux', editor: 'Ben', timestamp: 1 },
+    { locationId: 2, name: 'Bachelor', editor: 'Ana', timestamp: 2 },
+    { locationId: 1, name: 'Crux Fermentation', editor: 'Ana', timestamp: 3 }
+  ];
+
+  it('narrows by location and editor, newest first', () => {
+    expect(filterAuditEntries(entries).map(({ timestamp }) => timestamp)).toEqual([3, 2, 1]);
+    expect(filterAuditEntries(entries, { locationId: 1, editor: 'Ana' }).map(({ timestamp }) => timestamp)).toEqual([3]);
+  });
+
+  it('offers each editor and location once, under its latest name', () => {
+    expect(summarizeAuditLog(entries)).toEqual({
+      editors: ['Ana', 'Ben'],
+      locations: [{ id: 2, name: 'Bachelor' }, { id: 1, name: 'Crux Fermentation' }]
+    });
+  });
+});
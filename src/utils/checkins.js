@@ -0,0 +1,127 @@
+/**
+ * @file checkins.js
+ * @description Visited check-ins shared by the app and the API functions. A check-in records
+ * that a trip member was at a location; a location counts as visited once anyone checked in.
+ *
+ *   { checkins: [{ locationId, member, at: ISO timestamp }] }
+ *
+ * Each member checks in to a location at most once.
+ */
+
+import { normalizeMemberName, MAX_MEMBER_NAME_LENGTH } from './ratings.js';
+
+/**
+ * @constant {Array<string>} VISITED_FILTERS
+ * @description Map and list filters on visited state
+ */
+export const VISITED_FILTERS = ['all', 'hide', 'only'];
+
+/**
+ * @class CheckInValidationError
+ * @description Thrown when a check-in does not match the model
+ * @property {Array<string>} errors - Human-readable problems
+ */
+export class CheckInValidationError extends Error {
+  constructor(errors) {
+    super(`Check-in is invalid: ${errors.join('; ')}`);
+    this.name = 'CheckInValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * @function normalizeCheckIn
+ * @description Coerces a check-in into the current shape
+ * @param {Object} raw - Check-in record
+ * @returns {Object} `{ locationId, member, at }`
+ */
+export const normalizeCheckIn = (raw) => ({
+  locationId: Number(raw.locationId),
+  member: normalizeMemberName(raw.member),
+  at: typeof raw.at === 'string' ? raw.at : ''
+});
+
+/**
+ * @function normalizeCheckIns
+ * @description Coerces a check-ins file into the current shape
+ * @param {Object} raw - Parsed check-ins file
+ * @returns {Object} `{ checkins }`
+ */
+export const normalizeCheckIns = (raw) => ({
+  checkins: (Array.isArray(raw?.checkins) ? raw.checkins : []).map(normalizeCheckIn)
+});
+
+/**
+ * @function assertValidCheckIn
+ * @description Normalizes a check-in and throws if it is invalid
+ * @param {Object} raw - Check-in record
+ * @returns {Object} Normalized check-in
+ * @throws {CheckInValidationError} When the check-in is invalid
+ */
+export const assertValidCheckIn = (raw) => {
+  const checkIn = normalizeCheckIn(raw);
+  const errors = [];
+  if (!Number.isFinite(checkIn.locationId)) {
+    errors.push('missing location');
+  }
+  if (!checkIn.member) {
+    errors.push('missing name');
+  } else if (checkIn.member.length > MAX_MEMBER_NAME_LENGTH) {
+    errors.push(`name is longer than ${MAX_MEMBER_NAME_LENGTH} characters`);
+  }
+  if (errors.length > 0) {
+    throw new CheckInValidationError(errors);
+  }
+  return checkIn;
+};
+
+/**
+ * @function groupCheckIns
+ * @description Collects the check-ins of every location
+ * @param {Array} checkins - Normalized check-ins
+ * @returns {Map<number, Array>} Location id to its check-ins, earliest first
+ */
+export const groupCheckIns = (checkins) => {
+  const byLocation = new Map();
+  [...checkins]
+    .sort((a, b) => a.at.localeCompare(b.at))
+    .forEach(checkIn => {
+      byLocation.set(checkIn.locationId, [...(byLocation.get(checkIn.locationId) || []), checkIn]);
+    });
+  return byLocation;
+};
+
+/**
+ * @function matchesVisitedFilter
+ * @description Whether a location passes the visited filter
+ * @param {boolean} isVisited - Whether anyone checked in there
+ * @param {string} filter - One of VISITED_FILTERS
+ * @returns {boolean} True when the location should be shown
+ */
+export const matchesVisitedFilter = (isVisited, filter) =>
+  filter === 'hide' ? !isVisited : filter === 'only' ? isVisited : true;
+
+/**
+ * @function summarizeProgress
+ * @description Counts visited locations per category. Locations in several categories
+ * count towards each of them.
+ * @param {Array} locations - Normalized locations
+ * @param {Set<number>} visitedIds - Ids of visited locations
+ * @param {Array<string>} categoryNames - Categories in display order
+ * @returns {{visited: number, total: number, categories: Array<{name: string, visited: number, total: number}>}}
+ * Overall and per-category counts; categories without locations are left out
+ */
+export const summarizeProgress = (locations, visitedIds, categoryNames) => ({
+  visited: locations.filter(location => visitedIds.has(location.id)).length,
+  total: locations.length,
+  categories: categoryNames
+    .map(name => {
+      const inCategory = locations.filter(location => location.category.includes(name));
+      return {
+        name,
+        visited: inCategory.filter(location => visitedIds.has(location.id)).length,
+        total: inCategory.length
+      };
+    })
+    .filter(category => category.total > 0)
+});
@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { assertValidCheckIn, groupCheckIns, matchesVisitedFilter, summarizeProgress, CheckInValidationError } from './checkins';
+
+describe('assertValidCheckIn', () => {
+  it('uses the same cleaned-up names as ratings', () => {
+    expect(assertValidCheckIn({ locationId: '2', member: ' Ana  B ' })).toEqual({ locationId: 2, member: 'Ana B', at: '' });
+    expect(() => assertValidCheckIn({ locationId: 2, member: '' })).toThrow(CheckInValidationError);
+    expect(() => assertValidCheckIn({ member: 'Ana' })).toThrow('missing location');
+  });
+});
+
+describe('groupCheckIns', () => {
+  it('groups visits by location, earliest first', () => {
+    const grouped = groupCheckIns([
+      { locationId: 1, member: 'Ben', at: '2025-07-13T10:00:00Z' },
+      { locationId: 2, member: 'Ana', at: '2025-07-12T10:00:00Z' },
+      { locationId: 1, member: 'Ana', at: '2025-07-12T09:00:00Z' }
+    ]);
+    expect(grouped.get(1).map(({ member }) => member)).toEqual(['Ana', 'Ben']);
+    expect(grouped.get(2)).toHaveLength(1);
+  });
+});
+
+describe('visited filter and progress', () => {
+  it('shows everything, hides visited spots or shows only them', () => {
+    expect([true, false].map(visited => matchesVisitedFilter(visited, 'all'))).toEqual([true, true]);
+    expect([true, false].map(visited => matchesVisitedFilter(visited, 'hide'))).toEqual([false, true]);
+    expect([true, false].map(visited => matchesVisitedFilter(visited, 'only'))).toEqual([true, false]);
+  });
+
+  it('counts visited spots overall and per category, leaving out empty categories', () => {
+    const locations = [
+      { id: 1, category: ['Food'] },
+      { id: 2, category: ['Food', 'Outdoors'] },
+      { id: 3, category: ['Outdoors'] }
+    ];
+    expect(summarizeProgress(locations, new Set([2]), ['Food', 'Outdoors', 'Shopping'])).toEqual({
+      visited: 1,
+      total: 3,
+      categories: [
+        { name: 'Food', visited: 1, total: 2 },
+        { name: 'Outdoors', visited: 1, total: 2 }
+      ]
+    });
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * @file comments.js
+ * @description Location comments shared by the app and the API functions. Anyone on the trip
+ * can leave tips on a location under the name they picked:
+ *
+ *   { comments: [{ id, locationId, author, text, createdAt, updatedAt }] }
+ *
+ * The stored file also keeps a digest of the key of the device that wrote each comment, so
+ * only that device (or an admin) can change it. The digest is never sent to clients.
+ */
+
+import { normalizeMemberName, MAX_MEMBER_NAME_LENGTH } from './ratings.js';
+
+/**
+ * @constant {number} MAX_COMMENT_LENGTH
+ * @description Longest accepted comment
+ */
+export const MAX_COMMENT_LENGTH = 1000;
+
+/**
+ * @class CommentValidationError
+ * @description Thrown when a comment does not match the model
+ * @property {Array<string>} errors - Human-readable problems
+ */
+export class CommentValidationError extends Error {
+  constructor(errors) {
+    super(`Comment is invalid: ${errors.join('; ')}`);
+    this.name = 'CommentValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * @function normalizeComment
+ * @description Coerces a comment into the current shape
+ * @param {Object} raw - Comment record
+ * @returns {Object} Normalized comment
+ */
+export const normalizeComment = (raw) => ({
+  ...raw,
+  id: typeof raw.id === 'string' ? raw.id : '',
+  locationId: Number(raw.locationId),
+  author: normalizeMemberName(raw.author),
+  text: typeof raw.text === 'string' ? raw.text.trim() : '',
+  createdAt: typeof raw.createdAt === 'string' ? raw.createdAt : '',
+  updatedAt: typeof raw.updatedAt === 'string' ? raw.updatedAt : ''
+});
+
+/**
+ * @function normalizeComments
+ * @description Coerces a comments file into the current shape
+ * @param {Object} raw - Parsed comments file
+ * @returns {Object} `{ comments }`
+ */
+export const normalizeComments = (raw) => ({
+  comments: (Array.isArray(raw?.comments) ? raw.comments : []).map(normalizeComment)
+});
+
+/**
+ * @function validateComment
+ * @description Lists everything wrong with a normalized comment
+ * @param {Object} comment - Normalized comment
+ * @returns {Array<string>} Problems found; empty when valid
+ */
+export const validateComment = (comment) => {
+  const errors = [];
+  if (!Number.isFinite(comment.locationId)) {
+    errors.push('missing location');
+  }
+  if (!comment.author) {
+    errors.push('missing name');
+  } else if (comment.author.length > MAX_MEMBER_NAME_LENGTH) {
+    errors.push(`name is longer than ${MAX_MEMBER_NAME_LENGTH} characters`);
+  }
+  if (!comment.text) {
+    errors.push('comment is empty');
+  } else if (comment.text.length > MAX_COMMENT_LENGTH) {
+    errors.push(`comment is longer than ${MAX_COMMENT_LENGTH} characters`);
+  }
+  return errors;
+};
+
+/**
+ * @function assertValidComment
+ * @description Normalizes a comment and throws if it is invalid
+ * @param {Object} raw - Comment record
+ * @returns {Object} Normalized comment
+ * @throws {CommentValidationError} When the comment is invalid
+ */
+export const assertValidComment = (raw) => {
+  const comment = normalizeComment(raw);
+  const errors = validateComment(comment);
+  if (errors.length > 0) {
+    throw new CommentValidationError(errors);
+  }
+  return comment;
+};
+
+/**
+ * @function groupComments
+ * @description Collects the comments of every location
+ * @param {Array} comments - Normalized comments
+ * @returns {Map<number, Array>} Location id to its comments, oldest first
+ */
+export const groupComments = (comments) => {
+  const byLocation = new Map();
+  [...comments]
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .forEach(comment => {
+      byLocation.set(comment.locationId, [...(byLocation.get(comment.locationId) || []), comment]);
+    });
+  return byLocation;
+};
@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeComment, validateComment, groupComments, MAX_COMMENT_LENGTH } from './comments';
+
+describe('validateComment', () => {
+  it('accepts a tip and trims it', () => {
+    const comment = normalizeComment({ locationId: '1', author: ' Ana ', text: '  Go early  ' });
+    expect(comment).toMatchObject({ locationId: 1, author: 'Ana', text: 'Go early' });
+    expect(validateComment(comment)).toEqual([]);
+  });
+
+  it('lists every problem', () => {
+    expect(validateComment(normalizeComment({ author: '', text: '   ' })))
+      .toEqual(['missing location', 'missing name', 'comment is empty']);
+    expect(validateComment(normalizeComment({ locationId: 1, author: 'Ana', text: 'x'.repeat(MAX_COMMENT_LENGTH + 1) })))
+      .toEqual([`comment is longer than ${MAX_COMMENT_LENGTH} characters`]);
+  });
+});
+
+describe('groupComments', () => {
+  it('groups threads by location, oldest first', () => {
+    const grouped = groupComments([
+      { id: 'b', locationId: 1, createdAt: '2025-07-13T10:00:00Z' },
+      { id: 'c', locationId: 2, createdAt: '2025-07-11T10:00:00Z' },
+      { id: 'a', locationId: 1, createdAt: '2025-07-12T10:00:00Z' }
+    ]);
+    expect(grouped.get(1).map(({ id }) => id)).toEqual(['a', 'b']);
+    expect(grouped.get(2).map(({ id }) => id)).toEqual(['c']);
+  });
+});
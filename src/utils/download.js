@@ -0,0 +1,23 @@
+/**
+ * @file download.js
+ * @description Triggers a browser download for generated file contents
+ */
+
+/**
+ * @function downloadFile
+ * @description Saves text as a file through a temporary object URL
+ * @param {string} content - File contents
+ * @param {string} fileName - Suggested file name
+ * @param {string} type - MIME type
+ */
+export const downloadFile = (content, fileName, type) => {
+  const dataBlob = new Blob([content], { type });
+  const url = URL.createObjectURL(dataBlob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
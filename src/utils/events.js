@@ -0,0 +1,217 @@
+/**
+ * @file events.js
+ * @description Dated trip events shared by the app and the API functions: reservations,
+ * the ski day, a thesis defense. Each trip keeps them in `events.json` next to its locations:
+ *
+ *   { events: [{ id, title, start, end, locationId, attendees, notes }] }
+ *
+ * Times are `YYYY-MM-DDTHH:mm` in the trip's local time, the way a datetime input returns
+ * them; `end` may be empty. `attendees` holds the ids of people on the roster.
+ */
+
+/**
+ * @constant {number} MAX_TITLE_LENGTH
+ * @description Longest accepted event title
+ */
+export const MAX_TITLE_LENGTH = 120;
+
+/**
+ * @constant {number} MAX_NOTES_LENGTH
+ * @description Longest accepted event notes
+ */
+export const MAX_NOTES_LENGTH = 2000;
+
+/**
+ * @constant {RegExp} TIME_PATTERN
+ * @description Shape of a stored event time
+ */
+const TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/;
+
+/**
+ * @class EventValidationError
+ * @description Thrown when an event does not match the model
+ * @property {Array<string>} errors - Human-readable problems
+ */
+export class EventValidationError extends Error {
+  constructor(errors) {
+    super(`Event is invalid: ${errors.join('; ')}`);
+    this.name = 'EventValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * @function normalizeEvent
+ * @description Coerces an event into the current shape
+ * @param {Object} raw - Event record
+ * @returns {Object} Normalized event
+ */
+export const normalizeEvent = (raw) => {
+  const text = (value) => (typeof value === 'string' ? value.trim() : '');
+  // Times with seconds (from some browsers or hand-edited files) are cut to minutes
+  const time = (value) => text(value).slice(0, 16);
+  return {
+    id: text(raw.id),
+    title: text(raw.title),
+    start: time(raw.start),
+    end: time(raw.end),
+    locationId: raw.locationId === null || raw.locationId === undefined || raw.locationId === ''
+      ? null
+      : Number(raw.locationId),
+    attendees: Array.isArray(raw.attendees) ? [...new Set(raw.attendees.map(String))] : [],
+    notes: text(raw.notes)
+  };
+};
+
+/**
+ * @function normalizeEvents
+ * @description Coerces an events file into the current shape
+ * @param {Object} raw - Parsed events file
+ * @returns {Object} `{ events }`
+ */
+export const normalizeEvents = (raw) => ({
+  events: (Array.isArray(raw?.events) ? raw.events : []).map(normalizeEvent)
+});
+
+/**
+ * @function validateEvent
+ * @description Lists everything wrong with a normalized event
+ * @param {Object} event - Normalized event
+ * @param {Object} [context]
+ * @param {Array<number>} [context.locationIds] - Locations an event may link to; not checked if omitted
+ * @param {Array<string>} [context.personIds] - People who may attend; not checked if omitted
+ * @returns {Array<string>} Problems found; empty when valid
+ */
+export const validateEvent = (event, { locationIds, personIds } = {}) => {
+  const errors = [];
+  if (!event.title) {
+    errors.push('missing title');
+  } else if (event.title.length > MAX_TITLE_LENGTH) {
+    errors.push(`title is longer than ${MAX_TITLE_LENGTH} characters`);
+  }
+  if (!TIME_PATTERN.test(event.start)) {
+    errors.push('start must be a date and time');
+  }
+  if (event.end && !TIME_PATTERN.test(event.end)) {
+    errors.push('end must be a date and time');
+  } else if (event.end && event.end < event.start) {
+    errors.push('end is before start');
+  }
+  if (event.locationId !== null) {
+    if (!Number.isFinite(event.locationId)) {
+      errors.push('location must be a location id');
+    } else if (locationIds && !locationIds.includes(event.locationId)) {
+      errors.push('location does not exist');
+    }
+  }
+  if (personIds) {
+    event.attendees
+      .filter(id => !personIds.includes(id))
+      .forEach(id => errors.push(`attendee "${id}" is not on the roster`));
+  }
+  if (event.notes.length > MAX_NOTES_LENGTH) {
+    errors.push(`notes are longer than ${MAX_NOTES_LENGTH} characters`);
+  }
+  return errors;
+};
+
+/**
+ * @function assertValidEvent
+ * @description Normalizes an event and throws if it is invalid
+ * @param {Object} raw - Event record
+ * @param {Object} [context] - See validateEvent
+ * @returns {Object} Normalized event
+ * @throws {EventValidationError} When the event is invalid
+ */
+export const assertValidEvent = (raw, context) => {
+  const event = normalizeEvent(raw);
+  const errors = validateEvent(event, context);
+  if (errors.length > 0) {
+    throw new EventValidationError(errors);
+  }
+  return event;
+};
+
+/**
+ * @function toDate
+ * @description Reads a stored event time as a local Date
+ * @param {string} time - `YYYY-MM-DDTHH:mm`
+ * @returns {Date} The moment in this device's time zone
+ */
+export const toDate = (time) => new Date(`${time}:00`);
+
+/**
+ * @function sortEvents
+ * @description Orders events by start, then title
+ * @param {Array} events - Normalized events
+ * @returns {Array} New sorted array
+ */
+export const sortEvents = (events) => [...events]
+  .sort((a, b) => a.start.localeCompare(b.start) || a.title.localeCompare(b.title));
+
+/**
+ * @function groupEventsByDay
+ * @description Splits the timeline into days
+ * @param {Array} events - Normalized events
+ * @returns {Array<{date: string, events: Array}>} Days in order, each with its events by start
+ */
+export const groupEventsByDay = (events) => {
+  const days = [];
+  sortEvents(events).forEach(event => {
+    const date = event.start.slice(0, 10);
+    if (days.length === 0 || days[days.length - 1].date !== date) {
+      days.push({ date, events: [] });
+    }
+    days[days.length - 1].events.push(event);
+  });
+  return days;
+};
+
+/**
+ * @function findNextEvent
+ * @description Picks the event the header counts down to
+ * @param {Array} events - Normalized events
+ * @param {Date} [now] - Current time
+ * @returns {{event: Object, isOngoing: boolean}|null} An event happening now (started, and
+ * not yet over), else the next one to start; null when everything is over
+ */
+export const findNextEvent = (events, now = new Date()) => {
+  const sorted = sortEvents(events);
+  const ongoing = sorted.find(event => event.end && toDate(event.start) <= now && toDate(event.end) > now);
+  if (ongoing) return { event: ongoing, isOngoing: true };
+  const next = sorted.find(event => toDate(event.start) > now);
+  return next ? { event: next, isOngoing: false } : null;
+};
+
+/**
+ * @function formatCountdown
+ * @description Time left until an event, to the second in its last hour
+ * @param {number} ms - Milliseconds left
+ * @returns {string} e.g. "3d 4h", "5h 12m" or "12m 05s"
+ */
+export const formatCountdown = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+};
+
+/**
+ * @function formatEventTime
+ * @description Time of day an event runs, for the timeline
+ * @param {Object} event - Normalized event
+ * @returns {string} e.g. "7:00 PM – 9:30 PM", or the start alone without an end; events
+ * ending on a later day show that day too
+ */
+export const formatEventTime = ({ start, end }) => {
+  const time = (value) => toDate(value).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+  if (!end) return time(start);
+  const endLabel = end.slice(0, 10) === start.slice(0, 10)
+    ? time(end)
+    : toDate(end).toLocaleString(undefined, { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+  return `${time(start)} – ${endLabel}`;
+};
@@ -0,0 +1,63 @@
+/**
+ * @file expenseExport.js
+ * @description Exports the expense ledger as CSV for spreadsheets: one row per expense, with
+ * a column for each member holding what they owe for it.
+ */
+
+import { escapeCsv } from './locationFormats';
+import { splitExpense, sortExpenses, SPLIT_TYPES } from './expenses';
+
+/**
+ * @constant {Object} EXPENSE_CSV_FORMAT
+ * @description File extension and MIME type of exported ledgers
+ */
+export const EXPENSE_CSV_FORMAT = { extension: 'csv', type: 'text/csv' };
+
+/**
+ * @function toDecimal
+ * @description Writes cents as a plain decimal amount that spreadsheets read as a number
+ * @param {number} cents - Amount in cents
+ * @returns {string} e.g. `140.00`
+ */
+const toDecimal = (cents) => (cents / 100).toFixed(2);
+
+/**
+ * @function toText
+ * @description Makes a text cell safe to open in a spreadsheet. Names and descriptions are
+ * typed by anyone on the trip, and a cell starting with `=`, `+`, `-` or `@` would be run as
+ * a formula, so those get a leading apostrophe, which spreadsheets show as plain text.
+ * @param {string} value - Cell text
+ * @returns {string} Escaped CSV cell
+ */
+const toText = (value) => escapeCsv(/^[=+\-@\t\r]/.test(value) ? `'${value}` : value);
+
+/**
+ * @function toExpenseCSV
+ * @description Exports the ledger, oldest expense first
+ * @param {Array} expenses - Valid normalized expenses
+ * @param {Array} [locations] - Locations expenses may link to, for their names
+ * @returns {string} CSV text
+ */
+export const toExpenseCSV = (expenses, locations = []) => {
+  const rows = sortExpenses(expenses).reverse();
+  const members = [...new Set(rows.flatMap(expense => [
+    expense.paidBy,
+    ...expense.participants.map(participant => participant.member)
+  ]))].sort((a, b) => a.localeCompare(b));
+
+  return [
+    ['date', 'description', 'location', 'paid_by', 'amount', 'split', ...members].map(toText).join(','),
+    ...rows.map(expense => {
+      const owed = new Map(splitExpense(expense).map(({ member, amount }) => [member, amount]));
+      return [
+        toText(expense.date),
+        toText(expense.description),
+        toText(locations.find(location => location.id === expense.locationId)?.name || ''),
+        toText(expense.paidBy),
+        toDecimal(expense.amount),
+        toText(SPLIT_TYPES[expense.split]),
+        ...members.map(member => (owed.has(member) ? toDecimal(owed.get(member)) : ''))
+      ].join(',');
+    })
+  ].join('\r\n');
+};
@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { toExpenseCSV } from './expenseExport';
+import { normalizeExpense } from './expenses';
+
+const expense = (fields) => normalizeExpense({
+  id: 'e1',
+  description: 'Groceries',
+  amount: 1000,
+  date: '2025-07-12',
+  paidBy: 'Ana',
+  split: 'even',
+  participants: ['Ana', 'Ben'],
+  author: 'Ana',
+  ...fields
+});
+
+describe('toExpenseCSV', () => {
+  it('writes a column per member with what they owe', () => {
+    const [header, row] = toExpenseCSV([expense({ locationId: 1 })], [{ id: 1, name: 'Newport, Market' }]).split('\r\n');
+    expect(header).toBe('date,description,location,paid_by,amount,split,Ana,Ben');
+    expect(row).toBe('2025-07-12,Groceries,"Newport, Market",Ana,10.00,Evenly,5.00,5.00');
+  });
+
+  it('keeps spreadsheets from running typed text as a formula', () => {
+    const csv = toExpenseCSV([expense({
+      description: '=HYPERLINK("http://example.com","Refund")',
+      paidBy: '@Ana',
+      participants: ['@Ana', '-Ben']
+    })]);
+    const [header, row] = csv.split('\r\n');
+    expect(header).toBe("date,description,location,paid_by,amount,split,'-Ben,'@Ana");
+    expect(row).toBe(`2025-07-12,"'=HYPERLINK(""http://example.com"",""Refund"")",,'@Ana,10.00,Evenly,5.00,5.00`);
+  });
+});
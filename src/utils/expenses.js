@@ -0,0 +1,325 @@
+/**
+ * @file expenses.js
+ * @description The group's shared expense ledger, used by the app and the API functions.
+ * Anyone on the trip can log what they paid under the name they picked:
+ *
+ *   { expenses: [{ id, description, amount, date, paidBy, locationId, split, participants,
+ *                  author, createdAt, updatedAt }] }
+ *
+ * Amounts are whole cents. `split` says how the amount is shared among `participants`
+ * (`[{ member, shares, amount }]`): evenly, in proportion to each one's `shares`, or by the
+ * exact `amount` each one owes. Like comments, the stored file also keeps a digest of the key
+ * of the device that logged each expense, which is never sent to clients.
+ */
+
+import { normalizeMemberName, MAX_MEMBER_NAME_LENGTH } from './ratings.js';
+
+/**
+ * @constant {Object} SPLIT_TYPES
+ * @description Ways an expense can be split, with their labels
+ */
+export const SPLIT_TYPES = {
+  even: 'Evenly',
+  shares: 'By shares',
+  exact: 'Exact amounts'
+};
+
+/**
+ * @constant {number} MAX_DESCRIPTION_LENGTH
+ * @description Longest accepted expense description
+ */
+export const MAX_DESCRIPTION_LENGTH = 200;
+
+/**
+ * @constant {string} CURRENCY
+ * @description Currency amounts are shown in
+ */
+export const CURRENCY = 'USD';
+
+/**
+ * @constant {RegExp} DATE_PATTERN
+ * @description Shape of the day an expense was paid
+ */
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @class ExpenseValidationError
+ * @description Thrown when an expense does not match the model
+ * @property {Array<string>} errors - Human-readable problems
+ */
+export class ExpenseValidationError extends Error {
+  constructor(errors) {
+    super(`Expense is invalid: ${errors.join('; ')}`);
+    this.name = 'ExpenseValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * @function formatMoney
+ * @description Shows an amount of cents as currency
+ * @param {number} cents - Amount in cents
+ * @returns {string} e.g. "$140.00"
+ */
+export const formatMoney = (cents) =>
+  new Intl.NumberFormat(undefined, { style: 'currency', currency: CURRENCY }).format(cents / 100);
+
+/**
+ * @function parseAmount
+ * @description Reads an amount typed into a form
+ * @param {string|number} value - e.g. "$1,140.50" or 140
+ * @returns {number} Whole cents, or NaN when the text is not an amount
+ */
+export const parseAmount = (value) => {
+  const text = String(value ?? '').replace(/[$,\s]/g, '');
+  return /^\d+(\.\d{1,2})?$/.test(text) ? Math.round(parseFloat(text) * 100) : NaN;
+};
+
+/**
+ * @function normalizeParticipant
+ * @description Coerces one member of an expense's split into the current shape
+ * @param {Object|string} raw - Participant record, or just a name
+ * @returns {Object} `{ member, shares, amount }`
+ */
+const normalizeParticipant = (raw) => {
+  const participant = typeof raw === 'string' ? { member: raw } : raw || {};
+  return {
+    member: normalizeMemberName(participant.member),
+    shares: participant.shares === undefined || participant.shares === '' ? 1 : Number(participant.shares),
+    amount: participant.amount === undefined || participant.amount === '' ? 0 : Number(participant.amount)
+  };
+};
+
+/**
+ * @function normalizeExpense
+ * @description Coerces an expense into the current shape
+ * @param {Object} raw - Expense record
+ * @returns {Object} Normalized expense
+ */
+export const normalizeExpense = (raw) => ({
+  ...raw,
+  id: typeof raw.id === 'string' ? raw.id : '',
+  description: typeof raw.description === 'string' ? raw.description.trim() : '',
+  amount: Number(raw.amount),
+  date: typeof raw.date === 'string' ? raw.date.trim() : '',
+  paidBy: normalizeMemberName(raw.paidBy),
+  locationId: raw.locationId === null || raw.locationId === undefined || raw.locationId === ''
+    ? null
+    : Number(raw.locationId),
+  split: Object.hasOwn(SPLIT_TYPES, raw.split) ? raw.split : 'even',
+  participants: (Array.isArray(raw.participants) ? raw.participants : []).map(normalizeParticipant),
+  author: normalizeMemberName(raw.author),
+  createdAt: typeof raw.createdAt === 'string' ? raw.createdAt : '',
+  updatedAt: typeof raw.updatedAt === 'string' ? raw.updatedAt : ''
+});
+
+/**
+ * @function normalizeExpenses
+ * @description Coerces an expenses file into the current shape
+ * @param {Object} raw - Parsed expenses file
+ * @returns {Object} `{ expenses }`
+ */
+export const normalizeExpenses = (raw) => ({
+  expenses: (Array.isArray(raw?.expenses) ? raw.expenses : []).map(normalizeExpense)
+});
+
+/**
+ * @function validateName
+ * @description Checks a member name used on an expense
+ * @param {string} name - Normalized name
+ * @param {string} label - What the name is, for the message
+ * @returns {Array<string>} Problems found
+ */
+const validateName = (name, label) => {
+  if (!name) return [`missing ${label}`];
+  if (name.length > MAX_MEMBER_NAME_LENGTH) return [`${label} is longer than ${MAX_MEMBER_NAME_LENGTH} characters`];
+  return [];
+};
+
+/**
+ * @function validateExpense
+ * @description Lists everything wrong with a normalized expense
+ * @param {Object} expense - Normalized expense
+ * @param {Object} [context]
+ * @param {Array<number>} [context.locationIds] - Locations an expense may link to; not checked if omitted
+ * @returns {Array<string>} Problems found; empty when valid
+ */
+export const validateExpense = (expense, { locationIds } = {}) => {
+  const errors = [];
+  if (!expense.description) {
+    errors.push('missing description');
+  } else if (expense.description.length > MAX_DESCRIPTION_LENGTH) {
+    errors.push(`description is longer than ${MAX_DESCRIPTION_LENGTH} characters`);
+  }
+  if (!Number.isInteger(expense.amount) || expense.amount <= 0) {
+    errors.push('amount must be more than zero');
+  }
+  if (!DATE_PATTERN.test(expense.date)) {
+    errors.push('date must be a day');
+  }
+  errors.push(...validateName(expense.paidBy, 'payer'));
+  errors.push(...validateName(expense.author, 'name'));
+  if (expense.locationId !== null) {
+    if (!Number.isFinite(expense.locationId)) {
+      errors.push('location must be a location id');
+    } else if (locationIds && !locationIds.includes(expense.locationId)) {
+      errors.push('location does not exist');
+    }
+  }
+
+  const { participants } = expense;
+  if (participants.length === 0) {
+    errors.push('nobody to split with');
+  }
+  participants.forEach(participant => errors.push(...validateName(participant.member, 'participant name')));
+  const members = participants.map(participant => participant.member);
+  members
+    .filter((member, index) => member && members.indexOf(member) !== index)
+    .forEach(member => errors.push(`${member} is in the split more than once`));
+  if (expense.split === 'shares') {
+    participants
+      .filter(participant => !Number.isFinite(participant.shares) || participant.shares <= 0)
+      .forEach(participant => errors.push(`${participant.member || 'participant'} needs a share above zero`));
+  }
+  if (expense.split === 'exact') {
+    const badAmounts = participants.filter(participant => !Number.isInteger(participant.amount) || participant.amount < 0);
+    badAmounts.forEach(participant => errors.push(`${participant.member || 'participant'} needs an amount`));
+    const total = participants.reduce((sum, participant) => sum + participant.amount, 0);
+    if (badAmounts.length === 0 && Number.isInteger(expense.amount) && expense.amount > 0 && total !== expense.amount) {
+      errors.push(`exact amounts add up to ${formatMoney(total)}, not ${formatMoney(expense.amount)}`);
+    }
+  }
+  return errors;
+};
+
+/**
+ * @function assertValidExpense
+ * @description Normalizes an expense and throws if it is invalid
+ * @param {Object} raw - Expense record
+ * @param {Object} [context] - See validateExpense
+ * @returns {Object} Normalized expense
+ * @throws {ExpenseValidationError} When the expense is invalid
+ */
+export const assertValidExpense = (raw, context) => {
+  const expense = normalizeExpense(raw);
+  const errors = validateExpense(expense, context);
+  if (errors.length > 0) {
+    throw new ExpenseValidationError(errors);
+  }
+  return expense;
+};
+
+/**
+ * @function allocate
+ * @description Divides whole cents in proportion to weights. Leftover cents from rounding
+ * go to the largest remainders, earlier participants first, so the parts always add up.
+ * @param {number} total - Cents to divide
+ * @param {Array<number>} weights - One positive weight per part
+ * @returns {Array<number>} Cents per part
+ */
+const allocate = (total, weights) => {
+  const sum = weights.reduce((acc, weight) => acc + weight, 0);
+  const exact = weights.map(weight => (total * weight) / sum);
+  const parts = exact.map(Math.floor);
+  let left = total - parts.reduce((acc, part) => acc + part, 0);
+  exact
+    .map((value, index) => ({ index, remainder: value - parts[index] }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+    .forEach(({ index }) => {
+      if (left > 0) {
+        parts[index] += 1;
+        left -= 1;
+      }
+    });
+  return parts;
+};
+
+/**
+ * @function splitExpense
+ * @description Works out what each participant owes for an expense
+ * @param {Object} expense - Valid normalized expense
+ * @returns {Array<{member: string, amount: number}>} Cents owed, in participant order
+ */
+export const splitExpense = ({ amount, split, participants }) => {
+  const amounts = split === 'exact'
+    ? participants.map(participant => participant.amount)
+    : allocate(amount, participants.map(participant => (split === 'shares' ? participant.shares : 1)));
+  return participants.map((participant, index) => ({ member: participant.member, amount: amounts[index] }));
+};
+
+/**
+ * @function computeBalances
+ * @description Totals what everyone paid and owes across the ledger
+ * @param {Array} expenses - Valid normalized expenses
+ * @returns {Array<{member: string, paid: number, owes: number, balance: number}>} One entry
+ * per member by name, in cents; a positive balance is owed to the member, a negative one
+ * is owed by them
+ */
+export const computeBalances = (expenses) => {
+  const totals = new Map();
+  const entry = (member) => {
+    if (!totals.has(member)) totals.set(member, { member, paid: 0, owes: 0, balance: 0 });
+    return totals.get(member);
+  };
+  expenses.forEach(expense => {
+    entry(expense.paidBy).paid += expense.amount;
+    splitExpense(expense).forEach(({ member, amount }) => {
+      entry(member).owes += amount;
+    });
+  });
+  return [...totals.values()]
+    .map(total => ({ ...total, balance: total.paid - total.owes }))
+    .sort((a, b) => a.member.localeCompare(b.member));
+};
+
+/**
+ * @function settleUp
+ * @description Plans the transfers that clear every balance. The largest debt is repeatedly
+ * paid towards the largest credit, which keeps the plan short: every transfer clears at
+ * least one balance, so there are fewer transfers than people with a balance.
+ * @param {Array} balances - From computeBalances
+ * @returns {Array<{from: string, to: string, amount: number}>} Transfers in cents, largest first
+ */
+export const settleUp = (balances) => {
+  const debtors = balances.filter(({ balance }) => balance < 0).map(({ member, balance }) => ({ member, left: -balance }));
+  const creditors = balances.filter(({ balance }) => balance > 0).map(({ member, balance }) => ({ member, left: balance }));
+  const transfers = [];
+  const largest = (list) => list.reduce((best, item) => (item.left > (best?.left ?? 0) ? item : best), null);
+  let debtor = largest(debtors);
+  let creditor = largest(creditors);
+  while (debtor && creditor) {
+    const amount = Math.min(debtor.left, creditor.left);
+    transfers.push({ from: debtor.member, to: creditor.member, amount });
+    debtor.left -= amount;
+    creditor.left -= amount;
+    debtor = largest(debtors);
+    creditor = largest(creditors);
+  }
+  return transfers;
+};
+
+/**
+ * @function summarizeSpendByLocation
+ * @description Totals the group's spending at each location
+ * @param {Array} expenses - Normalized expenses
+ * @returns {Map<number, {total: number, count: number}>} Location id to cents spent and number of expenses
+ */
+export const summarizeSpendByLocation = (expenses) => {
+  const byLocation = new Map();
+  expenses
+    .filter(expense => expense.locationId !== null)
+    .forEach(expense => {
+      const current = byLocation.get(expense.locationId) || { total: 0, count: 0 };
+      byLocation.set(expense.locationId, { total: current.total + expense.amount, count: current.count + 1 });
+    });
+  return byLocation;
+};
+
+/**
+ * @function sortExpenses
+ * @description Orders the ledger newest first
+ * @param {Array} expenses - Normalized expenses
+ * @returns {Array} New sorted array
+ */
+export const sortExpenses = (expenses) => [...expenses]
+  .sort((a, b) => b.date.localeCompare(a.date) || b.createdAt.localeCompare(a.createdAt));
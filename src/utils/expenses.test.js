@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeExpense, validateExpense, splitExpense, computeBalances, settleUp, parseAmount
+} from './expenses';
+
+const expense = (fields) => normalizeExpense({
+  description: 'Groceries',
+  author: 'Ana',
+  date: '2025-07-12',
+  split: 'even',
+  ...fields
+});
+
+/**
+ * Applies the transfers to the balances; every balance should end up at zero
+ */
+const afterTransfers = (balances, transfers) => {
+  const left = new Map(balances.map(({ member, balance }) => [member, balance]));
+  transfers.forEach(({ from, to, amount }) => {
+    left.set(from, left.get(from) + amount);
+    left.set(to, left.get(to) - amount);
+  });
+  return [...left.values()];
+};
+
+describe('splitExpense', () => {
+  it('hands leftover cents of an even split to the first participants', () => {
+    const split = splitExpense(expense({ amount: 1000, participants: ['Ana', 'Ben', 'Cy'] }));
+    expect(split).toEqual([
+      { member: 'Ana', amount: 334 },
+      { member: 'Ben', amount: 333 },
+      { member: 'Cy', amount: 333 }
+    ]);
+  });
+
+  it('gives leftover cents of a share split to the largest remainders', () => {
+    const split = splitExpense(expense({
+      amount: 1001,
+      split: 'shares',
+      participants: [{ member: 'Ana', shares: 1 }, { member: 'Ben', shares: 2 }, { member: 'Cy', shares: 2 }]
+    }));
+    expect(split.map(({ amount }) => amount)).toEqual([200, 401, 400]);
+    expect(split.reduce((sum, { amount }) => sum + amount, 0)).toBe(1001);
+  });
+
+  it('uses the amounts given for an exact split', () => {
+    const split = splitExpense(expense({
+      amount: 900,
+      split: 'exact',
+      participants: [{ member: 'Ana', amount: 700 }, { member: 'Ben', amount: 200 }]
+    }));
+    expect(split).toEqual([{ member: 'Ana', amount: 700 }, { member: 'Ben', amount: 200 }]);
+  });
+});
+
+describe('validateExpense', () => {
+  it('requires exact amounts to add up to the total', () => {
+    const errors = validateExpense(expense({
+      amount: 900,
+      paidBy: 'Ana',
+      split: 'exact',
+      participants: [{ member: 'Ana', amount: 700 }, { member: 'Ben', amount: 100 }]
+    }));
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatch(/^exact amounts add up to/);
+  });
+
+  it('accepts a complete expense', () => {
+    expect(validateExpense(expense({ amount: 900, paidBy: 'Ana', participants: ['Ana', 'Ben'] }))).toEqual([]);
+  });
+});
+
+describe('settling up', () => {
+  const ledger = [
+    expense({ amount: 9000, paidBy: 'Ana', participants: ['Ana', 'Ben', 'Cy'] }),
+    expense({ amount: 3000, paidBy: 'Ben', participants: ['Ben', 'Cy'] }),
+    expense({ amount: 1001, paidBy: 'Cy', participants: ['Ana', 'Ben', 'Cy', 'Dee'] })
+  ];
+
+  it('balances what everyone paid against their share', () => {
+    const balances = computeBalances(ledger);
+    expect(balances.map(({ member }) => member)).toEqual(['Ana', 'Ben', 'Cy', 'Dee']);
+    expect(balances.find(({ member }) => member === 'Ana')).toEqual({ member: 'Ana', paid: 9000, owes: 3251, balance: 5749 });
+    expect(balances.reduce((sum, { balance }) => sum + balance, 0)).toBe(0);
+  });
+
+  it('plans transfers that clear every balance, fewer than the people involved', () => {
+    const balances = computeBalances(ledger);
+    const transfers = settleUp(balances);
+    expect(afterTransfers(balances, transfers)).toEqual([0, 0, 0, 0]);
+    expect(transfers.length).toBeLessThan(balances.filter(({ balance }) => balance !== 0).length);
+    transfers.forEach(({ amount }) => expect(amount).toBeGreaterThan(0));
+  });
+
+  it('has nothing to plan when everyone is square', () => {
+    expect(settleUp(computeBalances([expense({ amount: 500, paidBy: 'Ana', participants: ['Ana'] })]))).toEqual([]);
+  });
+});
+
+describe('parseAmount', () => {
+  it('reads money typed in the editor as cents', () => {
+    expect(parseAmount('12.5')).toBe(1250);
+    expect(parseAmount('$1,234.56')).toBe(123456);
+    expect(parseAmount('12.345')).toBeNaN();
+  });
+});
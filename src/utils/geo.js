@@ -0,0 +1,35 @@
+/**
+ * @file geo.js
+ * @description Distance helpers for `[lat, lng]` positions
+ */
+
+/**
+ * @constant {number} EARTH_RADIUS_KM
+ * @description Mean Earth radius used by the haversine formula
+ */
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * @function haversineDistance
+ * @description Great-circle ("as the crow flies") distance between two positions
+ * @param {Array} from - [lat, lng]
+ * @param {Array} to - [lat, lng]
+ * @returns {number} Distance in kilometres
+ */
+export const haversineDistance = ([lat1, lng1], [lat2, lng2]) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * @function formatDistance
+ * @description Formats a distance for display, in metres below 1 km
+ * @param {number} km - Distance in kilometres
+ * @returns {string} e.g. "850 m" or "4.2 km"
+ */
+export const formatDistance = (km) => (km < 1 ? `${Math.round(km * 1000)} m` : `${km.toFixed(1)} km`);
@@ -0,0 +1,26 @@
+/**
+ * @file html.js
+ * @description Escaping for the few places that build HTML strings instead of JSX: Leaflet
+ * marker icons and map attributions. Anything that came from the data files or an admin has
+ * to pass through here before it is put into markup.
+ */
+
+/**
+ * @function escapeHtml
+ * @description Escapes text for use in HTML content or a quoted attribute
+ * @param {string} text - Plain text
+ * @returns {string} HTML-safe text
+ */
+export const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+/**
+ * @function cssUrl
+ * @description Builds a CSS `url()` for an inline style attribute. The URL is percent-encoded
+ * so quotes, brackets and backslashes cannot end the string early, then HTML-escaped.
+ * @param {string} url - Image URL
+ * @returns {string} e.g. `url(&#39;/api/photos/1.jpg&#39;)`
+ */
+export const cssUrl = (url) => {
+  const encoded = encodeURI(url).replace(/['()]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return escapeHtml(`url('${encoded}')`);
+};
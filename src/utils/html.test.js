@@ -0,0 +1,15 @@
+import { describe, it, expect } from 'vitest';
+import { escapeHtml, cssUrl } from './html';
+
+describe('escapeHtml', () => {
+  it('escapes markup and both quotes', () => {
+    expect(escapeHtml(`<img src="x" onerror='y'>&`)).toBe('&#60;img src=&#34;x&#34; onerror=&#39;y&#39;&#62;&#38;');
+  });
+});
+
+describe('cssUrl', () => {
+  it('keeps quotes and brackets in the URL from ending the style early', () => {
+    expect(cssUrl('/api/photos/a b.jpg')).toBe('url(&#39;/api/photos/a%20b.jpg&#39;)');
+    expect(cssUrl(`x'); background: url("evil`)).toBe('url(&#39;x%27%29;%20background:%20url%28%22evil&#39;)');
+  });
+});
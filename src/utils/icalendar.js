@@ -0,0 +1,136 @@
+/**
+ * @file icalendar.js
+ * @description Builds iCalendar (`.ics`) files from trip events so they can be added to any
+ * calendar app. Event times are written without a time zone ("floating"), which calendars
+ * show at the same clock time wherever the reader is, matching how they are entered.
+ */
+
+/**
+ * @constant {Object} ICS_FORMAT
+ * @description File extension and MIME type of exported calendars
+ */
+export const ICS_FORMAT = { extension: 'ics', type: 'text/calendar' };
+
+/**
+ * @constant {string} DEFAULT_DURATION
+ * @description Length given to events without an end time
+ */
+const DEFAULT_DURATION = 'PT1H';
+
+/**
+ * @function escapeText
+ * @description Escapes a TEXT value (RFC 5545 section 3.3.11)
+ * @param {string} value - Plain text
+ * @returns {string} Escaped text
+ */
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * @function foldLine
+ * @description Splits a content line into lines of at most 75 bytes, continuing each with a space
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line, joined with CRLF
+ */
+const foldLine = (line) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+  [...line].forEach(char => {
+    const size = encoder.encode(char).length;
+    // Continuation lines start with a space, which counts towards their 75 bytes
+    const limit = parts.length === 0 ? 75 : 74;
+    if (bytes + size > limit) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  });
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+/**
+ * @function formatLocalTime
+ * @description Writes a stored event time as a floating DATE-TIME
+ * @param {string} time - `YYYY-MM-DDTHH:mm`
+ * @returns {string} e.g. `20250712T190000`
+ */
+const formatLocalTime = (time) => `${time.replace(/[-:]/g, '')}00`;
+
+/**
+ * @function formatUtcTime
+ * @description Writes a moment as a UTC DATE-TIME
+ * @param {Date} date - Moment
+ * @returns {string} e.g. `20251018T120000Z`
+ */
+const formatUtcTime = (date) => `${date.toISOString().replace(/[-:]/g, '').slice(0, 15)}Z`;
+
+/**
+ * @function buildEventLines
+ * @description Content lines of one VEVENT
+ * @param {Object} event - Normalized event
+ * @param {Object} context - See buildCalendar
+ * @returns {Array<string>} Unfolded lines
+ */
+const buildEventLines = (event, { tripId, locations, people, now }) => {
+  const location = locations.find(candidate => candidate.id === event.locationId);
+  const attendees = event.attendees
+    .map(id => people.find(person => person.id === id)?.name)
+    .filter(Boolean);
+  const description = [event.notes, attendees.length > 0 ? `With ${attendees.join(', ')}` : '']
+    .filter(Boolean)
+    .join('\n\n');
+  return [
+    'BEGIN:VEVENT',
+    `UID:${event.id}@${tripId}`,
+    `DTSTAMP:${formatUtcTime(now)}`,
+    `DTSTART:${formatLocalTime(event.start)}`,
+    event.end ? `DTEND:${formatLocalTime(event.end)}` : `DURATION:${DEFAULT_DURATION}`,
+    `SUMMARY:${escapeText(event.title)}`,
+    ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+    ...(location ? [
+      `LOCATION:${escapeText(location.name)}`,
+      `GEO:${location.position[0]};${location.position[1]}`
+    ] : []),
+    'END:VEVENT'
+  ];
+};
+
+/**
+ * @function buildCalendar
+ * @description Builds an `.ics` file holding one or more events
+ * @param {Array} events - Normalized events
+ * @param {Object} context
+ * @param {string} context.tripId - Trip id, used to make event UIDs unique
+ * @param {string} context.title - Calendar name
+ * @param {Array} [context.locations] - Locations events may link to
+ * @param {Array} [context.people] - People events may list as attendees
+ * @param {Date} [context.now] - Time stamp of the export
+ * @returns {string} File contents with CRLF line endings
+ */
+export const buildCalendar = (events, { tripId, title, locations = [], people = [], now = new Date() }) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  `PRODID:-//${tripId}//Trip map//EN`,
+  'CALSCALE:GREGORIAN',
+  'METHOD:PUBLISH',
+  `X-WR-CALNAME:${escapeText(title)}`,
+  ...events.flatMap(event => buildEventLines(event, { tripId, locations, people, now })),
+  'END:VCALENDAR'
+].map(foldLine).join('\r\n') + '\r\n';
+
+/**
+ * @function calendarFileName
+ * @description Suggests a file name for an export
+ * @param {string} name - Event title or trip id
+ * @returns {string} e.g. `ski-day.ics`
+ */
+export const calendarFileName = (name) =>
+  `${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'event'}.${ICS_FORMAT.extension}`;
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { buildCalendar, calendarFileName } from './icalendar';
+import { normalizeEvent } from './events';
+
+const NOW = new Date('2025-07-01T12:00:00Z');
+
+/**
+ * Undoes line folding, as calendar apps do when reading the file
+ */
+const unfold = (ics) => ics.replace(/\r\n /g, '').split('\r\n');
+
+describe('buildCalendar', () => {
+  const event = normalizeEvent({
+    id: 'ski-day',
+    title: 'Ski day; bring snacks, lots',
+    start: '2025-07-12T09:00',
+    notes: 'Meet at the lodge\nby 9',
+    locationId: 1,
+    attendees: ['p1']
+  });
+  const context = {
+    tripId: 'bend-2025',
+    title: 'Bend 2025',
+    locations: [{ id: 1, name: 'Mt. Bachelor', position: [43.979, -121.688] }],
+    people: [{ id: 'p1', name: 'Ana' }],
+    now: NOW
+  };
+
+  it('writes floating start times, a default length and escaped text', () => {
+    const lines = unfold(buildCalendar([event], context));
+    expect(lines).toContain('UID:ski-day@bend-2025');
+    expect(lines).toContain('DTSTAMP:20250701T120000Z');
+    expect(lines).toContain('DTSTART:20250712T090000');
+    expect(lines).toContain('DURATION:PT1H');
+    expect(lines).toContain('SUMMARY:Ski day\\; bring snacks\\, lots');
+    expect(lines).toContain('DESCRIPTION:Meet at the lodge\\nby 9\\n\\nWith Ana');
+    expect(lines).toContain('LOCATION:Mt. Bachelor');
+    expect(lines).toContain('GEO:43.979;-121.688');
+    expect(lines.at(-1)).toBe('');
+  });
+
+  it('folds long lines to 75 bytes without splitting characters', () => {
+    const ics = buildCalendar([{ ...event, title: '🎿'.repeat(40) }], context);
+    ics.split('\r\n').forEach(line => expect(new TextEncoder().encode(line).length).toBeLessThanOrEqual(75));
+    expect(unfold(ics)).toContain(`SUMMARY:${'🎿'.repeat(40)}`);
+  });
+});
+
+describe('calendarFileName', () => {
+  it('slugs the name', () => {
+    expect(calendarFileName('Ski Day @ Bachelor!')).toBe('ski-day-bachelor.ics');
+    expect(calendarFileName('🎿')).toBe('event.ics');
+  });
+});
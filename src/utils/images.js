@@ -0,0 +1,85 @@
+/**
+ * @file images.js
+ * @description Shrinks photos in the browser before they are uploaded, so a 12-megapixel
+ * phone picture becomes a few hundred kilobytes and a tiny thumbnail
+ */
+
+/**
+ * @constant {Object} PHOTO_SIZES
+ * @description Longest edge, in pixels, of the stored image and of its thumbnail
+ */
+export const PHOTO_SIZES = {
+  full: 1600,
+  thumb: 240
+};
+
+/**
+ * @constant {number} JPEG_QUALITY
+ * @description Compression quality for resized photos
+ */
+const JPEG_QUALITY = 0.82;
+
+/**
+ * @function loadImage
+ * @description Decodes an image file, applying its EXIF orientation
+ * @param {File} file - Image picked by the user
+ * @returns {Promise<ImageBitmap|HTMLImageElement>} Drawable image
+ * @throws {Error} When the file is not an image the browser can read
+ */
+const loadImage = async (file) => {
+  if (window.createImageBitmap) {
+    try {
+      return await createImageBitmap(file, { imageOrientation: 'from-image' });
+    } catch {
+      // Fall back to an <img> element, e.g. for formats createImageBitmap rejects
+    }
+  }
+  const url = URL.createObjectURL(file);
+  try {
+    const image = new Image();
+    image.src = url;
+    await image.decode();
+    return image;
+  } catch {
+    throw new Error(`${file.name} is not an image this browser can read`);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+/**
+ * @function drawScaled
+ * @description Draws an image into a canvas no larger than maxSize on its longest edge
+ * @param {ImageBitmap|HTMLImageElement} image - Decoded image
+ * @param {number} maxSize - Longest edge in pixels
+ * @returns {{dataUrl: string, width: number, height: number}} JPEG data URL and its size
+ */
+const drawScaled = (image, maxSize) => {
+  const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+  const width = Math.round(image.width * scale);
+  const height = Math.round(image.height * scale);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  // JPEG has no transparency; give PNG cut-outs a white background instead of black
+  context.fillStyle = '#fff';
+  context.fillRect(0, 0, width, height);
+  context.drawImage(image, 0, 0, width, height);
+  return { dataUrl: canvas.toDataURL('image/jpeg', JPEG_QUALITY), width, height };
+};
+
+/**
+ * @function resizePhoto
+ * @description Resizes and compresses a photo for upload
+ * @param {File} file - Image picked by the user
+ * @returns {Promise<{image: string, thumbnail: string, width: number, height: number}>}
+ * JPEG data URLs of the photo and its thumbnail, with the photo's size
+ */
+export const resizePhoto = async (file) => {
+  const source = await loadImage(file);
+  const full = drawScaled(source, PHOTO_SIZES.full);
+  const thumb = drawScaled(source, PHOTO_SIZES.thumb);
+  source.close?.();
+  return { image: full.dataUrl, thumbnail: thumb.dataUrl, width: full.width, height: full.height };
+};
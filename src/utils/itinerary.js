@@ -0,0 +1,161 @@
+/**
+ * @file itinerary.js
+ * @description Trip itinerary model shared by the app and the API functions. An itinerary is
+ * a list of days, each with an ordered list of stops that point at existing locations:
+ *
+ *   { days: [{ id, date: 'YYYY-MM-DD', title, stops: [{ id, locationId, time: 'HH:MM' | '' }] }] }
+ *
+ * Days are kept sorted by date; the order of stops within a day is the route order.
+ */
+
+import { haversineDistance } from './geo.js';
+import { HOME_CATEGORY } from './locationSchema.js';
+
+/**
+ * @class ItineraryValidationError
+ * @description Thrown when an itinerary does not match the model
+ * @property {Array<string>} errors - Human-readable problems
+ */
+export class ItineraryValidationError extends Error {
+  constructor(errors) {
+    super(`Itinerary is invalid: ${errors.join('; ')}`);
+    this.name = 'ItineraryValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * @function createId
+ * @description Short random id for days and stops
+ * @returns {string} Id
+ */
+export const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * @function normalizeItinerary
+ * @description Coerces an itinerary into the current shape and sorts its days by date
+ * @param {Object} raw - Parsed itinerary
+ * @returns {Object} Normalized itinerary
+ */
+export const normalizeItinerary = (raw) => ({
+  days: (Array.isArray(raw?.days) ? raw.days : [])
+    .map(day => ({
+      id: String(day.id || createId()),
+      date: String(day.date || ''),
+      title: typeof day.title === 'string' ? day.title.trim() : '',
+      stops: (Array.isArray(day.stops) ? day.stops : []).map(stop => ({
+        id: String(stop.id || createId()),
+        locationId: Number(stop.locationId),
+        time: typeof stop.time === 'string' ? stop.time : ''
+      }))
+    }))
+    .sort((a, b) => a.date.localeCompare(b.date))
+});
+
+/**
+ * @function validateItinerary
+ * @description Lists everything wrong with a normalized itinerary
+ * @param {Object} itinerary - Normalized itinerary
+ * @returns {Array<string>} Problems found; empty when valid
+ */
+export const validateItinerary = (itinerary) => {
+  const errors = [];
+  const dates = new Set();
+  itinerary.days.forEach(day => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day.date)) {
+      errors.push(`day "${day.title || day.id}" has no valid date`);
+    } else if (dates.has(day.date)) {
+      errors.push(`${day.date} is planned twice`);
+    }
+    dates.add(day.date);
+    day.stops.forEach(stop => {
+      if (!Number.isFinite(stop.locationId)) {
+        errors.push(`a stop on ${day.date} has no location`);
+      }
+      if (stop.time && !/^\d{2}:\d{2}$/.test(stop.time)) {
+        errors.push(`a stop on ${day.date} has an invalid time "${stop.time}"`);
+      }
+    });
+  });
+  return errors;
+};
+
+/**
+ * @function assertValidItinerary
+ * @description Normalizes an itinerary and throws if it is invalid
+ * @param {Object} raw - Parsed itinerary
+ * @returns {Object} Normalized itinerary
+ * @throws {ItineraryValidationError} When the itinerary is invalid
+ */
+export const assertValidItinerary = (raw) => {
+  const itinerary = normalizeItinerary(raw);
+  const errors = validateItinerary(itinerary);
+  if (errors.length > 0) {
+    throw new ItineraryValidationError(errors);
+  }
+  return itinerary;
+};
+
+/**
+ * @function findHeadquarters
+ * @description Picks the trip's home base: the `Home` location named "HQ…", else the first `Home`
+ * @param {Array} locations - Normalized locations
+ * @returns {Object|null} The HQ location, if any
+ */
+export const findHeadquarters = (locations) => {
+  const homes = locations.filter(location => location.category.includes(HOME_CATEGORY));
+  return homes.find(location => /^hq\b/i.test(location.name)) || homes[0] || null;
+};
+
+/**
+ * @function toLocalDate
+ * @description Formats a Date as a local `YYYY-MM-DD` string
+ * @param {Date} date - Date to format
+ * @returns {string} Local calendar date
+ */
+export const toLocalDate = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+/**
+ * @function pickToday
+ * @description Finds the day to show as "Today": today's date if planned, otherwise the next
+ * planned day, otherwise the last one
+ * @param {Array} days - Itinerary days, sorted by date
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Object|null} The day, if any
+ */
+export const pickToday = (days, now = new Date()) => {
+  const today = toLocalDate(now);
+  return days.find(day => day.date >= today) || days[days.length - 1] || null;
+};
+
+/**
+ * @function buildRoute
+ * @description Resolves a day's stops into a route that starts at HQ, with the straight-line
+ * distance of each leg
+ * @param {Object} day - Itinerary day
+ * @param {Array} locations - Normalized locations
+ * @returns {{points: Array, legs: Array<{stop: Object, location: Object, distance: number}>, total: number}}
+ */
+export const buildRoute = (day, locations) => {
+  const hq = findHeadquarters(locations);
+  const legs = [];
+  let previous = hq;
+
+  day.stops.forEach(stop => {
+    const location = locations.find(loc => loc.id === stop.locationId);
+    if (!location) return;
+    const distance = previous ? haversineDistance(previous.position, location.position) : 0;
+    legs.push({ stop, location, distance });
+    previous = location;
+  });
+
+  return {
+    points: [...(hq ? [hq.position] : []), ...legs.map(leg => leg.location.position)],
+    legs,
+    total: legs.reduce((sum, leg) => sum + leg.distance, 0)
+  };
+};
@@ -0,0 +1,151 @@
+/**
+ * @file liveSync.js
+ * @description Messages that keep open copies of the map in step while people edit, shared
+ * by the app and the local server. Tabs of one browser exchange them over a
+ * BroadcastChannel, and devices over a WebSocket to the local Node server:
+ *
+ *   { type: 'changes', changes: [{ before, after }], editor }  - locations were written
+ *   { type: 'lock', locationId, editor, clientId, ttl }        - someone opened the editor
+ *   { type: 'unlock', locationId, clientId }                   - and closed it again
+ *   { type: 'locks', locks: [{ locationId, editor, clientId, ttl }] } - every current lock
+ *   { type: 'hello', clientId }                                - a tab joined; others repeat their locks
+ *
+ * Locks are soft: they tell admins that someone else has a location open, but do not stop
+ * anyone from saving. Saves are still checked against the location's revision. A lock
+ * lapses after `ttl` milliseconds unless renewed, so a closed laptop does not hold one forever.
+ */
+
+/**
+ * @constant {string} LIVE_SYNC_PATH
+ * @description Path of the WebSocket endpoint on the local server
+ */
+export const LIVE_SYNC_PATH = '/api/live';
+
+/**
+ * @constant {string} LIVE_SYNC_PROTOCOL
+ * @description WebSocket subprotocol of the endpoint; the admin session token follows it
+ * as a second subprotocol
+ */
+export const LIVE_SYNC_PROTOCOL = 'live-sync';
+
+/**
+ * @constant {number} LOCK_TTL_MS
+ * @description How long a lock lasts without being renewed
+ */
+export const LOCK_TTL_MS = 60000;
+
+/**
+ * @constant {number} LOCK_RENEW_MS
+ * @description How often an open editor renews its lock
+ */
+export const LOCK_RENEW_MS = 20000;
+
+/**
+ * @function isLocationId
+ * @description Whether a value can be a location id
+ * @param {*} value - Value from a message
+ * @returns {boolean} True for finite numbers
+ */
+const isLocationId = (value) => Number.isFinite(value);
+
+/**
+ * @function parseSyncMessage
+ * @description Reads a message from the other channel end, dropping anything malformed
+ * @param {string|Object} raw - Message as received
+ * @returns {Object|null} The message, or null when it is not one of the types above
+ */
+export const parseSyncMessage = (raw) => {
+  let message = raw;
+  if (typeof raw === 'string') {
+    try {
+      message = JSON.parse(raw);
+    } catch {
+      return null;
+    }
+  }
+  if (!message || typeof message !== 'object') return null;
+  const clientId = typeof message.clientId === 'string' ? message.clientId : '';
+  const editor = typeof message.editor === 'string' ? message.editor : '';
+  const ttl = Number.isFinite(message.ttl) ? Math.min(message.ttl, LOCK_TTL_MS) : LOCK_TTL_MS;
+
+  switch (message.type) {
+    case 'changes':
+      return Array.isArray(message.changes) ? { type: 'changes', changes: message.changes, editor, clientId } : null;
+    case 'lock':
+      return isLocationId(message.locationId) && clientId
+        ? { type: 'lock', locationId: message.locationId, editor, clientId, ttl }
+        : null;
+    case 'unlock':
+      return isLocationId(message.locationId) && clientId
+        ? { type: 'unlock', locationId: message.locationId, clientId }
+        : null;
+    case 'locks':
+      return Array.isArray(message.locks)
+        ? { type: 'locks', locks: message.locks.map(lock => parseSyncMessage({ ...lock, type: 'lock' })).filter(Boolean) }
+        : null;
+    case 'hello':
+      return clientId ? { type: 'hello', clientId } : null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * @function mergeLocationChanges
+ * @description Applies locations written elsewhere to the loaded list. A change only
+ * replaces a location when it is newer than the loaded copy, so echoes of this tab's own
+ * saves and messages arriving over both channels are ignored.
+ * @param {Array} locations - Loaded locations
+ * @param {Array} changes - `[{ before, after }]`, with after null for a delete
+ * @returns {Array} The merged list; the same array when nothing changed
+ */
+export const mergeLocationChanges = (locations, changes) => changes.reduce((list, { before, after }) => {
+  const id = (after || before)?.id;
+  const index = list.findIndex(location => location.id === id);
+  const current = index >= 0 ? list[index] : null;
+  if (!after) {
+    return current && current.revision <= (before?.revision ?? 0) ? list.filter(location => location !== current) : list;
+  }
+  if (!current) return [...list, after];
+  if ((after.revision ?? 0) <= current.revision) return list;
+  return list.map(location => (location === current ? after : location));
+}, locations);
+
+/**
+ * @function applyLockMessage
+ * @description Updates the known locks with a lock message
+ * @param {Array} locks - `[{ locationId, editor, clientId, expiresAt }]`
+ * @param {Object} message - Parsed lock, unlock or locks message
+ * @param {number} [now] - Current time in ms
+ * @returns {Array} Updated locks
+ */
+export const applyLockMessage = (locks, message, now = Date.now()) => {
+  const toLock = ({ locationId, editor, clientId, ttl }) => ({ locationId, editor, clientId, expiresAt: now + ttl });
+  switch (message.type) {
+    case 'lock':
+      // Each tab edits one location at a time, so its new lock replaces its old one
+      return [...locks.filter(lock => lock.clientId !== message.clientId), toLock(message)];
+    case 'unlock':
+      return locks.filter(lock => lock.locationId !== message.locationId || lock.clientId !== message.clientId);
+    case 'locks':
+      // A snapshot from the server; locks that only came from other tabs stay until they lapse
+      return [
+        ...locks.filter(lock => !message.locks.some(other => other.clientId === lock.clientId)),
+        ...message.locks.map(toLock)
+      ];
+    default:
+      return locks;
+  }
+};
+
+/**
+ * @function findActiveLocks
+ * @description Locks held by other tabs and devices that have not lapsed
+ * @param {Array} locks - Known locks
+ * @param {string} clientId - This tab's id, whose own lock is left out
+ * @param {number} [now] - Current time in ms
+ * @returns {Map<number, Object>} Location id to the latest lock on it
+ */
+export const findActiveLocks = (locks, clientId, now = Date.now()) => new Map(locks
+  .filter(lock => lock.clientId !== clientId && lock.expiresAt > now)
+  .map(lock => [lock.locationId, lock]));
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import {
+  mergeLocationChanges, parseSyncMessage, applyLockMessage, findActiveLocks, LOCK_TTL_MS
+} from './liveSync';
+
+const spot = (id, revision, name = `Spot ${id}`) => ({ id, revision, name });
+
+describe('mergeLocationChanges', () => {
+  const loaded = [spot(1, 3), spot(2, 1)];
+
+  it('replaces a location with a newer revision and adds new ones', () => {
+    const merged = mergeLocationChanges(loaded, [
+      { before: spot(1, 3), after: spot(1, 4, 'Renamed') },
+      { before: null, after: spot(3, 1) }
+    ]);
+    expect(merged).toEqual([spot(1, 4, 'Renamed'), spot(2, 1), spot(3, 1)]);
+  });
+
+  it('returns the same list for echoes of changes it already has', () => {
+    expect(mergeLocationChanges(loaded, [{ before: spot(1, 2), after: spot(1, 3, 'Old echo') }])).toBe(loaded);
+  });
+
+  it('deletes a location only when the loaded copy is not newer than the deleted one', () => {
+    expect(mergeLocationChanges(loaded, [{ before: spot(2, 1), after: null }])).toEqual([spot(1, 3)]);
+    expect(mergeLocationChanges(loaded, [{ before: spot(1, 2), after: null }])).toBe(loaded);
+  });
+});
+
+describe('locks', () => {
+  it('drops malformed messages and caps the lifetime of a lock', () => {
+    expect(parseSyncMessage('not json')).toBeNull();
+    expect(parseSyncMessage({ type: 'lock', locationId: '1', clientId: 'a' })).toBeNull();
+    expect(parseSyncMessage(JSON.stringify({ type: 'lock', locationId: 1, clientId: 'a', editor: 'Ana', ttl: 1e9 })))
+      .toEqual({ type: 'lock', locationId: 1, clientId: 'a', editor: 'Ana', ttl: LOCK_TTL_MS });
+  });
+
+  it('keeps one lock per tab and leaves out this tab and lapsed locks', () => {
+    let locks = [];
+    locks = applyLockMessage(locks, { type: 'lock', locationId: 1, clientId: 'a', editor: 'Ana', ttl: 1000 }, 0);
+    locks = applyLockMessage(locks, { type: 'lock', locationId: 2, clientId: 'a', editor: 'Ana', ttl: 1000 }, 0);
+    locks = applyLockMessage(locks, { type: 'lock', locationId: 3, clientId: 'b', editor: 'Ben', ttl: 5000 }, 0);
+    locks = applyLockMessage(locks, { type: 'lock', locationId: 4, clientId: 'me', editor: 'Me', ttl: 5000 }, 0);
+
+    expect([...findActiveLocks(locks, 'me', 500).keys()]).toEqual([2, 3]);
+    expect([...findActiveLocks(locks, 'me', 2000).keys()]).toEqual([3]);
+
+    locks = applyLockMessage(locks, { type: 'unlock', locationId: 3, clientId: 'b' }, 0);
+    expect([...findActiveLocks(locks, 'me', 500).keys()]).toEqual([2]);
+  });
+});
@@ -0,0 +1,449 @@
+/**
+ * @file locationFormats.js
+ * @description Converts locations to and from GeoJSON, GPX, KML and CSV.
+ *
+ * Exporters take normalized locations and return file contents. Parsers return generic rows,
+ * `{ position: [lat, lng] | null, properties: { key: value } }`, keeping every field the source
+ * file had so the import dialog can let the user decide which one becomes the name,
+ * description, category or emoji (see applyFieldMapping).
+ */
+
+import { normalizeLocation } from './locationSchema';
+
+/**
+ * @constant {Object} EXPORT_FORMATS
+ * @description File extension and MIME type for each supported format
+ */
+export const EXPORT_FORMATS = {
+  json: { label: 'JSON', extension: 'json', type: 'application/json' },
+  geojson: { label: 'GeoJSON', extension: 'geojson', type: 'application/geo+json' },
+  gpx: { label: 'GPX', extension: 'gpx', type: 'application/gpx+xml' },
+  kml: { label: 'KML', extension: 'kml', type: 'application/vnd.google-earth.kml+xml' },
+  csv: { label: 'CSV', extension: 'csv', type: 'text/csv' }
+};
+
+/**
+ * @constant {Array<string>} MAPPED_FIELDS
+ * @description Location fields the import dialog maps source fields onto
+ */
+export const MAPPED_FIELDS = ['name', 'description', 'category', 'emoji'];
+
+/**
+ * @constant {Object} FIELD_ALIASES
+ * @description Source field names recognized automatically for each location field
+ */
+const FIELD_ALIASES = {
+  id: ['id'],
+  name: ['name', 'title'],
+  description: ['description', 'desc', 'notes', 'note', 'cmt', 'comment'],
+  category: ['category', 'categories', 'type', 'folder', 'layer'],
+  emoji: ['emoji', 'icon', 'sym', 'symbol']
+};
+
+const CSV_COLUMNS = ['id', 'name', 'description', 'category', 'emoji', 'latitude', 'longitude'];
+
+/**
+ * @function splitCategories
+ * @description Reads categories from an imported value: an array, or text separated by `;` or `,`
+ * @param {Array|string|undefined} value - Imported value
+ * @returns {Array<string>} Category names
+ */
+const splitCategories = (value) => (Array.isArray(value) ? value : String(value ?? '').split(/[;,]/))
+  .map(cat => String(cat).trim())
+  .filter(Boolean);
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * @function escapeCsv
+ * @description Quotes a CSV cell when it holds a quote, comma or line break
+ * @param {*} value - Cell value
+ * @returns {string} Cell text
+ */
+export const escapeCsv = (value) => {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @function toGeoJSON
+ * @description Exports locations as a GeoJSON FeatureCollection of points
+ * @param {Array} locations - Normalized locations
+ * @returns {string} GeoJSON text
+ */
+export const toGeoJSON = (locations) => JSON.stringify({
+  type: 'FeatureCollection',
+  features: locations.map(({ position, ...properties }) => ({
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [position[1], position[0]] },
+    properties
+  }))
+}, null, 2);
+
+/**
+ * @function toGPX
+ * @description Exports locations as GPX waypoints. Category goes in `<type>`, and the id and
+ * emoji in trip extensions so a round trip keeps them.
+ * @param {Array} locations - Normalized locations
+ * @returns {string} GPX text
+ */
+export const toGPX = (locations) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<gpx version="1.1" creator="bend-2025" xmlns="http://www.topografix.com/GPX/1/1" xmlns:trip="urn:bend-2025:trip">',
+  ...locations.map(location => [
+    `  <wpt lat="${location.position[0]}" lon="${location.position[1]}">`,
+    `    <name>${escapeXml(location.name)}</name>`,
+    `    <desc>${escapeXml(location.description)}</desc>`,
+    `    <type>${escapeXml(location.category.join(';'))}</type>`,
+    '    <extensions>',
+    `      <trip:id>${location.id}</trip:id>`,
+    `      <trip:emoji>${escapeXml(location.emoji)}</trip:emoji>`,
+    '    </extensions>',
+    '  </wpt>'
+  ].join('\n')),
+  '</gpx>',
+  ''
+].join('\n');
+
+/**
+ * @function toKML
+ * @description Exports locations as KML placemarks, with id, category and emoji as ExtendedData
+ * @param {Array} locations - Normalized locations
+ * @param {string} [documentName='Locations'] - Name shown for the KML document
+ * @returns {string} KML text
+ */
+export const toKML = (locations, documentName = 'Locations') => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<kml xmlns="http://www.opengis.net/kml/2.2">',
+  '  <Document>',
+  `    <name>${escapeXml(documentName)}</name>`,
+  ...locations.map(location => [
+    '    <Placemark>',
+    `      <name>${escapeXml(location.name)}</name>`,
+    `      <description>${escapeXml(location.description)}</description>`,
+    '      <ExtendedData>',
+    `        <Data name="id"><value>${location.id}</value></Data>`,
+    `        <Data name="category"><value>${escapeXml(location.category.join(';'))}</value></Data>`,
+    `        <Data name="emoji"><value>${escapeXml(location.emoji)}</value></Data>`,
+    '      </ExtendedData>',
+    `      <Point><coordinates>${location.position[1]},${location.position[0]}</coordinates></Point>`,
+    '    </Placemark>'
+  ].join('\n')),
+  '  </Document>',
+  '</kml>',
+  ''
+].join('\n');
+
+/**
+ * @function toCSV
+ * @description Exports locations as CSV, one row per location, categories joined with `;`
+ * @param {Array} locations - Normalized locations
+ * @returns {string} CSV text
+ */
+export const toCSV = (locations) => [
+  CSV_COLUMNS.join(','),
+  ...locations.map(location => [
+    location.id,
+    location.name,
+    location.description,
+    location.category.join(';'),
+    location.emoji,
+    location.position[0],
+    location.position[1]
+  ].map(escapeCsv).join(','))
+].join('\r\n');
+
+/**
+ * @function exportLocations
+ * @description Serializes locations in one of the EXPORT_FORMATS
+ * @param {Array} locations - Normalized locations
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @returns {string} File contents
+ */
+export const exportLocations = (locations, format) => {
+  switch (format) {
+    case 'geojson': return toGeoJSON(locations);
+    case 'gpx': return toGPX(locations);
+    case 'kml': return toKML(locations);
+    case 'csv': return toCSV(locations);
+    default: return JSON.stringify({ locations }, null, 2);
+  }
+};
+
+/**
+ * @function parseCSVText
+ * @description Splits CSV text into rows of cells, handling quoted fields with commas,
+ * escaped quotes and line breaks
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of cells
+ */
+const parseCSVText = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+/**
+ * @function parseCSV
+ * @description Parses CSV with a header row. Coordinates are read from lat/latitude and
+ * lng/lon/long/longitude columns.
+ * @param {string} text - CSV text
+ * @returns {Array} Import rows
+ */
+export const parseCSV = (text) => {
+  const [header = [], ...rows] = parseCSVText(text.replace(/^\uFEFF/, ''));
+  const keys = header.map(key => key.trim());
+  const findColumn = (names) => keys.findIndex(key => names.includes(key.toLowerCase()));
+  const latColumn = findColumn(['lat', 'latitude']);
+  const lngColumn = findColumn(['lng', 'lon', 'long', 'longitude']);
+
+  return rows.map(cells => {
+    const properties = Object.fromEntries(keys.map((key, i) => [key, (cells[i] ?? '').trim()]));
+    const lat = Number(cells[latColumn]);
+    const lng = Number(cells[lngColumn]);
+    return {
+      position: latColumn >= 0 && lngColumn >= 0 && cells[latColumn] && cells[lngColumn] ? [lat, lng] : null,
+      properties
+    };
+  });
+};
+
+/**
+ * @function parseGeoJSON
+ * @description Parses a FeatureCollection (or a single Feature); only Point features become rows
+ * @param {string} text - GeoJSON text
+ * @returns {Array} Import rows
+ */
+export const parseGeoJSON = (text) => {
+  const data = JSON.parse(text);
+  const features = data.type === 'FeatureCollection' ? data.features : [data];
+  return features
+    .filter(feature => feature?.geometry?.type === 'Point')
+    .map(feature => {
+      const [lng, lat] = feature.geometry.coordinates;
+      return {
+        position: [Number(lat), Number(lng)],
+        properties: { ...(feature.id !== undefined ? { id: feature.id } : {}), ...feature.properties }
+      };
+    });
+};
+
+const parseXML = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('The file is not valid XML');
+  }
+  return doc;
+};
+
+const childText = (element, localName) => {
+  const child = Array.from(element.children).find(node => node.localName === localName);
+  return child ? child.textContent.trim() : undefined;
+};
+
+/**
+ * @function parseGPX
+ * @description Parses GPX waypoints, including child elements of `<extensions>`
+ * @param {string} text - GPX text
+ * @returns {Array} Import rows
+ */
+export const parseGPX = (text) => {
+  const doc = parseXML(text);
+  return Array.from(doc.getElementsByTagNameNS('*', 'wpt')).map(wpt => {
+    const properties = {};
+    Array.from(wpt.children).forEach(child => {
+      if (child.localName === 'extensions') {
+        Array.from(child.children).forEach(extension => {
+          properties[extension.localName] = extension.textContent.trim();
+        });
+      } else if (child.children.length === 0) {
+        properties[child.localName] = child.textContent.trim();
+      }
+    });
+    return {
+      position: [Number(wpt.getAttribute('lat')), Number(wpt.getAttribute('lon'))],
+      properties
+    };
+  });
+};
+
+/**
+ * @function parseKML
+ * @description Parses KML point placemarks. ExtendedData fields become properties, and the
+ * enclosing folder name (a layer, in Google My Maps exports) is exposed as `folder`.
+ * @param {string} text - KML text
+ * @returns {Array} Import rows
+ */
+export const parseKML = (text) => {
+  const doc = parseXML(text);
+  return Array.from(doc.getElementsByTagNameNS('*', 'Placemark'))
+    .map(placemark => {
+      const point = Array.from(placemark.getElementsByTagNameNS('*', 'Point'))[0];
+      const coordinates = point && childText(point, 'coordinates');
+      if (!coordinates) return null;
+      const [lng, lat] = coordinates.split(',').map(Number);
+
+      const properties = {
+        name: childText(placemark, 'name'),
+        description: childText(placemark, 'description')
+      };
+      const folder = placemark.parentElement?.localName === 'Folder' && childText(placemark.parentElement, 'name');
+      if (folder) properties.folder = folder;
+      Array.from(placemark.getElementsByTagNameNS('*', 'Data')).forEach(data => {
+        properties[data.getAttribute('name')] = childText(data, 'value');
+      });
+      Array.from(placemark.getElementsByTagNameNS('*', 'SimpleData')).forEach(data => {
+        properties[data.getAttribute('name')] = data.textContent.trim();
+      });
+
+      return { position: [lat, lng], properties };
+    })
+    .filter(Boolean);
+};
+
+/**
+ * @function detectFormat
+ * @description Guesses the format of an imported file from its name, then its contents
+ * @param {string} fileName - Name of the file
+ * @param {string} text - File contents
+ * @returns {string|null} 'geojson', 'gpx', 'kml', 'csv', or null if unrecognized
+ */
+export const detectFormat = (fileName, text) => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (['geojson', 'json'].includes(extension)) return 'geojson';
+  if (['gpx', 'kml', 'csv'].includes(extension)) return extension;
+
+  const start = text.trimStart();
+  if (start.startsWith('{')) return 'geojson';
+  if (/<gpx[\s>]/.test(start)) return 'gpx';
+  if (/<kml[\s>]/.test(start)) return 'kml';
+  return start.includes(',') ? 'csv' : null;
+};
+
+/**
+ * @function parseImportFile
+ * @description Parses an imported file into rows. Our own `{ locations: [...] }` JSON is
+ * accepted too and treated like GeoJSON properties.
+ * @param {string} fileName - Name of the file
+ * @param {string} text - File contents
+ * @returns {Array} Import rows
+ * @throws {Error} When the format is unknown or the file cannot be parsed
+ */
+export const parseImportFile = (fileName, text) => {
+  const format = detectFormat(fileName, text);
+  switch (format) {
+    case 'geojson': {
+      const data = JSON.parse(text);
+      if (Array.isArray(data.locations)) {
+        return data.locations.map(({ position, ...properties }) => ({
+          position: normalizeLocation({ position }).position,
+          properties
+        }));
+      }
+      return parseGeoJSON(text);
+    }
+    case 'gpx': return parseGPX(text);
+    case 'kml': return parseKML(text);
+    case 'csv': return parseCSV(text);
+    default:
+      throw new Error(`Unrecognized file format: ${fileName}`);
+  }
+};
+
+/**
+ * @function guessFieldMapping
+ * @description Picks a source field for each location field based on common names
+ * @param {Array<string>} sourceFields - Field names found in the imported rows
+ * @returns {Object} Mapping of location field to source field ('' when none matches)
+ */
+export const guessFieldMapping = (sourceFields) => Object.fromEntries(
+  ['id', ...MAPPED_FIELDS].map(field => [
+    field,
+    sourceFields.find(source => FIELD_ALIASES[field].includes(source.toLowerCase())) || ''
+  ])
+);
+
+/**
+ * @function applyFieldMapping
+ * @description Builds a normalized location from an import row
+ * @param {Object} row - Import row
+ * @param {Object} mapping - Location field to source field
+ * @param {string} defaultCategory - Category used when the row provides none
+ * @returns {Object} Normalized location (id is undefined when the row has none)
+ */
+export const applyFieldMapping = (row, mapping, defaultCategory) => {
+  const value = (field) => (mapping[field] ? row.properties[mapping[field]] : undefined);
+  const category = splitCategories(value('category'));
+  const id = Number(value('id'));
+
+  return normalizeLocation({
+    id: value('id') !== undefined && value('id') !== '' && Number.isFinite(id) ? id : undefined,
+    name: value('name'),
+    description: value('description'),
+    category: category.length > 0 ? category : [defaultCategory],
+    emoji: value('emoji'),
+    position: row.position
+  });
+};
+
+/**
+ * @function mergeImportRow
+ * @description Applies an import row on top of an existing location. Only fields that are
+ * mapped and non-empty in the row overwrite the existing values.
+ * @param {Object} existing - Location already in the data
+ * @param {Object} row - Import row
+ * @param {Object} mapping - Location field to source field
+ * @returns {Object} Normalized merged location, keeping the existing id
+ */
+export const mergeImportRow = (existing, row, mapping) => {
+  const changes = {};
+  MAPPED_FIELDS.forEach(field => {
+    const value = mapping[field] ? row.properties[mapping[field]] : undefined;
+    if (field === 'category') {
+      const category = splitCategories(value);
+      if (category.length > 0) changes.category = category;
+    } else if (value !== undefined && value !== '') {
+      changes[field] = value;
+    }
+  });
+  if (row.position) changes.position = row.position;
+  return normalizeLocation({ ...existing, ...changes, id: existing.id });
+};
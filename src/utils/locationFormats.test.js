@@ -0,0 +1,94 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest';
+import {
+  exportLocations, parseImportFile, parseCSV, detectFormat, guessFieldMapping, applyFieldMapping, mergeImportRow
+} from './locationFormats';
+import { normalizeLocation } from './locationSchema';
+
+const LOCATIONS = [
+  normalizeLocation({
+    id: 1743431149290,
+    name: 'Tacos & "Tequila", Downtown',
+    description: 'Line one\nline two <b>bold</b>',
+    category: ['Food', 'Beverages'],
+    emoji: '🌮',
+    position: [44.0582, -121.3153]
+  }),
+  normalizeLocation({
+    id: 1743431149291,
+    name: 'Pilot Butte',
+    description: '',
+    category: ['Outdoors'],
+    emoji: '🏔️',
+    position: [44.0597, -121.2822]
+  })
+];
+
+/**
+ * Exports the locations, imports the file again with the guessed field mapping and
+ * returns what the import dialog would save
+ */
+const roundTrip = (format, extension) => {
+  const rows = parseImportFile(`locations.${extension}`, exportLocations(LOCATIONS, format));
+  const mapping = guessFieldMapping([...new Set(rows.flatMap(row => Object.keys(row.properties)))]);
+  return rows.map(row => applyFieldMapping(row, mapping, 'Other'));
+};
+
+const comparable = ({ id, name, description, category, emoji, position }) => ({ id, name, description, category, emoji, position });
+
+describe('location export and import', () => {
+  it.each([
+    ['csv', 'csv'],
+    ['gpx', 'gpx'],
+    ['kml', 'kml'],
+    ['geojson', 'geojson'],
+    ['json', 'json']
+  ])('keeps every mapped field through a %s round trip', (format, extension) => {
+    expect(roundTrip(format, extension).map(comparable)).toEqual(LOCATIONS.map(comparable));
+  });
+
+  it('reads quoted CSV cells with commas, quotes and line breaks', () => {
+    const [row] = parseCSV('name,notes,lat,lon\r\n"Smith, ""Rock""","a\nb",44.1,-121.2\r\n');
+    expect(row.properties).toEqual({ name: 'Smith, "Rock"', notes: 'a\nb', lat: '44.1', lon: '-121.2' });
+    expect(row.position).toEqual([44.1, -121.2]);
+  });
+
+  it('leaves rows without coordinates unplaced', () => {
+    const [row] = parseCSV('name,latitude,longitude\nNowhere,,\n');
+    expect(row.position).toBeNull();
+  });
+
+  it('takes KML folder names as categories', () => {
+    const kml = `<?xml version="1.0"?>
+      <kml xmlns="http://www.opengis.net/kml/2.2"><Document><Folder><name>Breweries</name>
+        <Placemark><name>Crux</name><Point><coordinates>-121.31,44.05,0</coordinates></Point></Placemark>
+        <Placemark><name>No point</name></Placemark>
+      </Folder></Document></kml>`;
+    const rows = parseImportFile('my-map.kml', kml);
+    expect(rows).toHaveLength(1);
+    const [location] = rows.map(row => applyFieldMapping(row, guessFieldMapping(Object.keys(row.properties)), 'Other'));
+    expect(location.category).toEqual(['Breweries']);
+    expect(location.position).toEqual([44.05, -121.31]);
+  });
+
+  it('rejects XML that does not parse', () => {
+    expect(() => parseImportFile('broken.gpx', '<gpx><wpt>')).toThrow('not valid XML');
+  });
+
+  it('detects the format from the contents when the extension does not say', () => {
+    expect(detectFormat('export.txt', '  <gpx version="1.1">')).toBe('gpx');
+    expect(detectFormat('export.txt', '{"type":"FeatureCollection"}')).toBe('geojson');
+    expect(detectFormat('export.txt', 'name,lat,lng')).toBe('csv');
+    expect(detectFormat('export.txt', 'hello')).toBeNull();
+  });
+
+  it('merges only the mapped, non-empty fields of a row into an existing location', () => {
+    const row = { position: null, properties: { title: 'Renamed', notes: '', type: 'Food;Sights' } };
+    const merged = mergeImportRow(LOCATIONS[1], row, { name: 'title', description: 'notes', category: 'type', emoji: '' });
+    expect(comparable(merged)).toEqual({
+      ...comparable(LOCATIONS[1]),
+      name: 'Renamed',
+      category: ['Food', 'Sights']
+    });
+  });
+});
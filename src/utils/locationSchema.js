@@ -0,0 +1,442 @@
+/**
+ * @file locationSchema.js
+ * @description Location schema shared by the app and the API functions. Every record goes
+ * through here when it is loaded, imported or saved, so the rest of the code can rely on a
+ * single shape:
+ *
+ *   {
+ *     id: number,
+ *     name: string,
+ *     description: string,
+ *     category: string[],     // at least one known category
+ *     emoji: string,          // one to four emoji, no whitespace or other text
+ *     position: [lat, lng],   // inside the trip bounding box
+ *     photos: Photo[],        // { id, url, thumbUrl, width, height }, uploaded via /api/photos
+ *     coverPhotoId: string|null, // photo shown as the marker instead of the emoji
+ *     revision: number        // bumped by the API on every write; 0 for never-saved records
+ *   }
+ *
+ * Data files carry a `version` field. Files without one are treated as version 1, where
+ * `category` could be a single string, `emoji` an array and `position` a `{ lat, lng }` object.
+ * Since version 3 the file also lists its categories, each
+ * `{ name, color, emoji, emojis }`, and locations may only use those.
+ */
+
+/**
+ * @constant {number} SCHEMA_VERSION
+ * @description Current version of the location data format
+ */
+export const SCHEMA_VERSION = 3;
+
+/**
+ * @constant {string} HOME_CATEGORY
+ * @description Category of the places the group stays. Its locations are the HQ, the distance
+ * origins and the start of each day's route, so it keeps its name.
+ */
+export const HOME_CATEGORY = 'Home';
+
+/**
+ * @constant {Array<Object>} DEFAULT_CATEGORIES
+ * @description Categories of data files written before categories were stored with the data.
+ * `emoji` is the marker new locations start with; `emojis` is the palette the editor offers.
+ */
+export const DEFAULT_CATEGORIES = [
+  {
+    name: 'Food',
+    color: '#FF8E8E',
+    emoji: '🍽️',
+    emojis: ['🍽️', '🍕', '🍜', '🍣', '🥗', '🥪', '🍰', '🍦']
+  },
+  {
+    name: 'Beverages',
+    color: '#6B4984',
+    emoji: '🍺',
+    emojis: ['🍺', '🍷', '🍸', '🍹', '🥂', '🍻', '🥃']
+  },
+  {
+    name: 'Activities',
+    color: '#2ca5b8',
+    emoji: '⛰️',
+    emojis: ['🏃', '🚴', '⛷️', '🏂', '🎣', '⛰️', '🏕️', '🎯', '🎨', '🎭', '🎪', '🎢', '🏖️', '🏊']
+  },
+  {
+    name: HOME_CATEGORY,
+    color: '#2A4858',
+    emoji: '🏠',
+    emojis: ['🏠', '🏡', '🏘️', '🏚️', '🏛️', '🏰']
+  }
+];
+
+/**
+ * @constant {Array<string>} CATEGORIES
+ * @description Names of the default categories, used when no category list is given
+ */
+export const CATEGORIES = DEFAULT_CATEGORIES.map(category => category.name);
+
+/**
+ * @constant {string} DEFAULT_EMOJI
+ * @description Marker emoji used when a location has none
+ */
+export const DEFAULT_EMOJI = '📍';
+
+/**
+ * @constant {number} MAX_EMOJI_LENGTH
+ * @description Most emoji a marker may combine (e.g. 🍺🍔)
+ */
+export const MAX_EMOJI_LENGTH = 4;
+
+/**
+ * @constant {RegExp} EMOJI_PATTERN
+ * @description Characters allowed in a marker emoji: pictographs and the joiners, variation
+ * selectors, skin tones, flags and keycaps that build them. Emoji end up in marker HTML, so
+ * this also keeps markup out.
+ */
+const EMOJI_PATTERN = /^(?:\p{Extended_Pictographic}|\p{Emoji_Component})+$/u;
+
+/**
+ * @function countGraphemes
+ * @description Counts user-perceived characters, so 👨‍👩‍👧 is one emoji and not five code points
+ * @param {string} text - Text to count
+ * @returns {number} Number of graphemes
+ */
+const countGraphemes = (text) => (typeof Intl.Segmenter === 'function'
+  ? [...new Intl.Segmenter().segment(text)].length
+  : [...text].length);
+
+/**
+ * @function validateEmoji
+ * @description Checks a marker emoji
+ * @param {string} emoji - Emoji without whitespace
+ * @param {string} label - What the emoji belongs to, for the message
+ * @returns {string|null} The problem, or null when the emoji is fine
+ */
+const validateEmoji = (emoji, label) => {
+  if (!EMOJI_PATTERN.test(emoji)) {
+    return `${label} must be emoji only`;
+  }
+  if (countGraphemes(emoji) > MAX_EMOJI_LENGTH) {
+    return `${label} can have at most ${MAX_EMOJI_LENGTH} emoji`;
+  }
+  return null;
+};
+
+/**
+ * @constant {Object} DEFAULT_BOUNDS
+ * @description Sane bounding box for coordinates: Central Oregon, with plenty of margin
+ * around Bend for day trips
+ */
+export const DEFAULT_BOUNDS = { south: 43.0, west: -123.0, north: 45.5, east: -120.0 };
+
+/**
+ * @class LocationValidationError
+ * @description Thrown when a location does not match the schema
+ * @property {Array<string>} errors - Human-readable problems with the record
+ */
+export class LocationValidationError extends Error {
+  constructor(errors, location) {
+    const label = location?.name ? `"${location.name}"` : 'Location';
+    super(`${label} is invalid: ${errors.join('; ')}`);
+    this.name = 'LocationValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * @class CategoryValidationError
+ * @description Thrown when a category list is invalid, or a change would leave locations
+ * pointing at a category that no longer exists
+ * @property {Array<string>} errors - Human-readable problems with the list
+ */
+export class CategoryValidationError extends Error {
+  constructor(errors) {
+    super(`Categories are invalid: ${errors.join('; ')}`);
+    this.name = 'CategoryValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * @function toPosition
+ * @description Coerces the supported position shapes into `[lat, lng]`
+ * @param {Array|Object} position - `[lat, lng]`, `{ lat, lng }` or `{ lat, lon }`
+ * @returns {Array|null} Numeric pair, or null when it cannot be read
+ */
+const toPosition = (position) => {
+  if (Array.isArray(position)) {
+    return position.length === 2 ? position.map(Number) : null;
+  }
+  if (position && typeof position === 'object') {
+    return [Number(position.lat), Number(position.lng ?? position.lon)];
+  }
+  return null;
+};
+
+/**
+ * @function normalizePhoto
+ * @description Trims a photo record down to the fields the app uses
+ * @param {Object} raw - Photo record
+ * @returns {Object} `{ id, url, thumbUrl, width, height }`
+ */
+const normalizePhoto = (raw) => ({
+  id: typeof raw.id === 'string' ? raw.id : '',
+  url: typeof raw.url === 'string' ? raw.url : '',
+  thumbUrl: typeof raw.thumbUrl === 'string' && raw.thumbUrl ? raw.thumbUrl : raw.url,
+  width: Number.isFinite(raw.width) ? raw.width : null,
+  height: Number.isFinite(raw.height) ? raw.height : null
+});
+
+/**
+ * @function normalizeLocation
+ * @description Converts a location record of any known shape into the current one.
+ * Normalization never throws; use validateLocation to find out whether the result is usable.
+ * @param {Object} raw - Location record
+ * @returns {Object} Normalized location
+ */
+export const normalizeLocation = (raw) => {
+  const category = (Array.isArray(raw.category) ? raw.category : [raw.category])
+    .filter(cat => typeof cat === 'string' && cat.trim())
+    .map(cat => cat.trim());
+  const emoji = (Array.isArray(raw.emoji) ? raw.emoji.join('') : String(raw.emoji ?? ''))
+    .replace(/\s+/g, '');
+  const photos = (Array.isArray(raw.photos) ? raw.photos : [])
+    .filter(photo => photo && typeof photo === 'object')
+    .map(normalizePhoto);
+
+  return {
+    ...raw,
+    id: typeof raw.id === 'string' && raw.id.trim() !== '' ? Number(raw.id) : raw.id,
+    name: typeof raw.name === 'string' ? raw.name.trim() : '',
+    description: typeof raw.description === 'string' ? raw.description.trim() : '',
+    category: [...new Set(category)],
+    emoji: emoji || DEFAULT_EMOJI,
+    position: toPosition(raw.position),
+    photos,
+    // A cover photo that has since been removed falls back to the emoji
+    coverPhotoId: photos.some(photo => photo.id === raw.coverPhotoId) ? raw.coverPhotoId : null,
+    revision: Number.isInteger(raw.revision) && raw.revision > 0 ? raw.revision : 0
+  };
+};
+
+/**
+ * @function normalizeCategory
+ * @description Trims a category and cleans up its emoji. The palette always contains the
+ * default emoji. Like normalizeLocation, this never throws.
+ * @param {Object} raw - Category record
+ * @returns {Object} `{ name, color, emoji, emojis }`
+ */
+export const normalizeCategory = (raw) => {
+  const emoji = String(raw.emoji ?? '').replace(/\s+/g, '') || DEFAULT_EMOJI;
+  const emojis = (Array.isArray(raw.emojis) ? raw.emojis : String(raw.emojis ?? '').split(/\s+/))
+    .map(value => String(value).replace(/\s+/g, ''))
+    .filter(Boolean);
+  return {
+    name: typeof raw.name === 'string' ? raw.name.trim() : '',
+    color: typeof raw.color === 'string' ? raw.color.trim() : '',
+    emoji,
+    emojis: [...new Set([emoji, ...emojis])]
+  };
+};
+
+/**
+ * @function validateCategories
+ * @description Lists everything wrong with a normalized category list
+ * @param {Array} categories - Normalized categories
+ * @returns {Array<string>} Problems found; empty when the list is valid
+ */
+export const validateCategories = (categories) => {
+  const errors = [];
+  if (categories.length === 0) {
+    errors.push('at least one category is required');
+  }
+  const seen = new Set();
+  categories.forEach(({ name, color, emoji, emojis }, index) => {
+    if (!name) {
+      errors.push(`category ${index + 1} has no name`);
+      return;
+    }
+    if (seen.has(name.toLowerCase())) {
+      errors.push(`category "${name}" is listed twice`);
+    }
+    seen.add(name.toLowerCase());
+    if (!/^#[0-9a-f]{6}$/i.test(color)) {
+      errors.push(`category "${name}" needs a color like #2ca5b8`);
+    }
+    [emoji, ...emojis]
+      .map(value => validateEmoji(value, `emoji "${value}" of category "${name}"`))
+      .filter(Boolean)
+      .forEach(error => errors.push(error));
+  });
+  return errors;
+};
+
+/**
+ * @function assertValidCategories
+ * @description Normalizes a category list and throws if it is invalid
+ * @param {Array} raw - Category records
+ * @returns {Array} Normalized categories
+ * @throws {CategoryValidationError} When the list is invalid
+ */
+export const assertValidCategories = (raw) => {
+  if (!Array.isArray(raw)) {
+    throw new CategoryValidationError(['categories must be a list']);
+  }
+  const categories = raw.map(normalizeCategory);
+  const errors = validateCategories(categories);
+  if (errors.length > 0) {
+    throw new CategoryValidationError(errors);
+  }
+  return categories;
+};
+
+/**
+ * @function validateLocation
+ * @description Lists everything wrong with a normalized location
+ * @param {Object} location - Normalized location
+ * @param {Object} [options]
+ * @param {Array<string>} [options.categories=CATEGORIES] - Known category names
+ * @param {Object} [options.bounds=DEFAULT_BOUNDS] - Allowed coordinate range
+ * @param {boolean} [options.requireId=true] - Whether a numeric id is required
+ * @returns {Array<string>} Problems found; empty when the location is valid
+ */
+export const validateLocation = (location, { categories = CATEGORIES, bounds = DEFAULT_BOUNDS, requireId = true } = {}) => {
+  const errors = [];
+
+  if (requireId && !Number.isFinite(location.id)) {
+    errors.push('missing or non-numeric id');
+  }
+  if (!location.name) {
+    errors.push('missing name');
+  }
+  if (location.category.length === 0) {
+    errors.push('no category');
+  }
+  location.category
+    .filter(cat => !categories.includes(cat))
+    .forEach(cat => errors.push(`unknown category "${cat}"`));
+
+  const emojiError = validateEmoji(location.emoji, 'marker');
+  if (emojiError) {
+    errors.push(emojiError);
+  }
+
+  const [lat, lng] = location.position || [];
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+    errors.push('missing coordinates');
+  } else if (lat < bounds.south || lat > bounds.north || lng < bounds.west || lng > bounds.east) {
+    errors.push(`coordinates ${lat.toFixed(4)}, ${lng.toFixed(4)} are outside the trip area`);
+  }
+
+  location.photos.forEach((photo, index) => {
+    if (!photo.id || !photo.url) {
+      errors.push(`photo ${index + 1} is missing its id or url`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * @function assertValidLocation
+ * @description Normalizes a location and throws if it is invalid
+ * @param {Object} raw - Location record
+ * @param {Object} [options] - See validateLocation
+ * @returns {Object} Normalized location
+ * @throws {LocationValidationError} When the record is invalid
+ */
+export const assertValidLocation = (raw, options) => {
+  const location = normalizeLocation(raw);
+  const errors = validateLocation(location, options);
+  if (errors.length > 0) {
+    throw new LocationValidationError(errors, location);
+  }
+  return location;
+};
+
+/**
+ * @function migrateLocationData
+ * @description Brings a location data file up to SCHEMA_VERSION. Accepts a bare array of
+ * locations as well as `{ version, locations }` documents.
+ * @param {Object|Array} data - Parsed data file
+ * @returns {Object} Document at the current version with normalized locations
+ */
+export const migrateLocationData = (data) => {
+  const { version = 1, ...document } = Array.isArray(data) ? { locations: data } : data;
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`Location data version ${version} is newer than this app supports (${SCHEMA_VERSION})`);
+  }
+
+  // Version 1 -> 2: category/emoji/position shapes are unified by normalizeLocation
+  // Version 2 -> 3: the category list moves from the code into the file
+  return {
+    version: SCHEMA_VERSION,
+    ...document,
+    categories: (Array.isArray(document.categories) ? document.categories : DEFAULT_CATEGORIES).map(normalizeCategory),
+    locations: (document.locations || []).map(normalizeLocation)
+  };
+};
+
+/**
+ * @function parseLocations
+ * @description Migrates a data file and splits its locations into valid and invalid ones,
+ * checking them against the file's own categories
+ * @param {Object|Array} data - Parsed data file
+ * @param {Object} [options] - See validateLocation
+ * @returns {{categories: Array, locations: Array, invalid: Array<{location: Object, errors: Array<string>}>}}
+ */
+export const parseLocations = (data, options) => {
+  const { categories, locations } = migrateLocationData(data);
+  const validationOptions = { categories: categories.map(category => category.name), ...options };
+  return locations.reduce((result, location) => {
+    const errors = validateLocation(location, validationOptions);
+    if (errors.length > 0) {
+      result.invalid.push({ location, errors });
+    } else {
+      result.locations.push(location);
+    }
+    return result;
+  }, { categories, locations: [], invalid: [] });
+};
+
+/**
+ * @function renameCategory
+ * @description Renames a category and rewrites the locations that use it. When the new name
+ * belongs to another category, the two are merged: locations move over and the old
+ * category is dropped.
+ * @param {Object} data - `{ categories, locations }`
+ * @param {string} from - Current category name
+ * @param {string} to - New name, or the name of the category to merge into
+ * @returns {{categories: Array, locations: Array, changed: Array}} Updated lists, and the
+ * locations that were rewritten
+ * @throws {CategoryValidationError} When `from` does not exist or is the Home category, or
+ * `to` is empty
+ */
+export const renameCategory = ({ categories, locations }, from, to) => {
+  const target = String(to ?? '').trim();
+  if (!categories.some(category => category.name === from)) {
+    throw new CategoryValidationError([`unknown category "${from}"`]);
+  }
+  if (from === HOME_CATEGORY && target !== from) {
+    throw new CategoryValidationError([`"${HOME_CATEGORY}" marks where the group stays and cannot be renamed or merged`]);
+  }
+  if (!target) {
+    throw new CategoryValidationError(['the new category name is empty']);
+  }
+
+  const isMerge = target !== from && categories.some(category => category.name === target);
+  const nextCategories = isMerge
+    ? categories.filter(category => category.name !== from)
+    : categories.map(category => (category.name === from ? { ...category, name: target } : category));
+
+  const changed = [];
+  const nextLocations = locations.map(location => {
+    if (!location.category.includes(from)) return location;
+    const updated = {
+      ...location,
+      category: [...new Set(location.category.map(cat => (cat === from ? target : cat)))]
+    };
+    changed.push(updated);
+    return updated;
+  });
+
+  return { categories: nextCategories, locations: nextLocations, changed };
+};
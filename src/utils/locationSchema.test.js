@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeLocation, normalizeCategory, validateLocation, validateCategories, migrateLocationData, parseLocations, renameCategory, CategoryValidationError, SCHEMA_VERSION, DEFAULT_EMOJI
+} from './locationSchema';
+
+describe('normalizeLocation', () => {
+  it('reads older shapes: single categories, string ids and object positions', () => {
+    const location = normalizeLocation({
+      id: '42',
+      name: '  Crux  ',
+      category: 'Food',
+      emoji: ['🍺', ' '],
+      position: { lat: '44.05', lon: '-121.31' }
+    });
+    expect(location).toMatchObject({
+      id: 42,
+      name: 'Crux',
+      category: ['Food'],
+      emoji: '🍺',
+      position: [44.05, -121.31],
+      photos: [],
+      coverPhotoId: null,
+      revision: 0
+    });
+  });
+
+  it('drops a cover photo that is no longer among the photos', () => {
+    expect(normalizeLocation({ emoji: '', photos: [], coverPhotoId: 'gone' })).toMatchObject({
+      emoji: DEFAULT_EMOJI,
+      coverPhotoId: null
+    });
+  });
+});
+
+describe('validateLocation', () => {
+  const valid = normalizeLocation({ id: 1, name: 'Crux', category: ['Food'], position: [44.05, -121.31] });
+
+  it('accepts a complete location', () => {
+    expect(validateLocation(valid, { categories: ['Food'] })).toEqual([]);
+  });
+
+  it('lists every problem', () => {
+    const errors = validateLocation(
+      normalizeLocation({ name: '', category: ['Nope'], position: [10, 10] }),
+      { categories: ['Food'] }
+    );
+    expect(errors).toEqual([
+      'missing or non-numeric id',
+      'missing name',
+      'unknown category "Nope"',
+      'coordinates 10.0000, 10.0000 are outside the trip area'
+    ]);
+  });
+
+  it('takes a few emoji as a marker but no markup or text', () => {
+    const withEmoji = (emoji) => validateLocation(normalizeLocation({ ...valid, emoji }), { categories: ['Food'] });
+    expect(withEmoji('🍺 🍔')).toEqual([]);
+    expect(withEmoji('👨‍👩‍👧🇺🇸1️⃣👍🏽')).toEqual([]);
+    expect(withEmoji('<img src=x onerror=alert(1)>')).toEqual(['marker must be emoji only']);
+    expect(withEmoji('🍺"')).toEqual(['marker must be emoji only']);
+    expect(withEmoji('🍺🍔🌮🍟🍕')).toEqual(['marker can have at most 4 emoji']);
+  });
+});
+
+describe('validateCategories', () => {
+  it('checks the default emoji and the palette', () => {
+    const category = { name: 'Food', color: '#2ca5b8', emoji: '🍕', emojis: ['🍜'] };
+    expect(validateCategories([normalizeCategory(category)])).toEqual([]);
+    expect(validateCategories([normalizeCategory({ ...category, emojis: ['🍜', "'><b>"] })]))
+      .toEqual(['emoji "\'><b>" of category "Food" must be emoji only']);
+  });
+});
+
+describe('location data files', () => {
+  it('migrates a bare array to the current version', () => {
+    const data = migrateLocationData([{ id: 1, name: 'Crux', category: 'Food', position: [44.05, -121.31] }]);
+    expect(data.version).toBe(SCHEMA_VERSION);
+    expect(data.locations[0].category).toEqual(['Food']);
+  });
+
+  it('keeps invalid records off the map and reports them', () => {
+    const { locations, invalid } = parseLocations({
+      categories: [{ name: 'Food', color: '#2ca5b8' }],
+      locations: [
+        { id: 1, name: 'Crux', category: ['Food'], position: [44.05, -121.31] },
+        { id: 2, name: '', category: ['Food'], position: [44.05, -121.31] }
+      ]
+    });
+    expect(locations.map(({ id }) => id)).toEqual([1]);
+    expect(invalid).toHaveLength(1);
+    expect(invalid[0].errors).toEqual(['missing name']);
+  });
+
+  it('merges a renamed category into an existing one without duplicates', () => {
+    const { categories, locations, changed } = renameCategory({
+      categories: [{ name: 'Food', color: '#2ca5b8' }, { name: 'Eats', color: '#6B4984' }],
+      locations: [
+        normalizeLocation({ id: 1, name: 'Crux', category: ['Eats', 'Food'], position: [44.05, -121.31] }),
+        normalizeLocation({ id: 2, name: 'Pilot Butte', category: ['Outdoors'], position: [44.06, -121.28] })
+      ]
+    }, 'Eats', 'Food');
+    expect(categories.map(({ name }) => name)).toEqual(['Food']);
+    expect(locations[0].category).toEqual(['Food']);
+    expect(changed.map(({ id }) => id)).toEqual([1]);
+  });
+
+  it('keeps the Home category, which marks the HQ, from being renamed or merged away', () => {
+    const data = { categories: [{ name: 'Home', color: '#2A4858' }, { name: 'Food', color: '#2ca5b8' }], locations: [] };
+    expect(() => renameCategory(data, 'Home', 'Lodging')).toThrow(CategoryValidationError);
+    expect(() => renameCategory(data, 'Home', 'Food')).toThrow(CategoryValidationError);
+    expect(renameCategory(data, 'Food', 'Home').categories.map(({ name }) => name)).toEqual(['Home']);
+  });
+});
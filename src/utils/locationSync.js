@@ -0,0 +1,192 @@
+/**
+ * @file locationSync.js
+ * @description Reconciles an admin's edit with the published locations when someone else
+ * changed them in the meantime. Every stored location carries a `revision` that the API bumps
+ * on each write; a save made from an older revision is refused, and the app then compares its
+ * copy (the base), the admin's edit and the published location field by field.
+ */
+
+/**
+ * @constant {Array<string>} IGNORED_FIELDS
+ * @description Fields that identify a location rather than describe it
+ */
+const IGNORED_FIELDS = ['id', 'revision'];
+
+/**
+ * @constant {Object} FIELD_LABELS
+ * @description How fields are named in the sync dialog; others show their key
+ */
+export const FIELD_LABELS = {
+  name: 'Name',
+  description: 'Description',
+  category: 'Categories',
+  emoji: 'Emoji',
+  position: 'Position',
+  photos: 'Photos',
+  coverPhotoId: 'Cover photo'
+};
+
+/**
+ * @constant {Object} MERGEABLE_FIELDS
+ * @description List fields whose edits can be combined, and how their items are told apart
+ */
+const MERGEABLE_FIELDS = {
+  category: item => item,
+  photos: item => item.id
+};
+
+/**
+ * @class SyncCancelledError
+ * @description Thrown when the admin closes the sync dialog without saving
+ */
+export class SyncCancelledError extends Error {
+  constructor() {
+    super('Sync cancelled');
+    this.name = 'SyncCancelledError';
+  }
+}
+
+/**
+ * @function isSameValue
+ * @description Compares two field values structurally
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} Whether they are equal
+ */
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * @function diffFields
+ * @description Lists the fields that differ between two versions of a location
+ * @param {Object} a - One version
+ * @param {Object} b - The other version
+ * @returns {Array<string>} Field names, in first-seen order
+ */
+export const diffFields = (a, b) => [...new Set([...Object.keys(a), ...Object.keys(b)])]
+  .filter(field => !IGNORED_FIELDS.includes(field) && !isSameValue(a[field], b[field]));
+
+/**
+ * @function diffLocationLists
+ * @description Compares two location lists by id and field
+ * @param {Array} local - Locations as this device has them
+ * @param {Array} published - Locations as stored on the server
+ * @returns {{added: Array, changed: Array<{local: Object, published: Object, fields: Array<string>}>, deleted: Array}}
+ * Locations only published, in both but different, and only local
+ */
+export const diffLocationLists = (local, published) => {
+  const localById = new Map(local.map(location => [location.id, location]));
+  const publishedIds = new Set(published.map(location => location.id));
+  return {
+    added: published.filter(location => !localById.has(location.id)),
+    changed: published
+      .filter(location => localById.has(location.id))
+      .map(location => ({
+        local: localById.get(location.id),
+        published: location,
+        fields: diffFields(localById.get(location.id), location)
+      }))
+      .filter(({ fields }) => fields.length > 0),
+    deleted: local.filter(location => !publishedIds.has(location.id))
+  };
+};
+
+/**
+ * @function isMergeable
+ * @description Whether both sides' edits of a field can be combined
+ * @param {string} field - Field name
+ * @returns {boolean} True for list fields such as categories and photos
+ */
+export const isMergeable = (field) => Boolean(MERGEABLE_FIELDS[field]);
+
+/**
+ * @function mergeLists
+ * @description Three-way merge of a list field: starts from the published list, then applies
+ * the items the admin added and removed relative to the base
+ * @param {string} field - Field name from MERGEABLE_FIELDS
+ * @param {Array} base - List before either edit
+ * @param {Array} mine - The admin's list
+ * @param {Array} published - The published list
+ * @returns {Array} Combined list
+ */
+const mergeLists = (field, base = [], mine = [], published = []) => {
+  const keyOf = MERGEABLE_FIELDS[field];
+  const baseKeys = new Set(base.map(keyOf));
+  const mineKeys = new Set(mine.map(keyOf));
+  const publishedKeys = new Set(published.map(keyOf));
+  return [
+    ...published.filter(item => mineKeys.has(keyOf(item)) || !baseKeys.has(keyOf(item))),
+    ...mine.filter(item => !baseKeys.has(keyOf(item)) && !publishedKeys.has(keyOf(item)))
+  ];
+};
+
+/**
+ * @function listSyncFields
+ * @description Fields of a conflicting edit the admin has to look at: changed by them, by
+ * someone else, or both
+ * @param {Object} base - Location the admin started from
+ * @param {Object} mine - The admin's edit
+ * @param {Object} published - The published location
+ * @returns {Array<{field: string, mineChanged: boolean, publishedChanged: boolean}>} Fields
+ * where the edit and the published location differ
+ */
+export const listSyncFields = (base, mine, published) => diffFields(mine, published).map(field => ({
+  field,
+  mineChanged: !isSameValue(base[field], mine[field]),
+  publishedChanged: !isSameValue(base[field], published[field])
+}));
+
+/**
+ * @function defaultChoices
+ * @description Suggested resolution per field: the admin's edit where only they changed it,
+ * the published value where only someone else did, and a merge (or the admin's edit) where
+ * both did
+ * @param {Array} fields - Result of listSyncFields
+ * @returns {Object} Field name to 'mine', 'published' or 'merge'
+ */
+export const defaultChoices = (fields) => Object.fromEntries(fields.map(({ field, mineChanged, publishedChanged }) => {
+  if (!mineChanged) return [field, 'published'];
+  if (publishedChanged && isMergeable(field)) return [field, 'merge'];
+  return [field, 'mine'];
+}));
+
+/**
+ * @function applyChoices
+ * @description Builds the location to save from the admin's choices
+ * @param {Object} base - Location the admin started from
+ * @param {Object} mine - The admin's edit
+ * @param {Object} published - The published location
+ * @param {Object} choices - Field name to 'mine', 'published' or 'merge'
+ * @returns {Object} Location based on the published one, carrying its revision
+ */
+export const applyChoices = (base, mine, published, choices) => {
+  const result = { ...published };
+  Object.entries(choices).forEach(([field, choice]) => {
+    if (choice === 'mine') {
+      result[field] = mine[field];
+    } else if (choice === 'merge' && isMergeable(field)) {
+      result[field] = mergeLists(field, base[field], mine[field], published[field]);
+    }
+  });
+  return result;
+};
+
+/**
+ * @function formatFieldValue
+ * @description Short, readable version of a field value for the sync dialog
+ * @param {string} field - Field name
+ * @param {*} value - Field value
+ * @returns {string} Text to show
+ */
+export const formatFieldValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (field === 'position' && Array.isArray(value)) {
+    return value.map(coordinate => Number(coordinate).toFixed(5)).join(', ');
+  }
+  if (field === 'photos' && Array.isArray(value)) {
+    return `${value.length} photo${value.length === 1 ? '' : 's'}`;
+  }
+  if (Array.isArray(value)) return value.join(', ') || '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  const text = String(value);
+  return text.length > 120 ? `${text.slice(0, 117)}…` : text;
+};
@@ -0,0 +1,119 @@
+/**
+ * @file offlineTiles.js
+ * @description Downloads map tiles into the cache the service worker (public/sw.js) answers
+ * tile requests from, so the map keeps working where there is no signal.
+ */
+
+/**
+ * @constant {string} TILE_CACHE
+ * @description Cache holding downloaded tiles; must match TILE_CACHE in public/sw.js
+ */
+export const TILE_CACHE = 'bend-tiles-v1';
+
+/**
+ * @constant {number} MAX_TILES
+ * @description Largest download allowed in one go, to stay polite to the tile server
+ */
+export const MAX_TILES = 5000;
+
+/**
+ * @constant {number} CONCURRENT_DOWNLOADS
+ * @description Tiles fetched at the same time
+ */
+const CONCURRENT_DOWNLOADS = 4;
+
+/**
+ * @constant {Array<string>} SUBDOMAINS
+ * @description Leaflet's default `{s}` subdomains, which the TileLayer uses for CARTO
+ */
+const SUBDOMAINS = ['a', 'b', 'c'];
+
+const lngToTileX = (lng, zoom) => Math.floor(((lng + 180) / 360) * 2 ** zoom);
+
+const latToTileY = (lat, zoom) => {
+  const radians = (lat * Math.PI) / 180;
+  return Math.floor(((1 - Math.log(Math.tan(radians) + 1 / Math.cos(radians)) / Math.PI) / 2) * 2 ** zoom);
+};
+
+/**
+ * @function getTileUrls
+ * @description Lists the tile URLs covering an area, exactly as Leaflet would request them
+ * (including its choice of subdomain for each tile) so the cached copies are found
+ * @param {string} urlTemplate - TileLayer URL with `{s}`, `{z}`, `{x}` and `{y}`
+ * @param {Object} bounds - `{ south, west, north, east }`
+ * @param {number} minZoom - Lowest zoom level to include
+ * @param {number} maxZoom - Highest zoom level to include
+ * @returns {Array<string>} Tile URLs
+ */
+export const getTileUrls = (urlTemplate, bounds, minZoom, maxZoom) => {
+  const urls = [];
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const minX = lngToTileX(bounds.west, z);
+    const maxX = lngToTileX(bounds.east, z);
+    const minY = latToTileY(bounds.north, z);
+    const maxY = latToTileY(bounds.south, z);
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) {
+        urls.push(urlTemplate
+          .replace('{s}', SUBDOMAINS[Math.abs(x + y) % SUBDOMAINS.length])
+          .replace('{z}', z)
+          .replace('{x}', x)
+          .replace('{y}', y));
+      }
+    }
+  }
+  return urls;
+};
+
+/**
+ * @function downloadTiles
+ * @description Fetches tiles into the tile cache, skipping ones already downloaded
+ * @param {Array<string>} urls - Tile URLs from getTileUrls
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with `(done, total)` after each tile
+ * @param {AbortSignal} [options.signal] - Stops the download when aborted
+ * @returns {Promise<number>} Number of tiles that failed to download
+ */
+export const downloadTiles = async (urls, { onProgress = () => {}, signal } = {}) => {
+  const cache = await caches.open(TILE_CACHE);
+  const queue = [...urls];
+  let done = 0;
+  let failed = 0;
+
+  const worker = async () => {
+    while (queue.length > 0 && !signal?.aborted) {
+      const url = queue.shift();
+      try {
+        if (!(await cache.match(url))) {
+          const response = await fetch(url, { mode: 'cors', signal });
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          await cache.put(url, response);
+        }
+      } catch {
+        if (!signal?.aborted) failed++;
+      }
+      done++;
+      onProgress(done, urls.length);
+    }
+  };
+
+  await Promise.all(Array.from({ length: CONCURRENT_DOWNLOADS }, worker));
+  return failed;
+};
+
+/**
+ * @function countCachedTiles
+ * @description Counts the tiles stored for offline use
+ * @returns {Promise<number>} Number of cached tiles
+ */
+export const countCachedTiles = async () => {
+  const cache = await caches.open(TILE_CACHE);
+  return (await cache.keys()).length;
+};
+
+/**
+ * @function clearCachedTiles
+ * @description Deletes all downloaded tiles
+ * @returns {Promise<boolean>} Whether the cache existed
+ */
+export const clearCachedTiles = () => caches.delete(TILE_CACHE);
@@ -0,0 +1,161 @@
+/**
+ * @file people.js
+ * @description Trip members shared by the app and the API functions. Each trip has a roster
+ * in `people.json` next to its location data:
+ *
+ *   { people: [{ id, name, photo, bio, arrival, departure, homeLocationId, partyLabel, partyEmoji }] }
+ *
+ * `id` is the profile's path (`/people/cooper`), the dates are `YYYY-MM-DD` or empty, and
+ * `homeLocationId` points at the location the person is staying at, if any.
+ */
+
+import { normalizeMemberName, MAX_MEMBER_NAME_LENGTH } from './ratings.js';
+
+/**
+ * @constant {number} MAX_BIO_LENGTH
+ * @description Longest accepted bio
+ */
+export const MAX_BIO_LENGTH = 4000;
+
+/**
+ * @constant {string} DEFAULT_PARTY_EMOJI
+ * @description Emoji the celebration button throws when a profile does not pick one
+ */
+export const DEFAULT_PARTY_EMOJI = '👏';
+
+/**
+ * @class PersonValidationError
+ * @description Thrown when a person does not match the model
+ * @property {Array<string>} errors - Human-readable problems
+ */
+export class PersonValidationError extends Error {
+  constructor(errors) {
+    super(`Person is invalid: ${errors.join('; ')}`);
+    this.name = 'PersonValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * @function toPersonId
+ * @description Suggests a profile path from a name
+ * @param {string} name - Person's name
+ * @returns {string} Lowercase id with dashes
+ */
+export const toPersonId = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+/**
+ * @function normalizePerson
+ * @description Coerces a person into the current shape
+ * @param {Object} raw - Person record
+ * @returns {Object} Normalized person
+ */
+export const normalizePerson = (raw) => {
+  const text = (value) => (typeof value === 'string' ? value.trim() : '');
+  const name = normalizeMemberName(raw.name);
+  const homeLocationId = raw.homeLocationId === null || raw.homeLocationId === undefined || raw.homeLocationId === ''
+    ? null
+    : Number(raw.homeLocationId);
+  return {
+    id: text(raw.id) || toPersonId(name),
+    name,
+    photo: text(raw.photo),
+    bio: text(raw.bio),
+    arrival: text(raw.arrival),
+    departure: text(raw.departure),
+    homeLocationId,
+    partyLabel: text(raw.partyLabel),
+    partyEmoji: text(raw.partyEmoji)
+  };
+};
+
+/**
+ * @function normalizePeople
+ * @description Coerces a people file into the current shape
+ * @param {Object} raw - Parsed people file
+ * @returns {Object} `{ people }`
+ */
+export const normalizePeople = (raw) => ({
+  people: (Array.isArray(raw?.people) ? raw.people : []).map(normalizePerson)
+});
+
+/**
+ * @function validatePerson
+ * @description Lists everything wrong with a normalized person
+ * @param {Object} person - Normalized person
+ * @param {Object} [context]
+ * @param {Array<number>} [context.locationIds] - Locations a home may point at; not checked if omitted
+ * @returns {Array<string>} Problems found; empty when valid
+ */
+export const validatePerson = (person, { locationIds } = {}) => {
+  const errors = [];
+  if (!person.name) {
+    errors.push('missing name');
+  } else if (person.name.length > MAX_MEMBER_NAME_LENGTH) {
+    errors.push(`name is longer than ${MAX_MEMBER_NAME_LENGTH} characters`);
+  }
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(person.id)) {
+    errors.push('profile path must be lowercase letters, digits and dashes');
+  }
+  if (person.photo && !/^(https?:\/\/|\/)/.test(person.photo)) {
+    errors.push('photo must be an http(s) URL or a path on this site');
+  }
+  if (person.bio.length > MAX_BIO_LENGTH) {
+    errors.push(`bio is longer than ${MAX_BIO_LENGTH} characters`);
+  }
+  ['arrival', 'departure'].forEach(field => {
+    if (person[field] && !/^\d{4}-\d{2}-\d{2}$/.test(person[field])) {
+      errors.push(`${field} must be a YYYY-MM-DD date`);
+    }
+  });
+  if (person.arrival && person.departure && person.departure < person.arrival) {
+    errors.push('departure is before arrival');
+  }
+  if (person.homeLocationId !== null) {
+    if (!Number.isFinite(person.homeLocationId)) {
+      errors.push('home must be a location id');
+    } else if (locationIds && !locationIds.includes(person.homeLocationId)) {
+      errors.push('home location does not exist');
+    }
+  }
+  return errors;
+};
+
+/**
+ * @function assertValidPerson
+ * @description Normalizes a person and throws if it is invalid
+ * @param {Object} raw - Person record
+ * @param {Object} [context] - See validatePerson
+ * @returns {Object} Normalized person
+ * @throws {PersonValidationError} When the person is invalid
+ */
+export const assertValidPerson = (raw, context) => {
+  const person = normalizePerson(raw);
+  const errors = validatePerson(person, context);
+  if (errors.length > 0) {
+    throw new PersonValidationError(errors);
+  }
+  return person;
+};
+
+/**
+ * @function formatStay
+ * @description Human-readable arrival and departure of a person
+ * @param {Object} person - Normalized person
+ * @returns {string} e.g. "Jul 10 – Jul 14", "Arrives Jul 10", or '' without dates
+ */
+export const formatStay = ({ arrival, departure }) => {
+  const format = (date) => new Date(`${date}T12:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+  if (arrival && departure) return `${format(arrival)} – ${format(departure)}`;
+  if (arrival) return `Arrives ${format(arrival)}`;
+  if (departure) return `Leaves ${format(departure)}`;
+  return '';
+};
+
+/**
+ * @function getPartyLabel
+ * @description Text of a profile's celebration button
+ * @param {Object} person - Normalized person
+ * @returns {string} The profile's own label, or "Congratulate <name>!"
+ */
+export const getPartyLabel = (person) => person.partyLabel || `Congratulate ${person.name}!`;
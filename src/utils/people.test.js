@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { normalizePerson, validatePerson, toPersonId, getPartyLabel } from './people';
+
+describe('people', () => {
+  it('derives the profile path from the name', () => {
+    expect(toPersonId('Ana María B.')).toBe('ana-mar-a-b');
+    expect(normalizePerson({ name: '  Cooper  ', homeLocationId: '3' })).toMatchObject({ id: 'cooper', name: 'Cooper', homeLocationId: 3 });
+    expect(normalizePerson({ name: 'Cooper', homeLocationId: '' }).homeLocationId).toBeNull();
+  });
+
+  it('accepts a complete profile', () => {
+    const person = normalizePerson({ name: 'Cooper', photo: '/cooper.jpg', arrival: '2025-07-10', departure: '2025-07-14', homeLocationId: 1 });
+    expect(validatePerson(person, { locationIds: [1] })).toEqual([]);
+  });
+
+  it('lists every problem', () => {
+    const person = normalizePerson({
+      id: 'Not A Path',
+      name: 'Cooper',
+      photo: 'javascript:alert(1)',
+      arrival: '2025-07-14',
+      departure: '2025-07-10',
+      homeLocationId: 9
+    });
+    expect(validatePerson(person, { locationIds: [1] })).toEqual([
+      'profile path must be lowercase letters, digits and dashes',
+      'photo must be an http(s) URL or a path on this site',
+      'departure is before arrival',
+      'home location does not exist'
+    ]);
+    expect(validatePerson(normalizePerson({ name: '', arrival: '14/07/2025' }))).toEqual([
+      'missing name',
+      'profile path must be lowercase letters, digits and dashes',
+      'arrival must be a YYYY-MM-DD date'
+    ]);
+  });
+
+  it('congratulates by name unless the profile says otherwise', () => {
+    expect(getPartyLabel({ name: 'Cooper', partyLabel: '' })).toBe('Congratulate Cooper!');
+    expect(getPartyLabel({ name: 'Cooper', partyLabel: 'Happy birthday!' })).toBe('Happy birthday!');
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * @file ratings.js
+ * @description Group ratings shared by the app and the API functions. Every trip member can
+ * give each location 1–5 stars and a thumbs-up; a member's vote replaces their earlier one.
+ *
+ *   { ratings: [{ locationId, member, stars: 1-5 | null, thumbsUp: boolean, updatedAt }] }
+ *
+ * Members are identified by the name they picked, not by a login.
+ */
+
+/**
+ * @constant {number} MAX_MEMBER_NAME_LENGTH
+ * @description Longest accepted member name
+ */
+export const MAX_MEMBER_NAME_LENGTH = 40;
+
+/**
+ * @constant {Object} TOP_PICK_PRIOR
+ * @description Every location starts as if it had `weight` votes of `stars`, so one 5-star
+ * vote does not outrank a spot the whole group gave 4.5
+ */
+const TOP_PICK_PRIOR = { stars: 3, weight: 2 };
+
+/**
+ * @constant {number} UNRATED_SCORE
+ * @description "Top picks" rank of a location nobody has rated yet
+ */
+export const UNRATED_SCORE = TOP_PICK_PRIOR.stars;
+
+/**
+ * @constant {number} THUMBS_UP_BONUS
+ * @description Ranking points each thumbs-up adds on top of the star average
+ */
+const THUMBS_UP_BONUS = 0.25;
+
+/**
+ * @class RatingValidationError
+ * @description Thrown when a rating does not match the model
+ * @property {Array<string>} errors - Human-readable problems
+ */
+export class RatingValidationError extends Error {
+  constructor(errors) {
+    super(`Rating is invalid: ${errors.join('; ')}`);
+    this.name = 'RatingValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * @function normalizeMemberName
+ * @description Trims a member name and collapses inner whitespace
+ * @param {*} name - Name as entered
+ * @returns {string} Cleaned-up name
+ */
+export const normalizeMemberName = (name) => (typeof name === 'string' ? name.trim().replace(/\s+/g, ' ') : '');
+
+/**
+ * @function normalizeRating
+ * @description Coerces a rating into the current shape
+ * @param {Object} raw - Rating record
+ * @returns {Object} `{ locationId, member, stars, thumbsUp, updatedAt }`
+ */
+export const normalizeRating = (raw) => ({
+  locationId: Number(raw.locationId),
+  member: normalizeMemberName(raw.member),
+  stars: raw.stars === null || raw.stars === undefined || raw.stars === '' ? null : Number(raw.stars),
+  thumbsUp: Boolean(raw.thumbsUp),
+  updatedAt: typeof raw.updatedAt === 'string' ? raw.updatedAt : ''
+});
+
+/**
+ * @function normalizeRatings
+ * @description Coerces a ratings file into the current shape
+ * @param {Object} raw - Parsed ratings file
+ * @returns {Object} `{ ratings }`
+ */
+export const normalizeRatings = (raw) => ({
+  ratings: (Array.isArray(raw?.ratings) ? raw.ratings : []).map(normalizeRating)
+});
+
+/**
+ * @function validateRating
+ * @description Lists everything wrong with a normalized rating
+ * @param {Object} rating - Normalized rating
+ * @returns {Array<string>} Problems found; empty when valid
+ */
+export const validateRating = (rating) => {
+  const errors = [];
+  if (!Number.isFinite(rating.locationId)) {
+    errors.push('missing location');
+  }
+  if (!rating.member) {
+    errors.push('missing name');
+  } else if (rating.member.length > MAX_MEMBER_NAME_LENGTH) {
+    errors.push(`name is longer than ${MAX_MEMBER_NAME_LENGTH} characters`);
+  }
+  if (rating.stars !== null && !(Number.isInteger(rating.stars) && rating.stars >= 1 && rating.stars <= 5)) {
+    errors.push('stars must be a whole number from 1 to 5');
+  }
+  return errors;
+};
+
+/**
+ * @function assertValidRating
+ * @description Normalizes a rating and throws if it is invalid
+ * @param {Object} raw - Rating record
+ * @returns {Object} Normalized rating
+ * @throws {RatingValidationError} When the rating is invalid
+ */
+export const assertValidRating = (raw) => {
+  const rating = normalizeRating(raw);
+  const errors = validateRating(rating);
+  if (errors.length > 0) {
+    throw new RatingValidationError(errors);
+  }
+  return rating;
+};
+
+/**
+ * @function isEmptyRating
+ * @description Whether a rating no longer says anything, so it can be dropped
+ * @param {Object} rating - Normalized rating
+ * @returns {boolean} True without stars and without a thumbs-up
+ */
+export const isEmptyRating = (rating) => rating.stars === null && !rating.thumbsUp;
+
+/**
+ * @function summarizeRatings
+ * @description Totals the votes for every location
+ * @param {Array} ratings - Normalized ratings
+ * @returns {Map<number, Object>} Location id to `{ average, votes, thumbsUp, score }`, where
+ * `average` is the mean of the star votes (null without any) and `score` is the "Top picks" rank
+ */
+export const summarizeRatings = (ratings) => {
+  const totals = new Map();
+  ratings.forEach(rating => {
+    const total = totals.get(rating.locationId) || { starSum: 0, votes: 0, thumbsUp: 0 };
+    if (rating.stars !== null) {
+      total.starSum += rating.stars;
+      total.votes += 1;
+    }
+    if (rating.thumbsUp) total.thumbsUp += 1;
+    totals.set(rating.locationId, total);
+  });
+
+  return new Map([...totals].map(([locationId, { starSum, votes, thumbsUp }]) => [locationId, {
+    average: votes > 0 ? starSum / votes : null,
+    votes,
+    thumbsUp,
+    score: (starSum + TOP_PICK_PRIOR.stars * TOP_PICK_PRIOR.weight) / (votes + TOP_PICK_PRIOR.weight) +
+      thumbsUp * THUMBS_UP_BONUS
+  }]));
+};
+
+/**
+ * @function listMembers
+ * @description Names of everyone who has rated something, for the name picker
+ * @param {Array} ratings - Normalized ratings
+ * @returns {Array<string>} Names, alphabetically
+ */
+export const listMembers = (ratings) =>
+  [...new Set(ratings.map(rating => rating.member))].sort((a, b) => a.localeCompare(b));
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import {
+  assertValidRating, summarizeRatings, listMembers, isEmptyRating, normalizeRating, RatingValidationError, UNRATED_SCORE
+} from './ratings';
+
+const vote = (locationId, member, stars, thumbsUp = false) => normalizeRating({ locationId, member, stars, thumbsUp });
+
+const errorsOf = (raw) => {
+  try {
+    assertValidRating(raw);
+    return [];
+  } catch (error) {
+    expect(error).toBeInstanceOf(RatingValidationError);
+    return error.errors;
+  }
+};
+
+describe('assertValidRating', () => {
+  it('cleans up the name and reads stars sent as text', () => {
+    expect(assertValidRating({ locationId: '3', member: '  Ana   B ', stars: '4' }))
+      .toMatchObject({ locationId: 3, member: 'Ana B', stars: 4, thumbsUp: false });
+  });
+
+  it('lists every problem', () => {
+    expect(errorsOf({ member: ' ', stars: 2.5 }))
+      .toEqual(['missing location', 'missing name', 'stars must be a whole number from 1 to 5']);
+    expect(errorsOf({ locationId: 1, member: 'x'.repeat(41), stars: 6 }))
+      .toEqual(['name is longer than 40 characters', 'stars must be a whole number from 1 to 5']);
+  });
+
+  it('treats a vote without stars or thumbs-up as empty', () => {
+    expect(isEmptyRating(vote(1, 'Ana', null))).toBe(true);
+    expect(isEmptyRating(vote(1, 'Ana', null, true))).toBe(false);
+  });
+});
+
+describe('summarizeRatings', () => {
+  it('averages the stars and pulls spots with few votes towards 3', () => {
+    const summary = summarizeRatings([
+      vote(1, 'Ana', 5),
+      vote(2, 'Ana', 5), vote(2, 'Ben', 4), vote(2, 'Cy', 5), vote(2, 'Dee', 4, true),
+      vote(3, 'Ana', null, true)
+    ]);
+    expect(summary.get(1)).toMatchObject({ average: 5, votes: 1, thumbsUp: 0 });
+    expect(summary.get(2)).toMatchObject({ average: 4.5, votes: 4, thumbsUp: 1 });
+    expect(summary.get(2).score).toBeGreaterThan(summary.get(1).score);
+    expect(summary.get(3)).toEqual({ average: null, votes: 0, thumbsUp: 1, score: UNRATED_SCORE + 0.25 });
+  });
+
+  it('lists everyone who voted once, alphabetically', () => {
+    expect(listMembers([vote(1, 'Ben', 3), vote(2, 'Ana', 4), vote(3, 'Ben', 5)])).toEqual(['Ana', 'Ben']);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * @file routes.js
+ * @description Maps the app's navigation state to URLs and back. The trip comes first in the
+ * path, then the view (`/bend-2025/map`, `/bend-2025/list`, `/bend-2025/today`,
+ * `/bend-2025/events`, `/bend-2025/expenses`, `/bend-2025/people`, `/bend-2025/people/:id` or `/bend-2025/location/:id`); paths without a
+ * trip belong to the default trip. The search term, category and visited
+ * filters live in the query string (`?q=tacos&category=Beverages&category=Food&visited=hide`).
+ * Links shared before the People directory (`/cooper`) still open the same page.
+ */
+
+import { VISITED_FILTERS } from './checkins.js';
+
+/**
+ * @constant {Array<string>} VIEWS
+ * @description Views that have their own path
+ */
+export const VIEWS = ['map', 'list', 'today', 'events', 'expenses', 'people'];
+
+/**
+ * @constant {Object} LEGACY_PATHS
+ * @description Old single-segment paths and the profile they now live at. The featured
+ * person page used to be reached through its slug.
+ */
+const LEGACY_PATHS = {
+  cooper: { view: 'people', personId: 'cooper' }
+};
+
+/**
+ * @function decodeSegments
+ * @description Splits a path into decoded segments
+ * @param {string} pathname - URL path
+ * @returns {Array<string>|null} The segments, or null when one is not valid percent-encoding
+ */
+const decodeSegments = (pathname) => {
+  try {
+    return pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * @function parseRoute
+ * @description Reads navigation state from a URL
+ * @param {string} pathname - URL path
+ * @param {string} search - URL query string
+ * @param {Object} [trips]
+ * @param {Array<string>} [trips.tripIds] - Ids of the trips in the manifest
+ * @returns {Object} `{ tripId, view, locationId, personId, searchTerm, categories, visited,
+ * redirected }`; `tripId` is null when the path names no trip, unknown or malformed paths show
+ * the map, and `redirected` is set for legacy paths so the URL can be rewritten in place
+ */
+export const parseRoute = (pathname, search, { tripIds = [] } = {}) => {
+  const params = new URLSearchParams(search);
+  const route = {
+    tripId: null,
+    view: 'map',
+    locationId: null,
+    personId: null,
+    searchTerm: params.get('q') || '',
+    categories: new Set(params.getAll('category').filter(Boolean)),
+    visited: VISITED_FILTERS.includes(params.get('visited')) ? params.get('visited') : 'all',
+    redirected: false
+  };
+
+  const segments = decodeSegments(pathname);
+  if (!segments) return route;
+  if (tripIds.includes(segments[0])) {
+    route.tripId = segments.shift();
+  }
+  const [first, second] = segments;
+  if (first === 'location' && second !== undefined && /^\d+$/.test(second)) {
+    route.locationId = Number(second);
+  } else if (VIEWS.includes(first)) {
+    route.view = first;
+    if (first === 'people' && second) route.personId = second;
+  } else if (second === undefined && Object.hasOwn(LEGACY_PATHS, first)) {
+    Object.assign(route, LEGACY_PATHS[first], { redirected: true });
+  }
+  return route;
+};
+
+/**
+ * @function buildUrl
+ * @description Builds the URL for navigation state. A selected location takes precedence
+ * over the view, since locations are only shown on the map.
+ * @param {Object} route - `{ tripId, view, locationId, personId, searchTerm, categories, visited }`
+ * @returns {string} Path and query string
+ */
+export const buildUrl = ({ tripId, view, locationId, personId = null, searchTerm, categories, visited = 'all' }) => {
+  const page = locationId !== null && locationId !== undefined
+    ? `location/${locationId}`
+    : view === 'people' && personId ? `people/${encodeURIComponent(personId)}` : view;
+  const path = tripId ? `/${encodeURIComponent(tripId)}/${page}` : `/${page}`;
+  const params = new URLSearchParams();
+  if (searchTerm) params.set('q', searchTerm);
+  [...categories].sort().forEach(cat => params.append('category', cat));
+  if (visited !== 'all') params.set('visited', visited);
+  const query = params.toString();
+  return query ? `${path}?${query}` : path;
+};
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { parseRoute, buildUrl } from './routes';
+
+const TRIPS = { tripIds: ['bend-2025', 'coast-2026'] };
+
+describe('parseRoute', () => {
+  it('reads the trip, view and filters', () => {
+    const route = parseRoute('/coast-2026/list', '?q=tacos&category=Food&category=Beverages&visited=hide', TRIPS);
+    expect(route).toMatchObject({ tripId: 'coast-2026', view: 'list', locationId: null, searchTerm: 'tacos', visited: 'hide' });
+    expect([...route.categories]).toEqual(['Food', 'Beverages']);
+  });
+
+  it('reads a location or a profile, and leaves the trip to the default when the path names none', () => {
+    expect(parseRoute('/location/42', '', TRIPS)).toMatchObject({ tripId: null, view: 'map', locationId: 42 });
+    expect(parseRoute('/bend-2025/people/ana%20b', '', TRIPS)).toMatchObject({ view: 'people', personId: 'ana b' });
+  });
+
+  it('shows the map for unknown or malformed paths', () => {
+    expect(parseRoute('/nowhere', '?visited=bogus', TRIPS)).toMatchObject({ view: 'map', visited: 'all' });
+    expect(parseRoute('/location/abc', '', TRIPS)).toMatchObject({ view: 'map', locationId: null });
+    expect(parseRoute('/people/%E0%A4%A', '', TRIPS)).toMatchObject({ view: 'map', personId: null });
+  });
+
+  it('sends the old featured person links to the profile', () => {
+    expect(parseRoute('/cooper', '', TRIPS)).toMatchObject({ tripId: null, view: 'people', personId: 'cooper', redirected: true });
+    expect(parseRoute('/bend-2025/cooper', '', TRIPS)).toMatchObject({ tripId: 'bend-2025', view: 'people', personId: 'cooper' });
+    expect(parseRoute('/cooper/extra', '', TRIPS)).toMatchObject({ view: 'map', redirected: false });
+    expect(parseRoute('/toString', '', TRIPS)).toMatchObject({ view: 'map', redirected: false });
+  });
+});
+
+describe('buildUrl', () => {
+  const base = { tripId: 'bend-2025', view: 'map', locationId: null, searchTerm: '', categories: new Set() };
+
+  it('puts a selected location ahead of the view and sorts the categories', () => {
+    expect(buildUrl({ ...base, view: 'list', locationId: 7, categories: new Set(['Food', 'Beverages']) }))
+      .toBe('/bend-2025/location/7?category=Beverages&category=Food');
+  });
+
+  it('reads back what it builds', () => {
+    const url = buildUrl({ ...base, view: 'people', personId: 'ana b', searchTerm: 'hot springs', visited: 'only' });
+    const [path, query] = url.split('?');
+    expect(parseRoute(path, `?${query}`, TRIPS)).toMatchObject({
+      tripId: 'bend-2025', view: 'people', personId: 'ana b', searchTerm: 'hot springs', visited: 'only'
+    });
+  });
+});
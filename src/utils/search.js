@@ -0,0 +1,180 @@
+/**
+ * @file search.js
+ * @description Fuzzy location search. Queries are split into words; every word has to match
+ * one of a location's fields, either as a substring or as a word with a typo or two.
+ * Matching ignores case and accents, so "cafe" finds "Café" and "brewry" finds "Brewery".
+ */
+
+/**
+ * @constant {Object} FIELD_WEIGHTS
+ * @description How much a match in each field counts towards the ranking
+ */
+const FIELD_WEIGHTS = {
+  name: 3,
+  category: 2,
+  description: 1
+};
+
+/**
+ * @function foldText
+ * @description Lowercases text and strips accents, remembering where each folded character
+ * came from so matches can be highlighted in the original text
+ * @param {string} text - Original text
+ * @returns {{folded: string, offsets: Array<number>}} Folded text and, for each of its
+ * characters, the index of the original character
+ */
+export const foldText = (text) => {
+  let folded = '';
+  const offsets = [];
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i].normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    for (let j = 0; j < char.length; j++) {
+      offsets.push(i);
+    }
+    folded += char;
+  }
+  return { folded, offsets };
+};
+
+/**
+ * @function allowedTypos
+ * @description Typos tolerated for a query word: none for short words, where any typo
+ * matches too much
+ * @param {string} term - Folded query word
+ * @returns {number} Maximum edit distance
+ */
+const allowedTypos = (term) => (term.length <= 3 ? 0 : term.length <= 6 ? 1 : 2);
+
+/**
+ * @function editDistance
+ * @description Optimal string alignment distance: insertions, deletions, substitutions and
+ * swaps of neighbouring letters each count as one edit
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @returns {number} Number of edits
+ */
+const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+};
+
+/**
+ * @function matchTerm
+ * @description Finds the best match of one query word in a field
+ * @param {string} term - Folded query word
+ * @param {Object} field - Result of foldText for the field
+ * @returns {{score: number, start: number, end: number}|null} Match quality from 0 to 1 and
+ * its position in the folded text, or null
+ */
+const matchTerm = (term, { folded }) => {
+  const index = folded.indexOf(term);
+  if (index >= 0) {
+    const atWordStart = index === 0 || !/[\p{L}\p{N}]/u.test(folded[index - 1]);
+    return { score: atWordStart ? 1 : 0.7, start: index, end: index + term.length };
+  }
+
+  const maxTypos = allowedTypos(term);
+  if (maxTypos === 0) return null;
+  let best = null;
+  for (const { 0: word, index: start } of folded.matchAll(/[\p{L}\p{N}]+/gu)) {
+    // Compare with the word, and with its start for words still being typed
+    const candidates = [word, word.slice(0, term.length)];
+    const distance = Math.min(...candidates.map(candidate => editDistance(term, candidate)));
+    if (distance <= maxTypos && (!best || distance < best.distance)) {
+      best = { distance, start, end: start + word.length };
+    }
+  }
+  return best && { score: 0.5 - best.distance * 0.15, start: best.start, end: best.end };
+};
+
+/**
+ * @function getSearchFields
+ * @description Texts searched for a location
+ * @param {Object} location - Normalized location
+ * @returns {Object} Field name to text
+ */
+const getSearchFields = (location) => ({
+  name: location.name,
+  category: location.category.join(', '),
+  description: location.description
+});
+
+/**
+ * @function searchLocations
+ * @description Ranks the locations matching a query
+ * @param {Array} locations - Normalized locations
+ * @param {string} query - Search text
+ * @returns {Array<{location: Object, score: number, highlights: Object}>} Matches, best
+ * first. `highlights` maps field names to `[start, end)` ranges in the original text.
+ */
+export const searchLocations = (locations, query) => {
+  const terms = foldText(query.trim()).folded.split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return [];
+
+  return locations
+    .map(location => {
+      const fields = Object.entries(getSearchFields(location))
+        .map(([name, text]) => ({ name, text, ...foldText(text) }));
+      const highlights = {};
+      let score = 0;
+
+      for (const term of terms) {
+        let best = null;
+        for (const field of fields) {
+          const match = matchTerm(term, field);
+          const weighted = match && match.score * FIELD_WEIGHTS[field.name];
+          if (match && (!best || weighted > best.weighted)) {
+            best = { ...match, weighted, field };
+          }
+        }
+        if (!best) return null;
+        score += best.weighted;
+        const { name, offsets } = best.field;
+        (highlights[name] = highlights[name] || []).push([offsets[best.start], offsets[best.end - 1] + 1]);
+      }
+      return { location, score, highlights };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || a.location.name.localeCompare(b.location.name));
+};
+
+/**
+ * @function splitHighlights
+ * @description Cuts text into plain and highlighted parts
+ * @param {string} text - Original text
+ * @param {Array<Array<number>>} [ranges] - `[start, end)` ranges, possibly overlapping
+ * @returns {Array<{text: string, highlighted: boolean}>} Parts in order
+ */
+export const splitHighlights = (text, ranges = []) => {
+  const merged = [...ranges]
+    .sort((a, b) => a[0] - b[0])
+    .reduce((result, [start, end]) => {
+      const last = result[result.length - 1];
+      if (last && start <= last[1]) {
+        last[1] = Math.max(last[1], end);
+      } else {
+        result.push([start, end]);
+      }
+      return result;
+    }, []);
+
+  const parts = [];
+  let position = 0;
+  merged.forEach(([start, end]) => {
+    if (start > position) parts.push({ text: text.slice(position, start), highlighted: false });
+    parts.push({ text: text.slice(start, end), highlighted: true });
+    position = end;
+  });
+  if (position < text.length) parts.push({ text: text.slice(position), highlighted: false });
+  return parts;
+};
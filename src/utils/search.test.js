@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { searchLocations, splitHighlights, foldText } from './search';
+
+const spot = (id, name, category, description = '') => ({ id, name, category, description });
+
+const LOCATIONS = [
+  spot(1, 'Crux Fermentation Project', ['Beverages'], 'Brewery with a view of the Cascades'),
+  spot(2, 'Café Yumm', ['Food'], 'Bowls'),
+  spot(3, 'Pilot Butte', ['Outdoors'], 'Short hike with a brewery nearby')
+];
+
+const names = (results) => results.map(({ location }) => location.name);
+
+describe('searchLocations', () => {
+  it('ignores case and accents', () => {
+    expect(names(searchLocations(LOCATIONS, 'CAFE'))).toEqual(['Café Yumm']);
+  });
+
+  it('forgives a typo in longer words but not in short ones', () => {
+    expect(names(searchLocations(LOCATIONS, 'brewry'))).toEqual(['Crux Fermentation Project', 'Pilot Butte']);
+    expect(searchLocations(LOCATIONS, 'cux')).toEqual([]);
+  });
+
+  it('needs every word to match and ranks name matches above descriptions', () => {
+    expect(names(searchLocations(LOCATIONS, 'pilot hike'))).toEqual(['Pilot Butte']);
+    expect(names(searchLocations([LOCATIONS[2], spot(4, 'Brewery Tour', ['Beverages'])], 'brewery')))
+      .toEqual(['Brewery Tour', 'Pilot Butte']);
+  });
+
+  it('highlights the matched text in the original field', () => {
+    const [result] = searchLocations(LOCATIONS, 'cafe');
+    expect(splitHighlights(result.location.name, result.highlights.name)).toEqual([
+      { text: 'Café', highlighted: true },
+      { text: ' Yumm', highlighted: false }
+    ]);
+  });
+
+  it('finds nothing for a blank query', () => {
+    expect(searchLocations(LOCATIONS, '   ')).toEqual([]);
+  });
+});
+
+describe('foldText', () => {
+  it('maps folded characters back to the original text', () => {
+    expect(foldText('Éa')).toEqual({ folded: 'ea', offsets: [0, 1] });
+  });
+});
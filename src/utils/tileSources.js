@@ -0,0 +1,215 @@
+/**
+ * @file tileSources.js
+ * @description Map styles shared by the app and the API functions. Besides the built-in CARTO
+ * styles, admins can add tile sources in `public/tile-sources.json`:
+ *
+ *   { sources: [{ id, name, type, url, path, attribution, attributionUrl, minZoom, maxZoom }] }
+ *
+ * `xyz` sources load tiles from any `{z}/{x}/{y}` URL template. `folder` and `mbtiles` sources
+ * are files on the machine running the API (a `{z}/{x}/{y}.png` folder or an MBTiles file,
+ * `path` relative to `data/tiles`), served from `/api/tiles/:id/{z}/{x}/{y}` so the map works
+ * without internet access.
+ */
+
+import { escapeHtml } from './html.js';
+
+/**
+ * @constant {string} CARTO_ATTRIBUTION
+ * @description Credit line of the built-in styles
+ */
+const CARTO_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>';
+
+/**
+ * @constant {Object} MAP_STYLES
+ * @description Built-in map styles
+ * @property {Object} minimal - Minimal map style with no labels
+ * @property {Object} light - Light map style with labels
+ * @property {Object} detailed - Detailed map style with more information
+ */
+export const MAP_STYLES = {
+  minimal: {
+    name: 'Minimal',
+    url: 'https://{s}.basemaps.cartocdn.com/light_nolabels/{z}/{x}/{y}.png',
+    attribution: CARTO_ATTRIBUTION
+  },
+  light: {
+    name: 'Light',
+    url: 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}.png',
+    attribution: CARTO_ATTRIBUTION
+  },
+  detailed: {
+    name: 'Detailed',
+    url: 'https://{s}.basemaps.cartocdn.com/rastertiles/voyager/{z}/{x}/{y}.png',
+    attribution: CARTO_ATTRIBUTION
+  }
+};
+
+/**
+ * @constant {string} DEFAULT_MAP_STYLE
+ * @description Style shown when neither the device nor the trip picks one that exists
+ */
+export const DEFAULT_MAP_STYLE = 'detailed';
+
+/**
+ * @constant {Object} TILE_SOURCE_TYPES
+ * @description Kinds of extra tile source and how they are labelled in the settings
+ */
+export const TILE_SOURCE_TYPES = {
+  xyz: 'Tile URL',
+  folder: 'Local folder',
+  mbtiles: 'Local MBTiles file'
+};
+
+/**
+ * @constant {number} MAX_ZOOM
+ * @description Highest zoom level a source may declare
+ */
+const MAX_ZOOM = 22;
+
+/**
+ * @class TileSourceValidationError
+ * @description Thrown when the tile source list does not match the model
+ * @property {Array<string>} errors - Human-readable problems
+ */
+export class TileSourceValidationError extends Error {
+  constructor(errors) {
+    super(`Tile sources are invalid: ${errors.join('; ')}`);
+    this.name = 'TileSourceValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * @function normalizeTileSource
+ * @description Coerces a tile source into the current shape
+ * @param {Object} raw - Tile source record
+ * @returns {Object} Normalized source
+ */
+export const normalizeTileSource = (raw) => {
+  const text = (value) => (typeof value === 'string' ? value.trim() : '');
+  const zoom = (value, fallback) => (value === '' || value === null || value === undefined ? fallback : Number(value));
+  const type = text(raw.type) || 'xyz';
+  return {
+    id: text(raw.id),
+    name: text(raw.name),
+    type,
+    url: type === 'xyz' ? text(raw.url) : '',
+    path: type === 'xyz' ? '' : text(raw.path),
+    attribution: text(raw.attribution),
+    attributionUrl: text(raw.attributionUrl),
+    minZoom: zoom(raw.minZoom, 0),
+    maxZoom: zoom(raw.maxZoom, 18)
+  };
+};
+
+/**
+ * @function normalizeTileSources
+ * @description Coerces a tile sources file into the current shape
+ * @param {Object} raw - Parsed tile sources file
+ * @returns {Object} `{ sources }`
+ */
+export const normalizeTileSources = (raw) => ({
+  sources: (Array.isArray(raw?.sources) ? raw.sources : []).map(normalizeTileSource)
+});
+
+/**
+ * @function validateTileSources
+ * @description Lists everything wrong with a normalized source list
+ * @param {Array} sources - Normalized sources
+ * @returns {Array<string>} Problems found; empty when valid
+ */
+export const validateTileSources = (sources) => {
+  const errors = [];
+  const ids = new Set();
+  sources.forEach((source, index) => {
+    const label = `"${source.name || `source ${index + 1}`}"`;
+    if (!source.name) {
+      errors.push(`source ${index + 1} is missing a name`);
+    }
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(source.id)) {
+      errors.push(`${label} needs an id of lowercase letters, digits and dashes`);
+    } else if (MAP_STYLES[source.id] || ids.has(source.id)) {
+      errors.push(`${label} has the id "${source.id}", which is already taken`);
+    }
+    ids.add(source.id);
+    if (!TILE_SOURCE_TYPES[source.type]) {
+      errors.push(`${label} has an unknown type "${source.type}"`);
+    } else if (source.type === 'xyz') {
+      if (!/^https?:\/\//.test(source.url) || !['{z}', '{x}', '{y}'].every(part => source.url.includes(part))) {
+        errors.push(`${label} needs an http(s) URL containing {z}, {x} and {y}`);
+      }
+    } else if (!source.path || source.path.startsWith('/') || source.path.split(/[\\/]/).includes('..')) {
+      errors.push(`${label} needs a path inside the tiles folder`);
+    }
+    if (source.attributionUrl && !/^https?:\/\//.test(source.attributionUrl)) {
+      errors.push(`${label} has an attribution link that is not an http(s) URL`);
+    }
+    const zoomOk = (value) => Number.isInteger(value) && value >= 0 && value <= MAX_ZOOM;
+    if (!zoomOk(source.minZoom) || !zoomOk(source.maxZoom) || source.minZoom > source.maxZoom) {
+      errors.push(`${label} needs zoom levels between 0 and ${MAX_ZOOM}, lowest first`);
+    }
+  });
+  return errors;
+};
+
+/**
+ * @function assertValidTileSources
+ * @description Normalizes a source list and throws if it is invalid
+ * @param {Array} raw - Tile source records
+ * @returns {Array} Normalized sources
+ * @throws {TileSourceValidationError} When a source is invalid
+ */
+export const assertValidTileSources = (raw) => {
+  if (!Array.isArray(raw)) {
+    throw new TileSourceValidationError(['sources must be a list']);
+  }
+  const sources = raw.map(normalizeTileSource);
+  const errors = validateTileSources(sources);
+  if (errors.length > 0) {
+    throw new TileSourceValidationError(errors);
+  }
+  return sources;
+};
+
+/**
+ * @function formatAttribution
+ * @description Builds the attribution HTML of a source. Admins enter plain text and an
+ * optional link, so nothing they type is rendered as markup.
+ * @param {Object} source - Normalized source
+ * @returns {string} Attribution HTML
+ */
+export const formatAttribution = ({ attribution, attributionUrl }) => {
+  if (!attribution) return '';
+  const text = escapeHtml(attribution);
+  return attributionUrl ? `<a href="${escapeHtml(attributionUrl)}" target="_blank" rel="noopener noreferrer">${text}</a>` : text;
+};
+
+/**
+ * @function listMapStyles
+ * @description Every style that can be picked: the built-in ones, then the extra sources
+ * @param {Array} sources - Normalized tile sources
+ * @returns {Array<Object>} `{ id, name, url, attribution, minZoom, maxZoom, isLocal }`
+ */
+export const listMapStyles = (sources) => [
+  ...Object.entries(MAP_STYLES).map(([id, style]) => ({ id, ...style, minZoom: 0, maxZoom: 20, isLocal: false })),
+  ...sources.map(source => ({
+    id: source.id,
+    name: source.name,
+    url: source.type === 'xyz' ? source.url : `/api/tiles/${encodeURIComponent(source.id)}/{z}/{x}/{y}`,
+    attribution: formatAttribution(source),
+    minZoom: source.minZoom,
+    maxZoom: source.maxZoom,
+    isLocal: source.type !== 'xyz'
+  }))
+];
+
+/**
+ * @function resolveMapStyle
+ * @description Picks the first of several style ids that exists
+ * @param {Array} styles - Result of listMapStyles
+ * @param {...string} ids - Candidate ids, preferred first
+ * @returns {Object} The style; the default style when none of them exists
+ */
+export const resolveMapStyle = (styles, ...ids) =>
+  ids.map(id => styles.find(style => style.id === id)).find(Boolean)
+  || styles.find(style => style.id === DEFAULT_MAP_STYLE);
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import {
+  assertValidTileSources, normalizeTileSource, validateTileSources, formatAttribution, listMapStyles, resolveMapStyle,
+  TileSourceValidationError, DEFAULT_MAP_STYLE
+} from './tileSources';
+
+const TOPO = { id: 'topo', name: 'Topo', url: 'https://tiles.example.com/{z}/{x}/{y}.png', maxZoom: 17 };
+
+describe('validateTileSources', () => {
+  it('accepts tile URLs and paths inside the tiles folder', () => {
+    expect(assertValidTileSources([TOPO, { id: 'bend', name: 'Bend', type: 'folder', path: 'bend/tiles' }]))
+      .toEqual([
+        expect.objectContaining({ type: 'xyz', minZoom: 0, maxZoom: 17, path: '' }),
+        expect.objectContaining({ type: 'folder', url: '', path: 'bend/tiles' })
+      ]);
+  });
+
+  it('lists every problem', () => {
+    const errors = validateTileSources([
+      { id: 'detailed', name: 'Clash', url: 'ftp://tiles/{z}/{x}' },
+      { id: 'Bad Id', name: '', type: 'folder', path: '../outside' },
+      { id: 'topo', name: 'Topo', type: 'mbtiles', path: 'topo.mbtiles', minZoom: 12, maxZoom: 4, attributionUrl: 'javascript:alert(1)' }
+    ].map(normalizeTileSource));
+    expect(errors).toEqual([
+      '"Clash" has the id "detailed", which is already taken',
+      '"Clash" needs an http(s) URL containing {z}, {x} and {y}',
+      'source 2 is missing a name',
+      '"source 2" needs an id of lowercase letters, digits and dashes',
+      '"source 2" needs a path inside the tiles folder',
+      '"Topo" has an attribution link that is not an http(s) URL',
+      '"Topo" needs zoom levels between 0 and 22, lowest first'
+    ]);
+    expect(() => assertValidTileSources({})).toThrow(TileSourceValidationError);
+  });
+});
+
+describe('map styles', () => {
+  it('escapes attributions and links them', () => {
+    expect(formatAttribution({ attribution: '<b>USGS</b>', attributionUrl: 'https://usgs.gov/?a=1&b="2"' }))
+      .toBe('<a href="https://usgs.gov/?a=1&#38;b=&#34;2&#34;" target="_blank" rel="noopener noreferrer">&#60;b&#62;USGS&#60;/b&#62;</a>');
+    expect(formatAttribution({ attribution: '' })).toBe('');
+  });
+
+  it('serves local sources through the API and falls back to the default style', () => {
+    const styles = listMapStyles([normalizeTileSource(TOPO), normalizeTileSource({ id: 'bend', name: 'Bend', type: 'folder', path: 'bend' })]);
+    expect(styles.find(({ id }) => id === 'bend')).toMatchObject({ url: '/api/tiles/bend/{z}/{x}/{y}', isLocal: true });
+    expect(resolveMapStyle(styles, 'gone', 'topo').id).toBe('topo');
+    expect(resolveMapStyle(styles, 'gone').id).toBe(DEFAULT_MAP_STYLE);
+  });
+});
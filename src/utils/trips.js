@@ -0,0 +1,185 @@
+/**
+ * @file trips.js
+ * @description Trip manifest shared by the app and the API functions. One deployment can
+ * host several trips, each with its own locations, itinerary, people, events, ratings,
+ * check-ins, comments and expenses. `public/trips.json` lists them:
+ *
+ *   {
+ *     defaultTrip: 'bend-2025',
+ *     trips: [{
+ *       id: 'bend-2025',                   // URL prefix: /bend-2025/list
+ *       title: 'Bend 2025',
+ *       startDate: 'YYYY-MM-DD', endDate: 'YYYY-MM-DD',
+ *       center: [lat, lng], zoom: 13,
+ *       bounds: { south, west, north, east },   // where locations may be placed
+ *       offlineBounds: { south, west, north, east }, // area the Offline map dialog downloads
+ *       mapStyle: 'detailed',
+ *       dataFile: 'locations.json',        // relative to public/; the trip's other data files sit next to it
+ *       colors: { primary, accent, titleShadow }
+ *     }]
+ *   }
+ */
+
+import { DEFAULT_BOUNDS } from './locationSchema.js';
+
+/**
+ * @constant {Array<string>} RESERVED_TRIP_IDS
+ * @description Path segments a trip id cannot take, since they are views or served files
+ */
+const RESERVED_TRIP_IDS = ['map', 'list', 'today', 'people', 'events', 'expenses', 'location', 'api', 'assets', 'trips', 'photos'];
+
+/**
+ * @constant {Object} DEFAULT_COLORS
+ * @description Header and navigation colors of trips that do not set their own
+ */
+export const DEFAULT_COLORS = {
+  primary: '#2ca5b8',
+  accent: '#6B4984',
+  titleShadow: '#ab5c95'
+};
+
+/**
+ * @constant {Object} DEFAULT_OFFLINE_BOUNDS
+ * @description Area downloaded for offline use when a trip does not set one: Bend, Sunriver
+ * and Mt. Bachelor. It is kept much smaller than the trip bounds, which span Central Oregon
+ * and would need far more tiles than one download allows at street zoom levels.
+ */
+export const DEFAULT_OFFLINE_BOUNDS = { south: 43.85, west: -121.80, north: 44.15, east: -121.20 };
+
+/**
+ * @constant {Object} DEFAULT_TRIP
+ * @description The original trip, used for anything a manifest leaves out and when there is
+ * no manifest at all
+ */
+export const DEFAULT_TRIP = {
+  id: 'bend-2025',
+  title: 'Bend 2025',
+  startDate: '',
+  endDate: '',
+  center: [44.0582, -121.3153],
+  zoom: 13,
+  bounds: DEFAULT_BOUNDS,
+  offlineBounds: DEFAULT_OFFLINE_BOUNDS,
+  mapStyle: 'detailed',
+  dataFile: 'locations.json',
+  colors: DEFAULT_COLORS
+};
+
+/**
+ * @class TripManifestError
+ * @description Thrown when the trip manifest cannot be used
+ * @property {Array<string>} errors - Human-readable problems
+ */
+export class TripManifestError extends Error {
+  constructor(errors) {
+    super(`Trip manifest is invalid: ${errors.join('; ')}`);
+    this.name = 'TripManifestError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * @function normalizeTrip
+ * @description Fills in a trip from the defaults
+ * @param {Object} raw - Trip from the manifest
+ * @returns {Object} Trip with every field set
+ */
+export const normalizeTrip = (raw) => ({
+  ...DEFAULT_TRIP,
+  ...raw,
+  id: String(raw.id ?? '').trim(),
+  title: typeof raw.title === 'string' && raw.title.trim() ? raw.title.trim() : String(raw.id ?? ''),
+  startDate: typeof raw.startDate === 'string' ? raw.startDate : '',
+  endDate: typeof raw.endDate === 'string' ? raw.endDate : '',
+  center: Array.isArray(raw.center) && raw.center.length === 2 ? raw.center.map(Number) : DEFAULT_TRIP.center,
+  zoom: Number.isFinite(raw.zoom) ? raw.zoom : DEFAULT_TRIP.zoom,
+  bounds: { ...DEFAULT_TRIP.bounds, ...raw.bounds },
+  offlineBounds: { ...DEFAULT_TRIP.offlineBounds, ...raw.offlineBounds },
+  colors: { ...DEFAULT_COLORS, ...raw.colors }
+});
+
+/**
+ * @function validateTripManifest
+ * @description Lists everything wrong with a normalized manifest
+ * @param {Object} manifest - Normalized manifest
+ * @returns {Array<string>} Problems found; empty when valid
+ */
+export const validateTripManifest = (manifest) => {
+  const errors = [];
+  const ids = new Set();
+  const dataFiles = new Set();
+  if (manifest.trips.length === 0) {
+    errors.push('no trips');
+  }
+  manifest.trips.forEach(trip => {
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(trip.id)) {
+      errors.push(`trip id "${trip.id}" must be lowercase letters, digits and dashes`);
+    } else if (RESERVED_TRIP_IDS.includes(trip.id)) {
+      errors.push(`trip id "${trip.id}" is reserved`);
+    } else if (ids.has(trip.id)) {
+      errors.push(`trip id "${trip.id}" is used twice`);
+    }
+    ids.add(trip.id);
+    // Data files must stay inside public/ and every trip needs its own
+    if (!/^([a-z0-9-]+\/)*[a-z0-9-]+\.json$/.test(trip.dataFile)) {
+      errors.push(`trip "${trip.id}" has an invalid data file "${trip.dataFile}"`);
+    } else if (dataFiles.has(trip.dataFile.replace(/[^/]+$/, ''))) {
+      errors.push(`trip "${trip.id}" shares its data folder with another trip`);
+    }
+    dataFiles.add(trip.dataFile.replace(/[^/]+$/, ''));
+    if (!trip.center.every(Number.isFinite)) {
+      errors.push(`trip "${trip.id}" has an invalid center`);
+    }
+    const { south, west, north, east } = trip.offlineBounds;
+    if (![south, west, north, east].every(Number.isFinite) || south >= north || west >= east) {
+      errors.push(`trip "${trip.id}" has an invalid offline area`);
+    }
+  });
+  if (!ids.has(manifest.defaultTrip)) {
+    errors.push(`default trip "${manifest.defaultTrip}" is not listed`);
+  }
+  return errors;
+};
+
+/**
+ * @function parseTripManifest
+ * @description Normalizes and checks a trip manifest
+ * @param {Object|null} raw - Parsed `trips.json`, or null when there is none
+ * @returns {{defaultTrip: string, trips: Array}} Manifest
+ * @throws {TripManifestError} When the manifest is invalid
+ */
+export const parseTripManifest = (raw) => {
+  const trips = (Array.isArray(raw?.trips) && raw.trips.length > 0 ? raw.trips : [DEFAULT_TRIP]).map(normalizeTrip);
+  const manifest = {
+    defaultTrip: typeof raw?.defaultTrip === 'string' ? raw.defaultTrip : trips[0].id,
+    trips
+  };
+  const errors = validateTripManifest(manifest);
+  if (errors.length > 0) {
+    throw new TripManifestError(errors);
+  }
+  return manifest;
+};
+
+/**
+ * @function getTripDataDir
+ * @description Folder, relative to `public/`, holding a trip's data files
+ * @param {Object} trip - Normalized trip
+ * @returns {string} Folder path ending in `/`, or '' for `public/` itself
+ */
+export const getTripDataDir = (trip) => trip.dataFile.replace(/[^/]+$/, '');
+
+/**
+ * @function formatTripDates
+ * @description Human-readable date range of a trip
+ * @param {Object} trip - Normalized trip
+ * @returns {string} e.g. "Jul 10 – Jul 14, 2025", or '' without dates
+ */
+export const formatTripDates = ({ startDate, endDate }) => {
+  if (!startDate) return '';
+  const format = (date, options) => new Date(`${date}T12:00:00`).toLocaleDateString(undefined, options);
+  if (!endDate || endDate === startDate) {
+    return format(startDate, { month: 'short', day: 'numeric', year: 'numeric' });
+  }
+  return `${format(startDate, { month: 'short', day: 'numeric' })} – ${format(endDate, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+};
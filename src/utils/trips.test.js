@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { parseTripManifest, normalizeTrip, getTripDataDir, TripManifestError, DEFAULT_TRIP, DEFAULT_OFFLINE_BOUNDS } from './trips';
+import manifestFile from '../../public/trips.json';
+
+const trip = (fields) => ({ id: 'tahoe-2026', dataFile: 'trips/tahoe-2026/locations.json', ...fields });
+
+describe('parseTripManifest', () => {
+  it('reads the shipped manifest', () => {
+    const manifest = parseTripManifest(manifestFile);
+    expect(manifest.defaultTrip).toBe('bend-2025');
+    expect(manifest.trips[0].offlineBounds).toEqual(DEFAULT_OFFLINE_BOUNDS);
+  });
+
+  it('falls back to the original trip without a manifest', () => {
+    expect(parseTripManifest(null)).toEqual({ defaultTrip: 'bend-2025', trips: [normalizeTrip(DEFAULT_TRIP)] });
+  });
+
+  it('lists every problem with the trips', () => {
+    const parse = () => parseTripManifest({
+      defaultTrip: 'gone',
+      trips: [
+        trip({ id: 'list' }),
+        trip({ id: 'Tahoe', dataFile: 'trips/upper/locations.json' }),
+        trip({ dataFile: '../secrets.json' }),
+        trip({ id: 'coast', dataFile: 'trips/tahoe-2026/other.json', offlineBounds: { south: 45, north: 44 } })
+      ]
+    });
+    expect(parse).toThrow(TripManifestError);
+    try {
+      parse();
+    } catch (error) {
+      expect(error.errors).toEqual([
+        'trip id "list" is reserved',
+        'trip id "Tahoe" must be lowercase letters, digits and dashes',
+        'trip "tahoe-2026" has an invalid data file "../secrets.json"',
+        'trip "coast" shares its data folder with another trip',
+        'trip "coast" has an invalid offline area',
+        'default trip "gone" is not listed'
+      ]);
+    }
+  });
+});
+
+describe('normalizeTrip', () => {
+  it('fills in what a trip leaves out', () => {
+    const normalized = normalizeTrip(trip({ bounds: { south: 38 }, offlineBounds: { west: -120.3, east: -119.9 }, colors: { primary: '#000000' } }));
+    expect(normalized).toMatchObject({ title: 'tahoe-2026', zoom: DEFAULT_TRIP.zoom, mapStyle: 'detailed' });
+    expect(normalized.bounds).toEqual({ ...DEFAULT_TRIP.bounds, south: 38 });
+    expect(normalized.offlineBounds).toEqual({ ...DEFAULT_OFFLINE_BOUNDS, west: -120.3, east: -119.9 });
+    expect(normalized.colors.accent).toBe(DEFAULT_TRIP.colors.accent);
+    expect(getTripDataDir(normalized)).toBe('trips/tahoe-2026/');
+  });
+});
@@ -1,12 +1,18 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { functionsPlugin } from './server/devFunctions.js'
+import { liveSyncPlugin } from './server/liveSync.js'
 
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), functionsPlugin(), liveSyncPlugin()],
   server: {
     host: true,
     port: 3000,
-    strictPort: true
+    strictPort: true,
+    watch: {
+      // The API functions write their data files here; saving should not reload every open page
+      ignored: ['**/public/**/*.json', '**/public/photos/**']
+    }
   }
 })